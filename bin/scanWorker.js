@@ -0,0 +1,14 @@
+// Worker thread behind bin/sentinels.js: analyzes one file per message and
+// answers with the { path, report } or { path, error } result.
+const { register } = require('node:module');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { parentPort } = require('node:worker_threads');
+
+register(pathToFileURL(path.join(__dirname, 'srcLoader.mjs')));
+const scanner = import(pathToFileURL(path.join(__dirname, '..', 'src', 'cli', 'scan.js')).href);
+
+parentPort.on('message', async ({ path: file, settings }) => {
+  const { scanFile } = await scanner;
+  parentPort.postMessage(await scanFile(file, settings));
+});
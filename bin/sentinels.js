@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// `sentinels` command: runs the analyzer from src/ under plain Node, with
+// no build step. srcLoader.mjs teaches Node the bundler's import rules;
+// src/cli/main.js does the rest.
+const { register } = require('node:module');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { Worker } = require('node:worker_threads');
+
+const LOADER = pathToFileURL(path.join(__dirname, 'srcLoader.mjs'));
+const MAIN = pathToFileURL(path.join(__dirname, '..', 'src', 'cli', 'main.js'));
+const WORKER = path.join(__dirname, 'scanWorker.js');
+
+// scan(path, settings) on worker threads, so --jobs uses more than one
+// core. runScans never has more than --jobs files in flight, so a worker
+// is started whenever none is idle.
+const createWorkerPool = () => {
+  const idle = [];
+  const workers = new Set();
+
+  const run = (worker, file, settings) => new Promise((resolve) => {
+    const done = (result, healthy) => {
+      worker.off('message', onMessage).off('error', onError).off('exit', onExit);
+      if (healthy) idle.push(worker);
+      else workers.delete(worker);
+      resolve(result);
+    };
+    const onMessage = (result) => done(result, true);
+    const onError = (error) => done({ path: file, error: `Analysis crashed: ${error.message}` }, false);
+    const onExit = (code) => done({ path: file, error: `Analysis worker exited with code ${code}` }, false);
+    worker.on('message', onMessage).on('error', onError).on('exit', onExit);
+    worker.postMessage({ path: file, settings });
+  });
+
+  return {
+    scan: (file, settings) => {
+      let worker = idle.pop();
+      if (!worker) {
+        worker = new Worker(WORKER);
+        workers.add(worker);
+      }
+      return run(worker, file, settings);
+    },
+    close: () => Promise.all([...workers].map(worker => worker.terminate()))
+  };
+};
+
+const start = async () => {
+  if (!register) throw new Error(`Node 20.6 or newer is required (this is ${process.version})`);
+  register(LOADER);
+  const { main } = await import(MAIN.href);
+  const pool = createWorkerPool();
+  try {
+    return await main(process.argv.slice(2), { scan: pool.scan });
+  } finally {
+    await pool.close();
+  }
+};
+
+start().then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(`sentinels: ${error.stack || error.message}`);
+  process.exitCode = 2;
+});
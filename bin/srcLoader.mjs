@@ -0,0 +1,33 @@
+// Module hooks that let plain Node load src/ as it is written for the
+// bundler: ES modules in .js files, extensionless relative imports and
+// default-imported JSON. Only files under src/ are affected.
+import { existsSync, statSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const SRC = new URL('../src/', import.meta.url).href;
+
+const isFile = (url) => {
+  const path = fileURLToPath(url);
+  return existsSync(path) && statSync(path).isFile();
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (context.parentURL?.startsWith(SRC) && /^\.\.?\//.test(specifier)) {
+    for (const suffix of ['', '.js', '/index.js']) {
+      const url = new URL(specifier + suffix, context.parentURL);
+      if (isFile(url)) return { url: url.href, shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith('.json')) {
+    return { format: 'module', source: `export default ${await readFile(new URL(url), 'utf8')};`, shortCircuit: true };
+  }
+  if (url.startsWith(SRC) && url.endsWith('.js')) {
+    return { format: 'module', source: await readFile(new URL(url), 'utf8'), shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,203 @@
+// Local stand-in for the Sentinels fingerprint API, for offline development
+// and tests. Plain Node, no dependencies:
+//
+//   npm run mock-api
+//   REACT_APP_API_BASE_URL=http://localhost:8787 npm start
+//
+// (or set the URL under "API server" in the Fingerprint Scan tab).
+//
+// Environment:
+//   MOCK_API_PORT     port to listen on (8787)
+//   MOCK_SEED         JSON file with registered apps:
+//                     [{ packageName, appName, version, developer, overallHash, certificateHash }]
+//   MOCK_COLD_START   answer the first N requests with a 502 HTML page, like a
+//                     sleeping host, to exercise the client's retries
+//   MOCK_LATENCY_MS   delay every response by this many milliseconds
+//
+// Uploads to /generate register the app, so a later scan of the same file
+// verifies as authentic. Registrations live in memory until restart.
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+
+const MAX_BODY = 512 * 1024 * 1024;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Past `limit` the rest of the body is drained unread, so the 413 still
+// reaches a client that is busy sending it
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      req.off('data', onData).off('end', onEnd).off('error', reject);
+      req.resume();
+      reject(Object.assign(new Error('Upload too large'), { status: 413 }));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  const onEnd = () => resolve(Buffer.concat(chunks));
+  req.on('data', onData).on('end', onEnd).on('error', reject);
+});
+
+// Minimal multipart/form-data reader: { fields, files: { name: { filename, data } } }
+const parseMultipart = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!boundary) throw Object.assign(new Error('Expected multipart/form-data'), { status: 400 });
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const fields = {};
+  const files = {};
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    // Each part: CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const split = part.indexOf('\r\n\r\n');
+    if (split !== -1) {
+      const headers = part.subarray(0, split).toString('utf8');
+      const data = part.subarray(split + 4);
+      const name = /name="([^"]*)"/.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+      if (name && filename !== undefined) files[name] = { filename, data };
+      else if (name) fields[name] = data.toString('utf8');
+    }
+    start = next;
+  }
+  return { fields, files };
+};
+
+const createRegistry = (seed = []) => {
+  const apps = seed.map(app => ({ ...app }));
+  return {
+    register: (app) => {
+      const index = apps.findIndex(existing => existing.overallHash === app.overallHash);
+      if (index === -1) apps.push(app);
+      else apps[index] = app;
+      return app;
+    },
+    byHash: (hash) => apps.find(app => app.overallHash === hash),
+    byPackage: (name) => apps.find(app => app.packageName === name)
+  };
+};
+
+const matchDetails = (app, confidence) => ({
+  appName: app.appName,
+  version: app.version,
+  developer: app.developer || 'Unknown developer',
+  confidence
+});
+
+const handlers = {
+  'POST /api/fingerprints/generate': async (req, { registry, maxBody }) => {
+    const { fields, files } = parseMultipart(await readBody(req, maxBody), req.headers['content-type']);
+    if (!files.file) return [400, { success: false, error: 'file is required' }];
+    if (!fields.appId || !fields.appName || !fields.version) {
+      return [400, { success: false, error: 'appId, appName and version are required' }];
+    }
+    const app = registry.register({
+      appId: fields.appId,
+      packageName: fields.packageName || fields.appId,
+      appName: fields.appName,
+      version: fields.version,
+      developer: fields.developer || 'Registered locally',
+      overallHash: sha256(files.file.data),
+      certificateHash: null
+    });
+    return [200, {
+      success: true,
+      fingerprint: {
+        overallHash: app.overallHash,
+        appId: app.appId,
+        packageName: app.packageName,
+        appName: app.appName,
+        version: app.version,
+        fileType: /\.ipa$/i.test(files.file.filename) ? 'IPA' : 'APK'
+      }
+    }];
+  },
+
+  'POST /api/fingerprints/verify': async (req, { registry, maxBody }) => {
+    const raw = await readBody(req, maxBody);
+    let body;
+    try {
+      body = JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+      return [400, { success: false, error: 'Body must be JSON' }];
+    }
+    if (!/^[0-9a-f]{64}$/.test(body.overallHash || '')) {
+      return [400, { success: false, error: 'overallHash must be a SHA-256 hex digest' }];
+    }
+
+    const exact = registry.byHash(body.overallHash);
+    if (exact) {
+      return [200, { success: true, isAuthentic: true, message: 'App is authentic', matchDetails: matchDetails(exact, 1) }];
+    }
+    const known = registry.byPackage(body.packageName || body.appId);
+    if (!known) {
+      return [200, { success: true, isAuthentic: false, message: 'App not found in the fingerprint database' }];
+    }
+    const sameSigner = known.certificateHash && body.digests?.certificateHash === known.certificateHash;
+    return [200, {
+      success: true,
+      isAuthentic: false,
+      message: sameSigner
+        ? 'Signed by the registered developer, but this build is not registered'
+        : 'Fingerprint does not match the registered app',
+      matchDetails: matchDetails(known, sameSigner ? 0.5 : 0)
+    }];
+  }
+};
+
+const COLD_START_PAGE = '<!DOCTYPE html><html><body><h1>502 Bad Gateway</h1><p>Service is waking up.</p></body></html>';
+
+const createMockApi = ({ seed = [], coldStarts = 0, latencyMs = 0, maxBody = MAX_BODY } = {}) => {
+  const registry = createRegistry(seed);
+  let sleeping = coldStarts;
+
+  return http.createServer(async (req, res) => {
+    const send = (status, payload, type = 'application/json') => {
+      res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      });
+      res.end(type === 'application/json' ? JSON.stringify(payload) : payload);
+    };
+
+    if (latencyMs) await new Promise(resolve => setTimeout(resolve, latencyMs));
+    if (req.method === 'OPTIONS') return send(204, '', 'text/plain');
+    if (sleeping > 0) {
+      sleeping -= 1;
+      return send(502, COLD_START_PAGE, 'text/html');
+    }
+
+    const handler = handlers[`${req.method} ${req.url.split('?')[0]}`];
+    if (!handler) return send(404, { success: false, error: `No route for ${req.method} ${req.url}` });
+    try {
+      const [status, payload] = await handler(req, { registry, maxBody });
+      return send(status, payload);
+    } catch (e) {
+      return send(e.status || 500, { success: false, error: e.message });
+    }
+  });
+};
+
+module.exports = { createMockApi, parseMultipart };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_API_PORT) || 8787;
+  const seed = process.env.MOCK_SEED ? JSON.parse(fs.readFileSync(process.env.MOCK_SEED, 'utf8')) : [];
+  createMockApi({
+    seed,
+    coldStarts: Number(process.env.MOCK_COLD_START) || 0,
+    latencyMs: Number(process.env.MOCK_LATENCY_MS) || 0
+  }).listen(port, () => {
+    console.log(`Mock fingerprint API on http://localhost:${port} (${seed.length} seeded app(s))`);
+  });
+}
@@ -1,170 +1,89 @@
-import React, { useState, useRef } from 'react';
-import { Shield, Upload, Search, AlertTriangle, CheckCircle, X, FileText, Eye, Download, RefreshCw } from 'lucide-react';
+import React, { useEffect, useMemo, useState, useRef } from 'react';
+import { Shield, Upload, Search, AlertTriangle, CheckCircle, X, FileText, Eye, RefreshCw, ListChecks, Layers, GitCompare, History } from 'lucide-react';
 import AppSecurityAnalyzer from './components/AppSecurityAnalyzer';
-
-
-// API utility functions
-const API_BASE_URL = 'https://sentinel-api-aryc.onrender.com';
-
-const generateFingerprint = async (file, appInfo) => {
-  const formData = new FormData();
-  formData.append('file', file);
-  formData.append('appId', appInfo.appId);
-  formData.append('appName', appInfo.appName);
-  formData.append('version', appInfo.version);
-  formData.append('packageName', appInfo.packageName || appInfo.appId);
-
-  const response = await fetch(`${API_BASE_URL}/api/fingerprints/generate`, {
-    method: 'POST',
-    body: formData
-  });
-
-  const data = await response.json();
-  if (!data.success) {
-    throw new Error(data.error || 'Failed to generate fingerprint');
-  }
-  return data.fingerprint;
-};
-
-const verifyApp = async (overallHash, appId, packageName, scannerInfo = {}) => {
-  const response = await fetch(`${API_BASE_URL}/api/fingerprints/verify`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      overallHash,
-      appId,
-      packageName,
-      scannerInfo
-    })
-  });
-
-  const data = await response.json();
-  if (!data.success) {
-    throw new Error(data.error || 'Verification failed');
-  }
-  return data;
-};
-
-// Credibility analysis function
-const analyzeAppCredibility = (appData) => {
-  const risks = [];
-  const warnings = [];
-  const info = [];
-  
-  // Check for suspicious permissions
-  const suspiciousPerms = [
-    'SEND_SMS', 'READ_SMS', 'RECEIVE_SMS',
-    'WRITE_EXTERNAL_STORAGE', 'READ_EXTERNAL_STORAGE',
-    'CAMERA', 'RECORD_AUDIO', 'ACCESS_FINE_LOCATION',
-    'READ_CONTACTS', 'WRITE_CONTACTS',
-    'READ_CALL_LOG', 'WRITE_CALL_LOG',
-    'SYSTEM_ALERT_WINDOW', 'WRITE_SETTINGS'
-  ];
-  
-  // Check for financial data requests
-  const financialKeywords = [
-    'credit card', 'debit card', 'cvv', 'card number',
-    'bank account', 'account number', 'routing number',
-    'payment', 'billing', 'transaction'
-  ];
-  
-  // Check for identity theft risks
-  const identityKeywords = [
-    'aadhar', 'aadhaar', 'passport number', 'ssn',
-    'social security', 'driver license', 'pan card'
-  ];
-  
-  // Check for social media access
-  const socialApps = [
-    'whatsapp', 'telegram', 'instagram', 'facebook',
-    'twitter', 'youtube', 'snapchat', 'linkedin'
-  ];
-
-  // Analyze permissions
-  if (appData.permissions) {
-    const hasRiskyPerms = suspiciousPerms.some(perm => 
-      appData.permissions.includes(perm)
-    );
-    if (hasRiskyPerms) {
-      warnings.push('App requests sensitive device permissions');
-    }
-  }
-
-  // Analyze manifest or code content
-  const content = JSON.stringify(appData).toLowerCase();
-  
-  financialKeywords.forEach(keyword => {
-    if (content.includes(keyword)) {
-      risks.push(`Requests financial information: ${keyword}`);
-    }
-  });
-  
-  identityKeywords.forEach(keyword => {
-    if (content.includes(keyword)) {
-      risks.push(`Requests identity information: ${keyword}`);
-    }
-  });
-  
-  socialApps.forEach(app => {
-    if (content.includes(app)) {
-      warnings.push(`May access ${app} data`);
-    }
-  });
-
-  // Check for developer information
-  if (!appData.developer || !appData.contact) {
-    warnings.push('Missing or incomplete developer contact information');
-  }
-
-  // Check for secure connections
-  if (content.includes('http://') && !content.includes('https://')) {
-    risks.push('Uses insecure HTTP connections');
-  }
-
-  const riskLevel = risks.length > 0 ? 'HIGH' : 
-                   warnings.length > 2 ? 'MEDIUM' : 'LOW';
-
-  return {
-    riskLevel,
-    risks,
-    warnings,
-    info,
-    score: Math.max(0, 100 - (risks.length * 30) - (warnings.length * 10))
-  };
-};
-
-// Mock APK/IPA parser (simplified)
-const parseAppFile = async (file) => {
-  // This is a simplified mock parser
-  // In a real implementation, you'd use libraries like apk-parser, ipa-extract
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve({
-        packageName: 'com.example.app',
-        appName: file.name.replace(/\.(apk|ipa)$/, ''),
-        version: '1.0.0',
-        permissions: ['CAMERA', 'LOCATION', 'STORAGE'],
-        developer: 'Unknown Developer',
-        contact: null,
-        size: file.size,
-        activities: ['MainActivity', 'LoginActivity'],
-        services: ['BackgroundService'],
-        receivers: ['NotificationReceiver']
-      });
-    }, 2000);
-  });
-};
+import RulePackManager from './components/RulePackManager';
+import BrandManager from './components/BrandManager';
+import BatchScanner from './components/BatchScanner';
+import AppComparison from './components/AppComparison';
+import ScanHistory from './components/ScanHistory';
+import ApiSettings from './components/ApiSettings';
+import ErrorNotice from './components/ErrorNotice';
+import { createApiClient } from './api/client';
+import { generateFingerprint, verifyApp } from './api/fingerprints';
+import { loadApiSettings } from './utils/apiSettings';
+import { buildReport, createSnapshot, isAbortError, scoreAppData } from './analyzer';
+import { computeLocalFingerprint } from './utils/fingerprint';
+import { getActivePacks, loadRuleConfig, saveRuleConfig } from './utils/rulePacks';
+import { loadBrands, saveBrands } from './utils/protectedBrands';
+import { collectDroppedFiles } from './utils/dropFiles';
+import { VERDICTS, useScanQueue } from './utils/useScanQueue';
+import { useScanHistory } from './utils/useScanHistory';
+import { createHistoryEntry, fileHashes, hashesFromFingerprint } from './utils/scanHistory';
+
+
+// Batch items are always verified in hashes-only mode, using the package
+// name the analyzer read from the manifest or Info.plist. `options.signal`
+// is the item's, so cancelling it also cancels the request and its retries.
+const verifyBatchItem = (client, local, identity, options) => verifyApp(client, {
+  overallHash: local.overallHash,
+  appId: identity.packageName,
+  packageName: identity.packageName,
+  scannerInfo: { source: 'sentinels_batch', mode: 'hashes', timestamp: new Date().toISOString() },
+  digests: { manifestHash: local.manifestHash, certificateHash: local.certificateHash, entries: local.entries }
+}, options);
 
 const SentinelsScanner = () => {
   const [activeTab, setActiveTab] = useState('fingerprint');
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
+  // A message string, or an Error (ApiError subclasses get their own notice)
   const [error, setError] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const scanAbortRef = useRef(null);
   const [credibilityResult, setCredibilityResult] = useState(null);
+  // 'hashes' keeps the binary on this device; 'upload' sends it to the API
+  const [fingerprintMode, setFingerprintMode] = useState('hashes');
   const fileInputRef = useRef(null);
+  const [ruleConfig, setRuleConfig] = useState(loadRuleConfig);
+  const activePacks = useMemo(() => getActivePacks(ruleConfig), [ruleConfig]);
+  const [brands, setBrands] = useState(loadBrands);
+  const [apiSettings, setApiSettings] = useState(loadApiSettings);
+  const apiClient = useMemo(() => createApiClient({ baseUrl: apiSettings.baseUrl }), [apiSettings]);
+  const scanHistory = useScanHistory();
+  // Finished batch items go straight into the history
+  const recordBatchItem = ({ name, analysis, local, verdict, verification }) => scanHistory.record(createHistoryEntry({
+    fileName: name,
+    hashes: hashesFromFingerprint(local),
+    report: buildReport(analysis, { fileName: name, rulePacks: activePacks }),
+    snapshot: createSnapshot(analysis),
+    credibility: analysis.credibility,
+    verdict,
+    verification
+  }));
+  const scanQueue = useScanQueue({
+    rulePacks: activePacks,
+    brands,
+    verify: (local, identity, options) => verifyBatchItem(apiClient, local, identity, options),
+    onComplete: recordBatchItem
+  });
+  const [dragging, setDragging] = useState(false);
+
+  useEffect(() => {
+    saveRuleConfig(ruleConfig);
+  }, [ruleConfig]);
+
+  useEffect(() => {
+    saveBrands(brands);
+  }, [brands]);
+
+  // Keep the last credibility verdict in step with the enabled rules and brands
+  useEffect(() => {
+    setCredibilityResult(current => current && {
+      ...current,
+      analysis: scoreAppData(current.report, { rulePacks: activePacks, brands }).credibility
+    });
+  }, [activePacks, brands]);
 
   // App info for fingerprint generation
   const [appInfo, setAppInfo] = useState({
@@ -174,8 +93,7 @@ const SentinelsScanner = () => {
     packageName: ''
   });
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
+  const selectFile = (selectedFile) => {
     if (selectedFile) {
       const fileExt = selectedFile.name.toLowerCase();
       if (!fileExt.endsWith('.apk') && !fileExt.endsWith('.ipa')) {
@@ -199,6 +117,24 @@ const SentinelsScanner = () => {
     }
   };
 
+  const handleFileChange = (e) => selectFile(e.target.files[0]);
+
+  // One dropped file goes through the normal flow; several files or a
+  // folder go to the batch queue
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragging(false);
+    const dropped = await collectDroppedFiles(e.dataTransfer);
+    if (dropped.length === 0) {
+      setError('Please drop APK or IPA files');
+    } else if (dropped.length === 1 && activeTab !== 'batch') {
+      selectFile(dropped[0]);
+    } else {
+      scanQueue.addFiles(dropped);
+      setActiveTab('batch');
+    }
+  };
+
   const handleInputChange = (e) => {
     setAppInfo({
       ...appInfo,
@@ -215,59 +151,90 @@ const SentinelsScanner = () => {
     setLoading(true);
     setError(null);
     setResult(null);
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
+    // Cold starts answer with 502s or time out; say so while retrying
+    const requestOptions = {
+      signal: controller.signal,
+      onRetry: ({ attempt, delayMs, error: cause }) =>
+        setRetryStatus(`${cause.message}. Retrying in ${Math.ceil(delayMs / 1000)} s (attempt ${attempt + 1})…`)
+    };
 
     try {
-      // Generate fingerprint
-      const fingerprint = await generateFingerprint(file, appInfo);
-      
+      let fingerprint;
+      let digests = null;
+
+      if (fingerprintMode === 'hashes') {
+        // Hash in the browser and send only the digest bundle
+        const local = await computeLocalFingerprint(file);
+        fingerprint = {
+          ...local,
+          appId: appInfo.appId,
+          packageName: appInfo.packageName || appInfo.appId
+        };
+        digests = {
+          manifestHash: local.manifestHash,
+          certificateHash: local.certificateHash,
+          entries: local.entries
+        };
+      } else {
+        fingerprint = await generateFingerprint(apiClient, file, appInfo, requestOptions);
+      }
+      setRetryStatus(null);
+
       // Verify against database
-      const verification = await verifyApp(
-        fingerprint.overallHash,
-        fingerprint.appId,
-        fingerprint.packageName,
-        { source: 'sentinels_scanner', timestamp: new Date().toISOString() }
-      );
+      const verification = await verifyApp(apiClient, {
+        overallHash: fingerprint.overallHash,
+        appId: fingerprint.appId,
+        packageName: fingerprint.packageName,
+        scannerInfo: { source: 'sentinels_scanner', mode: fingerprintMode, timestamp: new Date().toISOString() },
+        digests
+      }, requestOptions);
 
       setResult({
         fingerprint,
+        mode: fingerprintMode,
         verification,
         isAuthentic: verification.isAuthentic
       });
 
+      scanHistory.record(createHistoryEntry({
+        fileName: file.name,
+        hashes: fingerprintMode === 'hashes' ? hashesFromFingerprint(fingerprint) : await fileHashes(file),
+        identity: {
+          type: fingerprint.fileType || null,
+          packageName: fingerprint.packageName,
+          appName: appInfo.appName,
+          version: appInfo.version
+        },
+        verdict: verification.isAuthentic ? VERDICTS.AUTHENTIC : VERDICTS.NOT_AUTHENTIC,
+        verification
+      }));
+
     } catch (err) {
-      setError('Error: ' + err.message);
+      setError(isAbortError(err) ? 'Scan cancelled' : err);
     } finally {
+      if (scanAbortRef.current === controller) scanAbortRef.current = null;
+      setRetryStatus(null);
       setLoading(false);
     }
   };
 
-  const analyzeCredibility = async () => {
-    if (!file) {
-      setError('Please select an APK or IPA file');
-      return;
-    }
-
-    setLoading(true);
-    setError(null);
-    setCredibilityResult(null);
-
-    try {
-      // Parse the app file
-      const appData = await parseAppFile(file);
-      
-      // Analyze credibility
-      const analysis = analyzeAppCredibility(appData);
-      
-      setCredibilityResult({
-        appData,
-        analysis
-      });
+  // The credibility summary comes from the same analysis run as the detailed report
+  const handleCredibilityAnalyzed = (result, analyzedFile) => {
+    setCredibilityResult({
+      appData: result.identity,
+      analysis: result.credibility,
+      report: result
+    });
 
-    } catch (err) {
-      setError('Error analyzing app: ' + err.message);
-    } finally {
-      setLoading(false);
-    }
+    scanHistory.record(createHistoryEntry({
+      fileName: analyzedFile.name,
+      hashes: hashesFromFingerprint(result.fingerprint),
+      report: buildReport(result, { fileName: analyzedFile.name, rulePacks: activePacks }),
+      snapshot: createSnapshot(result),
+      credibility: result.credibility
+    }));
   };
 
   const clearAll = () => {
@@ -334,59 +301,113 @@ const SentinelsScanner = () => {
             <Eye className="w-5 h-5 inline mr-2" />
             Credibility Check
           </button>
+          <button
+            onClick={() => setActiveTab('rules')}
+            className={`flex-1 py-4 px-6 font-medium text-center transition-colors duration-200 ${
+              activeTab === 'rules'
+                ? 'bg-teal-500 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            <ListChecks className="w-5 h-5 inline mr-2" />
+            Rules
+          </button>
+          <button
+            onClick={() => setActiveTab('batch')}
+            className={`flex-1 py-4 px-6 font-medium text-center transition-colors duration-200 ${
+              activeTab === 'batch'
+                ? 'bg-teal-500 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            <Layers className="w-5 h-5 inline mr-2" />
+            Batch Scan
+            {scanQueue.items.length > 0 && ` (${scanQueue.items.length})`}
+          </button>
+          <button
+            onClick={() => setActiveTab('compare')}
+            className={`flex-1 py-4 px-6 font-medium text-center transition-colors duration-200 ${
+              activeTab === 'compare'
+                ? 'bg-teal-500 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            <GitCompare className="w-5 h-5 inline mr-2" />
+            Compare
+          </button>
+          <button
+            onClick={() => setActiveTab('history')}
+            className={`flex-1 py-4 px-6 font-medium text-center transition-colors duration-200 ${
+              activeTab === 'history'
+                ? 'bg-teal-500 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            <History className="w-5 h-5 inline mr-2" />
+            History
+          </button>
         </div>
 
         {/* File Upload Section */}
-        <div className="bg-white rounded-lg shadow-md p-6">
-          <h2 className="text-xl font-semibold mb-4 text-teal-700 text-center">
-            Upload App File
-          </h2>
-          
-          <div className="border-2 border-dashed border-teal-300 rounded-lg p-8 text-center transition-colors hover:border-teal-400">
+        {(activeTab === 'fingerprint' || activeTab === 'credibility') && (
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4 text-teal-700 text-center">
+              Upload App File
+            </h2>
             
-            <img src="/logo.svg" alt="Sentinels Logo" className="max-h-screen w-13 h-13 text-center" onError={(e) => {
-                e.target.style.display = 'none';
-                e.target.nextSibling.style.display = 'inline';
-              }} />
-            <p className="text-gray-600 mb-4 text-center">
-              Drag and drop your APK or IPA file here, or click to browse
-            </p>
-            <input
-              ref={fileInputRef}
-              type="file"
-              accept=".apk,.ipa"
-              onChange={handleFileChange}
-              className="hidden"
-            />
-            <button
-              onClick={() => fileInputRef.current?.click()}
-              className="px-6 py-3 rounded-lg text-white font-medium hover:opacity-90 transition-opacity"
-              style={{ backgroundColor: '#CD853F' }}
+            <div
+              onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+              onDragLeave={() => setDragging(false)}
+              onDrop={handleDrop}
+              className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors hover:border-teal-400 ${
+                dragging ? 'border-teal-500 bg-teal-50' : 'border-teal-300'
+              }`}
             >
-              Choose File
-            </button>
-          </div>
-
-          {file && (
-            <div className="mt-4 p-4 bg-teal-50 rounded-lg flex items-center justify-between">
-              <div className="flex items-center">
-                <FileText className="w-5 h-5 mr-3 text-teal-600" />
-                <div>
-                  <span className="font-medium text-gray-800 block">{file.name}</span>
-                  <span className="text-sm text-gray-500">
-                    {(file.size / 1024 / 1024).toFixed(2)} MB
-                  </span>
-                </div>
-              </div>
+              
+              <img src="/logo.svg" alt="Sentinels Logo" className="max-h-screen w-13 h-13 text-center" onError={(e) => {
+                  e.target.style.display = 'none';
+                  e.target.nextSibling.style.display = 'inline';
+                }} />
+              <p className="text-gray-600 mb-4 text-center">
+                Drag and drop your APK or IPA file here, or click to browse. Drop several files or a folder to scan them as a batch.
+              </p>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".apk,.ipa"
+                onChange={handleFileChange}
+                className="hidden"
+              />
               <button
-                onClick={clearAll}
-                className="text-gray-500 hover:text-red-500 transition-colors p-1"
+                onClick={() => fileInputRef.current?.click()}
+                className="px-6 py-3 rounded-lg text-white font-medium hover:opacity-90 transition-opacity"
+                style={{ backgroundColor: '#CD853F' }}
               >
-                <X className="w-5 h-5" />
+                Choose File
               </button>
             </div>
-          )}
-        </div>
+
+            {file && (
+              <div className="mt-4 p-4 bg-teal-50 rounded-lg flex items-center justify-between">
+                <div className="flex items-center">
+                  <FileText className="w-5 h-5 mr-3 text-teal-600" />
+                  <div>
+                    <span className="font-medium text-gray-800 block">{file.name}</span>
+                    <span className="text-sm text-gray-500">
+                      {(file.size / 1024 / 1024).toFixed(2)} MB
+                    </span>
+                  </div>
+                </div>
+                <button
+                  onClick={clearAll}
+                  className="text-gray-500 hover:text-red-500 transition-colors p-1"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
 
         {/* Fingerprint Scan Tab */}
         {activeTab === 'fingerprint' && (
@@ -453,6 +474,37 @@ const SentinelsScanner = () => {
               </div>
             </div>
 
+            <div className="mb-6">
+              <span className="block text-sm font-medium mb-2 text-gray-700">Fingerprint Mode</span>
+              <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                <button
+                  type="button"
+                  onClick={() => setFingerprintMode('hashes')}
+                  className={`flex-1 py-2 px-4 text-sm font-medium transition-colors ${
+                    fingerprintMode === 'hashes' ? 'bg-teal-500 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  Hashes only
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFingerprintMode('upload')}
+                  className={`flex-1 py-2 px-4 text-sm font-medium transition-colors ${
+                    fingerprintMode === 'upload' ? 'bg-teal-500 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  Upload file
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                {fingerprintMode === 'hashes'
+                  ? 'The file is hashed in your browser. Only SHA-256 digests are sent for verification.'
+                  : 'The whole file is uploaded to the Sentinels API to generate the fingerprint.'}
+              </p>
+            </div>
+
+            <ApiSettings settings={apiSettings} onChange={setApiSettings} />
+
             <button
               onClick={generateAndVerifyFingerprint}
               disabled={loading || !file}
@@ -470,24 +522,45 @@ const SentinelsScanner = () => {
                 </>
               )}
             </button>
+            {loading && (
+              <div className="mt-3 flex items-center justify-between text-sm text-gray-600">
+                <span>{retryStatus || 'Contacting the fingerprint service…'}</span>
+                <button
+                  onClick={() => scanAbortRef.current?.abort()}
+                  className="ml-3 px-3 py-1 border border-red-300 text-red-700 rounded-lg hover:bg-red-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
           </div>
         )}
 
         {/* Credibility Check Tab */}
         {activeTab === 'credibility' && (
-          <AppSecurityAnalyzer />
+          <AppSecurityAnalyzer file={file} rulePacks={activePacks} brands={brands} onAnalyzed={handleCredibilityAnalyzed} />
         )}
 
-        {/* Error Display */}
-        {error && (
-          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-            <div className="flex items-center justify-center">
-              <AlertTriangle className="w-5 h-5 text-red-500 mr-2" />
-              <span className="text-red-700 font-medium">{error}</span>
-            </div>
-          </div>
+        {/* Batch Scan Tab */}
+        {activeTab === 'batch' && <BatchScanner queue={scanQueue} />}
+
+        {/* Clone Comparison Tab */}
+        {activeTab === 'compare' && <AppComparison rulePacks={activePacks} brands={brands} />}
+
+        {/* Scan History Tab */}
+        {activeTab === 'history' && <ScanHistory history={scanHistory} />}
+
+        {/* Rule Pack Management Tab */}
+        {activeTab === 'rules' && (
+          <>
+            <RulePackManager config={ruleConfig} onChange={setRuleConfig} />
+            <BrandManager brands={brands} onChange={setBrands} />
+          </>
         )}
 
+        {/* Error Display */}
+        {error && <ErrorNotice error={error} />}
+
         {/* Fingerprint Results */}
         {result && activeTab === 'fingerprint' && (
           <div className="bg-white rounded-lg shadow-md p-6">
@@ -538,6 +611,19 @@ const SentinelsScanner = () => {
                 <p className="text-center">
                   <strong>File Type:</strong> {result.fingerprint.fileType || 'Unknown'}
                 </p>
+                {result.mode === 'hashes' && (
+                  <>
+                    <p className="break-all text-center">
+                      <strong>Manifest Hash:</strong> {result.fingerprint.manifestHash || 'Not found'}
+                    </p>
+                    <p className="break-all text-center">
+                      <strong>Signing Certificate:</strong> {result.fingerprint.certificateHash || 'Not available'}
+                    </p>
+                    <p className="text-center">
+                      <strong>Entries Hashed:</strong> {result.fingerprint.entries.length} (computed locally, file not uploaded)
+                    </p>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -591,7 +677,7 @@ const SentinelsScanner = () => {
                   {credibilityResult.analysis.risks.map((risk, index) => (
                     <li key={index} className="text-sm text-red-700 flex items-start">
                       <span className="text-red-500 mr-2">•</span>
-                      {risk}
+                      <span><span className="font-mono text-xs mr-2">{risk.ruleId}</span>{risk.message}</span>
                     </li>
                   ))}
                 </ul>
@@ -609,7 +695,7 @@ const SentinelsScanner = () => {
                   {credibilityResult.analysis.warnings.map((warning, index) => (
                     <li key={index} className="text-sm text-yellow-700 flex items-start">
                       <span className="text-yellow-500 mr-2">•</span>
-                      {warning}
+                      <span><span className="font-mono text-xs mr-2">{warning.ruleId}</span>{warning.message}</span>
                     </li>
                   ))}
                 </ul>
@@ -623,7 +709,7 @@ const SentinelsScanner = () => {
                 <div className="space-y-2">
                   <p><strong>Package:</strong> {credibilityResult.appData.packageName}</p>
                   <p><strong>Version:</strong> {credibilityResult.appData.version}</p>
-                  <p><strong>Developer:</strong> {credibilityResult.appData.developer}</p>
+                  <p><strong>Developer:</strong> {credibilityResult.appData.developer || 'Unknown'}</p>
                   <p><strong>Size:</strong> {(credibilityResult.appData.size / 1024 / 1024).toFixed(2)} MB</p>
                 </div>
                 <div className="space-y-2">
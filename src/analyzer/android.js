@@ -0,0 +1,381 @@
+import { parseAndroidXml } from '../parsers/axml';
+import { getNamedStrings, getStrings, parseResourceTable, resolveAttribute } from '../parsers/arsc';
+import { parseDex } from '../parsers/dex';
+import { analyzeSigning } from '../parsers/signing';
+import { openArchive } from './archive';
+import { extractApkIcon } from './icon';
+import { assessNetworkSecurity, parseNetworkSecurityConfig } from './networkSecurity';
+import { createPipeline, entriesMatching } from './pipeline';
+import { isAbortError } from './progress';
+import { MAX_SCAN_BYTES, SKIPPED_EXTENSIONS, createSecretScanner } from './secrets';
+
+const extractAndroidManifest = async (manifestData) => {
+  // Compiled APKs ship the manifest as binary AXML; plain XML is still
+  // accepted for unpacked or source-built samples
+  return parseAndroidXml(manifestData);
+};
+
+const loadResourceTable = async (zip, errors) => {
+  const tableFile = zip.file('resources.arsc');
+  if (!tableFile) return null;
+  try {
+    return parseResourceTable(await tableFile.async('uint8array'));
+  } catch (e) {
+    errors.push({ entry: tableFile.name, message: e.message });
+    return null;
+  }
+};
+
+const analyzeAPKSigning = async (zip, apkBytes) => {
+  // v1 (JAR) signatures live in META-INF as PKCS#7 blocks
+  const v1Blocks = [];
+  for (const entry of zip.file(/^META-INF\/[^/]+\.(RSA|DSA|EC)$/i)) {
+    v1Blocks.push({ name: entry.name, bytes: await entry.async('uint8array') });
+  }
+  return analyzeSigning({ apkBytes, v1Blocks });
+};
+
+const COMPONENT_TAGS = ['activity', 'activity-alias', 'service', 'receiver', 'provider'];
+
+// Without android:exported a component is reachable by other apps when it
+// has an intent filter; providers were exported by default up to API 16,
+// which is also what an app without a known targetSdk gets
+const isExported = (element, tag, targetSdk) => {
+  const exported = element.getAttribute('android:exported');
+  if (exported) return exported === 'true';
+  if (tag === 'provider') return targetSdk === null || targetSdk <= 16;
+  return element.getElementsByTagName('intent-filter').length > 0;
+};
+
+const childElements = (element, tag) => Array.from(element.getElementsByTagName(tag));
+
+const attributeList = (elements, attribute) => [...new Set(elements
+  .map(element => element.getAttribute(`android:${attribute}`))
+  .filter(Boolean))];
+
+// <data> elements of one filter combine, so schemes and hosts are pooled
+const parseIntentFilter = (filter) => {
+  const data = childElements(filter, 'data');
+  return {
+    actions: attributeList(childElements(filter, 'action'), 'name'),
+    categories: attributeList(childElements(filter, 'category'), 'name'),
+    schemes: attributeList(data, 'scheme'),
+    hosts: attributeList(data, 'host'),
+    autoVerify: filter.getAttribute('android:autoVerify') === 'true'
+  };
+};
+
+// Every declared component as { kind, name, exported, permission,
+// intentFilters }, plus authorities and read/write permissions for
+// providers. `permission` falls back to the application's.
+const parseComponents = (doc, targetSdk, application) => {
+  const appPermission = application?.getAttribute('android:permission') || null;
+  return COMPONENT_TAGS.flatMap(tag =>
+    Array.from(doc.getElementsByTagName(tag))
+      .filter(element => element.getAttribute('android:name'))
+      .map(element => {
+        const permission = element.getAttribute('android:permission') || appPermission;
+        const component = {
+          kind: tag,
+          name: element.getAttribute('android:name'),
+          exported: isExported(element, tag, targetSdk),
+          permission,
+          intentFilters: childElements(element, 'intent-filter').map(parseIntentFilter)
+        };
+        if (tag !== 'provider') return component;
+        return {
+          ...component,
+          authorities: (element.getAttribute('android:authorities') || '').split(';').filter(Boolean),
+          readPermission: element.getAttribute('android:readPermission') || permission,
+          writePermission: element.getAttribute('android:writePermission') || permission,
+          grantUriPermissions: element.getAttribute('android:grantUriPermissions') === 'true'
+        };
+      }));
+};
+
+const PROTECTION_LEVELS = ['normal', 'dangerous', 'signature', 'signatureOrSystem'];
+
+// Base level of a <permission> the app defines: text in plain XML
+// ("signature|privileged"), an integer in compiled manifests
+const protectionLevel = (value) => {
+  if (!value) return 'normal';
+  if (/^(0x)?[0-9a-f]+$/i.test(value)) return PROTECTION_LEVELS[parseInt(value, value.startsWith('0x') ? 16 : 10) & 0xf] || 'normal';
+  return value.split('|')[0];
+};
+
+const parseDeclaredPermissions = (doc) => Array.from(doc.getElementsByTagName('permission'))
+  .filter(element => element.getAttribute('android:name'))
+  .map(element => ({
+    name: element.getAttribute('android:name'),
+    protectionLevel: protectionLevel(element.getAttribute('android:protectionLevel'))
+  }));
+
+const parseManifest = (doc) => {
+  const root = doc.documentElement;
+  const application = doc.getElementsByTagName('application')[0];
+  const usesSdk = doc.getElementsByTagName('uses-sdk')[0];
+
+  // android:* attributes by local name, for rule packs that match on them
+  const androidAttributes = (element) => {
+    const attributes = {};
+    for (let i = 0; i < (element?.attributes?.length || 0); i++) {
+      const attr = element.attributes[i];
+      if (attr.name.startsWith('android:')) attributes[attr.name.slice(8)] = attr.value;
+    }
+    return attributes;
+  };
+  const permissions = [];
+  const activities = [];
+  const services = [];
+  const receivers = [];
+
+  // Extract permissions
+  const permNodes = doc.getElementsByTagName('uses-permission');
+  for (let i = 0; i < permNodes.length; i++) {
+    const name = permNodes[i].getAttribute('android:name');
+    if (name) permissions.push(name.replace('android.permission.', ''));
+  }
+
+  // Extract components
+  const activityNodes = doc.getElementsByTagName('activity');
+  for (let i = 0; i < activityNodes.length; i++) {
+    const name = activityNodes[i].getAttribute('android:name');
+    if (name) activities.push(name);
+  }
+
+  const serviceNodes = doc.getElementsByTagName('service');
+  for (let i = 0; i < serviceNodes.length; i++) {
+    const name = serviceNodes[i].getAttribute('android:name');
+    if (name) services.push(name);
+  }
+
+  const receiverNodes = doc.getElementsByTagName('receiver');
+  for (let i = 0; i < receiverNodes.length; i++) {
+    const name = receiverNodes[i].getAttribute('android:name');
+    if (name) receivers.push(name);
+  }
+
+  const targetSdk = parseInt(usesSdk?.getAttribute('android:targetSdkVersion'), 10) || null;
+
+  return {
+    package: root?.getAttribute('package') || 'Unknown',
+    versionName: root?.getAttribute('android:versionName') || 'Unknown',
+    label: application?.getAttribute('android:label') || null,
+    icon: application?.getAttribute('android:icon') || null,
+    minSdk: parseInt(usesSdk?.getAttribute('android:minSdkVersion'), 10) || null,
+    targetSdk,
+    attributes: {
+      manifest: androidAttributes(root),
+      application: androidAttributes(application)
+    },
+    permissions,
+    activities,
+    services,
+    receivers,
+    components: parseComponents(doc, targetSdk, application),
+    declaredPermissions: parseDeclaredPermissions(doc)
+  };
+};
+
+const extractLayoutInfo = (doc, resourceTable) => {
+  const inputTypes = [];
+  const hints = [];
+  let editTexts = 0;
+
+  const elements = doc.getElementsByTagName('*');
+  for (let i = 0; i < elements.length; i++) {
+    const element = elements[i];
+    if (element.tagName.endsWith('EditText')) editTexts++;
+
+    const inputType = element.getAttribute('android:inputType');
+    if (inputType) inputTypes.push(inputType);
+
+    // Hints are usually @string references in compiled layouts
+    const hint = resolveAttribute(resourceTable, element.getAttribute('android:hint'));
+    if (hint) hints.push(hint);
+  }
+
+  return { editTexts, inputTypes, hints };
+};
+
+// Stage 'resources': (zip, resourceTable) -> { strings, layouts }
+const parseResources = async (zip, resourceTable, { map }) => {
+  // Compiled APKs keep their strings in resources.arsc; there is no
+  // res/values/strings.xml to read
+  const strings = getStrings(resourceTable);
+
+  const layouts = await map(entriesMatching(zip, /res\/layout\/.*\.xml$/),
+    async (entry) => extractLayoutInfo(parseAndroidXml(await entry.async('uint8array')), resourceTable));
+
+  return { strings, layouts: layouts.filter(Boolean) };
+};
+
+// '@0x7f130001' resolves through resources.arsc; plain-XML manifests name
+// the resource instead (@xml/network_security_config)
+const resolveXmlResource = (zip, resourceTable, ref) => {
+  const resolved = resolveAttribute(resourceTable, ref);
+  if (resolved && !resolved.startsWith('@')) return resolved;
+  const named = /^@xml\/([\w.]+)$/.exec(ref || '');
+  if (!named) return null;
+  const matches = zip.file(new RegExp(`^res/xml(-[^/]*)?/${named[1].replace(/\./g, '\\.')}\\.xml$`)).map(entry => entry.name);
+  return matches.find(name => name.startsWith('res/xml/')) || matches[0] || null;
+};
+
+// The config the platform would actually load: only the one the manifest
+// points at counts. An unreadable config is reported and the verdict falls
+// back to the manifest and platform defaults.
+const analyzeNetworkSecurity = async (zip, manifest, resourceTable, errors) => {
+  const ref = manifest.attributes.application.networkSecurityConfig;
+  if (!ref) return assessNetworkSecurity({ manifest });
+  const source = resolveXmlResource(zip, resourceTable, ref);
+  try {
+    if (!source || !zip.file(source)) throw new Error(`${ref} is not in the archive`);
+    const doc = parseAndroidXml(await zip.file(source).async('uint8array'));
+    const config = parseNetworkSecurityConfig(doc, { targetSdk: manifest.targetSdk });
+    return assessNetworkSecurity({ config, source, manifest });
+  } catch (e) {
+    errors.push({ entry: source || ref, message: `Network security config: ${e.message}` });
+    return { ...assessNetworkSecurity({ manifest }), source, error: e.message };
+  }
+};
+
+const FRAMEWORK_PREFIXES = ['Landroid/', 'Landroidx/', 'Ldalvik/', 'Ljava/', 'Ljavax/'];
+
+const analyzeDex = async (zip, { map }, secrets) => {
+  const dexFiles = [];
+  const urls = new Set();
+  const methodRefs = new Set();
+  const typeRefs = new Set();
+  const classNames = new Set();
+  const packageCounts = {};
+  let classCount = 0;
+
+  // classes.dex, classes2.dex, ... for multidex apps. Parsing runs in
+  // parallel; merging below walks the results in name order.
+  const entries = entriesMatching(zip, /^classes\d*\.dex$/);
+  const parsed = await map(entries, async (entry) => parseDex(await entry.async('uint8array')));
+
+  parsed.forEach((dex, index) => {
+    if (!dex) return;
+    dexFiles.push({ name: entries[index].name, version: dex.version, classes: dex.classes.length });
+    classCount += dex.classes.length;
+    secrets.scanStrings(dex.strings, entries[index].name);
+
+    dex.strings.forEach(str => {
+      const matches = str.match(/\b(?:https?|ftp|wss?):\/\/[^\s"'<>]+/gi);
+      if (matches) matches.forEach(url => urls.add(url));
+    });
+    dex.methods.forEach(method => methodRefs.add(method));
+    dex.types.forEach(type => typeRefs.add(type));
+
+    // Group classes by their first three package segments
+    dex.classes.forEach(className => {
+      classNames.add(className);
+      const segments = className.split('.').slice(0, -1);
+      const pkg = segments.slice(0, 3).join('.') || '(default)';
+      packageCounts[pkg] = (packageCounts[pkg] || 0) + 1;
+    });
+  });
+
+  // Only framework references are kept; app-internal calls are too numerous
+  // and the rule packs match against platform APIs
+  const apiRefs = [...typeRefs, ...methodRefs]
+    .filter(ref => FRAMEWORK_PREFIXES.some(prefix => ref.startsWith(prefix)))
+    .sort();
+
+  const packages = Object.entries(packageCounts)
+    .map(([name, classes]) => ({ name, classes }))
+    .sort((a, b) => b.classes - a.classes);
+
+  // Defined class names, kept for comparing a suspect against a reference build
+  const classes = [...classNames].sort();
+
+  return { dexFiles, classCount, urls: [...urls], packages, apiRefs, classes };
+};
+
+// Stage 'code': zip -> { codeFiles, dexFiles, classCount, urls, packages, apiRefs, classes }
+const analyzeCode = async (zip, context, secrets) => {
+  const codeFiles = entriesMatching(zip, /\.(dex|so)$/).map(entry => entry.name);
+  return { codeFiles, ...(await analyzeDex(zip, context, secrets)) };
+};
+
+// Everything else a key could be shipped in: string resources by name,
+// assets/ (including React Native and Cordova bundles) and res/raw
+const scanResourceSecrets = async (zip, resourceTable, secrets, { map }) => {
+  if (resourceTable) secrets.scanValues(getNamedStrings(resourceTable), 'resources.arsc');
+  const files = entriesMatching(zip, /^(assets|res\/raw)\/.+[^/]$/).filter(entry => !SKIPPED_EXTENSIONS.test(entry.name));
+  await map(files, async (entry) => {
+    const bytes = await entry.async('uint8array');
+    secrets.scanBytes(bytes.subarray(0, MAX_SCAN_BYTES), entry.name);
+  });
+};
+
+// Stages run strictly in order (unzip, manifest, resources, code) and each
+// one finishes before the next starts, so scoring always sees complete data.
+// `pipeline` comes from createPipeline; `archiveLimits` overrides DEFAULT_ARCHIVE_LIMITS.
+export const parseAPK = async (file, { pipeline = createPipeline(), archiveLimits } = {}) => {
+  try {
+    // Stage 'unzip': file -> { apkBytes, zip, archive }
+    const { apkBytes, zip, archive } = await pipeline.stage('unzip', async ({ progress }) => {
+      // Keep the raw bytes: the v2/v3 signing block sits outside any zip entry
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      progress(0.5);
+      return { apkBytes: bytes, ...(await openArchive(bytes, archiveLimits)) };
+    });
+    if (!zip) return { type: 'APK', archive, size: file.size, pipeline: pipeline.report() };
+
+    // Stage 'manifest': zip -> { manifest, resourceTable, networkSecurity }
+    const { manifest, resourceTable, networkSecurity } = await pipeline.stage('manifest', async ({ errors }) => {
+      const manifestFile = zip.file('AndroidManifest.xml');
+      if (!manifestFile) {
+        throw new Error('AndroidManifest.xml not found');
+      }
+      const manifestDoc = await extractAndroidManifest(await manifestFile.async('uint8array'));
+      const parsed = parseManifest(manifestDoc);
+      // Resource IDs in the manifest and layouts resolve through resources.arsc
+      const table = await loadResourceTable(zip, errors);
+      return {
+        manifest: parsed,
+        resourceTable: table,
+        networkSecurity: await analyzeNetworkSecurity(zip, parsed, table, errors)
+      };
+    });
+
+    const resources = await pipeline.stage('resources', async (context) => ({
+      ...(await parseResources(zip, resourceTable, context)),
+      appLabel: resolveAttribute(resourceTable, manifest.label) || null,
+      iconPath: resolveAttribute(resourceTable, manifest.icon) || null,
+      icon: await extractApkIcon(zip, manifest, resourceTable).catch(e => {
+        context.errors.push({ entry: manifest.icon, message: `Launcher icon: ${e.message}` });
+        return { error: e.message };
+      })
+    }));
+
+    const { codeAnalysis, signing, secrets } = await pipeline.stage('code', async (context) => {
+      const scanner = createSecretScanner();
+      const code = await analyzeCode(zip, context, scanner);
+      await scanResourceSecrets(zip, resourceTable, scanner, context);
+      return {
+        codeAnalysis: code,
+        signing: await analyzeAPKSigning(zip, apkBytes),
+        secrets: scanner.result()
+      };
+    });
+
+    return {
+      type: 'APK',
+      archive,
+      manifest,
+      networkSecurity,
+      resources,
+      codeAnalysis,
+      signing,
+      secrets,
+      size: file.size,
+      pipeline: pipeline.report()
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new Error(`APK parsing failed: ${error.message}`);
+  }
+};
@@ -0,0 +1,78 @@
+import JSZip from 'jszip';
+import { decodeUtf8 } from '../parsers/bytes';
+import { DEFAULT_ARCHIVE_LIMITS, inspectZip } from '../parsers/zip';
+
+const concatChunks = (chunks, length) => {
+  const out = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+};
+
+// entry.async(type) for 'uint8array' and 'text', except that inflating
+// stops as soon as the entry grows past `limit` bytes. JSZip only compares
+// the output with the declared size once the whole entry is in memory.
+const readLimited = (entry, type, limit) => new Promise((resolve, reject) => {
+  if (type !== 'uint8array' && type !== 'text') {
+    reject(new Error(`Unsupported entry type "${type}"`));
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  const stream = entry.internalStream('uint8array');
+  stream
+    .on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.pause();
+        reject(new Error(`${entry.name} inflates past the ${limit} bytes the archive declares for it`));
+        return;
+      }
+      chunks.push(chunk);
+    })
+    .on('error', reject)
+    .on('end', () => {
+      const bytes = concatChunks(chunks, size);
+      resolve(type === 'text' ? decodeUtf8(bytes) : bytes);
+    })
+    .resume();
+});
+
+// The size limits are checked against the central directory, which an
+// attacker writes. Every entry is therefore also capped at the size its
+// directory record declares while it is being inflated.
+const capEntries = (zip, entries, limits) => {
+  const declared = new Map();
+  entries.forEach(({ name, uncompressedSize }) =>
+    declared.set(name, Math.max(declared.get(name) ?? 0, uncompressedSize)));
+  Object.values(zip.files).filter(entry => !entry.dir).forEach(entry => {
+    const limit = declared.get(entry.name) ?? limits.maxEntrySize;
+    entry.async = (type) => readLimited(entry, type, limit);
+  });
+  return zip;
+};
+
+// Checks the central directory before anything is decompressed. Archives that
+// trip a hard limit, or that JSZip cannot read, come back with `zip: null`
+// and the reason recorded as an archive issue instead of an exception.
+export const openArchive = async (bytes, limits = {}) => {
+  const settings = { ...DEFAULT_ARCHIVE_LIMITS, ...limits };
+  const { entries, ...archive } = inspectZip(bytes, settings);
+  if (archive.blocked) return { zip: null, archive };
+
+  try {
+    return { zip: capEntries(await JSZip.loadAsync(bytes), entries, settings), archive };
+  } catch (e) {
+    return {
+      zip: null,
+      archive: {
+        ...archive,
+        blocked: true,
+        issues: [...archive.issues, { code: 'malformed', message: `Archive could not be unpacked: ${e.message}`, entries: [] }]
+      }
+    };
+  }
+};
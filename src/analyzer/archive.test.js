@@ -0,0 +1,43 @@
+import JSZip from 'jszip';
+import { openArchive } from './archive';
+
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// Rewrites the uncompressed size of the first entry in both its local and
+// central headers, so the directory understates what the entry inflates to
+const forgeSize = (bytes, size) => {
+  const out = bytes.slice();
+  const v = view(out);
+  for (let i = 0; i <= out.length - 4; i++) {
+    const signature = v.getUint32(i, true);
+    if (signature === 0x04034b50) v.setUint32(i + 22, size, true);
+    if (signature === 0x02014b50) v.setUint32(i + 24, size, true);
+  }
+  return out;
+};
+
+const build = async (entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+};
+
+describe('openArchive', () => {
+  it('reads entries that inflate to their declared size', async () => {
+    const { zip, archive } = await openArchive(await build({ 'AndroidManifest.xml': '<manifest/>', 'res/': null }));
+
+    expect(archive.blocked).toBe(false);
+    await expect(zip.file('AndroidManifest.xml').async('text')).resolves.toBe('<manifest/>');
+    await expect(zip.file('AndroidManifest.xml').async('uint8array')).resolves.toHaveLength(11);
+  });
+
+  it('stops inflating an entry once it passes the size the directory declares', async () => {
+    const bytes = forgeSize(await build({ 'classes.dex': 'a'.repeat(200 * 1024) }), 1000);
+    const { zip, archive } = await openArchive(bytes);
+
+    // The forged sizes pass every check made on the central directory
+    expect(archive.blocked).toBe(false);
+    await expect(zip.file('classes.dex').async('uint8array'))
+      .rejects.toThrow('classes.dex inflates past the 1000 bytes the archive declares for it');
+  });
+});
@@ -0,0 +1,228 @@
+import { setOverlap, stringSimilarity } from './similarity';
+import { hammingDistance, ICON_MATCH_DISTANCE } from './imageHash';
+
+export const CLONE_VERDICTS = {
+  IDENTICAL: { id: 'IDENTICAL', label: 'Identical file', likelyClone: false },
+  SAME_PUBLISHER: { id: 'SAME_PUBLISHER', label: 'Same publisher', likelyClone: false },
+  LIKELY_CLONE: { id: 'LIKELY_CLONE', label: 'Likely repackaged clone', likelyClone: true },
+  POSSIBLE_CLONE: { id: 'POSSIBLE_CLONE', label: 'Possible clone', likelyClone: true },
+  UNRELATED: { id: 'UNRELATED', label: 'Unrelated apps', likelyClone: false }
+};
+
+// How much each check counts towards the content score. The signer is left
+// out on purpose: matching content under a different signer is what a
+// repackaged clone looks like.
+const WEIGHTS = {
+  package: 1,
+  label: 1,
+  icon: 2,
+  permissions: 1,
+  components: 2,
+  resources: 2,
+  classes: 3
+};
+
+const LIKELY_CLONE_SCORE = 0.6;
+const POSSIBLE_CLONE_SCORE = 0.35;
+
+// Library code every app bundles would make unrelated apps look alike
+const LIBRARY_PREFIXES = ['android.', 'androidx.', 'java.', 'javax.', 'kotlin.', 'kotlinx.', 'com.google.'];
+
+const appFolderOf = (entries) => entries
+  .map(entry => entry.name.match(/^Payload\/([^/]+\.app)\//)?.[1])
+  .find(Boolean);
+
+const basename = (path) => path.split('/').pop();
+
+// Files that repackaging tools copy over untouched: Android res/ and
+// assets/, or everything in the .app bundle that is not code or signature
+const resourceEntries = (report, entries) => {
+  if (report.type === 'APK') {
+    return entries.filter(entry => /^(res|assets)\//.test(entry.name));
+  }
+  const folder = appFolderOf(entries);
+  const executable = report.codeAnalysis?.executable?.name;
+  return entries.filter(entry => {
+    if (!folder || !entry.name.startsWith(`Payload/${folder}/`)) return false;
+    const path = entry.name.slice(folder.length + 9);
+    return !/^(_CodeSignature|SC_Info|Frameworks|PlugIns)\//.test(path) &&
+      !['Info.plist', 'embedded.mobileprovision', executable].includes(path);
+  });
+};
+
+// Launcher icon files in every density the archive ships
+const iconEntries = (report, entries) => {
+  if (report.type === 'APK') {
+    const icon = report.resources?.iconPath || report.manifest?.icon;
+    if (!icon) return [];
+    const name = basename(icon).replace(/\.\w+$/, '');
+    return entries.filter(entry => /^res\/(mipmap|drawable)[^/]*\//.test(entry.name) &&
+      basename(entry.name).replace(/\.\w+$/, '') === name);
+  }
+  const info = report.plist?.info || {};
+  const names = info.CFBundleIcons?.CFBundlePrimaryIcon?.CFBundleIconFiles ||
+    info.CFBundleIconFiles || (info.CFBundleIconFile ? [info.CFBundleIconFile] : ['AppIcon']);
+  const folder = appFolderOf(entries);
+  return entries.filter(entry => folder && entry.name.startsWith(`Payload/${folder}/`) &&
+    names.some(name => basename(entry.name).startsWith(name.replace(/\.png$/, ''))));
+};
+
+const signerDigests = (report) => (report.type === 'APK'
+  ? report.signing?.certificates
+  : report.provisioning?.certificates)?.map(cert => cert.sha256) || [];
+
+// Relative component names (".MainActivity") resolve against the package
+const componentNames = (report) => {
+  const { packageName, activities = [], services = [], receivers = [] } = report.identity || {};
+  return [...activities, ...services, ...receivers]
+    .map(name => (name.startsWith('.') && packageName ? `${packageName}${name}` : name));
+};
+
+const appClasses = (report) => (report.codeAnalysis?.classes || [])
+  .filter(name => !LIBRARY_PREFIXES.some(prefix => name.startsWith(prefix)));
+
+const overlapCheck = (id, label, reference, suspect, describe) => {
+  const overlap = setOverlap(reference, suspect);
+  return {
+    id,
+    label,
+    reference: `${new Set(reference).size}`,
+    suspect: `${new Set(suspect).size}`,
+    score: overlap.score,
+    detail: overlap.score === null ? 'Nothing to compare' : describe(overlap),
+    added: overlap.onlySuspect,
+    removed: overlap.onlyReference
+  };
+};
+
+// Compares a known-genuine reference build against a suspect. Each side is
+// { report, fingerprint }: the analyzeAppFile result and the
+// computeLocalFingerprint result for the same file. Returns every check
+// (score 0..1, or null when it cannot be measured), the weighted content
+// score and the verdict with the reasons behind it.
+export const compareApps = (reference, suspect) => {
+  const ref = reference.report;
+  const sus = suspect.report;
+  const refEntries = reference.fingerprint?.entries || [];
+  const susEntries = suspect.fingerprint?.entries || [];
+  const checks = [];
+
+  const packageScore = stringSimilarity(ref.identity?.packageName, sus.identity?.packageName);
+  checks.push({
+    id: 'package',
+    label: ref.type === 'IPA' ? 'Bundle ID' : 'Package name',
+    reference: ref.identity?.packageName || '—',
+    suspect: sus.identity?.packageName || '—',
+    score: packageScore,
+    detail: packageScore === 1 ? 'Identical' : packageScore === null ? 'Missing on one side' : 'Differs'
+  });
+
+  const labelScore = stringSimilarity(ref.identity?.appName, sus.identity?.appName);
+  checks.push({
+    id: 'label',
+    label: 'App label',
+    reference: ref.identity?.appName || '—',
+    suspect: sus.identity?.appName || '—',
+    score: labelScore,
+    detail: labelScore === 1 ? 'Identical' : labelScore === null ? 'Missing on one side' : 'Differs'
+  });
+
+  const refHash = ref.resources?.icon?.phash;
+  const susHash = sus.resources?.icon?.phash;
+  if (refHash && susHash) {
+    // Re-encoded or slightly edited icons still land within a few bits;
+    // beyond the match distance similarity falls off to 0 at 32 bits
+    const distance = hammingDistance(refHash, susHash);
+    checks.push({
+      id: 'icon',
+      label: 'Icon',
+      reference: ref.resources.icon.path,
+      suspect: sus.resources.icon.path,
+      score: distance <= ICON_MATCH_DISTANCE ? 1 : Math.max(0, 1 - (distance - ICON_MATCH_DISTANCE) / (32 - ICON_MATCH_DISTANCE)),
+      detail: `Perceptual hash differs in ${distance}/64 bits`
+    });
+  } else {
+    const refIcons = iconEntries(ref, refEntries);
+    const susIcons = iconEntries(sus, susEntries);
+    const icons = overlapCheck('icon', 'Icon', refIcons.map(e => e.sha256), susIcons.map(e => e.sha256),
+      ({ shared }) => (shared.length ? `${shared.length} identical icon file(s)` : 'No identical icon files'));
+    checks.push({
+      ...icons,
+      reference: refIcons[0]?.name || '—',
+      suspect: susIcons[0]?.name || '—',
+      // Without decoded icons, any byte-identical density counts as the same icon
+      score: icons.score === null ? null : Number(icons.score > 0)
+    });
+  }
+
+  const refSigners = signerDigests(ref);
+  const susSigners = signerDigests(sus);
+  const signers = setOverlap(refSigners, susSigners);
+  const signerKnown = refSigners.length > 0 && susSigners.length > 0;
+  checks.push({
+    id: 'signer',
+    label: 'Signing certificate',
+    reference: refSigners[0] || '—',
+    suspect: susSigners[0] || '—',
+    score: signerKnown ? (signers.shared.length ? 1 : 0) : null,
+    detail: !signerKnown ? 'Not available for both apps' : signers.shared.length ? 'Same signer' : 'Different signer'
+  });
+
+  checks.push(overlapCheck('permissions', 'Permissions',
+    ref.identity?.permissions || [], sus.identity?.permissions || [],
+    ({ onlySuspect, onlyReference }) => `${onlySuspect.length} added, ${onlyReference.length} removed`));
+
+  checks.push(overlapCheck('components', 'Component names', componentNames(ref), componentNames(sus),
+    ({ shared }) => `${shared.length} shared`));
+
+  checks.push(overlapCheck('resources', 'Resource files',
+    resourceEntries(ref, refEntries).map(e => e.sha256), resourceEntries(sus, susEntries).map(e => e.sha256),
+    ({ shared }) => `${shared.length} byte-identical file(s)`));
+
+  const classes = ref.type === 'APK' && sus.type === 'APK'
+    ? overlapCheck('classes', 'DEX classes', appClasses(ref), appClasses(sus),
+      ({ shared }) => `${shared.length} shared app classes`)
+    : { id: 'classes', label: 'DEX classes', reference: '—', suspect: '—', score: null, detail: 'Android only' };
+  checks.push(classes);
+
+  // Weighted mean over the checks that could be measured
+  const scored = checks.filter(check => WEIGHTS[check.id] && check.score !== null);
+  const totalWeight = scored.reduce((sum, check) => sum + WEIGHTS[check.id], 0);
+  const contentScore = totalWeight
+    ? scored.reduce((sum, check) => sum + check.score * WEIGHTS[check.id], 0) / totalWeight
+    : 0;
+
+  const percent = `${Math.round(contentScore * 100)}%`;
+  const reasons = [];
+  let verdict;
+  const signerScore = checks.find(check => check.id === 'signer').score;
+  if (reference.fingerprint?.overallHash && reference.fingerprint.overallHash === suspect.fingerprint?.overallHash) {
+    verdict = CLONE_VERDICTS.IDENTICAL;
+    reasons.push('Both files have the same SHA-256');
+  } else if (signerScore === 1) {
+    verdict = CLONE_VERDICTS.SAME_PUBLISHER;
+    reasons.push('Both apps are signed with the same certificate');
+  } else if (contentScore >= LIKELY_CLONE_SCORE) {
+    verdict = signerScore === 0 ? CLONE_VERDICTS.LIKELY_CLONE : CLONE_VERDICTS.POSSIBLE_CLONE;
+    reasons.push(signerScore === 0
+      ? `Content is ${percent} similar to the reference but signed by someone else`
+      : `Content is ${percent} similar to the reference; the signers could not be compared`);
+  } else if (contentScore >= POSSIBLE_CLONE_SCORE) {
+    verdict = CLONE_VERDICTS.POSSIBLE_CLONE;
+    reasons.push(`Content is ${percent} similar to the reference`);
+  } else {
+    verdict = CLONE_VERDICTS.UNRELATED;
+    reasons.push(`Content is only ${percent} similar to the reference`);
+  }
+  if (packageScore !== null && packageScore < 1 && labelScore === 1) {
+    reasons.push('Same label under a different package name');
+  }
+
+  return {
+    reference: ref.identity,
+    suspect: sus.identity,
+    checks,
+    contentScore: Math.round(contentScore * 100),
+    verdict: { ...verdict, reasons }
+  };
+};
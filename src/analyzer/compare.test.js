@@ -0,0 +1,81 @@
+import { compareApps } from './compare';
+import { editDistance, setOverlap, stringSimilarity } from './similarity';
+
+const apk = ({ packageName = 'com.real.bank', appName = 'Real Bank', signer = 'aa', classes, permissions } = {}) => ({
+  report: {
+    type: 'APK',
+    identity: {
+      packageName,
+      appName,
+      permissions: permissions || ['INTERNET', 'CAMERA'],
+      activities: ['com.real.bank.MainActivity', '.LoginActivity'],
+      services: [],
+      receivers: []
+    },
+    resources: { iconPath: 'res/mipmap-hdpi-v4/ic_launcher.png' },
+    signing: { certificates: [{ sha256: signer }] },
+    codeAnalysis: {
+      classes: classes || ['com.real.bank.MainActivity', 'com.real.bank.Api', 'androidx.core.App']
+    }
+  },
+  fingerprint: {
+    overallHash: `${packageName}-${signer}-${(permissions || []).length}`,
+    entries: [
+      { name: 'res/mipmap-hdpi-v4/ic_launcher.png', sha256: 'icon' },
+      { name: 'res/layout/main.xml', sha256: 'layout' },
+      { name: 'assets/logo.png', sha256: 'logo' },
+      { name: 'classes.dex', sha256: `dex-${signer}` }
+    ]
+  }
+});
+
+describe('similarity helpers', () => {
+  it('measures edit distance and set overlap', () => {
+    expect(editDistance('paypal', 'paypa1')).toBe(1);
+    expect(stringSimilarity('Bank', 'bank')).toBe(1);
+    expect(stringSimilarity('Bank', null)).toBeNull();
+    expect(setOverlap(['a', 'b'], ['b', 'c'])).toEqual({
+      shared: ['b'],
+      onlyReference: ['a'],
+      onlySuspect: ['c'],
+      score: 1 / 3
+    });
+    expect(setOverlap([], []).score).toBeNull();
+  });
+});
+
+describe('compareApps', () => {
+  it('calls a re-signed copy with extra permissions a likely clone', () => {
+    const result = compareApps(apk(), apk({
+      packageName: 'com.real.bank.secure',
+      signer: 'bb',
+      permissions: ['INTERNET', 'CAMERA', 'READ_SMS']
+    }));
+
+    expect(result.verdict.id).toBe('LIKELY_CLONE');
+    expect(result.verdict.likelyClone).toBe(true);
+    const byId = Object.fromEntries(result.checks.map(check => [check.id, check]));
+    expect(byId.signer.score).toBe(0);
+    expect(byId.icon.score).toBe(1);
+    expect(byId.permissions.added).toEqual(['READ_SMS']);
+    // Relative names resolve against each app's own package
+    expect(byId.components.score).toBeLessThan(1);
+    // Library classes do not count towards the overlap
+    expect(byId.classes.reference).toBe('2');
+  });
+
+  it('treats a matching signer as the same publisher', () => {
+    const result = compareApps(apk(), apk({ signer: 'aa', permissions: ['INTERNET'] }));
+    expect(result.verdict.id).toBe('SAME_PUBLISHER');
+    expect(result.verdict.likelyClone).toBe(false);
+  });
+
+  it('finds unrelated apps unrelated', () => {
+    const other = apk({ packageName: 'org.weather', appName: 'Weather', signer: 'cc', classes: ['org.weather.Main'] });
+    other.fingerprint.entries = [{ name: 'res/layout/main.xml', sha256: 'other' }];
+    other.report.identity.activities = ['.Forecast'];
+    other.report.identity.permissions = ['LOCATION'];
+
+    expect(compareApps(apk(), other).verdict.id).toBe('UNRELATED');
+  });
+});
@@ -0,0 +1,147 @@
+import { parseAndroidXml } from '../parsers/axml';
+import { parseReferenceId } from '../parsers/arsc';
+import { VALUE_TYPE } from '../parsers/resChunk';
+import { composeLayers, cropCenter, decodeImage, perceptualHash, previewDataUrl } from './imageHash';
+
+const RASTER = /\.(png|webp|jpe?g)$/i;
+const ANYDPI = 0xfffe;
+const NODPI = 0xffff;
+// Adaptive icon layers are 108dp, of which the launcher shows the inner 72dp
+const ADAPTIVE_VISIBLE = 72 / 108;
+const ADAPTIVE_SIZE = 216;
+
+const FOLDER_DENSITIES = { ldpi: 120, mdpi: 160, tvdpi: 213, hdpi: 240, xhdpi: 320, xxhdpi: 480, xxxhdpi: 640, anydpi: ANYDPI, nodpi: NODPI };
+
+// Every file or color a drawable/mipmap reference can resolve to, following
+// aliases, with the density it applies to
+const resourceCandidates = (zip, table, ref, depth = 0) => {
+  const id = parseReferenceId(ref);
+  const entry = id !== null ? table?.entries.get(id) : null;
+  if (entry) {
+    return entry.values.flatMap(value => (value.dataType === VALUE_TYPE.REFERENCE && depth < 4
+      ? resourceCandidates(zip, table, value.value, depth + 1)
+      : [{ value: value.value, density: value.config.density }]));
+  }
+
+  // Plain-XML manifests (source builds) name the resource instead of its ID
+  const named = /^@(\w+)\/([\w.]+)$/.exec(ref || '');
+  if (!named) return [];
+  const [, type, name] = named;
+  return zip.file(new RegExp(`^res/${type}(-[^/]*)?/${name.replace(/\./g, '\\.')}\\.(png|webp|jpe?g|xml)$`))
+    .map(file => {
+      const qualifier = file.name.split('/')[1].split('-').find(part => FOLDER_DENSITIES[part]);
+      return { value: file.name, density: FOLDER_DENSITIES[qualifier] || 0 };
+    });
+};
+
+// Highest-density bitmap; anydpi and nodpi rank below real densities
+const densestRaster = (candidates) => candidates
+  .filter(candidate => RASTER.test(candidate.value))
+  .sort((a, b) => (b.density >= ANYDPI ? 0 : b.density) - (a.density >= ANYDPI ? 0 : a.density))[0] || null;
+
+const loadImage = async (zip, path) => {
+  const entry = zip.file(path);
+  if (!entry) throw new Error(`${path} is missing from the archive`);
+  return decodeImage(await entry.async('uint8array'));
+};
+
+const describe = (image, details) => ({
+  ...details,
+  width: image.width,
+  height: image.height,
+  phash: perceptualHash(image),
+  preview: previewDataUrl(image)
+});
+
+// One adaptive-icon layer: a color, or the densest bitmap behind a drawable.
+// Vector drawables cannot be rendered here, so they yield null.
+const adaptiveLayer = async (zip, table, element) => {
+  const drawable = element?.getAttribute('android:drawable');
+  if (!drawable) return null;
+  if (drawable.startsWith('#')) return { color: drawable };
+  const candidates = resourceCandidates(zip, table, drawable);
+  const color = candidates.find(candidate => candidate.value.startsWith('#'));
+  if (color) return { color: color.value };
+  const raster = densestRaster(candidates);
+  return raster ? { path: raster.value, image: await loadImage(zip, raster.value) } : null;
+};
+
+const extractAdaptiveIcon = async (zip, table, path) => {
+  const doc = parseAndroidXml(await zip.file(path).async('uint8array'));
+  if (doc.documentElement?.tagName !== 'adaptive-icon') return null;
+  const background = await adaptiveLayer(zip, table, doc.getElementsByTagName('background')[0]);
+  const foreground = await adaptiveLayer(zip, table, doc.getElementsByTagName('foreground')[0]);
+  if (!foreground?.image) return null;
+
+  const layers = [background, foreground].filter(Boolean);
+  const composed = composeLayers(layers.map(layer => layer.color || layer.image), ADAPTIVE_SIZE);
+  return describe(cropCenter(composed, ADAPTIVE_VISIBLE), {
+    source: 'adaptive',
+    path,
+    layers: layers.map(layer => layer.color || layer.path)
+  });
+};
+
+// Launcher icon of an APK from the manifest's android:icon. Adaptive icons
+// are composed from their layers when those are bitmaps; otherwise the
+// densest legacy bitmap is used. null when the app declares no icon.
+export const extractApkIcon = async (zip, manifest, resourceTable) => {
+  if (!manifest.icon) return null;
+  const candidates = resourceCandidates(zip, resourceTable, manifest.icon);
+
+  const adaptive = candidates.find(candidate => /\.xml$/.test(candidate.value) && zip.file(candidate.value));
+  if (adaptive) {
+    const icon = await extractAdaptiveIcon(zip, resourceTable, adaptive.value);
+    if (icon) return icon;
+  }
+
+  const raster = densestRaster(candidates);
+  if (!raster) return { error: `No bitmap found for ${manifest.icon}` };
+  const image = await loadImage(zip, raster.value);
+  return describe(image, { source: 'bitmap', path: raster.value, cgbi: Boolean(image.cgbi) });
+};
+
+const iconNames = (info) => {
+  const names = [];
+  [info.CFBundleIcons, info['CFBundleIcons~ipad']].forEach(icons => {
+    const primary = icons?.CFBundlePrimaryIcon;
+    if (primary?.CFBundleIconFiles) names.push(...primary.CFBundleIconFiles);
+    if (primary?.CFBundleIconName) names.push(primary.CFBundleIconName);
+  });
+  if (info.CFBundleIconFiles) names.push(...info.CFBundleIconFiles);
+  if (info.CFBundleIconFile) names.push(info.CFBundleIconFile);
+  return [...new Set(names.map(name => name.replace(/\.png$/i, '')))];
+};
+
+// Width from IHDR without decoding; CgBI files put their own chunk first
+const pngWidth = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = 8; offset + 12 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+    if (String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'IHDR') {
+      return offset + 12 <= bytes.length ? view.getUint32(offset + 8) : 0;
+    }
+  }
+  return 0;
+};
+
+// Largest icon listed in CFBundleIcons (or the legacy keys). Xcode writes
+// these as CgBI PNGs, which decodePng handles.
+export const extractIpaIcon = async (zip, appFolder, info = {}) => {
+  const names = iconNames(info);
+  if (!names.length) names.push('AppIcon', 'Icon');
+  const prefix = `Payload/${appFolder}/`;
+
+  const files = zip.file(/\.png$/i).filter(entry => entry.name.startsWith(prefix) &&
+    !entry.name.slice(prefix.length).includes('/') &&
+    names.some(name => entry.name.slice(prefix.length).startsWith(name)));
+  if (!files.length) return null;
+
+  let best = null;
+  for (const entry of files) {
+    const bytes = await entry.async('uint8array');
+    const width = pngWidth(bytes);
+    if (!best || width > best.width) best = { name: entry.name, bytes, width };
+  }
+  const image = await decodeImage(best.bytes);
+  return describe(image, { source: 'bitmap', path: best.name, cgbi: Boolean(image.cgbi) });
+};
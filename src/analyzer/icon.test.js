@@ -0,0 +1,136 @@
+import zlib from 'zlib';
+import JSZip from 'jszip';
+import { analyzeAppFile } from '.';
+import { hammingDistance, perceptualHash } from './imageHash';
+import { encodePng } from '../parsers/png';
+import { concat } from '../parsers/__fixtures__/builders';
+
+// A square icon with a light disc on a dark background; `tint` shifts the
+// colors slightly the way a re-exported copy would
+const drawIcon = (size, { tint = 0, inverted = false } = {}) => {
+  const pixels = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const inside = (x - size / 2) ** 2 + (y - size / 3) ** 2 < (size / 4) ** 2;
+      const light = inside !== inverted;
+      pixels.set([light ? 240 - tint : 20 + tint, light ? 200 : 60, 40 + tint, 255], (y * size + x) * 4);
+    }
+  }
+  return { width: size, height: size, pixels };
+};
+
+const png = (image) => encodePng(image.width, image.height, image.pixels);
+
+const be32 = (value) => {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value);
+  return out;
+};
+const pngChunk = (type, data) =>
+  concat(be32(data.length), Uint8Array.from(type, ch => ch.charCodeAt(0)), data, new Uint8Array(4));
+
+// Xcode's variant: a leading CgBI chunk, raw deflate and BGRA rows (the
+// icons here are opaque, so premultiplying changes nothing)
+const cgbiPng = ({ width, height, pixels }) => {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(0);
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      rows.push(pixels[i + 2], pixels[i + 1], pixels[i], pixels[i + 3]);
+    }
+  }
+  return concat(
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('CgBI', new Uint8Array([0x50, 0x00, 0x20, 0x06])),
+    pngChunk('IHDR', concat(be32(width), be32(height), new Uint8Array([8, 6, 0, 0, 0]))),
+    pngChunk('IDAT', zlib.deflateRawSync(Uint8Array.from(rows))),
+    pngChunk('IEND', new Uint8Array(0))
+  );
+};
+
+const MANIFEST = `<manifest xmlns:android="http://schemas.android.com/apk/res/android" package="com.fake.wallet">
+  <application android:label="Wallet" android:icon="@mipmap/ic_launcher"/>
+</manifest>`;
+
+const makeFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return { name, size: bytes.length, arrayBuffer: async () => bytes.buffer };
+};
+
+describe('launcher icons', () => {
+  it('picks the densest bitmap and hashes it', async () => {
+    const file = await makeFile('wallet.apk', {
+      'AndroidManifest.xml': MANIFEST,
+      'res/mipmap-mdpi/ic_launcher.png': png(drawIcon(16, { inverted: true })),
+      'res/mipmap-xxhdpi/ic_launcher.png': png(drawIcon(48))
+    });
+    const { resources } = await analyzeAppFile(file);
+
+    expect(resources.icon).toMatchObject({ source: 'bitmap', path: 'res/mipmap-xxhdpi/ic_launcher.png', width: 48 });
+    expect(resources.icon.phash).toBe(perceptualHash(drawIcon(48)));
+    expect(resources.icon.preview).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('composes adaptive icon layers', async () => {
+    const file = await makeFile('wallet.apk', {
+      'AndroidManifest.xml': MANIFEST,
+      'res/mipmap-anydpi-v26/ic_launcher.xml': `<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
+        <background android:drawable="#ff102030"/>
+        <foreground android:drawable="@mipmap/ic_launcher_foreground"/>
+      </adaptive-icon>`,
+      'res/mipmap-xxhdpi/ic_launcher_foreground.png': png(drawIcon(108)),
+      'res/mipmap-xxhdpi/ic_launcher.png': png(drawIcon(48, { inverted: true }))
+    });
+    const { resources } = await analyzeAppFile(file);
+
+    expect(resources.icon).toMatchObject({
+      source: 'adaptive',
+      layers: ['#ff102030', 'res/mipmap-xxhdpi/ic_launcher_foreground.png']
+    });
+  });
+
+  it('reads CgBI icons named in CFBundleIcons', async () => {
+    const plist = `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0"><dict>
+  <key>CFBundleIdentifier</key><string>com.fake.wallet</string>
+  <key>CFBundleIcons</key><dict><key>CFBundlePrimaryIcon</key><dict>
+    <key>CFBundleIconFiles</key><array><string>AppIcon60x60</string></array>
+  </dict></dict>
+</dict></plist>`;
+    const file = await makeFile('wallet.ipa', {
+      'Payload/Wallet.app/Info.plist': plist,
+      'Payload/Wallet.app/AppIcon60x60@2x.png': cgbiPng(drawIcon(24, { inverted: true })),
+      'Payload/Wallet.app/AppIcon60x60@3x.png': cgbiPng(drawIcon(36))
+    });
+    const { resources } = await analyzeAppFile(file);
+
+    expect(resources.icon).toMatchObject({ path: 'Payload/Wallet.app/AppIcon60x60@3x.png', width: 36, cgbi: true });
+    expect(resources.icon.phash).toBe(perceptualHash(drawIcon(36)));
+  });
+
+  it('flags a near copy of a protected brand icon', async () => {
+    const brandIcon = { name: 'wallet.png', phash: perceptualHash(drawIcon(64, { tint: 12 })) };
+    expect(hammingDistance(brandIcon.phash, perceptualHash(drawIcon(48)))).toBeLessThanOrEqual(10);
+    expect(hammingDistance(brandIcon.phash, perceptualHash(drawIcon(48, { inverted: true })))).toBeGreaterThan(10);
+
+    const brands = [{
+      name: 'Real Wallet',
+      packages: ['com.real.wallet'],
+      certDigests: ['ab'.repeat(32)],
+      icons: [brandIcon]
+    }];
+    const file = await makeFile('wallet.apk', {
+      'AndroidManifest.xml': MANIFEST,
+      'res/mipmap-xxhdpi/ic_launcher.png': png(drawIcon(48))
+    });
+    const { security } = await analyzeAppFile(file, { brands });
+
+    expect(security.flags.find(flag => flag.ruleId === 'SNT-BRAND-003')).toMatchObject({
+      type: 'CRITICAL',
+      details: [expect.stringContaining('launcher icon matches Real Wallet')]
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { decodePng, encodePng, isPng } from '../parsers/png';
+
+// Pixel helpers for launcher icons. Images are { width, height, pixels }
+// with 8-bit RGBA pixels, as returned by parsers/png.js.
+
+// Hashes within this many differing bits (of 64) count as the same icon
+export const ICON_MATCH_DISTANCE = 10;
+
+// PNG (and CgBI) is decoded here; WebP and JPEG need the browser's decoder
+export const decodeImage = async (bytes) => {
+  if (isPng(bytes)) return decodePng(bytes);
+  if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') {
+    throw new Error('Only PNG icons can be decoded outside a browser');
+  }
+  const bitmap = await createImageBitmap(new Blob([bytes]));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  const { data } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  return { width: bitmap.width, height: bitmap.height, pixels: new Uint8Array(data.buffer) };
+};
+
+// Box-filter resize; averages every source pixel under each target pixel
+export const resizeImage = ({ width, height, pixels }, targetWidth, targetHeight = targetWidth) => {
+  const out = new Uint8Array(targetWidth * targetHeight * 4);
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor((ty * height) / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor((tx * width) / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+      const sum = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += pixels[i + c];
+        }
+      }
+      const count = (x1 - x0) * (y1 - y0);
+      out.set(sum.map(value => Math.round(value / count)), (ty * targetWidth + tx) * 4);
+    }
+  }
+  return { width: targetWidth, height: targetHeight, pixels: out };
+};
+
+// Keeps the central `fraction` of the image
+export const cropCenter = (image, fraction) => {
+  const width = Math.max(1, Math.round(image.width * fraction));
+  const height = Math.max(1, Math.round(image.height * fraction));
+  const left = Math.floor((image.width - width) / 2);
+  const top = Math.floor((image.height - height) / 2);
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const start = ((top + y) * image.width + left) * 4;
+    pixels.set(image.pixels.subarray(start, start + width * 4), y * width * 4);
+  }
+  return { width, height, pixels };
+};
+
+// '#rgb', '#argb', '#rrggbb' or '#aarrggbb' -> [r, g, b, a]
+export const parseColor = (value) => {
+  let hex = value.replace('#', '');
+  if (hex.length <= 4) hex = hex.split('').map(ch => ch + ch).join('');
+  if (hex.length === 6) hex = `ff${hex}`;
+  const n = parseInt(hex, 16) >>> 0;
+  return [(n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff, n >>> 24];
+};
+
+// Draws `layers` (images or '#aarrggbb' colors) over each other, bottom first
+export const composeLayers = (layers, size) => {
+  const pixels = new Uint8Array(size * size * 4);
+  layers.forEach(layer => {
+    const source = typeof layer === 'string' ? null : resizeImage(layer, size).pixels;
+    const color = typeof layer === 'string' ? parseColor(layer) : null;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const [r, g, b, a] = color || source.subarray(i, i + 4);
+      const alpha = a / 255;
+      const below = pixels[i + 3] / 255;
+      const outAlpha = alpha + below * (1 - alpha);
+      if (outAlpha === 0) continue;
+      pixels[i] = Math.round((r * alpha + pixels[i] * below * (1 - alpha)) / outAlpha);
+      pixels[i + 1] = Math.round((g * alpha + pixels[i + 1] * below * (1 - alpha)) / outAlpha);
+      pixels[i + 2] = Math.round((b * alpha + pixels[i + 2] * below * (1 - alpha)) / outAlpha);
+      pixels[i + 3] = Math.round(outAlpha * 255);
+    }
+  });
+  return { width: size, height: size, pixels };
+};
+
+// 64-bit DCT hash (pHash): luminance over white at 32x32, keep the lowest
+// 8x8 frequencies and set a bit for each one above their median.
+// Returned as 16 hex digits.
+export const perceptualHash = (image) => {
+  const size = 32;
+  const { pixels } = resizeImage(image, size);
+  const gray = new Float64Array(size * size);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = pixels[i * 4 + 3] / 255;
+    const luma = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+    gray[i] = luma * alpha + 255 * (1 - alpha);
+  }
+
+  const cos = (k, n) => Math.cos(((2 * n + 1) * k * Math.PI) / (2 * size));
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) sum += gray[y * size + x] * cos(u, x) * cos(v, y);
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is just overall brightness, so it stays out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  let hex = '';
+  for (let i = 0; i < 64; i += 4) {
+    let nibble = 0;
+    for (let b = 0; b < 4; b++) nibble = (nibble << 1) | (coefficients[i + b] > median ? 1 : 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    let diff = parseInt(a[i] || '0', 16) ^ parseInt(b[i] || '0', 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+// Small PNG data URL for showing the icon in the UI
+export const previewDataUrl = (image, maxSize = 96) => {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const small = scale < 1
+    ? resizeImage(image, Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)))
+    : image;
+  return `data:image/png;base64,${toBase64(encodePng(small.width, small.height, small.pixels))}`;
+};
@@ -0,0 +1,52 @@
+import { parseAPK } from './android';
+import { parseIPA } from './ios';
+import { analyzeAppCredibility, performSecurityAnalysis } from './security';
+import { summarizeApp } from './summary';
+import { BUILT_IN_PACKS } from './rules/engine';
+import { createPipeline } from './pipeline';
+
+export { analyzeAppCredibility, performSecurityAnalysis, summarizeApp };
+export { BUILT_IN_PACKS, compareVersions, evaluateRules, validateRulePack } from './rules/engine';
+export { STAGES, isAbortError } from './progress';
+export { DEFAULT_ARCHIVE_LIMITS } from '../parsers/zip';
+export { CLONE_VERDICTS, compareApps } from './compare';
+export { createSnapshot, diffSnapshots } from './versionDiff';
+export { DEFAULT_BRANDS } from './rules/checks';
+export {
+  EXPORT_FORMATS, REPORT_SCHEMA, REPORT_VERSION, buildReport, exportFileName, toCsv, toHtml, toSarif
+} from './report';
+
+export const SUPPORTED_EXTENSIONS = ['.apk', '.ipa'];
+
+export const isSupportedFile = (name) =>
+  SUPPORTED_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+// Parses an APK or IPA (File, Blob or anything with arrayBuffer()/name).
+// options: pipeline (from createPipeline), archiveLimits
+export const parseAppFile = async (file, options = {}) => {
+  if (!isSupportedFile(file.name)) {
+    throw new Error('Please select an APK or IPA file');
+  }
+  return file.name.toLowerCase().endsWith('.apk') ? parseAPK(file, options) : parseIPA(file, options);
+};
+
+// Scoring is cheap, so views re-run it when the active rule packs or the
+// protected brand list change. `brands` defaults to rules/brands.json.
+export const scoreAppData = (appData, { rulePacks = BUILT_IN_PACKS, brands } = {}) => {
+  const security = performSecurityAnalysis(appData, rulePacks, { brands });
+  return {
+    identity: summarizeApp(appData),
+    security,
+    credibility: analyzeAppCredibility(appData, security)
+  };
+};
+
+// The single pipeline behind every view: parse, then score.
+// options: rulePacks, brands, archiveLimits, concurrency, signal,
+// onProgress({ stage, stagePercent, percent })
+export const analyzeAppFile = async (file, options = {}) => {
+  const pipeline = createPipeline(options);
+  const appData = await parseAppFile(file, { pipeline, archiveLimits: options.archiveLimits });
+  const scores = await pipeline.stage('scoring', async () => scoreAppData(appData, options));
+  return { ...appData, ...scores, pipeline: pipeline.report() };
+};
@@ -0,0 +1,270 @@
+import JSZip from 'jszip';
+import { analyzeAppFile, parseAppFile, STAGES } from '.';
+import { resConfig, resEntry, resourceTable, typeChunk } from '../parsers/__fixtures__/builders';
+
+const MANIFEST = `<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+  package="com.fake.bank" android:versionName="2.1">
+  <uses-permission android:name="android.permission.SEND_SMS"/>
+  <uses-permission android:name="android.permission.READ_SMS"/>
+  <application android:label="Fake Bank">
+    <activity android:name=".MainActivity"/>
+    <receiver android:name=".SmsReceiver"/>
+  </application>
+</manifest>`;
+
+const makeFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return { name, size: bytes.length, arrayBuffer: async () => bytes.buffer };
+};
+
+describe('analyzer pipeline', () => {
+  it('parses a real APK instead of returning canned data', async () => {
+    const file = await makeFile('sample.apk', { 'AndroidManifest.xml': MANIFEST });
+    const appData = await parseAppFile(file);
+
+    expect(appData.type).toBe('APK');
+    expect(appData.manifest.package).toBe('com.fake.bank');
+    expect(appData.manifest.permissions).toEqual(['SEND_SMS', 'READ_SMS']);
+    expect(appData.manifest.receivers).toEqual(['.SmsReceiver']);
+  });
+
+  it('feeds the same data to the security and credibility analyses', async () => {
+    const file = await makeFile('sample.apk', { 'AndroidManifest.xml': MANIFEST });
+    const result = await analyzeAppFile(file);
+
+    expect(result.identity).toMatchObject({ packageName: 'com.fake.bank', version: '2.1' });
+    expect(result.security.flags.map(f => f.ruleId)).toContain('SNT-PERM-001');
+    expect(result.credibility.risks).toContainEqual({
+      ruleId: 'SNT-PERM-001',
+      message: 'Suspicious permissions detected: SEND_SMS, READ_SMS'
+    });
+  });
+
+  it('waits for every resource and code entry before scoring', async () => {
+    const entries = { 'AndroidManifest.xml': MANIFEST, 'classes.dex': 'not a dex file' };
+    for (let i = 0; i < 12; i++) {
+      entries[`res/layout/screen_${i}.xml`] = `<LinearLayout xmlns:android="http://schemas.android.com/apk/res/android">
+        <EditText android:hint="Enter CVV ${i}"/></LinearLayout>`;
+    }
+    entries['resources.arsc'] = resourceTable({
+      packageName: 'com.fake.bank',
+      types: ['string'],
+      keys: ['card_label'],
+      globalStrings: ['Card number'],
+      typeChunks: [typeChunk(1, resConfig(), [resEntry(0, 0x03, 0)])]
+    });
+    const file = await makeFile('sample.apk', entries);
+
+    const first = await analyzeAppFile(file);
+    const second = await analyzeAppFile(file);
+
+    expect(first.resources.layouts).toHaveLength(12);
+    expect(first.resources.strings).toContain('Card number');
+    expect(second.security).toEqual(first.security);
+
+    const stages = first.pipeline.stages;
+    expect(stages.map(stage => stage.id)).toEqual(['unzip', 'manifest', 'resources', 'code', 'scoring']);
+    expect(stages.find(stage => stage.id === 'code').errors).toEqual([
+      { entry: 'classes.dex', message: expect.any(String) }
+    ]);
+  });
+
+  it('reports progress through every stage', async () => {
+    const file = await makeFile('sample.apk', { 'AndroidManifest.xml': MANIFEST });
+    const updates = [];
+    await analyzeAppFile(file, { onProgress: update => updates.push(update) });
+
+    const stages = [...new Set(updates.map(u => u.stage))];
+    expect(stages).toEqual(STAGES.map(stage => stage.id));
+    const percents = updates.map(u => u.percent);
+    expect(percents).toEqual([...percents].sort((a, b) => a - b));
+    expect(percents[percents.length - 1]).toBe(100);
+  });
+
+  it('stops at the next stage once cancelled', async () => {
+    const file = await makeFile('sample.apk', { 'AndroidManifest.xml': MANIFEST });
+    const controller = new AbortController();
+    const seen = [];
+    const run = analyzeAppFile(file, {
+      signal: controller.signal,
+      onProgress: ({ stage }) => {
+        seen.push(stage);
+        if (stage === 'manifest') controller.abort();
+      }
+    });
+
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    expect(seen).not.toContain('resources');
+  });
+
+  it('reports a duplicated manifest as a critical finding', async () => {
+    const file = await makeFile('sample.apk', {
+      'AndroidManifest.xml': MANIFEST,
+      'AndroidManifesX.xml': MANIFEST.replace('com.fake.bank', 'com.evil.bank')
+    });
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    for (let i = 0; i < bytes.length - 19; i++) {
+      if (String.fromCharCode(...bytes.subarray(i, i + 19)) === 'AndroidManifesX.xml') bytes[i + 14] = 116; // 't'
+    }
+    const result = await analyzeAppFile(file);
+
+    const flag = result.security.flags.find(f => f.ruleId === 'SNT-ZIP-003');
+    expect(flag).toMatchObject({ type: 'CRITICAL', message: 'Archive contains duplicate AndroidManifest.xml entries' });
+    expect(result.security.riskLevel).toBe('CRITICAL');
+  });
+
+  it('refuses to unpack a zip bomb but still reports it', async () => {
+    const file = await makeFile('bomb.apk', { 'AndroidManifest.xml': MANIFEST });
+    const result = await analyzeAppFile(file, { archiveLimits: { maxTotalUncompressed: 16 } });
+
+    expect(result.archive.blocked).toBe(true);
+    expect(result.manifest).toBeUndefined();
+    expect(result.security.flags.map(f => f.ruleId)).toContain('SNT-ZIP-001');
+  });
+
+  it('rejects unsupported files', async () => {
+    await expect(parseAppFile({ name: 'notes.zip' })).rejects.toThrow('APK or IPA');
+  });
+});
+
+const SURFACE_MANIFEST = `<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+  package="com.fake.wallet" android:versionName="1.0">
+  <permission android:name="com.fake.wallet.OPEN" android:protectionLevel="normal"/>
+  <permission android:name="com.fake.wallet.SYNC" android:protectionLevel="signature"/>
+  <application android:label="Wallet">
+    <activity android:name=".Main">
+      <intent-filter>
+        <action android:name="android.intent.action.MAIN"/>
+        <category android:name="android.intent.category.LAUNCHER"/>
+      </intent-filter>
+    </activity>
+    <activity android:name=".Link" android:permission="com.fake.wallet.OPEN">
+      <intent-filter android:autoVerify="true">
+        <action android:name="android.intent.action.VIEW"/>
+        <category android:name="android.intent.category.BROWSABLE"/>
+        <data android:scheme="https" android:host="wallet.example"/>
+        <data android:scheme="wallet"/>
+      </intent-filter>
+    </activity>
+    <service android:name=".Sync" android:exported="true" android:permission="com.fake.wallet.SYNC"/>
+    <receiver android:name=".Boot" android:exported="false">
+      <intent-filter><action android:name="android.intent.action.BOOT_COMPLETED"/></intent-filter>
+    </receiver>
+    <receiver android:name=".Sms">
+      <intent-filter><action android:name="android.provider.Telephony.SMS_RECEIVED"/></intent-filter>
+    </receiver>
+    <provider android:name=".Files" android:authorities="com.fake.wallet.files" android:exported="true"
+      android:writePermission="com.fake.wallet.SYNC" android:grantUriPermissions="true"/>
+  </application>
+</manifest>`;
+
+describe('exported components', () => {
+  it('captures permissions, intent filters and provider access', async () => {
+    const appData = await parseAppFile(await makeFile('wallet.apk', { 'AndroidManifest.xml': SURFACE_MANIFEST }));
+    const byName = Object.fromEntries(appData.manifest.components.map(c => [c.name, c]));
+
+    expect(byName['.Link']).toMatchObject({
+      exported: true,
+      permission: 'com.fake.wallet.OPEN',
+      intentFilters: [{
+        actions: ['android.intent.action.VIEW'],
+        categories: ['android.intent.category.BROWSABLE'],
+        schemes: ['https', 'wallet'],
+        hosts: ['wallet.example'],
+        autoVerify: true
+      }]
+    });
+    expect(byName['.Boot'].exported).toBe(false);
+    expect(byName['.Files']).toMatchObject({
+      authorities: ['com.fake.wallet.files'],
+      readPermission: null,
+      writePermission: 'com.fake.wallet.SYNC',
+      grantUriPermissions: true
+    });
+    expect(appData.manifest.declaredPermissions).toContainEqual({ name: 'com.fake.wallet.SYNC', protectionLevel: 'signature' });
+  });
+
+  it('treats providers without android:exported as exported below API 17 or with no known target', async () => {
+    const providerExported = async (usesSdk) => {
+      const manifest = `<manifest xmlns:android="http://schemas.android.com/apk/res/android" package="com.fake.files">
+        ${usesSdk}
+        <application><provider android:name=".Files" android:authorities="com.fake.files"/></application>
+      </manifest>`;
+      const appData = await parseAppFile(await makeFile('files.apk', { 'AndroidManifest.xml': manifest }));
+      return appData.manifest.components[0].exported;
+    };
+
+    expect(await providerExported('')).toBe(true);
+    expect(await providerExported('<uses-sdk android:targetSdkVersion="16"/>')).toBe(true);
+    expect(await providerExported('<uses-sdk android:targetSdkVersion="17"/>')).toBe(false);
+  });
+
+  it('reports unguarded components, custom schemes, boot and SMS receivers and open providers', async () => {
+    const result = await analyzeAppFile(await makeFile('wallet.apk', { 'AndroidManifest.xml': SURFACE_MANIFEST }));
+    const details = Object.fromEntries(result.security.flags.map(f => [f.ruleId, f.details]));
+
+    expect(details['SNT-EXP-001']).toEqual([
+      'activity .Link (com.fake.wallet.OPEN is normal-level)',
+      'receiver .Sms'
+    ]);
+    expect(details['SNT-EXP-002']).toEqual(['wallet:// opens .Link']);
+    expect(details['SNT-EXP-003']).toBeUndefined();
+    expect(details['SNT-EXP-004']).toEqual(['.Boot (BOOT_COMPLETED)']);
+    expect(details['SNT-EXP-005']).toEqual(['.Sms (SMS_RECEIVED)']);
+    expect(details['SNT-EXP-006']).toEqual([
+      '.Files (content://com.fake.wallet.files) readable by any app, grants URI permissions'
+    ]);
+  });
+});
+
+describe('network security', () => {
+  it('loads the config the manifest points at and scores it', async () => {
+    const manifest = MANIFEST.replace('<application android:label="Fake Bank">',
+      '<application android:label="Fake Bank" android:networkSecurityConfig="@xml/network">');
+    const file = await makeFile('sample.apk', {
+      'AndroidManifest.xml': manifest,
+      'res/xml/network.xml': `<network-security-config>
+        <base-config cleartextTrafficPermitted="true"/>
+      </network-security-config>`,
+      'res/xml/network_security_config.xml': '<network-security-config/>'
+    });
+    const result = await analyzeAppFile(file);
+
+    expect(result.networkSecurity).toMatchObject({ source: 'res/xml/network.xml', verdict: 'insecure' });
+    expect(result.security.flags.find(f => f.ruleId === 'SNT-NET-001').details)
+      .toEqual(['Cleartext HTTP allowed for all domains (base-config)']);
+  });
+
+  it('reports a config reference that does not resolve', async () => {
+    const manifest = MANIFEST.replace('<application android:label="Fake Bank">',
+      '<application android:label="Fake Bank" android:networkSecurityConfig="@xml/missing">');
+    const result = await analyzeAppFile(await makeFile('sample.apk', { 'AndroidManifest.xml': manifest }));
+
+    expect(result.networkSecurity.error).toBe('@xml/missing is not in the archive');
+    expect(result.pipeline.stages.find(stage => stage.id === 'manifest').errors).toEqual([
+      { entry: '@xml/missing', message: 'Network security config: @xml/missing is not in the archive' }
+    ]);
+  });
+});
+
+describe('hardcoded secrets', () => {
+  it('scans assets and res/raw and reports redacted values by file', async () => {
+    const token = `5550001234:AA${'k3P'.repeat(11)}`;
+    const file = await makeFile('sample.apk', {
+      'AndroidManifest.xml': MANIFEST,
+      'assets/www/js/app.js': `const api = "https://api.telegram.org/bot${token}/sendMessage";`,
+      'res/raw/config.json': `{\n  "chat": "-100123",\n  "bot": "${token}"\n}`,
+      'assets/logo.png': token
+    });
+    const result = await analyzeAppFile(file);
+
+    expect(result.secrets.filesScanned).toBe(2);
+    expect(result.security.flags.find(f => f.ruleId === 'SNT-SEC-001').details).toEqual([
+      'Telegram bot token in assets/www/js/app.js:1: 5550001234:AA…3P (46 chars)',
+      'Telegram bot token in res/raw/config.json:3: 5550001234:AA…3P (46 chars)'
+    ]);
+    expect(JSON.stringify(result)).not.toContain(token);
+  });
+});
@@ -0,0 +1,164 @@
+import { collectPlistStrings, isBinaryPlist, parsePlist } from '../parsers/plist';
+import { parseMachO } from '../parsers/macho';
+import { parseMobileProvision } from '../parsers/mobileprovision';
+import { openArchive } from './archive';
+import { extractIpaIcon } from './icon';
+import { createPipeline, entriesMatching } from './pipeline';
+import { isAbortError } from './progress';
+import { MAX_SCAN_BYTES, createSecretScanner } from './secrets';
+
+const extractPlistInfo = (info) => {
+  // Info.plist may be binary or XML; keep the whole tree for the analysis
+  return {
+    bundleId: info.CFBundleIdentifier || 'Unknown',
+    appName: info.CFBundleDisplayName || info.CFBundleName || 'Unknown',
+    version: info.CFBundleShortVersionString || 'Unknown',
+    build: info.CFBundleVersion || 'Unknown',
+    minimumOSVersion: info.MinimumOSVersion || null,
+    info
+  };
+};
+
+const extractIOSStrings = (content) => {
+  const strings = [];
+  const lines = content.split('\n');
+  lines.forEach(line => {
+    const match = line.match(/"([^"]+)"/g);
+    if (match) {
+      strings.push(...match.map(s => s.replace(/"/g, '')));
+    }
+  });
+  return strings;
+};
+
+// Stage 'resources': (zip, appFolder, Info.plist) -> { strings, icon }
+const parseIOSResources = async (zip, appFolder, info, { map, errors }) => {
+  const files = await map(entriesMatching(zip, /\.lproj\/.*\.strings$/), async (entry) => {
+    // Xcode compiles .strings files to binary plists by default
+    const data = await entry.async('uint8array');
+    return isBinaryPlist(data)
+      ? collectPlistStrings(parsePlist(data))
+      : extractIOSStrings(await entry.async('text'));
+  });
+
+  const icon = await extractIpaIcon(zip, appFolder, info).catch(e => {
+    errors.push({ entry: 'CFBundleIcons', message: `Launcher icon: ${e.message}` });
+    return { error: e.message };
+  });
+
+  return { strings: files.flatMap(found => found || []), icon };
+};
+
+const analyzeMainExecutable = async (zip, appFolder, info) => {
+  const name = info.CFBundleExecutable || appFolder.replace(/\.app$/, '');
+  const entry = zip.file(`Payload/${appFolder}/${name}`);
+  if (!entry) return null;
+
+  try {
+    const { fat, images } = parseMachO(await entry.async('uint8array'));
+    const encrypted = images.filter(image => image.encryption);
+    return {
+      name,
+      fat,
+      architectures: images.map(image => image.arch),
+      // cryptid 1 = still FairPlay encrypted; 0 with the command present = decrypted dump
+      encryption: encrypted.length === 0
+        ? 'none'
+        : encrypted.every(image => image.encryption.cryptid !== 0) ? 'encrypted' : 'decrypted',
+      minOS: images.find(image => image.minOS)?.minOS || null,
+      dylibs: [...new Set(images.flatMap(image => image.dylibs))],
+      entitlements: images.find(image => image.entitlements)?.entitlements || null
+    };
+  } catch (e) {
+    return { name, error: e.message };
+  }
+};
+
+// Stage 'code': (zip, appFolder, Info.plist) -> { codeFiles, executable }
+const analyzeIOSCode = async (zip, appFolder, info = {}) => {
+  const codeFiles = entriesMatching(zip, /\.dylib$|\.framework\//).map(entry => entry.name);
+
+  return { codeFiles, executable: await analyzeMainExecutable(zip, appFolder, info) };
+};
+
+const analyzeProvisioning = async (zip, appFolder) => {
+  // App Store builds are re-signed by Apple and ship without a profile
+  const entry = zip.file(`Payload/${appFolder}/embedded.mobileprovision`);
+  if (!entry) return null;
+  try {
+    return await parseMobileProvision(await entry.async('uint8array'));
+  } catch (e) {
+    return { error: e.message };
+  }
+};
+
+// Plists anywhere in the bundle (GoogleService-Info.plist and friends) and
+// the JavaScript and JSON of React Native, Cordova and Capacitor apps
+const scanIOSSecrets = async (zip, appFolder, { map }) => {
+  const secrets = createSecretScanner();
+  const inBundle = (pattern) => entriesMatching(zip, pattern)
+    .filter(entry => entry.name.startsWith(`Payload/${appFolder}/`));
+  await map(inBundle(/\.plist$/), async (entry) => {
+    secrets.scanValues(parsePlist(await entry.async('uint8array')), entry.name);
+  });
+  await map(inBundle(/\.(js|jsbundle|json)$/), async (entry) => {
+    const bytes = await entry.async('uint8array');
+    secrets.scanBytes(bytes.subarray(0, MAX_SCAN_BYTES), entry.name);
+  });
+  return secrets.result();
+};
+
+// Same staged pipeline as parseAPK: unzip, manifest (Info.plist), resources, code.
+// `pipeline` comes from createPipeline; `archiveLimits` overrides DEFAULT_ARCHIVE_LIMITS.
+export const parseIPA = async (file, { pipeline = createPipeline(), archiveLimits } = {}) => {
+  try {
+    // Stage 'unzip': file -> { zip, archive }
+    const { zip, archive } = await pipeline.stage('unzip', async ({ progress }) => {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      progress(0.5);
+      return openArchive(bytes, archiveLimits);
+    });
+    if (!zip) return { type: 'IPA', archive, size: file.size, pipeline: pipeline.report() };
+
+    // Stage 'manifest': zip -> { plist, appFolder }
+    const { plist, appFolder } = await pipeline.stage('manifest', async () => {
+      // Only the main bundle's plist, not those of embedded watch apps or extensions
+      const [plistEntry] = entriesMatching(zip, /^Payload\/[^/]+\.app\/Info\.plist$/);
+      if (!plistEntry) {
+        throw new Error('Info.plist not found');
+      }
+      return {
+        plist: extractPlistInfo(parsePlist(await plistEntry.async('uint8array'))),
+        appFolder: plistEntry.name.split('/')[1]
+      };
+    });
+
+    const resources = await pipeline.stage('resources', (context) =>
+      parseIOSResources(zip, appFolder, plist.info, context));
+
+    const { codeAnalysis, provisioning, secrets } = await pipeline.stage('code', async (context) => {
+      const code = await analyzeIOSCode(zip, appFolder, plist.info);
+      context.progress(0.5);
+      return {
+        codeAnalysis: code,
+        provisioning: await analyzeProvisioning(zip, appFolder),
+        secrets: await scanIOSSecrets(zip, appFolder, context)
+      };
+    });
+
+    return {
+      type: 'IPA',
+      archive,
+      plist,
+      resources,
+      codeAnalysis,
+      provisioning,
+      secrets,
+      size: file.size,
+      pipeline: pipeline.report()
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new Error(`IPA parsing failed: ${error.message}`);
+  }
+};
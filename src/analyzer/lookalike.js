@@ -0,0 +1,102 @@
+import { editDistance } from './similarity';
+
+// Characters that render like Latin letters, plus the usual digit swaps.
+// Not the full Unicode confusables table, just what lookalike apps use.
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i', 'ј': 'j', 'һ': 'h', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  // Latin lookalikes and digits
+  'ı': 'i', 'ł': 'l', 'ø': 'o', 'ß': 'ss', '0': 'o', '1': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '$': 's', '@': 'a', '|': 'l'
+};
+
+export const TECHNIQUES = {
+  exact: 'exact name',
+  confusable: 'confusable characters',
+  reordered: 'reordered segments',
+  'extra-tokens': 'extra words',
+  'edit-distance': 'small spelling change',
+  'brand-token': 'brand name inside'
+};
+
+// Strongest first; only the best technique per brand is reported
+const TECHNIQUE_ORDER = Object.keys(TECHNIQUES);
+
+// Lowercases, strips accents and maps confusables, keeping word breaks
+export const skeleton = (value) => value
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split('')
+  .map(ch => CONFUSABLES[ch] ?? ch)
+  .join('')
+  .replace(/rn/g, 'm')
+  .replace(/vv/g, 'w');
+
+const tokensOf = (value) => skeleton(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const allowedDistance = (length) => (length >= 12 ? 2 : length >= 6 ? 1 : 0);
+
+// How `value` imitates `target`, or null when it does not
+export const matchName = (value, target, keywords = []) => {
+  if (!value || !target) return null;
+  if (value.toLowerCase() === target.toLowerCase()) return 'exact';
+
+  const valueTokens = tokensOf(value);
+  const targetTokens = tokensOf(target);
+  const joinedValue = valueTokens.join('');
+  const joinedTarget = targetTokens.join('');
+  if (!joinedValue || !joinedTarget) return null;
+
+  if (joinedValue === joinedTarget) return 'confusable';
+  if (valueTokens.length === targetTokens.length &&
+      [...valueTokens].sort().join(' ') === [...targetTokens].sort().join(' ')) {
+    return 'reordered';
+  }
+  if (valueTokens.length > targetTokens.length &&
+      (targetTokens.every(token => valueTokens.includes(token)) || joinedValue.includes(joinedTarget))) {
+    return 'extra-tokens';
+  }
+  if (editDistance(joinedValue, joinedTarget) <= allowedDistance(joinedTarget.length)) return 'edit-distance';
+
+  const brandToken = keywords.map(skeleton).some(keyword => valueTokens.some(token =>
+    token === keyword ||
+    (keyword.length >= 4 && token.includes(keyword)) ||
+    (keyword.length >= 5 && editDistance(token, keyword) <= 1)));
+  return brandToken ? 'brand-token' : null;
+};
+
+// Best match of the app's package name and label against each protected
+// brand. `identity` comes from summarizeApp; `brands` entries look like
+// { name, names, packages, keywords, certDigests }.
+export const findLookalikes = (identity, brands = []) => {
+  const matches = [];
+  brands.forEach(brand => {
+    const candidates = [
+      ...(brand.packages || []).map(target => ({ field: 'package', value: identity.packageName, target })),
+      ...[brand.name, ...(brand.names || [])].map(target => ({ field: 'label', value: identity.appName, target }))
+    ];
+
+    let best = null;
+    candidates.forEach(candidate => {
+      const technique = matchName(candidate.value, candidate.target, brand.keywords);
+      if (technique && (!best || TECHNIQUE_ORDER.indexOf(technique) < TECHNIQUE_ORDER.indexOf(best.technique))) {
+        best = { ...candidate, technique };
+      }
+    });
+
+    if (best) {
+      matches.push({
+        brand,
+        ...best,
+        officialPackage: (brand.packages || []).includes(identity.packageName)
+      });
+    }
+  });
+  return matches;
+};
+
+export const normalizeDigest = (digest) => String(digest).replace(/[^0-9a-f]/gi, '').toLowerCase();
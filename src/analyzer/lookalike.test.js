@@ -0,0 +1,83 @@
+import { findLookalikes, matchName } from './lookalike';
+import { evaluateRules } from './rules/engine';
+import { normalizeBrand } from '../utils/protectedBrands';
+
+const OFFICIAL_CERT = 'ab'.repeat(32);
+
+const brands = [normalizeBrand({
+  name: 'WhatsApp',
+  packages: 'com.whatsapp',
+  keywords: 'whatsapp',
+  certDigests: OFFICIAL_CERT.match(/../g).join(':').toUpperCase()
+}), normalizeBrand({
+  name: 'YONO SBI',
+  packages: 'com.sbi.lotusintouch',
+  keywords: 'yono, sbi'
+})];
+
+const apk = (packageName, label, certificate) => ({
+  type: 'APK',
+  manifest: { package: packageName, permissions: [] },
+  resources: { appLabel: label },
+  signing: { schemes: ['v2'], certificates: certificate ? [{ sha256: certificate, subject: 'CN=Someone' }] : [] }
+});
+
+describe('matchName', () => {
+  it.each([
+    ['WhatsApp', 'WhatsApp', 'exact'],
+    ['WhаtsАpp', 'WhatsApp', 'confusable'],
+    ['Whats App', 'WhatsApp', 'confusable'],
+    ['com.vvhatsapp', 'com.whatsapp', 'confusable'],
+    ['SBI YONO', 'YONO SBI', 'reordered'],
+    ['WhatsApp Plus', 'WhatsApp', 'extra-tokens'],
+    ['com.whatsapp.plus', 'com.whatsapp', 'extra-tokens'],
+    ['com.whatsap', 'com.whatsapp', 'edit-distance'],
+    ['com.sbi.yono.secure', 'com.sbi.lotusintouch', 'brand-token']
+  ])('%s imitates %s by %s', (value, target, technique) => {
+    expect(matchName(value, target, ['whatsapp', 'yono'])).toBe(technique);
+  });
+
+  it('leaves unrelated names alone', () => {
+    expect(matchName('com.example.notes', 'com.whatsapp', ['whatsapp'])).toBeNull();
+    expect(matchName('Weather', 'WhatsApp', ['whatsapp'])).toBeNull();
+  });
+});
+
+describe('brand impersonation rules', () => {
+  const ruleIds = (appData) => evaluateRules(appData, undefined, { brands }).flags
+    .filter(flag => flag.ruleId.startsWith('SNT-BRAND'));
+
+  it('reports a lookalike signed by someone else as CRITICAL', () => {
+    const flags = ruleIds(apk('com.whatsapp.plus', 'WhatsApp Plus', 'cd'.repeat(32)));
+    expect(flags).toHaveLength(1);
+    expect(flags[0]).toMatchObject({ ruleId: 'SNT-BRAND-001', type: 'CRITICAL' });
+    expect(flags[0].details[0]).toContain('imitates WhatsApp');
+  });
+
+  it('reports a copy of the official package ID with the wrong signer', () => {
+    expect(ruleIds(apk('com.whatsapp', 'WhatsApp', 'cd'.repeat(32)))[0].ruleId).toBe('SNT-BRAND-001');
+  });
+
+  it('accepts the brand\'s own signer', () => {
+    expect(ruleIds(apk('com.whatsapp', 'WhatsApp', OFFICIAL_CERT))).toEqual([]);
+  });
+
+  it('reports HIGH when the brand has no certificate digests', () => {
+    const flags = ruleIds(apk('com.sbi.yono.secure', 'YONO SBI Secure', 'cd'.repeat(32)));
+    expect(flags.map(flag => [flag.ruleId, flag.type])).toEqual([['SNT-BRAND-002', 'HIGH']]);
+  });
+
+  it('accepts the official package ID when the brand has no certificate digests', () => {
+    expect(ruleIds(apk('com.sbi.lotusintouch', 'YONO SBI', 'cd'.repeat(32)))).toEqual([]);
+  });
+
+  it('leaves the official apps of the bundled brands alone', () => {
+    const { flags } = evaluateRules(apk('com.whatsapp', 'WhatsApp', 'cd'.repeat(32)));
+    expect(flags.filter(flag => flag.ruleId.startsWith('SNT-BRAND'))).toEqual([]);
+  });
+
+  it('finds one best match per brand', () => {
+    const matches = findLookalikes({ packageName: 'com.whatsapp.plus', appName: 'WhatsApp' }, brands);
+    expect(matches.map(match => match.technique)).toEqual(['exact']);
+  });
+});
@@ -0,0 +1,183 @@
+// Android network security: res/xml network_security_config (referenced by
+// android:networkSecurityConfig) together with android:usesCleartextTraffic
+// and the platform defaults for the app's targetSdkVersion, reduced to one
+// verdict (secure, weak or insecure) and a list of issues the rule packs
+// can match on.
+//
+// Platform behaviour this follows:
+// - cleartext is allowed by default below API 28, blocked from 28 on
+// - user-installed CAs are trusted by default up to API 23
+// - a network security config replaces usesCleartextTraffic (API 24+)
+// - a nested domain-config inherits what it leaves out from its parent,
+//   the outermost ones from base-config
+// - debug-overrides only apply while android:debuggable is true, so they
+//   are only an issue in a debuggable build
+
+const childrenNamed = (element, tag) => Array.from(element?.childNodes || [])
+  .filter(node => node.nodeType === 1 && node.tagName === tag);
+
+const booleanAttribute = (element, name) => {
+  const value = element?.getAttribute(name);
+  return value === 'true' ? true : value === 'false' ? false : null;
+};
+
+// <trust-anchors> as [{ src, overridePins }], or null when absent
+const parseTrustAnchors = (element) => {
+  const anchors = childrenNamed(element, 'trust-anchors')[0];
+  if (!anchors) return null;
+  return childrenNamed(anchors, 'certificates').map(cert => ({
+    src: cert.getAttribute('src') || '',
+    overridePins: booleanAttribute(cert, 'overridePins') === true
+  }));
+};
+
+const parsePinSet = (element) => {
+  const pinSet = childrenNamed(element, 'pin-set')[0];
+  if (!pinSet) return null;
+  return {
+    expiration: pinSet.getAttribute('expiration') || null,
+    digests: childrenNamed(pinSet, 'pin').map(pin => ({
+      algorithm: pin.getAttribute('digest') || 'SHA-256',
+      digest: (pin.textContent || '').trim()
+    }))
+  };
+};
+
+const domainLabel = (domain) => {
+  const name = (domain.textContent || '').trim();
+  return booleanAttribute(domain, 'includeSubdomains') ? `*.${name}` : name;
+};
+
+// Flattens nested domain-configs, resolving inheritance as it goes
+const parseDomainConfigs = (element, parent) => childrenNamed(element, 'domain-config').flatMap(config => {
+  const resolved = {
+    domains: childrenNamed(config, 'domain').map(domainLabel).filter(name => name && name !== '*.'),
+    cleartext: booleanAttribute(config, 'cleartextTrafficPermitted') ?? parent.cleartext,
+    trustAnchors: parseTrustAnchors(config) || parent.trustAnchors,
+    pins: parsePinSet(config) || parent.pins
+  };
+  return [resolved, ...parseDomainConfigs(config, resolved)];
+});
+
+// What an app gets without any configuration. An unknown targetSdk is
+// treated as unknown, not as API 1, so it raises no issues by itself.
+const platformDefaults = (targetSdk) => ({
+  cleartext: targetSdk === null ? null : targetSdk < 28,
+  trustAnchors: targetSdk !== null && targetSdk <= 23
+    ? [{ src: 'system', overridePins: false }, { src: 'user', overridePins: false }]
+    : [{ src: 'system', overridePins: false }]
+});
+
+// The config document as written, with platform defaults filled in for
+// base-config: { baseConfig, domainConfigs, debugOverrides }
+export const parseNetworkSecurityConfig = (doc, { targetSdk = null } = {}) => {
+  const root = doc.documentElement;
+  if (root?.tagName !== 'network-security-config') {
+    throw new Error(`Expected <network-security-config>, found <${root?.tagName || 'nothing'}>`);
+  }
+  const base = childrenNamed(root, 'base-config')[0];
+  const defaults = platformDefaults(targetSdk);
+  const baseConfig = {
+    cleartext: booleanAttribute(base, 'cleartextTrafficPermitted') ?? defaults.cleartext,
+    cleartextSource: booleanAttribute(base, 'cleartextTrafficPermitted') === null ? 'default' : 'base-config',
+    trustAnchors: parseTrustAnchors(base) || defaults.trustAnchors,
+    trustSource: parseTrustAnchors(base) ? 'base-config' : 'default',
+    pins: null
+  };
+  const debug = childrenNamed(root, 'debug-overrides')[0];
+
+  return {
+    baseConfig,
+    domainConfigs: parseDomainConfigs(root, baseConfig),
+    debugOverrides: debug ? { trustAnchors: parseTrustAnchors(debug) || [] } : null
+  };
+};
+
+const trustsUser = (anchors) => (anchors || []).some(anchor => anchor.src === 'user');
+
+const isExpired = (date, now) => Boolean(date) && new Date(`${date}T00:00:00Z`) < now;
+
+const domainList = (config) => config.domains.join(', ') || '(no domains)';
+
+// Combines the parsed config (or null when the app has none) with the
+// manifest into { verdict, source, cleartext, userCertificates, domains,
+// debugOverrides, issues: [{ code, message }] }
+export const assessNetworkSecurity = ({ config = null, source = null, manifest, now = new Date() }) => {
+  const application = manifest.attributes?.application || {};
+  const targetSdk = manifest.targetSdk ?? null;
+  const debuggable = application.debuggable === 'true';
+  const issues = [];
+  const issue = (code, message) => issues.push({ code, message });
+  const sdkNote = `platform default for targetSdkVersion ${targetSdk}`;
+
+  let base;
+  if (config) {
+    base = config.baseConfig;
+  } else {
+    const defaults = platformDefaults(targetSdk);
+    const manifestFlag = application.usesCleartextTraffic;
+    base = {
+      cleartext: manifestFlag ? manifestFlag === 'true' : defaults.cleartext,
+      cleartextSource: manifestFlag ? 'manifest' : 'default',
+      trustAnchors: defaults.trustAnchors,
+      trustSource: 'default',
+      pins: null
+    };
+  }
+  const domains = config?.domainConfigs || [];
+
+  if (base.cleartext) {
+    const why = { 'base-config': 'base-config', manifest: 'android:usesCleartextTraffic', default: sdkNote }[base.cleartextSource];
+    issue('cleartext-all', `Cleartext HTTP allowed for all domains (${why})`);
+  }
+  domains.filter(domain => domain.cleartext && !base.cleartext).forEach(domain =>
+    issue('cleartext-domain', `Cleartext HTTP allowed for ${domainList(domain)}`));
+
+  if (trustsUser(base.trustAnchors)) {
+    const why = base.trustSource === 'base-config' ? 'base-config' : sdkNote;
+    issue('user-ca-all', `All connections trust user-installed CA certificates (${why})`);
+  }
+  domains.filter(domain => trustsUser(domain.trustAnchors) && !trustsUser(base.trustAnchors)).forEach(domain =>
+    issue('user-ca-domain', `User-installed CA certificates trusted for ${domainList(domain)}`));
+
+  domains.filter(domain => domain.pins).forEach(domain => {
+    if (isExpired(domain.pins.expiration, now)) {
+      issue('pins-expired', `Pins for ${domainList(domain)} expired on ${domain.pins.expiration}, so they are not enforced`);
+    }
+    const overriding = (domain.trustAnchors || []).filter(anchor => anchor.overridePins).map(anchor => anchor.src);
+    if (overriding.length) {
+      issue('pins-overridden', `Pins for ${domainList(domain)} are skipped for ${overriding.join(', ')} certificates`);
+    }
+  });
+
+  // Release builds routinely ship the stanza; it only matters once active
+  if (config?.debugOverrides && debuggable) {
+    const sources = config.debugOverrides.trustAnchors.map(anchor => anchor.src);
+    issue('debug-overrides', `debug-overrides trust ${sources.join(', ') || 'no extra'} certificates, ` +
+      'active because the app is debuggable');
+  }
+
+  const insecure = issues.some(({ code }) => code === 'cleartext-all' || code === 'user-ca-all') ||
+    (debuggable && trustsUser(config?.debugOverrides?.trustAnchors));
+  const weak = issues.some(({ code }) => code !== 'debug-overrides');
+
+  return {
+    verdict: insecure ? 'insecure' : weak ? 'weak' : 'secure',
+    source,
+    targetSdk,
+    cleartext: { all: base.cleartext, source: base.cleartextSource },
+    userCertificates: trustsUser(base.trustAnchors),
+    domains: domains.map(domain => ({
+      domains: domain.domains,
+      cleartext: domain.cleartext,
+      userCertificates: trustsUser(domain.trustAnchors),
+      pins: domain.pins && {
+        expiration: domain.pins.expiration,
+        count: domain.pins.digests.length,
+        expired: isExpired(domain.pins.expiration, now)
+      }
+    })),
+    debugOverrides: config?.debugOverrides ? { active: debuggable, userCertificates: trustsUser(config.debugOverrides.trustAnchors) } : null,
+    issues
+  };
+};
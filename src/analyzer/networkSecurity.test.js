@@ -0,0 +1,85 @@
+import { DOMParser } from 'xmldom';
+import { assessNetworkSecurity, parseNetworkSecurityConfig } from './networkSecurity';
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+const parseXml = (xml) => new DOMParser().parseFromString(xml, 'text/xml');
+
+const manifest = (application = {}, targetSdk = 34) => ({ targetSdk, attributes: { application } });
+
+const assess = (xml, { application, targetSdk = 34 } = {}) => assessNetworkSecurity({
+  config: xml && parseNetworkSecurityConfig(parseXml(xml), { targetSdk }),
+  source: xml && 'res/xml/network_security_config.xml',
+  manifest: manifest(application, targetSdk),
+  now: NOW
+});
+
+const codes = (result) => result.issues.map(issue => issue.code);
+
+describe('network security config', () => {
+  it('falls back to usesCleartextTraffic and the targetSdk defaults without a config', () => {
+    expect(assess(null)).toMatchObject({ verdict: 'secure', issues: [] });
+    expect(assess(null, { application: { usesCleartextTraffic: 'true' } }).issues).toEqual([
+      { code: 'cleartext-all', message: 'Cleartext HTTP allowed for all domains (android:usesCleartextTraffic)' }
+    ]);
+    expect(codes(assess(null, { targetSdk: 23 }))).toEqual(['cleartext-all', 'user-ca-all']);
+    expect(assess(null, { targetSdk: null })).toMatchObject({ verdict: 'secure', issues: [] });
+  });
+
+  it('lets the config replace the manifest flag and reports per-domain exceptions', () => {
+    const result = assess(`<network-security-config>
+      <base-config cleartextTrafficPermitted="false"/>
+      <domain-config cleartextTrafficPermitted="true">
+        <domain includeSubdomains="true">legacy.example</domain>
+        <domain-config cleartextTrafficPermitted="false"><domain>secure.legacy.example</domain></domain-config>
+      </domain-config>
+    </network-security-config>`, { application: { usesCleartextTraffic: 'true' } });
+
+    expect(result.verdict).toBe('weak');
+    expect(result.issues).toEqual([{ code: 'cleartext-domain', message: 'Cleartext HTTP allowed for *.legacy.example' }]);
+    expect(result.domains.map(domain => [domain.domains, domain.cleartext])).toEqual([
+      [['*.legacy.example'], true],
+      [['secure.legacy.example'], false]
+    ]);
+  });
+
+  it('flags user CAs, expired or overridable pins and debug overrides', () => {
+    const xml = `<network-security-config>
+      <base-config><trust-anchors><certificates src="system"/></trust-anchors></base-config>
+      <domain-config>
+        <domain>api.bank.example</domain>
+        <pin-set expiration="2024-01-01"><pin digest="SHA-256">7HIpactkIAq2Y49orFOOQKurWxmmSFZhBCoQYcRhJ3Y=</pin></pin-set>
+        <trust-anchors>
+          <certificates src="system"/>
+          <certificates src="user" overridePins="true"/>
+        </trust-anchors>
+      </domain-config>
+      <debug-overrides><trust-anchors><certificates src="user"/></trust-anchors></debug-overrides>
+    </network-security-config>`;
+
+    const release = assess(xml);
+    expect(codes(release)).toEqual(['user-ca-domain', 'pins-expired', 'pins-overridden']);
+    expect(release.verdict).toBe('weak');
+    expect(release.domains[0].pins).toEqual({ expiration: '2024-01-01', count: 1, expired: true });
+    expect(release.debugOverrides).toEqual({ active: false, userCertificates: true });
+
+    const debug = assess(xml, { application: { debuggable: 'true' } });
+    expect(debug).toMatchObject({ verdict: 'insecure', debugOverrides: { active: true, userCertificates: true } });
+    expect(debug.issues[3]).toEqual({
+      code: 'debug-overrides',
+      message: 'debug-overrides trust user certificates, active because the app is debuggable'
+    });
+  });
+
+  it('treats user trust in base-config as insecure', () => {
+    const result = assess(`<network-security-config>
+      <base-config><trust-anchors><certificates src="system"/><certificates src="user"/></trust-anchors></base-config>
+    </network-security-config>`);
+    expect(result).toMatchObject({ verdict: 'insecure', userCertificates: true });
+    expect(result.issues[0].message).toBe('All connections trust user-installed CA certificates (base-config)');
+  });
+
+  it('rejects files that are not a network security config', () => {
+    expect(() => parseNetworkSecurityConfig(parseXml('<base-config/>'))).toThrow(/network-security-config/);
+  });
+});
@@ -0,0 +1,70 @@
+import { createProgress } from './progress';
+
+export const DEFAULT_CONCURRENCY = 4;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Entries whose name matches `pattern`, sorted so results never depend on
+// the order entries were written to the archive
+export const entriesMatching = (zip, pattern) => zip.file(pattern)
+  .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+// Runs `task(entry)` with at most `concurrency` entries in flight and
+// resolves once every entry has settled. Results keep the input order;
+// failed entries are recorded in `errors` and leave a null in their slot.
+export const mapEntries = async (entries, task, { concurrency = DEFAULT_CONCURRENCY, errors, onSettled } = {}) => {
+  const results = new Array(entries.length).fill(null);
+  let next = 0;
+  let settled = 0;
+
+  const drain = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      try {
+        results[index] = await task(entries[index]);
+      } catch (e) {
+        if (e?.name === 'AbortError') throw e;
+        errors?.push({ entry: entries[index].name, message: e.message });
+      }
+      settled++;
+      if (onSettled) onSettled(settled / entries.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, drain));
+  return results;
+};
+
+// Runs named stages one after another. Each stage gets a context with its
+// own error list, a scoped progress reporter and a bounded entry mapper;
+// the pipeline records how long every stage took and what failed in it.
+// options: onProgress, signal, concurrency
+export const createPipeline = (options = {}) => {
+  const progress = createProgress(options);
+  const stages = [];
+
+  const stage = async (id, run) => {
+    progress(id);
+    const errors = [];
+    const context = {
+      errors,
+      progress: (fraction) => progress(id, fraction),
+      map: (entries, task) => mapEntries(entries, task, {
+        concurrency: options.concurrency,
+        errors,
+        onSettled: (fraction) => progress(id, fraction)
+      })
+    };
+
+    const started = now();
+    try {
+      const output = await run(context);
+      progress(id, 1);
+      return output;
+    } finally {
+      stages.push({ id, durationMs: Math.round(now() - started), errors });
+    }
+  };
+
+  return { stage, report: () => ({ stages: stages.map(s => ({ ...s, errors: [...s.errors] })) }) };
+};
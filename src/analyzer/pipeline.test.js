@@ -0,0 +1,50 @@
+import { createPipeline, mapEntries } from './pipeline';
+
+const entry = (name, delay, fail = false) => ({ name, delay, fail });
+
+const run = async ({ name, delay, fail }) => {
+  await new Promise(resolve => setTimeout(resolve, delay));
+  if (fail) throw new Error(`${name} is corrupt`);
+  return name.toUpperCase();
+};
+
+describe('mapEntries', () => {
+  it('keeps input order and records failures without stopping', async () => {
+    const errors = [];
+    const results = await mapEntries(
+      [entry('a', 15), entry('b', 0, true), entry('c', 5)],
+      run,
+      { errors }
+    );
+    expect(results).toEqual(['A', null, 'C']);
+    expect(errors).toEqual([{ entry: 'b', message: 'b is corrupt' }]);
+  });
+
+  it('never runs more than `concurrency` entries at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const entries = Array.from({ length: 10 }, (_, i) => entry(`e${i}`, 2));
+    await mapEntries(entries, async (e) => {
+      active++;
+      peak = Math.max(peak, active);
+      await run(e);
+      active--;
+    }, { concurrency: 3 });
+    expect(peak).toBe(3);
+  });
+});
+
+describe('createPipeline', () => {
+  it('records each stage with its timing and errors', async () => {
+    const pipeline = createPipeline();
+    const out = await pipeline.stage('resources', ({ map }) =>
+      map([entry('ok.xml', 0), entry('bad.xml', 0, true)], run));
+    await pipeline.stage('code', () => 'done');
+
+    expect(out).toEqual(['OK.XML', null]);
+    const { stages } = pipeline.report();
+    expect(stages.map(stage => stage.id)).toEqual(['resources', 'code']);
+    expect(stages[0].errors).toEqual([{ entry: 'bad.xml', message: 'bad.xml is corrupt' }]);
+    stages.forEach(stage => expect(stage.durationMs).toBeGreaterThanOrEqual(0));
+  });
+});
@@ -0,0 +1,34 @@
+// Pipeline stages in the order they run, with their share of the overall bar
+export const STAGES = [
+  { id: 'unzip', label: 'Unzip', weight: 20 },
+  { id: 'manifest', label: 'Manifest', weight: 10 },
+  { id: 'resources', label: 'Resources', weight: 25 },
+  { id: 'code', label: 'Code', weight: 35 },
+  { id: 'scoring', label: 'Scoring', weight: 10 }
+];
+
+const TOTAL_WEIGHT = STAGES.reduce((sum, stage) => sum + stage.weight, 0);
+
+export const createAbortError = () => {
+  const error = new Error('Analysis cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Returns report(stage, fraction). Every call is also a cancellation point,
+// so aborting the signal stops the pipeline at the next step.
+export const createProgress = ({ onProgress, signal } = {}) => (stageId, fraction = 0) => {
+  if (signal?.aborted) throw createAbortError();
+  if (!onProgress) return;
+
+  const index = STAGES.findIndex(stage => stage.id === stageId);
+  const done = STAGES.slice(0, index).reduce((sum, stage) => sum + stage.weight, 0);
+  const clamped = Math.min(Math.max(fraction, 0), 1);
+  onProgress({
+    stage: stageId,
+    stagePercent: Math.round(clamped * 100),
+    percent: Math.round(((done + STAGES[index].weight * clamped) / TOTAL_WEIGHT) * 100)
+  });
+};
@@ -0,0 +1,284 @@
+import { BUILT_IN_PACKS } from './rules/engine';
+import { summarizeApp } from './summary';
+import reportSchema from './report.schema.json';
+
+// Exported reports. buildReport turns an analyzeAppFile result into the
+// versioned JSON described by report.schema.json; the other formats are
+// rendered from that JSON so every export says the same thing.
+export const REPORT_SCHEMA = reportSchema;
+export const REPORT_SCHEMA_ID = reportSchema.$id;
+export const REPORT_VERSION = '1.2.0';
+
+const TOOL_NAME = 'Sentinels';
+
+const SARIF_LEVELS = { CRITICAL: 'error', HIGH: 'error', MEDIUM: 'warning', LOW: 'note' };
+// GitHub code scanning buckets security-severity into critical/high/medium/low
+const SECURITY_SEVERITY = { CRITICAL: '9.5', HIGH: '8.0', MEDIUM: '5.5', LOW: '3.0' };
+
+const evidenceText = (item) => (typeof item === 'string' ? item : JSON.stringify(item));
+
+// `options`: fileName, rulePacks (defaults to the built-in packs), generatedAt
+export const buildReport = (analysis, { fileName = null, rulePacks = BUILT_IN_PACKS, generatedAt = new Date() } = {}) => {
+  const identity = analysis.identity || summarizeApp(analysis);
+  const { security, credibility } = analysis;
+  const icon = analysis.resources?.icon;
+
+  const findings = security.flags.map(flag => ({
+    ruleId: flag.ruleId,
+    pack: flag.pack,
+    severity: flag.type,
+    category: flag.category,
+    title: flag.title || null,
+    message: flag.message,
+    evidence: (flag.details || []).map(evidenceText),
+    remediation: flag.remediation || '',
+    points: flag.points ?? 0,
+    maxPoints: flag.maxPoints ?? 0
+  }));
+
+  const categories = new Map();
+  findings.forEach(finding => {
+    const entry = categories.get(finding.category) || { category: finding.category, points: 0, findings: 0 };
+    entry.points += finding.points;
+    entry.findings += 1;
+    categories.set(finding.category, entry);
+  });
+
+  return {
+    schema: REPORT_SCHEMA_ID,
+    reportVersion: REPORT_VERSION,
+    generatedAt: new Date(generatedAt).toISOString(),
+    tool: { name: TOOL_NAME, rulePacks: rulePacks.map(pack => `${pack.id}@${pack.version}`) },
+    app: {
+      fileName,
+      type: identity.type,
+      size: identity.size ?? analysis.size ?? 0,
+      packageName: identity.packageName,
+      appName: identity.appName,
+      version: identity.version,
+      developer: identity.developer,
+      icon: icon?.phash ? { path: icon.path, phash: icon.phash, preview: icon.preview || null } : null,
+      certificates: (analysis.signing?.certificates || []).map(cert => ({
+        subject: cert.subject,
+        issuer: cert.issuer,
+        sha256: cert.sha256,
+        notBefore: cert.notBefore || null,
+        notAfter: cert.notAfter || null,
+        signatureAlgorithm: cert.signatureAlgorithm || null
+      }))
+    },
+    verdict: {
+      riskLevel: security.riskLevel,
+      riskScore: security.riskScore,
+      credibilityLevel: credibility.riskLevel,
+      safetyScore: credibility.score,
+      networkSecurity: analysis.networkSecurity?.verdict ?? null
+    },
+    scoreBreakdown: {
+      points: security.summary.points ?? 0,
+      maxPoints: security.summary.maxPoints ?? 0,
+      categories: [...categories.values()].sort((a, b) => b.points - a.points)
+    },
+    findings,
+    errors: (analysis.pipeline?.stages || []).flatMap(stage =>
+      stage.errors.map(err => ({ stage: stage.id, entry: String(err.entry), message: err.message })))
+  };
+};
+
+// SARIF 2.1.0 for code-scanning tools. Findings are about the whole
+// archive, so every result points at the scanned file itself.
+export const toSarif = (report) => {
+  const ruleIds = [...new Set(report.findings.map(finding => finding.ruleId))];
+  const rules = ruleIds.map(id => {
+    const finding = report.findings.find(item => item.ruleId === id);
+    return {
+      id,
+      name: finding.title || finding.category,
+      shortDescription: { text: finding.title || finding.category },
+      help: { text: finding.remediation },
+      defaultConfiguration: { level: SARIF_LEVELS[finding.severity] },
+      properties: {
+        category: finding.category,
+        pack: finding.pack,
+        tags: ['security', finding.category],
+        'security-severity': SECURITY_SEVERITY[finding.severity]
+      }
+    };
+  });
+  const artifactUri = report.app.fileName || report.app.packageName || 'app';
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: report.tool.name,
+          rules,
+          properties: { rulePacks: report.tool.rulePacks }
+        }
+      },
+      artifacts: [{ location: { uri: artifactUri }, length: report.app.size }],
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: report.generatedAt,
+        toolExecutionNotifications: report.errors.map(err => ({
+          level: 'warning',
+          message: { text: `${err.stage}: ${err.entry}: ${err.message}` }
+        }))
+      }],
+      results: report.findings.map(finding => ({
+        ruleId: finding.ruleId,
+        ruleIndex: ruleIds.indexOf(finding.ruleId),
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.message },
+        locations: [{ physicalLocation: { artifactLocation: { uri: artifactUri, index: 0 } } }],
+        partialFingerprints: { 'sentinels/v1': `${report.app.packageName || artifactUri}:${finding.ruleId}` },
+        properties: { severity: finding.severity, evidence: finding.evidence, points: finding.points }
+      })),
+      properties: {
+        packageName: report.app.packageName,
+        version: report.app.version,
+        riskLevel: report.verdict.riskLevel,
+        riskScore: report.verdict.riskScore,
+        ...(report.verification && { verification: report.verification })
+      }
+    }]
+  };
+};
+
+export const CSV_COLUMNS = [
+  'file', 'package', 'version', 'risk_level', 'risk_score',
+  'rule_id', 'pack', 'severity', 'category', 'title', 'message', 'evidence', 'remediation', 'points'
+];
+
+// RFC 4180 quoting; cells a spreadsheet would run as a formula get a
+// leading apostrophe so an app label cannot inject one
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per finding, each repeating the app columns so rows can be
+// filtered or pasted into a ticket on their own
+export const toCsv = (report) => {
+  const rows = report.findings.map(finding => [
+    report.app.fileName, report.app.packageName, report.app.version,
+    report.verdict.riskLevel, report.verdict.riskScore,
+    finding.ruleId, finding.pack, finding.severity, finding.category, finding.title,
+    finding.message, finding.evidence.join('; '), finding.remediation, finding.points
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+const SEVERITY_COLORS = { CRITICAL: '#991b1b', HIGH: '#b91c1c', MEDIUM: '#a16207', LOW: '#1d4ed8' };
+
+const HTML_STYLE = `
+body { font: 14px/1.5 system-ui, sans-serif; color: #1f2937; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.5rem; margin: 0; } h2 { font-size: 1.15rem; border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; margin-top: 2rem; }
+header { display: flex; align-items: center; gap: 1rem; }
+header img { width: 64px; height: 64px; border-radius: 12px; border: 1px solid #e5e7eb; }
+table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { width: 12rem; color: #4b5563; font-weight: 600; }
+.verdict { display: inline-block; padding: .25rem .75rem; border-radius: 999px; color: #fff; font-weight: 600; }
+.finding { border-left: 4px solid; padding: .5rem .75rem; margin: .75rem 0; background: #f9fafb; page-break-inside: avoid; }
+.mono { font-family: ui-monospace, monospace; font-size: 12px; word-break: break-all; }
+.muted { color: #6b7280; }
+@media print { body { margin: 0; } a { color: inherit; } }`;
+
+// A self-contained page (inline styles, icon as a data URL) that prints cleanly
+export const toHtml = (report) => {
+  const { app, verdict, scoreBreakdown } = report;
+  const title = `Sentinels report: ${app.appName || app.packageName || app.fileName || 'app'}`;
+  const row = (label, value) => (value === null || value === undefined || value === ''
+    ? ''
+    : `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`);
+
+  const findings = report.findings.length === 0
+    ? '<p>No findings.</p>'
+    : report.findings.map(finding => `
+<div class="finding" style="border-color: ${SEVERITY_COLORS[finding.severity]}">
+  <strong style="color: ${SEVERITY_COLORS[finding.severity]}">${escapeHtml(finding.severity)}</strong>
+  · ${escapeHtml(finding.category)} <span class="mono muted">${escapeHtml(finding.ruleId)} (${escapeHtml(finding.pack)})</span>
+  <p>${escapeHtml(finding.message)}</p>
+  ${finding.evidence.length ? `<ul class="mono">${finding.evidence.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+  ${finding.remediation ? `<p><strong>Remediation:</strong> ${escapeHtml(finding.remediation)}</p>` : ''}
+</div>`).join('');
+
+  const certificates = app.certificates.map(cert => `
+<table>
+  ${row('Subject', cert.subject)}${row('Issuer', cert.issuer)}
+  ${row('Valid', cert.notBefore && `${cert.notBefore.slice(0, 10)} to ${(cert.notAfter || '').slice(0, 10)}`)}
+  ${row('Algorithm', cert.signatureAlgorithm)}
+  <tr><th>SHA-256</th><td class="mono">${escapeHtml(cert.sha256)}</td></tr>
+</table>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+  ${app.icon?.preview ? `<img src="${escapeHtml(app.icon.preview)}" alt="">` : ''}
+  <div>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="muted">Generated ${escapeHtml(report.generatedAt)} · rule packs ${escapeHtml(report.tool.rulePacks.join(', '))}</p>
+  </div>
+</header>
+
+<h2>Verdict</h2>
+<p>
+  <span class="verdict" style="background: ${SEVERITY_COLORS[verdict.riskLevel]}">${escapeHtml(verdict.riskLevel)} risk</span>
+  Risk score ${escapeHtml(verdict.riskScore)}/100 · safety score ${escapeHtml(verdict.safetyScore)}/100 ·
+  ${verdict.networkSecurity ? `network security ${escapeHtml(verdict.networkSecurity)} · ` : ''}${report.findings.length} finding(s)
+</p>
+
+<h2>App</h2>
+<table>
+  ${row('File', app.fileName)}${row('Type', app.type)}${row('Size', `${(app.size / 1024 / 1024).toFixed(2)} MB`)}
+  ${row('Package', app.packageName)}${row('Name', app.appName)}${row('Version', app.version)}
+  ${row('Developer', app.developer)}${row('Icon pHash', app.icon?.phash)}
+</table>
+
+<h2>Score breakdown</h2>
+<table>
+  <tr><th>Category</th><td><strong>Points</strong> (findings)</td></tr>
+  ${scoreBreakdown.categories.map(item => `<tr><th>${escapeHtml(item.category)}</th><td>${escapeHtml(item.points)} (${item.findings})</td></tr>`).join('')}
+  <tr><th>Total</th><td>${escapeHtml(scoreBreakdown.points)} of ${escapeHtml(scoreBreakdown.maxPoints)} possible</td></tr>
+</table>
+
+<h2>Findings</h2>
+${findings}
+
+${certificates ? `<h2>Signing certificates</h2>${certificates}` : ''}
+
+${report.errors.length ? `<h2>Unreadable entries</h2><ul class="mono">${report.errors.map(err =>
+    `<li>${escapeHtml(err.stage)}: ${escapeHtml(err.entry)}: ${escapeHtml(err.message)}</li>`).join('')}</ul>` : ''}
+</body>
+</html>
+`;
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON report', extension: 'json', type: 'application/json', render: report => JSON.stringify(report, null, 2) },
+  { id: 'sarif', label: 'SARIF 2.1.0', extension: 'sarif', type: 'application/sarif+json', render: report => JSON.stringify(toSarif(report), null, 2) },
+  { id: 'csv', label: 'CSV (one row per finding)', extension: 'csv', type: 'text/csv', render: toCsv },
+  { id: 'html', label: 'Printable HTML', extension: 'html', type: 'text/html', render: toHtml }
+];
+
+// "<package>-<version>-sentinels.<ext>", safe on every filesystem
+export const exportFileName = (report, extension) => {
+  const base = [report.app.packageName || report.app.fileName || 'app', report.app.version]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^\w.-]+/g, '_');
+  return `${base}-sentinels.${extension}`;
+};
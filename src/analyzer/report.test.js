@@ -0,0 +1,103 @@
+import JSZip from 'jszip';
+import { analyzeAppFile } from '.';
+import { REPORT_SCHEMA, buildReport, exportFileName, toCsv, toHtml, toSarif } from './report';
+
+const MANIFEST = `<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+  package="com.fake.bank" android:versionName="2.1">
+  <uses-permission android:name="android.permission.SEND_SMS"/>
+  <uses-permission android:name="android.permission.READ_SMS"/>
+  <application android:label="=HYPERLINK(&quot;x&quot;) &lt;b&gt;Bank&lt;/b&gt;"/>
+</manifest>`;
+
+const makeFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return { name, size: bytes.length, arrayBuffer: async () => bytes.buffer };
+};
+
+// Just enough JSON Schema (type, required, properties, items, enum, const,
+// $ref) to hold the exporter to the published schema
+const validate = (schema, value, path = '$') => {
+  if (schema.$ref) return validate(REPORT_SCHEMA.$defs[schema.$ref.split('/').pop()], value, path);
+  const problems = [];
+  const types = [].concat(schema.type || []);
+  const typeOf = value === null ? 'null' : Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+  if (types.length && !types.includes(typeOf) && !(typeOf === 'integer' && types.includes('number'))) {
+    return [`${path}: expected ${types.join('|')}, got ${typeOf}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${path}: ${value} not in enum`);
+  if ('const' in schema && schema.const !== value) problems.push(`${path}: expected ${schema.const}`);
+  if (typeOf === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => problems.push(`${path}.${key}: missing`));
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (key in value) problems.push(...validate(sub, value[key], `${path}.${key}`));
+    });
+  }
+  if (typeOf === 'array' && schema.items) {
+    value.forEach((item, i) => problems.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  return problems;
+};
+
+describe('report export', () => {
+  let report;
+
+  beforeAll(async () => {
+    const file = await makeFile('bank.apk', { 'AndroidManifest.xml': MANIFEST, 'classes.dex': 'not a dex file' });
+    const analysis = await analyzeAppFile(file);
+    report = buildReport(analysis, { fileName: 'bank.apk', generatedAt: '2025-01-02T03:04:05Z' });
+  });
+
+  it('matches the published JSON Schema', () => {
+    expect(validate(REPORT_SCHEMA, report)).toEqual([]);
+    expect(report).toMatchObject({
+      reportVersion: '1.2.0',
+      generatedAt: '2025-01-02T03:04:05.000Z',
+      app: { fileName: 'bank.apk', packageName: 'com.fake.bank', version: '2.1' }
+    });
+    expect(report.errors).toContainEqual(expect.objectContaining({ stage: 'code', entry: 'classes.dex' }));
+  });
+
+  it('breaks the score down by category', () => {
+    const perm = report.findings.find(finding => finding.ruleId === 'SNT-PERM-001');
+    expect(perm.points).toBeGreaterThan(0);
+    expect(report.scoreBreakdown.categories.reduce((sum, item) => sum + item.points, 0))
+      .toBe(report.scoreBreakdown.points);
+  });
+
+  it('produces SARIF 2.1.0 with one rule per finding id', () => {
+    const sarif = toSarif(report);
+    const [run] = sarif.runs;
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.results).toHaveLength(report.findings.length);
+    const result = run.results.find(item => item.ruleId === 'SNT-PERM-001');
+    expect(run.tool.driver.rules[result.ruleIndex].id).toBe('SNT-PERM-001');
+    expect(result.locations[0].physicalLocation.artifactLocation.uri).toBe('bank.apk');
+    expect(run.invocations[0].toolExecutionNotifications.length).toBe(report.errors.length);
+  });
+
+  it('quotes CSV cells and defuses formulas', () => {
+    const lines = toCsv({
+      ...report,
+      findings: [{ ...report.findings[0], message: '=HYPERLINK("x")', evidence: ['a, b', 'c'] }]
+    }).trim().split('\r\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^file,package,version/);
+    expect(lines[1]).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(lines[1]).toContain('"a, b; c"');
+  });
+
+  it('renders standalone HTML with every value escaped', () => {
+    const html = toHtml(report);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toContain('<b>Bank</b>');
+    expect(html).toContain('&lt;b&gt;Bank&lt;/b&gt;');
+    expect(html).toContain('SNT-PERM-001');
+    expect(html).not.toMatch(/<(script|link)\b/);
+  });
+
+  it('names files after the package and version', () => {
+    expect(exportFileName(report, 'sarif')).toBe('com.fake.bank-2.1-sentinels.sarif');
+  });
+});
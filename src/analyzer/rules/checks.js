@@ -0,0 +1,257 @@
+import { getNameField } from '../../parsers/signing';
+import { appIdMatchesBundle } from '../../parsers/mobileprovision';
+import { summarizeApp } from '../summary';
+import { findLookalikes, normalizeDigest, TECHNIQUES } from '../lookalike';
+import { hammingDistance, ICON_MATCH_DISTANCE } from '../imageHash';
+import defaultBrands from './brands.json';
+
+export const DEFAULT_BRANDS = defaultBrands.brands;
+
+// Structural checks that cannot be expressed as a string or regex match.
+// Rule packs reference them by name with { "type": "check", "check": name };
+// the rest of the matcher object is passed along as options.
+// Each returns the evidence list, or null when the app has nothing to check.
+// The third argument is the scoring context, e.g. the protected brand list.
+
+const usableProfile = (appData) =>
+  (appData.provisioning && !appData.provisioning.error ? appData.provisioning : null);
+
+const isExpired = (iso) => Boolean(iso) && new Date(iso) < new Date();
+
+// Entries whose duplicates let a second copy shadow the one that was signed
+const CRITICAL_ENTRIES = [
+  /^AndroidManifest\.xml$/, /^classes\d*\.dex$/, /^resources\.arsc$/,
+  /^Payload\/[^/]+\.app\/Info\.plist$/, /^META-INF\//
+];
+
+const isCriticalEntry = (name) => CRITICAL_ENTRIES.some(pattern => pattern.test(name));
+
+const signerDigests = (appData) =>
+  ((appData.type === 'IPA' ? usableProfile(appData) : appData.signing)?.certificates || [])
+    .map(cert => cert.sha256);
+
+// 'trusted' when the brand's certificate digests include the signer,
+// 'mismatch' when they prove it wrong. Without digests only the official
+// package name is trusted, and anything else is 'unverified'.
+const brandSignerStatus = (brand, signers, officialPackage) => {
+  const digests = (brand.certDigests || []).map(normalizeDigest);
+  if (digests.length === 0) return officialPackage ? 'trusted' : 'unverified';
+  return signers.some(digest => digests.includes(digest)) ? 'trusted' : 'mismatch';
+};
+
+const MAIN_ACTION = 'android.intent.action.MAIN';
+const LAUNCHER_CATEGORY = 'android.intent.category.LAUNCHER';
+const VIEW_ACTION = 'android.intent.action.VIEW';
+const BROWSABLE_CATEGORY = 'android.intent.category.BROWSABLE';
+const WEB_SCHEMES = ['http', 'https'];
+
+const isLauncher = (component) => component.intentFilters.some(filter =>
+  filter.actions.includes(MAIN_ACTION) && filter.categories.includes(LAUNCHER_CATEGORY));
+
+// Any app may request a normal-level permission the app defines itself,
+// so it does not guard anything. Permissions defined elsewhere are trusted.
+const isGuarded = (permission, appData) => {
+  if (!permission) return false;
+  const declared = (appData.manifest.declaredPermissions || []).find(item => item.name === permission);
+  return declared?.protectionLevel !== 'normal';
+};
+
+const guardNote = (permission) => (permission ? ` (${permission} is normal-level)` : '');
+
+const shortAction = (action) => action.slice(action.lastIndexOf('.') + 1);
+
+export const CHECKS = {
+  // { "codes": [...] } selects archive issues from parsers/zip.js
+  archiveIssues: (appData, { codes = [] }) => {
+    if (!appData.archive) return null;
+    return appData.archive.issues
+      .filter(issue => codes.includes(issue.code))
+      .map(issue => issue.message);
+  },
+
+  // { "critical": true } keeps only manifest/code/signature duplicates
+  duplicateEntries: (appData, { critical = false }) => {
+    if (!appData.archive) return null;
+    const duplicates = appData.archive.issues.find(issue => issue.code === 'duplicate-entry');
+    return (duplicates?.entries || [])
+      .filter(name => isCriticalEntry(name) === critical)
+      .map(name => (critical ? `Archive contains duplicate ${name} entries` : name));
+  },
+
+  decryptedExecutable: (appData) => {
+    const executable = appData.codeAnalysis?.executable;
+    if (!executable || executable.error) return null;
+    return executable.encryption === 'decrypted' ? [executable.name] : [];
+  },
+
+  enterpriseProfile: (appData) => {
+    const profile = usableProfile(appData);
+    if (!profile) return null;
+    return profile.distribution === 'enterprise' ? [profile.teamName || profile.teamId] : [];
+  },
+
+  deviceLimitedProfile: (appData) => {
+    const profile = usableProfile(appData);
+    if (!profile) return null;
+    return ['development', 'ad-hoc'].includes(profile.distribution)
+      ? [`${profile.distribution} profile limited to ${profile.devices.length} device(s)`]
+      : [];
+  },
+
+  profileMismatch: (appData) => {
+    const profile = usableProfile(appData);
+    if (!profile) return null;
+    const issues = [];
+    if (!appIdMatchesBundle(profile.applicationIdentifier, appData.plist?.bundleId)) {
+      issues.push(`Profile app ID ${profile.applicationIdentifier} does not match bundle ID ${appData.plist.bundleId}`);
+    }
+    // The binary's own entitlements must come from the same team as the profile
+    const binaryAppId = appData.codeAnalysis?.executable?.entitlements?.['application-identifier'];
+    if (binaryAppId && profile.teamId && !binaryAppId.startsWith(`${profile.teamId}.`)) {
+      issues.push(`Executable entitlements (${binaryAppId}) belong to a different team than the profile (${profile.teamId})`);
+    }
+    return issues;
+  },
+
+  profileHygiene: (appData) => {
+    const profile = usableProfile(appData);
+    if (!profile) return null;
+    const issues = [];
+    if (profile.getTaskAllow) issues.push('get-task-allow is enabled (debuggable build)');
+    if (isExpired(profile.expirationDate)) {
+      issues.push(`Provisioning profile expired on ${profile.expirationDate.slice(0, 10)}`);
+    }
+    return issues;
+  },
+
+  unsignedApk: (appData) => {
+    if (!appData.signing) return null;
+    return appData.signing.schemes.length === 0 ? ['no signature'] : [];
+  },
+
+  debugCertificate: (appData) => {
+    if (!appData.signing) return null;
+    return appData.signing.certificates
+      .filter(cert => getNameField(cert.subject, 'CN') === 'Android Debug')
+      .map(cert => cert.subject);
+  },
+
+  expiredCertificate: (appData) => {
+    if (!appData.signing) return null;
+    return appData.signing.certificates
+      .filter(cert => isExpired(cert.notAfter))
+      .map(cert => cert.notAfter.slice(0, 10));
+  },
+
+  // Android 11 (API 30) requires v2 or newer for apps targeting it
+  legacySigningOnly: (appData) => {
+    if (!appData.signing) return null;
+    const { schemes } = appData.signing;
+    const targetSdk = appData.manifest?.targetSdk;
+    return schemes.length === 1 && schemes[0] === 'v1' && targetSdk >= 30 ? [String(targetSdk)] : [];
+  },
+
+  // Launcher activities are exported by design and skipped; providers
+  // have their own check
+  unguardedComponents: (appData) => {
+    const components = appData.manifest?.components;
+    if (!components) return null;
+    return components
+      .filter(c => c.exported && c.kind !== 'provider' && !isLauncher(c) && !isGuarded(c.permission, appData))
+      .map(c => `${c.kind} ${c.name}${guardNote(c.permission)}`);
+  },
+
+  // { "links": "custom" } lists browsable custom schemes, which any app can
+  // also claim; "unverified" lists http(s) links without android:autoVerify
+  deepLinks: (appData, { links }) => {
+    const components = appData.manifest?.components;
+    if (!components) return null;
+    return components.filter(c => c.exported).flatMap(c => c.intentFilters
+      .filter(filter => filter.actions.includes(VIEW_ACTION) && filter.categories.includes(BROWSABLE_CATEGORY))
+      .flatMap(filter => {
+        if (links === 'custom') {
+          return filter.schemes.filter(scheme => !WEB_SCHEMES.includes(scheme.toLowerCase()))
+            .map(scheme => `${scheme}:// opens ${c.name}`);
+        }
+        if (filter.autoVerify || !filter.schemes.some(scheme => WEB_SCHEMES.includes(scheme.toLowerCase()))) return [];
+        return (filter.hosts.length ? filter.hosts : ['*']).map(host => `${host} opens ${c.name}`);
+      }));
+  },
+
+  // { "actions": [...] } lists receivers subscribed to any of the broadcasts
+  receiverActions: (appData, { actions = [] }) => {
+    const components = appData.manifest?.components;
+    if (!components) return null;
+    return components.filter(c => c.kind === 'receiver').flatMap(c => {
+      const matched = [...new Set(c.intentFilters.flatMap(filter => filter.actions))]
+        .filter(action => actions.includes(action));
+      return matched.length ? [`${c.name} (${matched.map(shortAction).join(', ')})`] : [];
+    });
+  },
+
+  // Exported providers another app can read or write without a permission
+  exposedProviders: (appData) => {
+    const components = appData.manifest?.components;
+    if (!components) return null;
+    return components.filter(c => c.kind === 'provider' && c.exported).flatMap(c => {
+      const access = [
+        !isGuarded(c.readPermission, appData) && 'readable',
+        !isGuarded(c.writePermission, appData) && 'writable'
+      ].filter(Boolean);
+      if (!access.length) return [];
+      const authorities = c.authorities.length ? ` (content://${c.authorities.join(', content://')})` : '';
+      return [`${c.name}${authorities} ${access.join(' and ')} by any app${c.grantUriPermissions ? ', grants URI permissions' : ''}`];
+    });
+  },
+
+  // { "codes": [...] } selects issues from analyzer/networkSecurity.js
+  networkSecurity: (appData, { codes = [] }) => {
+    if (!appData.networkSecurity) return null;
+    return appData.networkSecurity.issues
+      .filter(issue => codes.includes(issue.code))
+      .map(issue => issue.message);
+  },
+
+  // { "types": [...] } selects findings from analyzer/secrets.js; values
+  // are already redacted
+  hardcodedSecrets: (appData, { types = [] }) => {
+    if (!appData.secrets) return null;
+    return appData.secrets.findings
+      .filter(finding => types.includes(finding.type))
+      .map(({ label, file, line, value }) => `${label} in ${file}${line ? `:${line}` : ''}: ${value}`);
+  },
+
+  missingDeveloper: (appData) => (summarizeApp(appData).developer ? [] : ['unknown']),
+
+  // { "signer": "mismatch" } reports brand lookalikes whose signer is not one
+  // of the brand's certificate digests; "unverified" those where the brand
+  // has no digests on file. The brand's own apps never match either.
+  brandImpersonation: (appData, { signer }, { brands = DEFAULT_BRANDS } = {}) => {
+    const identity = summarizeApp(appData);
+    if (!identity.packageName && !identity.appName) return null;
+    const signers = signerDigests(appData);
+
+    return findLookalikes(identity, brands)
+      .filter(match => brandSignerStatus(match.brand, signers, match.officialPackage) === signer)
+      .map(({ brand, field, value, target, technique }) =>
+        `${field} "${value}" imitates ${brand.name} ("${target}", ${TECHNIQUES[technique]})`);
+  },
+
+  // Launcher icon within { "maxDistance" } bits of a brand's gallery icon,
+  // split by { "signer" } the same way as brandImpersonation
+  iconImpersonation: (appData, { signer, maxDistance = ICON_MATCH_DISTANCE }, { brands = DEFAULT_BRANDS } = {}) => {
+    const phash = appData.resources?.icon?.phash;
+    if (!phash) return null;
+    const { packageName } = summarizeApp(appData);
+    const signers = signerDigests(appData);
+
+    return brands.flatMap(brand => {
+      const distances = (brand.icons || []).map(icon => hammingDistance(phash, icon.phash));
+      if (!distances.length) return [];
+      const distance = Math.min(...distances);
+      const official = (brand.packages || []).includes(packageName);
+      if (distance > maxDistance || brandSignerStatus(brand, signers, official) !== signer) return [];
+      return [`launcher icon matches ${brand.name} (${distance}/64 bits differ)`];
+    });
+  }
+};
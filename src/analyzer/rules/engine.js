@@ -0,0 +1,212 @@
+import corePack from './core.json';
+import { CHECKS } from './checks';
+import { collectAppStrings } from '../strings';
+
+export const BUILT_IN_PACKS = [corePack];
+
+export const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+export const MATCHER_TYPES = ['permission', 'string', 'regex', 'api', 'manifest', 'check'];
+
+// Named inputs a string/regex matcher can look at. undefined means the app
+// type does not have that input, which makes the rule not applicable.
+const SOURCES = {
+  text: (appData) => [collectAppStrings(appData)],
+  permissions: (appData) => appData.manifest?.permissions,
+  urls: (appData) => appData.codeAnalysis?.urls,
+  // Network security issues, one message each (see analyzer/networkSecurity.js)
+  networkCalls: (appData) => appData.networkSecurity?.issues.map(issue => issue.message),
+  dylibs: (appData) => appData.codeAnalysis?.executable?.dylibs,
+  apiRefs: (appData) => appData.codeAnalysis?.apiRefs
+};
+
+const readSources = (appData, names = ['text']) => {
+  const lists = names.map(name => SOURCES[name](appData)).filter(Boolean);
+  return lists.length > 0 ? lists.flat() : null;
+};
+
+const unique = (items) => [...new Set(items)];
+
+// Each matcher returns the evidence it found, or null when it cannot run
+const MATCHERS = {
+  permission: (matcher, appData) => {
+    const permissions = appData.manifest?.permissions;
+    if (!permissions) return null;
+    return permissions.filter(perm => matcher.any.some(name => perm.includes(name)));
+  },
+
+  string: (matcher, appData) => {
+    const items = readSources(appData, matcher.in);
+    if (!items) return null;
+    const haystack = items.join(' ').toLowerCase();
+    return matcher.any.filter(keyword => haystack.includes(keyword.toLowerCase()));
+  },
+
+  regex: (matcher, appData) => {
+    const items = readSources(appData, matcher.in);
+    if (!items) return null;
+    const pattern = new RegExp(matcher.pattern, matcher.flags || '');
+    return unique(items.filter(item => pattern.test(item)));
+  },
+
+  // 'Lclass;->method' matches that call, 'Lclass;' any use of the type
+  api: (matcher, appData) => {
+    const refs = appData.codeAnalysis?.apiRefs;
+    if (!refs) return null;
+    return matcher.any
+      .filter(({ signature }) =>
+        refs.some(ref => ref === signature || ref.startsWith(`${signature}->`)))
+      .map(({ signature, label }) => label || signature);
+  },
+
+  manifest: (matcher, appData) => {
+    const attributes = appData.manifest?.attributes?.[matcher.element];
+    if (!attributes) return null;
+    const value = attributes[matcher.attribute];
+    if (value === undefined) return [];
+    const hit = matcher.equals === undefined ? true : String(value) === String(matcher.equals);
+    return hit ? [`${matcher.element}@android:${matcher.attribute}=${value}`] : [];
+  },
+
+  check: (matcher, appData, context) => CHECKS[matcher.check](appData, matcher, context)
+};
+
+const formatMessage = (template, evidence) => template
+  .replace('{evidence}', evidence.join(', '))
+  .replace('{count}', String(evidence.length));
+
+// Evaluates one rule; null when it does not apply to this app.
+// `context` carries user data the checks need, such as { brands }.
+export const evaluateRule = (rule, appData, context = {}) => {
+  if (rule.platforms && !rule.platforms.includes(appData.type)) return null;
+  const evidence = MATCHERS[rule.matcher.type](rule.matcher, appData, context);
+  if (!evidence) return null;
+
+  const maxScore = rule.maxScore ?? rule.weight * 5;
+  return {
+    maxScore,
+    score: Math.min(evidence.length * rule.weight, maxScore),
+    evidence
+  };
+};
+
+// Runs every rule of every pack and scores the hits
+export const evaluateRules = (appData, packs = BUILT_IN_PACKS, context = {}) => {
+  const flags = [];
+  const score = { total: 0, max: 0 };
+
+  packs.forEach(pack => {
+    pack.rules.forEach(rule => {
+      const result = evaluateRule(rule, appData, context);
+      if (!result) return;
+      score.max += result.maxScore;
+      if (result.evidence.length === 0) return;
+
+      score.total += result.score;
+      flags.push({
+        ruleId: rule.id,
+        pack: `${pack.id}@${pack.version}`,
+        type: rule.severity,
+        category: rule.category,
+        title: rule.title,
+        message: formatMessage(rule.message || `${rule.title || rule.category}: {evidence}`, result.evidence),
+        details: result.evidence,
+        remediation: rule.remediation,
+        points: result.score,
+        maxPoints: result.maxScore
+      });
+    });
+  });
+
+  const riskScore = score.max > 0 ? Math.round((score.total / score.max) * 100) : 0;
+
+  let riskLevel = 'LOW';
+  if (riskScore > 70 || flags.some(f => f.type === 'CRITICAL')) riskLevel = 'CRITICAL';
+  else if (riskScore > 50) riskLevel = 'HIGH';
+  else if (riskScore > 30) riskLevel = 'MEDIUM';
+
+  return {
+    flags,
+    riskScore,
+    riskLevel,
+    summary: {
+      totalFlags: flags.length,
+      highRiskFlags: flags.filter(f => f.type === 'HIGH' || f.type === 'CRITICAL').length,
+      mediumRiskFlags: flags.filter(f => f.type === 'MEDIUM').length,
+      points: score.total,
+      maxPoints: score.max
+    }
+  };
+};
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+export const compareVersions = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+};
+
+const validateMatcher = (matcher, where) => {
+  const problems = [];
+  if (!matcher || !MATCHER_TYPES.includes(matcher.type)) {
+    return [`${where}: matcher.type must be one of ${MATCHER_TYPES.join(', ')}`];
+  }
+  if (['permission', 'string', 'api'].includes(matcher.type) &&
+      (!Array.isArray(matcher.any) || matcher.any.length === 0)) {
+    problems.push(`${where}: matcher.any must be a non-empty array`);
+  }
+  if (matcher.type === 'api' && matcher.any?.some(api => typeof api?.signature !== 'string')) {
+    problems.push(`${where}: every api entry needs a signature`);
+  }
+  if (matcher.in && (!Array.isArray(matcher.in) || matcher.in.some(name => !SOURCES[name]))) {
+    problems.push(`${where}: matcher.in may only list ${Object.keys(SOURCES).join(', ')}`);
+  }
+  if (matcher.type === 'regex') {
+    try {
+      // One RegExp is reused across items, so lastIndex must not carry over
+      const pattern = new RegExp(matcher.pattern, matcher.flags || '');
+      if (pattern.global || pattern.sticky) problems.push(`${where}: flags may not include g or y`);
+    } catch (e) {
+      problems.push(`${where}: invalid pattern (${e.message})`);
+    }
+  }
+  if (matcher.type === 'manifest' && (!matcher.element || !matcher.attribute)) {
+    problems.push(`${where}: manifest matchers need element and attribute`);
+  }
+  if (matcher.type === 'check' && !CHECKS[matcher.check]) {
+    problems.push(`${where}: unknown check "${matcher.check}"`);
+  }
+  return problems;
+};
+
+// Throws with every problem found so a pack author can fix them in one go
+export const validateRulePack = (pack) => {
+  const problems = [];
+  if (!pack || typeof pack !== 'object') throw new Error('Rule pack must be a JSON object');
+  if (typeof pack.id !== 'string' || !pack.id) problems.push('id is required');
+  if (!VERSION_PATTERN.test(pack.version || '')) problems.push('version must look like 1.2.3');
+  if (!Array.isArray(pack.rules)) problems.push('rules must be an array');
+
+  const seen = new Set();
+  (Array.isArray(pack.rules) ? pack.rules : []).forEach((rule, i) => {
+    const where = `rules[${i}]${rule?.id ? ` (${rule.id})` : ''}`;
+    if (typeof rule?.id !== 'string' || !rule.id) problems.push(`${where}: id is required`);
+    else if (seen.has(rule.id)) problems.push(`${where}: duplicate rule id`);
+    seen.add(rule?.id);
+    if (!SEVERITIES.includes(rule?.severity)) {
+      problems.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (typeof rule?.category !== 'string' || !rule.category) problems.push(`${where}: category is required`);
+    if (typeof rule?.weight !== 'number' || rule.weight <= 0) problems.push(`${where}: weight must be a positive number`);
+    if (typeof rule?.remediation !== 'string') problems.push(`${where}: remediation is required`);
+    problems.push(...validateMatcher(rule?.matcher, where));
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid rule pack: ${problems.join('; ')}`);
+  }
+  return pack;
+};
@@ -0,0 +1,90 @@
+import { BUILT_IN_PACKS, evaluateRules, validateRulePack } from './engine';
+
+const pack = (rules) => ({ id: 'test', version: '1.0.0', rules });
+
+const rule = (overrides) => ({
+  id: 'T-001',
+  severity: 'HIGH',
+  category: 'Test',
+  weight: 2,
+  remediation: 'Fix it',
+  ...overrides
+});
+
+const APK = {
+  type: 'APK',
+  manifest: {
+    permissions: ['SEND_SMS', 'INTERNET'],
+    attributes: { application: { debuggable: 'true' } }
+  },
+  networkSecurity: { issues: [] },
+  resources: { appLabel: 'Fake Bank', strings: ['Enter your CVV'] },
+  codeAnalysis: {
+    urls: ['http://10.0.0.2/api', 'https://bank.example'],
+    apiRefs: ['Landroid/telephony/SmsManager;->sendTextMessage', 'Ljava/lang/String;']
+  },
+  signing: { schemes: ['v2'], certificates: [] }
+};
+
+describe('rule engine', () => {
+  it('cites the rule id, pack and remediation on every flag', () => {
+    const { flags } = evaluateRules(APK);
+    expect(flags.map(f => f.ruleId)).toEqual(expect.arrayContaining([
+      'SNT-PERM-001', 'SNT-DATA-001', 'SNT-URL-001', 'SNT-API-001', 'SNT-MAN-001'
+    ]));
+    flags.forEach(flag => {
+      expect(flag.pack).toBe('core@1.6.0');
+      expect(flag.remediation).toBeTruthy();
+    });
+    expect(flags.find(f => f.ruleId === 'SNT-API-001').details).toEqual(['SmsManager.sendTextMessage']);
+    expect(flags.find(f => f.ruleId === 'SNT-URL-001').message).toBe('Code contains 1 insecure or private-network URL(s)');
+  });
+
+  it('supports each declarative matcher type', () => {
+    const { flags } = evaluateRules(APK, [pack([
+      rule({ id: 'P', matcher: { type: 'permission', any: ['INTERNET'] } }),
+      rule({ id: 'S', matcher: { type: 'string', any: ['Fake'] } }),
+      rule({ id: 'R', matcher: { type: 'regex', in: ['urls'], pattern: '^https:' } }),
+      rule({ id: 'A', matcher: { type: 'api', any: [{ signature: 'Ljava/lang/String;' }] } }),
+      rule({ id: 'M', matcher: { type: 'manifest', element: 'application', attribute: 'debuggable' } })
+    ])]);
+    expect(flags.map(f => [f.ruleId, f.details])).toEqual([
+      ['P', ['INTERNET']],
+      ['S', ['Fake']],
+      ['R', ['https://bank.example']],
+      ['A', ['Ljava/lang/String;']],
+      ['M', ['application@android:debuggable=true']]
+    ]);
+  });
+
+  it('skips rules for other platforms and caps each rule score', () => {
+    const result = evaluateRules(APK, [pack([
+      rule({ id: 'IOS', platforms: ['IPA'], matcher: { type: 'check', check: 'decryptedExecutable' } }),
+      rule({ id: 'CAP', weight: 10, maxScore: 10, matcher: { type: 'permission', any: ['SMS', 'INTERNET'] } }),
+      rule({ id: 'MISS', weight: 1, maxScore: 10, matcher: { type: 'permission', any: ['CAMERA'] } })
+    ])]);
+    expect(result.flags.map(f => f.ruleId)).toEqual(['CAP']);
+    expect(result.riskScore).toBe(50);
+    expect(result.riskLevel).toBe('MEDIUM');
+  });
+
+  it('raises the risk level to CRITICAL for a critical finding', () => {
+    const result = evaluateRules(APK, [pack([
+      rule({ id: 'C', severity: 'CRITICAL', weight: 1, maxScore: 100, matcher: { type: 'permission', any: ['SEND_SMS'] } })
+    ])]);
+    expect(result.riskLevel).toBe('CRITICAL');
+  });
+
+  it('accepts the built-in packs and reports every problem in a bad one', () => {
+    BUILT_IN_PACKS.forEach(p => expect(() => validateRulePack(p)).not.toThrow());
+    expect(() => validateRulePack({
+      id: 'bad',
+      version: '1',
+      rules: [
+        rule({ severity: 'SEVERE', matcher: { type: 'regex', pattern: '(' } }),
+        rule({ matcher: { type: 'check', check: 'nope' } }),
+        rule({ id: 'T-002', weight: 0, matcher: { type: 'regex', pattern: 'sms', flags: 'gi' } })
+      ]
+    })).toThrow(/version must look like 1\.2\.3.*severity must be one of.*invalid pattern.*duplicate rule id.*unknown check "nope".*T-002\): weight must be a positive number.*flags may not include g or y/);
+  });
+});
@@ -0,0 +1,195 @@
+import { decodeUtf8 } from '../parsers/bytes';
+
+// Hardcoded credential detection for DEX strings, resource strings, asset
+// files, JS bundles and plist values. Provider-specific patterns catch the
+// well-known token formats; an entropy check on values assigned to
+// secret-sounding keys catches the rest.
+//
+// Only redacted values leave this module: findings end up in reports, the
+// scan history and exports, which must not become a second copy of the key.
+
+// `keep` is how many leading characters stay readable; false shows the
+// whole value (URLs and PEM headers identify the problem, not the secret)
+export const SECRET_TYPES = {
+  'telegram-bot-token': {
+    label: 'Telegram bot token',
+    // Usually seen in api.telegram.org/bot<token>/, so no \b before the id
+    pattern: /(?<!\d)\d{6,12}:AA[0-9A-Za-z_-]{33}(?![0-9A-Za-z_-])/g,
+    // The bot id before the colon is public and helps reporting the bot
+    keep: (value) => value.indexOf(':') + 3
+  },
+  'private-key': {
+    label: 'Private key',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----/g,
+    keep: false
+  },
+  'aws-access-key': {
+    label: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    keep: 4
+  },
+  'stripe-secret-key': {
+    label: 'Stripe secret key',
+    pattern: /\b(?:sk|rk)_live_[0-9A-Za-z]{24,}\b/g,
+    keep: 8
+  },
+  'slack-token': {
+    label: 'Slack token',
+    pattern: /\bxox[abposr]-[0-9A-Za-z-]{10,}\b/g,
+    keep: 5
+  },
+  'slack-webhook': {
+    label: 'Slack webhook',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[0-9A-Z]+\/B[0-9A-Z]+\/[0-9A-Za-z]{16,}/g,
+    keep: 34
+  },
+  'google-api-key': {
+    label: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+    keep: 6
+  },
+  'firebase-url': {
+    label: 'Firebase database URL',
+    pattern: /https:\/\/[a-z0-9-]+(?:\.[a-z0-9-]+)?\.(?:firebaseio\.com|firebasedatabase\.app)\b/g,
+    keep: false
+  },
+  'high-entropy': {
+    label: 'High-entropy secret',
+    keep: 3
+  }
+};
+
+const PROVIDER_TYPES = Object.keys(SECRET_TYPES).filter(type => SECRET_TYPES[type].pattern);
+
+const SECRET_KEY = /(?:secret|token|api[_-]?key|apikey|passw(?:or)?d|pwd|private[_-]?key|access[_-]?key|credential|auth[_-]?key)/i;
+
+// key = "value", key: 'value', "key": "value" as found in JS, JSON and
+// properties files; group 1 is the key, group 2 the value
+const ASSIGNMENT = /([A-Za-z0-9_.-]{3,64})["']?\s*[:=]\s*["']([^"'\s]{16,200})["']/g;
+
+const PLACEHOLDER = /your[_-]|xxxx|\*\*\*\*|\$\{|\{\{|example|placeholder|changeme|dummy|sample|test/i;
+
+const MIN_ENTROPY = 3.5;
+
+// Bits per character
+export const shannonEntropy = (text) => {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+const looksRandom = (value) =>
+  value.length >= 16 &&
+  !PLACEHOLDER.test(value) &&
+  !/^[a-z]+(?:[._-][a-z]+)*$/i.test(value) && // identifiers and dotted names
+  !/^https?:\/\//i.test(value) &&
+  /\d/.test(value) && /[A-Za-z]/.test(value) &&
+  shannonEntropy(value) >= MIN_ENTROPY;
+
+export const redactSecret = (type, value) => {
+  const { keep } = SECRET_TYPES[type];
+  if (keep === false) return value;
+  const visible = Math.min(typeof keep === 'function' ? keep(value) : keep, Math.floor(value.length / 2));
+  return `${value.slice(0, visible)}…${value.slice(-2)} (${value.length} chars)`;
+};
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+// Text worth scanning: the file itself when it is text, otherwise its
+// printable runs (Hermes bytecode bundles, serialized configs)
+export const printableText = (bytes) => {
+  const head = bytes.subarray(0, 8192);
+  if (!head.includes(0)) return decodeUtf8(bytes);
+  let text = '';
+  let run = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte >= 0x20 && byte < 0x7f) {
+      run += String.fromCharCode(byte);
+    } else {
+      if (run.length >= 8) text += `${run}\n`;
+      run = '';
+    }
+  }
+  return run.length >= 8 ? text + run : text;
+};
+
+// Collects findings across files: { type, label, file, line?, value } with
+// the value already redacted. The same secret is reported once per file.
+export const createSecretScanner = () => {
+  const seen = new Set();
+  const files = new Set();
+  const findings = [];
+
+  const add = (type, file, raw, line = null) => {
+    const key = `${type}\n${file}\n${raw}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    findings.push({ type, label: SECRET_TYPES[type].label, file, ...(line && { line }), value: redactSecret(type, raw) });
+  };
+
+  // `lines` adds line numbers, for real text files rather than string pools.
+  // Returns the provider-pattern matches.
+  const scanText = (text, file, { lines = false } = {}) => {
+    const matched = new Set();
+    if (!text) return matched;
+    PROVIDER_TYPES.forEach(type => {
+      for (const match of text.matchAll(SECRET_TYPES[type].pattern)) {
+        matched.add(match[0]);
+        add(type, file, match[0], lines ? lineAt(text, match.index) : null);
+      }
+    });
+    for (const match of text.matchAll(ASSIGNMENT)) {
+      const [, key, value] = match;
+      if (SECRET_KEY.test(key) && looksRandom(value) && ![...matched].some(found => found.includes(value) || value.includes(found))) {
+        add('high-entropy', file, value, lines ? lineAt(text, match.index) : null);
+      }
+    }
+    return matched;
+  };
+
+  return {
+    scanText: (text, file, options) => {
+      files.add(file);
+      scanText(text, file, options);
+    },
+
+    scanStrings: (strings, file) => {
+      files.add(file);
+      strings.forEach(text => scanText(text, file));
+    },
+
+    scanBytes: (bytes, file) => {
+      files.add(file);
+      scanText(printableText(bytes), file, { lines: true });
+    },
+
+    // Plists and string resources carry a key for every value, so the
+    // entropy check can use it too
+    scanValues: (value, file) => {
+      files.add(file);
+      const walk = (node, key) => {
+        if (typeof node === 'string') {
+          const matched = scanText(node, file);
+          if (!matched.size && key && SECRET_KEY.test(key) && looksRandom(node)) add('high-entropy', file, node);
+        } else if (Array.isArray(node)) {
+          node.forEach(item => walk(item, key));
+        } else if (node && typeof node === 'object' && !(node instanceof Date) && !(node instanceof Uint8Array)) {
+          Object.entries(node).forEach(([childKey, child]) => walk(child, childKey));
+        }
+      };
+      walk(value, null);
+    },
+
+    result: () => ({ findings, filesScanned: files.size })
+  };
+};
+
+// Asset types that never hold text worth scanning
+export const SKIPPED_EXTENSIONS = /\.(png|jpe?g|gif|webp|bmp|ico|heic|mp3|mp4|m4a|aac|ogg|oga|wav|flac|avi|mov|webm|mkv|ttf|otf|woff2?|tflite|onnx|pb|dex|so|zip|jar|apk|arsc)$/i;
+
+// Larger files are scanned up to this many bytes
+export const MAX_SCAN_BYTES = 8 * 1024 * 1024;
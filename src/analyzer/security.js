@@ -0,0 +1,36 @@
+import { BUILT_IN_PACKS, evaluateRules } from './rules/engine';
+import { summarizeApp } from './summary';
+
+// Every finding comes from a rule pack; see rules/core.json for the defaults.
+// `context` is passed to the checks ({ brands } for the lookalike rules).
+export const performSecurityAnalysis = (appData, rulePacks = BUILT_IN_PACKS, context) =>
+  evaluateRules(appData, rulePacks, context);
+
+// Consumer-facing view of the same findings: HIGH/CRITICAL become risks,
+// the rest warnings, each still carrying the rule id that raised it
+export const analyzeAppCredibility = (appData, security = performSecurityAnalysis(appData)) => {
+  const toItem = (flag) => ({ ruleId: flag.ruleId, message: flag.message });
+  const risks = security.flags
+    .filter(flag => flag.type === 'HIGH' || flag.type === 'CRITICAL')
+    .map(toItem);
+  const warnings = security.flags
+    .filter(flag => flag.type === 'MEDIUM' || flag.type === 'LOW')
+    .map(toItem);
+
+  const info = [];
+  const { developer } = summarizeApp(appData);
+  if (developer) {
+    info.push(`Signed by ${developer}`);
+  }
+
+  const riskLevel = risks.length > 0 ? 'HIGH' :
+                   warnings.length > 2 ? 'MEDIUM' : 'LOW';
+
+  return {
+    riskLevel,
+    risks,
+    warnings,
+    info,
+    score: Math.max(0, 100 - (risks.length * 30) - (warnings.length * 10))
+  };
+};
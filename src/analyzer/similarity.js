@@ -0,0 +1,45 @@
+// Small string and set measures shared by the comparison and brand checks
+
+// Classic Levenshtein distance with a single rolling row
+export const editDistance = (a = '', b = '') => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(
+        row[j] + 1,
+        next[j - 1] + 1,
+        row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    row = next;
+  }
+  return row[b.length];
+};
+
+// 1 for equal strings, 0 for nothing in common; null when either is missing
+export const stringSimilarity = (a, b) => {
+  if (!a || !b) return null;
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  return 1 - editDistance(left, right) / Math.max(left.length, right.length);
+};
+
+// Jaccard index of two collections plus what each side has on its own.
+// Two empty sides have nothing to compare, so the score is null.
+export const setOverlap = (a = [], b = []) => {
+  const left = new Set(a);
+  const right = new Set(b);
+  const shared = [...left].filter(value => right.has(value));
+  const union = left.size + right.size - shared.length;
+  return {
+    shared,
+    onlyReference: [...left].filter(value => !right.has(value)),
+    onlySuspect: [...right].filter(value => !left.has(value)),
+    score: union === 0 ? null : shared.length / union
+  };
+};
@@ -0,0 +1,9 @@
+import { collectPlistStrings } from '../parsers/plist';
+
+// All user-facing text the keyword rules look at, lower-cased
+export const collectAppStrings = (appData) => [
+  appData.resources?.appLabel || '',
+  ...(appData.resources?.strings || []),
+  ...collectPlistStrings(appData.plist?.info),
+  ...(appData.resources?.layouts?.flatMap(l => l.hints) || [])
+].join(' ').toLowerCase();
@@ -0,0 +1,36 @@
+import { getNameField } from '../parsers/signing';
+
+// Platform-neutral identity of a parsed app, used by the summary panels
+export const summarizeApp = (appData) => {
+  if (appData.type === 'IPA') {
+    const { plist, provisioning } = appData;
+    return {
+      type: 'IPA',
+      packageName: plist?.bundleId || null,
+      appName: plist?.appName || null,
+      version: plist?.version || null,
+      developer: provisioning?.teamName || null,
+      size: appData.size,
+      permissions: [],
+      activities: [],
+      services: [],
+      receivers: []
+    };
+  }
+
+  // Archives blocked before unpacking have no manifest
+  const { manifest = {}, resources, signing } = appData;
+  const subject = signing?.certificates?.[0]?.subject;
+  return {
+    type: 'APK',
+    packageName: manifest.package || null,
+    appName: resources?.appLabel || manifest.package || null,
+    version: manifest.versionName || null,
+    developer: subject ? getNameField(subject, 'O') || getNameField(subject, 'CN') : null,
+    size: appData.size,
+    permissions: manifest.permissions || [],
+    activities: manifest.activities || [],
+    services: manifest.services || [],
+    receivers: manifest.receivers || []
+  };
+};
@@ -0,0 +1,123 @@
+import { setOverlap } from './similarity';
+import { summarizeApp } from './summary';
+
+// Version-to-version diff of two scans of the same app. A snapshot keeps
+// just the parts of the parsed manifest, resources and codeAnalysis that
+// are compared, small enough to store with each scan history entry.
+export const SNAPSHOT_VERSION = 1;
+
+const URL_PATTERN = /\b(?:https?|wss?|ftp):\/\/[^\s"'<>]+/gi;
+
+// Platform and build-tool code every app carries; what is left of the
+// top-level packages are the app's own code and its third-party SDKs
+const PLATFORM_PACKAGES = ['android.', 'androidx.', 'java.', 'javax.', 'kotlin.', 'kotlinx.', 'dalvik.', 'org.intellij.', 'org.jetbrains.'];
+
+const sorted = (items) => [...new Set(items.filter(Boolean))].sort();
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const qualify = (name, packageName) => (name.startsWith('.') && packageName ? `${packageName}${name}` : name);
+
+const apkSnapshot = (appData, packageName) => {
+  const { manifest = {}, codeAnalysis = {}, signing } = appData;
+  const ownPrefix = packageName ? packageName.split('.').slice(0, 2).join('.') : null;
+  return {
+    permissions: sorted(manifest.permissions || []),
+    exportedComponents: sorted((manifest.components || [])
+      .filter(component => component.exported)
+      .map(component => `${component.kind} ${qualify(component.name, packageName)}`)),
+    urls: sorted(codeAnalysis.urls || []),
+    certificates: sorted((signing?.certificates || []).map(cert => cert.sha256)),
+    // lib/<abi>/libfoo.so ships once per ABI; one name is enough
+    nativeLibraries: sorted((codeAnalysis.codeFiles || [])
+      .filter(path => path.endsWith('.so'))
+      .map(path => path.split('/').pop())),
+    sdks: sorted((codeAnalysis.packages || [])
+      .map(pkg => pkg.name)
+      .filter(name => name !== '(default)' && !PLATFORM_PACKAGES.some(prefix => `${name}.`.startsWith(prefix)))
+      .filter(name => !ownPrefix || !`${name}.`.startsWith(`${ownPrefix}.`)))
+  };
+};
+
+const ipaSnapshot = (appData) => {
+  const { plist = {}, resources = {}, codeAnalysis = {}, provisioning } = appData;
+  const info = plist.info || {};
+  const schemes = (info.CFBundleURLTypes || []).flatMap(type => type.CFBundleURLSchemes || []);
+  const strings = [...(resources.strings || []), ...Object.values(info).filter(value => typeof value === 'string')];
+  const executable = codeAnalysis.executable;
+  return {
+    // Protected resources an iOS app asks for are declared as usage descriptions
+    permissions: sorted(Object.keys(info).filter(key => /UsageDescription$/.test(key))),
+    exportedComponents: sorted([
+      ...schemes.map(scheme => `url-scheme ${scheme}`),
+      ...(provisioning?.entitlements?.['com.apple.developer.associated-domains'] || [])
+        .map(domain => `associated-domain ${domain}`)
+    ]),
+    urls: sorted(strings.flatMap(value => value.match(URL_PATTERN) || [])),
+    certificates: sorted((provisioning?.certificates || []).map(cert => cert.sha256)),
+    nativeLibraries: sorted([
+      ...(codeAnalysis.codeFiles || []).filter(path => path.endsWith('.dylib')).map(path => path.split('/').pop()),
+      ...(executable?.dylibs || []).filter(lib => lib.startsWith('@rpath/')).map(lib => lib.split('/').pop())
+    ]),
+    sdks: sorted((codeAnalysis.codeFiles || [])
+      .map(path => path.match(/\/Frameworks\/([^/]+)\.framework\//)?.[1]))
+  };
+};
+
+// `analysis` is an analyzeAppFile result (or parsed appData plus security)
+export const createSnapshot = (analysis) => {
+  const identity = analysis.identity || summarizeApp(analysis);
+  const parts = analysis.type === 'IPA' ? ipaSnapshot(analysis) : apkSnapshot(analysis, identity.packageName);
+  return {
+    snapshotVersion: SNAPSHOT_VERSION,
+    type: analysis.type,
+    packageName: identity.packageName,
+    version: identity.version,
+    versionCode: analysis.manifest?.attributes?.manifest?.versionCode || analysis.plist?.build || null,
+    ...parts,
+    domains: sorted(parts.urls.map(hostOf)),
+    riskScore: analysis.security?.riskScore ?? null,
+    riskLevel: analysis.security?.riskLevel ?? null
+  };
+};
+
+const listChange = (base, target) => {
+  const { onlyReference, onlySuspect } = setOverlap(base, target);
+  return { added: onlySuspect.sort(), removed: onlyReference.sort() };
+};
+
+// `base` is the older scan and `target` the newer one. Lists report what
+// was added and removed; the certificate is `changed` when the two signer
+// sets share nothing, which for a real update means the key was replaced.
+export const diffSnapshots = (base, target) => {
+  const certificates = listChange(base.certificates, target.certificates);
+  const bothSigned = base.certificates.length > 0 && target.certificates.length > 0;
+  return {
+    samePackage: base.packageName === target.packageName,
+    from: { version: base.version, versionCode: base.versionCode },
+    to: { version: target.version, versionCode: target.versionCode },
+    permissions: listChange(base.permissions, target.permissions),
+    exportedComponents: listChange(base.exportedComponents, target.exportedComponents),
+    urls: listChange(base.urls, target.urls),
+    domains: listChange(base.domains, target.domains),
+    certificates: {
+      ...certificates,
+      changed: bothSigned && certificates.removed.length === base.certificates.length
+    },
+    nativeLibraries: listChange(base.nativeLibraries, target.nativeLibraries),
+    sdks: listChange(base.sdks, target.sdks),
+    risk: {
+      from: base.riskScore,
+      to: target.riskScore,
+      delta: base.riskScore === null || target.riskScore === null ? null : target.riskScore - base.riskScore,
+      fromLevel: base.riskLevel,
+      toLevel: target.riskLevel
+    }
+  };
+};
@@ -0,0 +1,88 @@
+import JSZip from 'jszip';
+import { analyzeAppFile } from '.';
+import { createSnapshot, diffSnapshots } from './versionDiff';
+
+const manifest = (version, body) => `<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+  package="com.fake.bank" android:versionName="${version}" android:versionCode="${version.replace(/\./g, '')}">
+  ${body}
+</manifest>`;
+
+const makeFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return { name, size: bytes.length, arrayBuffer: async () => bytes.buffer };
+};
+
+const snapshot = (overrides) => ({
+  packageName: 'com.fake.bank',
+  version: '1.0',
+  versionCode: '1',
+  permissions: [],
+  exportedComponents: [],
+  urls: [],
+  domains: [],
+  certificates: ['aa'],
+  nativeLibraries: [],
+  sdks: [],
+  riskScore: 10,
+  riskLevel: 'LOW',
+  ...overrides
+});
+
+describe('version diff', () => {
+  it('diffs two parsed builds of the same package', async () => {
+    const older = await analyzeAppFile(await makeFile('bank-1.0.apk', {
+      'AndroidManifest.xml': manifest('1.0', `
+        <uses-permission android:name="android.permission.INTERNET"/>
+        <application><activity android:name=".Main"><intent-filter/></activity></application>`),
+      'lib/arm64-v8a/libcore.so': 'x'
+    }));
+    const newer = await analyzeAppFile(await makeFile('bank-1.1.apk', {
+      'AndroidManifest.xml': manifest('1.1', `
+        <uses-permission android:name="android.permission.INTERNET"/>
+        <uses-permission android:name="android.permission.READ_SMS"/>
+        <application>
+          <activity android:name=".Main"><intent-filter/></activity>
+          <receiver android:name=".SmsReceiver" android:exported="true"/>
+          <service android:name=".Sync" android:exported="false"/>
+        </application>`),
+      'lib/arm64-v8a/libcore.so': 'x',
+      'lib/armeabi-v7a/libhook.so': 'x',
+      'lib/arm64-v8a/libhook.so': 'x'
+    }));
+
+    const diff = diffSnapshots(createSnapshot(older), createSnapshot(newer));
+    expect(diff.from).toEqual({ version: '1.0', versionCode: '10' });
+    expect(diff.permissions).toEqual({ added: ['READ_SMS'], removed: [] });
+    expect(diff.exportedComponents).toEqual({ added: ['receiver com.fake.bank.SmsReceiver'], removed: [] });
+    expect(diff.nativeLibraries).toEqual({ added: ['libhook.so'], removed: [] });
+    expect(diff.risk.delta).toBe(newer.security.riskScore - older.security.riskScore);
+    expect(diff.risk.delta).toBeGreaterThan(0);
+  });
+
+  it('reports new domains and a replaced signing key', () => {
+    const diff = diffSnapshots(
+      snapshot({ urls: ['https://api.bank.com/v1'], domains: ['api.bank.com'], sdks: ['com.squareup.okhttp3'] }),
+      snapshot({
+        version: '1.1',
+        urls: ['https://api.bank.com/v1', 'http://203.0.113.7/gate.php'],
+        domains: ['203.0.113.7', 'api.bank.com'],
+        certificates: ['bb'],
+        sdks: ['com.squareup.okhttp3', 'com.remote.control'],
+        riskScore: 55,
+        riskLevel: 'HIGH'
+      })
+    );
+    expect(diff.domains.added).toEqual(['203.0.113.7']);
+    expect(diff.urls.added).toEqual(['http://203.0.113.7/gate.php']);
+    expect(diff.sdks.added).toEqual(['com.remote.control']);
+    expect(diff.certificates).toEqual({ added: ['bb'], removed: ['aa'], changed: true });
+    expect(diff.risk).toMatchObject({ delta: 45, fromLevel: 'LOW', toLevel: 'HIGH' });
+  });
+
+  it('treats an added rotation key as a signer change, not a replacement', () => {
+    const diff = diffSnapshots(snapshot(), snapshot({ certificates: ['aa', 'cc'] }));
+    expect(diff.certificates).toEqual({ added: ['cc'], removed: [], changed: false });
+  });
+});
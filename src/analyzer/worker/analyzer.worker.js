@@ -0,0 +1,19 @@
+/* eslint-disable no-restricted-globals */
+import { runAnalysis } from './run';
+
+// Runs the whole pipeline off the main thread. Cancelling terminates the
+// worker, so there is no cancel message to handle here.
+self.onmessage = async ({ data }) => {
+  const { file, rulePacks, brands, fingerprint } = data;
+  try {
+    const result = await runAnalysis(file, {
+      rulePacks,
+      brands,
+      fingerprint,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,4 @@
+// Kept in its own module: webpack bundles the worker from this expression,
+// but Jest cannot parse import.meta, so only browsers ever load this file.
+export const createAnalyzerWorker = () =>
+  new Worker(new URL('./analyzer.worker.js', import.meta.url));
@@ -0,0 +1,48 @@
+import { runAnalysis } from './run';
+import { createAbortError } from '../progress';
+
+// Analyzes a file in a Web Worker so large APKs do not freeze the tab.
+// Aborting `signal` terminates the worker outright. Without Worker support
+// (tests, old browsers) the pipeline runs inline and stops between steps.
+// `fingerprint` also returns the local fingerprint digests (see run.js).
+export const analyzeInWorker = async (file, { rulePacks, brands, fingerprint = false, onProgress, signal } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return runAnalysis(file, { rulePacks, brands, fingerprint, onProgress, signal });
+  }
+  if (signal?.aborted) throw createAbortError();
+
+  const { createAnalyzerWorker } = await import('./createWorker');
+  if (signal?.aborted) throw createAbortError();
+  const worker = createAnalyzerWorker();
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.progress);
+      } else if (data.type === 'result') {
+        finish();
+        resolve(data.result);
+      } else {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish();
+      reject(new Error(event.message || 'Analysis worker crashed'));
+    };
+
+    signal?.addEventListener('abort', onAbort);
+    worker.postMessage({ file, rulePacks, brands, fingerprint });
+  });
+};
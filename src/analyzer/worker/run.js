@@ -0,0 +1,11 @@
+import { analyzeAppFile } from '..';
+import { computeScanFingerprint } from '../../utils/fingerprint';
+
+// What the worker runs, and what runs inline where there is no Worker.
+// `fingerprint` adds the local fingerprint (utils/fingerprint) as
+// `result.fingerprint`, so callers never unzip and hash the file again on
+// the main thread.
+export const runAnalysis = async (file, { fingerprint = false, ...options } = {}) => {
+  const result = await analyzeAppFile(file, options);
+  return fingerprint ? { ...result, fingerprint: await computeScanFingerprint(file) } : result;
+};
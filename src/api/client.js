@@ -0,0 +1,128 @@
+import {
+  ApiError, NetworkError, RequestError, ResponseFormatError, ServerError, ServiceError, TimeoutError
+} from './errors';
+
+export const DEFAULT_CLIENT_OPTIONS = {
+  timeoutMs: 20000,
+  // Enough attempts to ride out a free-tier host waking from sleep
+  retries: 4,
+  backoffMs: 1000,
+  maxBackoffMs: 15000
+};
+
+const cancelled = () => {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelled());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelled());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Exponential backoff with full jitter; Retry-After wins when the server sends one
+export const backoffDelay = (attempt, { backoffMs, maxBackoffMs }, retryAfter = null, random = Math.random) => {
+  const seconds = Number(retryAfter);
+  if (retryAfter !== null && Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, maxBackoffMs);
+  return Math.round(Math.min(backoffMs * 2 ** attempt, maxBackoffMs) * (0.5 + random() / 2));
+};
+
+const readJson = async (response) => {
+  const text = await response.text();
+  try {
+    return { json: JSON.parse(text), text };
+  } catch (e) {
+    return { json: null, text };
+  }
+};
+
+// Turns one HTTP response into parsed JSON or the matching ApiError
+const checkResponse = async (response) => {
+  const { json, text } = await readJson(response);
+  const status = response.status;
+  const serverMessage = json?.error || json?.message;
+
+  if (status >= 500) {
+    const detail = serverMessage || (json ? '' : 'the service returned an error page; it may still be starting');
+    return new ServerError(`Server error ${status}${detail ? `: ${detail}` : ''}`, {
+      status,
+      // 501 and 505 will not fix themselves
+      retryable: status !== 501 && status !== 505
+    });
+  }
+  if (status === 429) {
+    return new ServerError('Too many requests', { status, retryable: true });
+  }
+  if (status >= 400) {
+    return new RequestError(serverMessage || `Request rejected (${status})`, { status });
+  }
+  if (!json) {
+    return new ResponseFormatError(`Expected JSON but got ${text.trim() ? `"${text.trim().slice(0, 60)}…"` : 'an empty body'}`, { status });
+  }
+  if (json.success === false) {
+    return new ServiceError(serverMessage || 'The service could not complete the request', { status });
+  }
+  return json;
+};
+
+// HTTP client for the fingerprint service. Every request gets its own
+// timeout; retryable failures (network, timeout, 5xx, 429) are retried with
+// backoff. `signal` cancels the request and any pending retry.
+// `onRetry({ attempt, delayMs, error })` lets the UI say what is going on.
+export const createApiClient = ({ baseUrl, fetch: fetchImpl, sleep = wait, ...options }) => {
+  const settings = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+
+  const attempt = async (url, init, timeoutMs, signal) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    try {
+      const response = await doFetch(url, { ...init, signal: controller.signal });
+      return { result: await checkResponse(response), retryAfter: response.headers?.get?.('Retry-After') ?? null };
+    } catch (e) {
+      if (signal?.aborted) throw cancelled();
+      if (timedOut) return { result: new TimeoutError(timeoutMs, { cause: e }) };
+      return { result: new NetworkError(`Could not reach ${new URL(url).host}: ${e.message}`, { cause: e }) };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  };
+
+  const request = async (path, { timeoutMs = settings.timeoutMs, retries = settings.retries, signal, onRetry, ...init } = {}) => {
+    const url = `${baseUrl}${path}`;
+    for (let tries = 0; ; tries++) {
+      if (signal?.aborted) throw cancelled();
+      const { result, retryAfter } = await attempt(url, init, timeoutMs, signal);
+      if (!(result instanceof ApiError)) return result;
+      if (!result.retryable || tries >= retries) {
+        result.attempts = tries + 1;
+        throw result;
+      }
+      const delayMs = backoffDelay(tries, settings, retryAfter);
+      if (onRetry) onRetry({ attempt: tries + 1, delayMs, error: result });
+      await sleep(delayMs, signal);
+    }
+  };
+
+  return { baseUrl, request };
+};
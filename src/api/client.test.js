@@ -0,0 +1,119 @@
+import { backoffDelay, createApiClient } from './client';
+import {
+  NetworkError, RequestError, ResponseFormatError, ServerError, ServiceError, TimeoutError
+} from './errors';
+import { verifyApp } from './fingerprints';
+
+const response = (status, body, headers = {}) => ({
+  status,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  headers: { get: (name) => headers[name] ?? null }
+});
+
+// fetch stand-in that plays back one answer per call; functions are called
+// with the request init so they can throw or hang
+const scripted = (...answers) => {
+  const calls = [];
+  const fetch = jest.fn(async (url, init) => {
+    calls.push({ url, init });
+    const next = answers[Math.min(calls.length - 1, answers.length - 1)];
+    return typeof next === 'function' ? next(init) : next;
+  });
+  return { fetch, calls };
+};
+
+const hang = (init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+const client = (fetch, options) => createApiClient({
+  baseUrl: 'https://api.test',
+  fetch,
+  sleep: async () => {},
+  retries: 2,
+  ...options
+});
+
+describe('API client', () => {
+  it('retries cold-start error pages and returns the JSON', async () => {
+    const { fetch, calls } = scripted(
+      response(502, '<html>Bad Gateway</html>'),
+      response(503, '<html>Starting</html>'),
+      response(200, { success: true, value: 1 })
+    );
+    const onRetry = jest.fn();
+    await expect(client(fetch).request('/x', { onRetry })).resolves.toEqual({ success: true, value: 1 });
+    expect(calls).toHaveLength(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][0].error).toBeInstanceOf(ServerError);
+  });
+
+  it('gives up after the retry budget with the last error', async () => {
+    const { fetch, calls } = scripted(response(502, 'down'));
+    const error = await client(fetch).request('/x').catch(e => e);
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.message).toMatch(/error page/);
+    expect(error.attempts).toBe(3);
+    expect(calls).toHaveLength(3);
+  });
+
+  it('times out each attempt with its own controller', async () => {
+    jest.useFakeTimers();
+    try {
+      const { fetch } = scripted(hang);
+      const pending = client(fetch, { retries: 0, timeoutMs: 5000 }).request('/x').catch(e => e);
+      jest.advanceTimersByTime(5000);
+      const error = await pending;
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.message).toBe('No response within 5 s');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('does not retry rejected requests and keeps the server message', async () => {
+    const { fetch, calls } = scripted(response(400, { success: false, error: 'appId is required' }));
+    const error = await client(fetch).request('/x').catch(e => e);
+    expect(error).toBeInstanceOf(RequestError);
+    expect(error.message).toBe('appId is required');
+    expect(calls).toHaveLength(1);
+  });
+
+  it('classifies network failures, bad bodies and service failures', async () => {
+    const offline = scripted(() => { throw new TypeError('Failed to fetch'); });
+    await expect(client(offline.fetch, { retries: 0 }).request('/x')).rejects.toBeInstanceOf(NetworkError);
+
+    const html = scripted(response(200, '<html>login</html>'));
+    await expect(client(html.fetch).request('/x')).rejects.toBeInstanceOf(ResponseFormatError);
+
+    const failed = scripted(response(200, { success: false, error: 'Unknown app' }));
+    await expect(client(failed.fetch).request('/x')).rejects.toEqual(new ServiceError('Unknown app'));
+  });
+
+  it('stops retrying when the caller cancels', async () => {
+    const controller = new AbortController();
+    const { fetch, calls } = scripted(() => {
+      controller.abort();
+      throw new Error('aborted');
+    });
+    const error = await client(fetch).request('/x', { signal: controller.signal }).catch(e => e);
+    expect(error.name).toBe('AbortError');
+    expect(calls).toHaveLength(1);
+  });
+
+  it('backs off exponentially and honours Retry-After', () => {
+    const settings = { backoffMs: 1000, maxBackoffMs: 15000 };
+    expect(backoffDelay(0, settings, null, () => 1)).toBe(1000);
+    expect(backoffDelay(3, settings, null, () => 1)).toBe(8000);
+    expect(backoffDelay(10, settings, null, () => 0)).toBe(7500);
+    expect(backoffDelay(0, settings, '3')).toBe(3000);
+  });
+
+  it('posts verification requests to the configured base URL', async () => {
+    const { fetch, calls } = scripted(response(200, { success: true, isAuthentic: false, message: 'No match' }));
+    const result = await verifyApp(client(fetch), { overallHash: 'a'.repeat(64), appId: 'com.x', packageName: 'com.x' });
+    expect(result.isAuthentic).toBe(false);
+    expect(calls[0].url).toBe('https://api.test/api/fingerprints/verify');
+    expect(JSON.parse(calls[0].init.body)).toMatchObject({ overallHash: 'a'.repeat(64), packageName: 'com.x' });
+  });
+});
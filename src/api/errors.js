@@ -0,0 +1,59 @@
+// Failures of the fingerprint service, one class per thing the user can do
+// something about. `retryable` marks the ones the client retries on its own.
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+// No response at all: offline, DNS, CORS or a refused connection
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, { retryable: true, ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(timeoutMs, options) {
+    super(`No response within ${Math.round(timeoutMs / 1000)} s`, { retryable: true, ...options });
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// 5xx, including the HTML pages a sleeping host serves while it wakes up
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, { retryable: true, ...options });
+    this.name = 'ServerError';
+  }
+}
+
+// 4xx: the request itself was rejected; retrying will not help
+export class RequestError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RequestError';
+  }
+}
+
+// A 2xx answer that is not the JSON the client expects
+export class ResponseFormatError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ResponseFormatError';
+  }
+}
+
+// The service answered properly but reported `success: false`
+export class ServiceError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServiceError';
+  }
+}
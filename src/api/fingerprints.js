@@ -0,0 +1,41 @@
+import { ResponseFormatError } from './errors';
+
+// Fingerprint service endpoints on top of an API client (createApiClient).
+// Uploads get a longer timeout: the whole APK or IPA goes over the wire.
+const UPLOAD_TIMEOUT_MS = 120000;
+
+export const generateFingerprint = async (client, file, appInfo, options = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('appId', appInfo.appId);
+  formData.append('appName', appInfo.appName);
+  formData.append('version', appInfo.version);
+  formData.append('packageName', appInfo.packageName || appInfo.appId);
+
+  const data = await client.request('/api/fingerprints/generate', {
+    method: 'POST',
+    body: formData,
+    timeoutMs: UPLOAD_TIMEOUT_MS,
+    ...options
+  });
+  if (!data.fingerprint?.overallHash) throw new ResponseFormatError('The response has no fingerprint');
+  return data.fingerprint;
+};
+
+// `digests` carries the locally computed bundle in "hashes only" mode
+export const verifyApp = async (client, { overallHash, appId, packageName, scannerInfo = {}, digests = null }, options = {}) => {
+  const data = await client.request('/api/fingerprints/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      overallHash,
+      appId,
+      packageName,
+      scannerInfo,
+      ...(digests && { digests })
+    }),
+    ...options
+  });
+  if (typeof data.isAuthentic !== 'boolean') throw new ResponseFormatError('The response has no verdict');
+  return data;
+};
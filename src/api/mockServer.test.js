@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createMockApi, parseMultipart } from '../../mock-server';
+
+const BOUNDARY = 'sentinels-test';
+
+const multipart = (fields, file) => Buffer.concat([
+  ...Object.entries(fields).map(([name, value]) =>
+    Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)),
+  Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="file"; filename="${file.filename}"\r\n` +
+    'Content-Type: application/octet-stream\r\n\r\n'),
+  file.data,
+  Buffer.from(`\r\n--${BOUNDARY}--\r\n`)
+]);
+
+describe('mock fingerprint API', () => {
+  let server;
+  let port;
+
+  const start = (options) => new Promise((resolve) => {
+    server = createMockApi(options).listen(0, () => {
+      port = server.address().port;
+      resolve();
+    });
+  });
+
+  const post = (path, body, contentType = 'application/json') => new Promise((resolve, reject) => {
+    const req = http.request({ port, path, method: 'POST', headers: { 'Content-Type': contentType } }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  it('answers the first requests of a cold start with a 502 page', async () => {
+    await start({ coldStarts: 1 });
+    const verify = () => post('/api/fingerprints/verify', JSON.stringify({ overallHash: 'a'.repeat(64) }));
+
+    expect(await verify()).toMatchObject({ status: 502, text: expect.stringContaining('Bad Gateway') });
+    const { status, text } = await verify();
+    expect(status).toBe(200);
+    expect(JSON.parse(text)).toMatchObject({ success: true, isAuthentic: false });
+  });
+
+  it('verifies a file after /generate registered it', async () => {
+    await start();
+    const data = Buffer.from('PK fake apk bytes');
+    const generated = await post('/api/fingerprints/generate',
+      multipart({ appId: 'com.fake.bank', appName: 'Fake Bank', version: '1.0' }, { filename: 'bank.apk', data }),
+      `multipart/form-data; boundary=${BOUNDARY}`);
+    const { fingerprint } = JSON.parse(generated.text);
+    expect(fingerprint).toMatchObject({ packageName: 'com.fake.bank', fileType: 'APK' });
+
+    const verified = await post('/api/fingerprints/verify', JSON.stringify({ overallHash: fingerprint.overallHash }));
+    expect(JSON.parse(verified.text)).toMatchObject({
+      isAuthentic: true,
+      matchDetails: { appName: 'Fake Bank', version: '1.0', confidence: 1 }
+    });
+  });
+
+  it('refuses bodies over the size limit with a 413', async () => {
+    await start({ maxBody: 1024 });
+    const { status, text } = await post('/api/fingerprints/verify', Buffer.alloc(64 * 1024, 0x20));
+    expect(status).toBe(413);
+    expect(JSON.parse(text)).toEqual({ success: false, error: 'Upload too large' });
+  });
+});
+
+describe('parseMultipart', () => {
+  it('splits fields from files', () => {
+    const data = Buffer.from([0, 1, 2, 13, 10, 3]);
+    const { fields, files } = parseMultipart(multipart({ appId: 'com.x' }, { filename: 'x.ipa', data }),
+      `multipart/form-data; boundary="${BOUNDARY}"`);
+    expect(fields).toEqual({ appId: 'com.x' });
+    expect(files.file.filename).toBe('x.ipa');
+    expect(files.file.data).toEqual(data);
+  });
+
+  it('requires a boundary', () => {
+    expect(() => parseMultipart(Buffer.alloc(0), 'application/json')).toThrow('Expected multipart/form-data');
+  });
+});
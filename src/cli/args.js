@@ -0,0 +1,120 @@
+import { SEVERITIES } from '../analyzer/rules/engine';
+
+// Command line for `sentinels scan`. Hand-rolled so the CLI needs nothing
+// beyond what the web app already installs.
+export const FORMATS = ['table', 'json', 'sarif'];
+
+export const USAGE = `Usage: sentinels scan [options] <file|dir>...
+
+Analyzes APK and IPA files with the same rules as the web app. Directories
+are searched recursively for .apk and .ipa files.
+
+Options:
+  -f, --format <table|json|sarif>  output format (default: table)
+  -o, --output <file>              write the output to a file instead of stdout
+      --fail-on <severity>         exit with 1 when any app has a finding or risk
+                                   level at or above LOW, MEDIUM, HIGH or CRITICAL
+      --verify                     also check each app with the fingerprint service
+      --api-url <url>              fingerprint service for --verify (default:
+                                   $SENTINELS_API_URL or the hosted service)
+  -j, --jobs <n>                   apps to analyze in parallel (default: 2)
+      --rules <file>               add a rule pack; repeatable, newer versions of
+                                   a built-in pack replace it
+      --disable-rule <id>          skip a rule; repeatable
+      --brands <file>              protected brand list (brands.json format)
+  -h, --help                       show this help
+
+Exit codes: 0 passed, 1 --fail-on threshold reached, 2 usage error or an
+app could not be analyzed.`;
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export const DEFAULT_SCAN_OPTIONS = {
+  format: 'table',
+  output: null,
+  failOn: null,
+  verify: false,
+  apiUrl: null,
+  jobs: 2,
+  rules: [],
+  disabledRules: [],
+  brands: null
+};
+
+const ALIASES = { '-f': '--format', '-o': '--output', '-j': '--jobs', '-h': '--help' };
+
+// Options that take a value, with how to store it
+const VALUE_OPTIONS = {
+  '--format': (options, value) => {
+    if (!FORMATS.includes(value)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    options.format = value;
+  },
+  '--output': (options, value) => { options.output = value; },
+  '--fail-on': (options, value) => {
+    const severity = value.toUpperCase();
+    if (!SEVERITIES.includes(severity)) throw new UsageError(`--fail-on must be one of ${SEVERITIES.join(', ')}`);
+    options.failOn = severity;
+  },
+  '--api-url': (options, value) => { options.apiUrl = value; },
+  '--jobs': (options, value) => {
+    const jobs = Number(value);
+    if (!Number.isInteger(jobs) || jobs < 1) throw new UsageError('--jobs must be a positive whole number');
+    options.jobs = jobs;
+  },
+  '--rules': (options, value) => { options.rules.push(value); },
+  '--disable-rule': (options, value) => { options.disabledRules.push(value); },
+  '--brands': (options, value) => { options.brands = value; }
+};
+
+const FLAG_OPTIONS = {
+  '--verify': (options) => { options.verify = true; },
+  '--help': (options) => { options.help = true; }
+};
+
+// Returns { command, paths, help, ...DEFAULT_SCAN_OPTIONS }; throws UsageError
+export const parseArgs = (argv) => {
+  const options = { ...DEFAULT_SCAN_OPTIONS, rules: [], disabledRules: [], command: null, paths: [], help: false };
+  let onlyPaths = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (onlyPaths || !arg.startsWith('-') || arg === '-') {
+      if (options.command === null && !onlyPaths) options.command = arg;
+      else options.paths.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      onlyPaths = true;
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const name = ALIASES[rawName] || rawName;
+
+    if (FLAG_OPTIONS[name]) {
+      if (inlineValue !== undefined) throw new UsageError(`${name} does not take a value`);
+      FLAG_OPTIONS[name](options);
+    } else if (VALUE_OPTIONS[name]) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) throw new UsageError(`${name} needs a value`);
+      VALUE_OPTIONS[name](options, value);
+    } else {
+      throw new UsageError(`Unknown option ${arg}`);
+    }
+  }
+
+  if (options.help) return options;
+  if (options.command !== 'scan') {
+    throw new UsageError(options.command ? `Unknown command "${options.command}"` : 'Missing command');
+  }
+  if (!options.paths.length) throw new UsageError('Give at least one file or directory to scan');
+  if (options.apiUrl && !options.verify) throw new UsageError('--api-url only applies with --verify');
+  return options;
+};
@@ -0,0 +1,31 @@
+import { UsageError, parseArgs } from './args';
+
+describe('CLI arguments', () => {
+  it('reads options in any order, with short and --name=value forms', () => {
+    const options = parseArgs(['scan', 'a.apk', '-f', 'sarif', '--fail-on=high', 'dir', '-j', '4', '--rules', 'x.json', '--rules', 'y.json']);
+    expect(options).toMatchObject({
+      command: 'scan',
+      paths: ['a.apk', 'dir'],
+      format: 'sarif',
+      failOn: 'HIGH',
+      jobs: 4,
+      rules: ['x.json', 'y.json'],
+      verify: false
+    });
+  });
+
+  it('treats everything after -- as a path', () => {
+    expect(parseArgs(['scan', '--', '--verify.apk']).paths).toEqual(['--verify.apk']);
+  });
+
+  it('rejects bad values and incomplete command lines', () => {
+    expect(() => parseArgs(['scan', 'a.apk', '--format', 'xml'])).toThrow(UsageError);
+    expect(() => parseArgs(['scan', 'a.apk', '--fail-on', 'severe'])).toThrow(/--fail-on must be one of/);
+    expect(() => parseArgs(['scan', 'a.apk', '-j', '0'])).toThrow(/--jobs/);
+    expect(() => parseArgs(['scan', 'a.apk', '--output'])).toThrow(/needs a value/);
+    expect(() => parseArgs(['scan', 'a.apk', '--api-url', 'http://x'])).toThrow(/only applies with --verify/);
+    expect(() => parseArgs(['scan'])).toThrow(/at least one file/);
+    expect(() => parseArgs(['check', 'a.apk'])).toThrow(/Unknown command "check"/);
+    expect(() => parseArgs(['--help'])).not.toThrow();
+  });
+});
@@ -0,0 +1,102 @@
+import { toSarif } from '../analyzer/report';
+import { SEVERITIES } from '../analyzer/rules/engine';
+
+// Output and exit status for `sentinels scan`. Every formatter takes the
+// results of runScans: { path, report } or { path, error } per file.
+export const EXIT_CODES = { PASSED: 0, THRESHOLD: 1, ERROR: 2 };
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+// Highest of the risk level and every finding's severity
+export const worstSeverity = (report) => [report.verdict.riskLevel, ...report.findings.map(f => f.severity)]
+  .reduce((worst, severity) => (rank(severity) > rank(worst) ? severity : worst), SEVERITIES[0]);
+
+export const reachesThreshold = (report, failOn) => Boolean(failOn) && rank(worstSeverity(report)) >= rank(failOn);
+
+// A file that could not be analyzed outranks the threshold: CI should not
+// pass an app nobody looked at
+export const exitCodeFor = (results, failOn) => {
+  if (results.some(result => result.error)) return EXIT_CODES.ERROR;
+  if (results.some(result => reachesThreshold(result.report, failOn))) return EXIT_CODES.THRESHOLD;
+  return EXIT_CODES.PASSED;
+};
+
+export const formatJson = (results, { failOn = null, generatedAt = new Date() } = {}) => JSON.stringify({
+  generatedAt: new Date(generatedAt).toISOString(),
+  failOn,
+  exitCode: exitCodeFor(results, failOn),
+  results: results.map(({ path, report, error }) => (error ? { file: path, error } : { file: path, report }))
+}, null, 2) + '\n';
+
+// One SARIF run per app, keyed by the path as given so code scanning can
+// link results to the artifact; unreadable files become failed invocations
+export const formatSarif = (results) => {
+  const runs = results.flatMap(({ path, report, error }) => {
+    if (!error) return toSarif({ ...report, app: { ...report.app, fileName: path } }).runs;
+    return [{
+      tool: { driver: { name: 'Sentinels', rules: [] } },
+      artifacts: [{ location: { uri: path } }],
+      invocations: [{
+        executionSuccessful: false,
+        toolExecutionNotifications: [{ level: 'error', message: { text: error } }]
+      }],
+      results: []
+    }];
+  });
+  return JSON.stringify({ $schema: 'https://json.schemastore.org/sarif-2.1.0.json', version: '2.1.0', runs }, null, 2) + '\n';
+};
+
+const findingCounts = (report) => [...SEVERITIES].reverse()
+  .map(severity => [severity, report.findings.filter(f => f.severity === severity).length])
+  .filter(([, count]) => count > 0)
+  .map(([severity, count]) => `${count} ${severity.toLowerCase()}`)
+  .join(', ') || 'none';
+
+const verificationText = (verification) => {
+  if (!verification) return '';
+  if (verification.error) return 'error';
+  return verification.isAuthentic ? 'authentic' : 'not authentic';
+};
+
+const renderTable = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+};
+
+// Human-readable summary for terminals and CI logs
+export const formatTable = (results, { failOn = null } = {}) => {
+  const scanned = results.filter(result => !result.error);
+  const failed = results.filter(result => result.error);
+  const verified = scanned.some(result => result.report.verification);
+  const lines = [];
+
+  if (scanned.length) {
+    const header = ['FILE', 'PACKAGE', 'VERSION', 'RISK', 'SCORE', 'FINDINGS', ...(verified ? ['FINGERPRINT'] : [])];
+    const rows = scanned.map(({ path, report }) => [
+      path,
+      report.app.packageName || '-',
+      report.app.version || '-',
+      report.verdict.riskLevel + (reachesThreshold(report, failOn) ? ' !' : ''),
+      String(report.verdict.riskScore),
+      findingCounts(report),
+      ...(verified ? [verificationText(report.verification)] : [])
+    ]);
+    lines.push(renderTable([header, ...rows]));
+  }
+  if (failed.length) {
+    if (lines.length) lines.push('');
+    failed.forEach(({ path, error }) => lines.push(`error: ${path}: ${error}`));
+  }
+
+  const summary = [`${results.length} file${results.length === 1 ? '' : 's'} scanned`];
+  if (failed.length) summary.push(`${failed.length} could not be analyzed`);
+  if (failOn) {
+    const over = scanned.filter(result => reachesThreshold(result.report, failOn)).length;
+    summary.push(`${over} at or above ${failOn}`);
+  }
+  if (lines.length) lines.push('');
+  lines.push(summary.join(', '));
+  return lines.join('\n') + '\n';
+};
+
+export const FORMATTERS = { table: formatTable, json: formatJson, sarif: formatSarif };
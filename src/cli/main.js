@@ -0,0 +1,53 @@
+import { writeFile } from 'fs/promises';
+import { USAGE, UsageError, parseArgs } from './args';
+import { EXIT_CODES, FORMATTERS, exitCodeFor } from './format';
+import { collectTargets, loadScanSettings, runScans, scanFile } from './scan';
+
+// `sentinels` entry point, kept free of process globals so it can be
+// driven from tests. `io`: stdout, stderr, env, and `scan(path, settings)`
+// to analyze a file somewhere other than this thread (bin/ passes a
+// worker pool). Resolves to the exit code.
+export const main = async (argv, { stdout = process.stdout, stderr = process.stderr, env = process.env, scan = scanFile } = {}) => {
+  const fail = (message) => {
+    stderr.write(`sentinels: ${message}\n`);
+    return EXIT_CODES.ERROR;
+  };
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    return fail(`${e.message}\nRun "sentinels --help" for usage.`);
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.PASSED;
+  }
+
+  let settings;
+  let targets;
+  try {
+    settings = await loadScanSettings(options, env);
+    targets = await collectTargets(options.paths);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    return fail(e.message);
+  }
+  if (!targets.length) return fail(`No .apk or .ipa files in ${options.paths.join(', ')}`);
+
+  const results = await runScans(targets, settings, {
+    jobs: options.jobs,
+    scan,
+    onResult: (result, done) => {
+      if (!stderr.isTTY) return;
+      const outcome = result.error ? `error: ${result.error}` : result.report.verdict.riskLevel;
+      stderr.write(`[${done}/${targets.length}] ${result.path} ${outcome}\n`);
+    }
+  });
+
+  const output = FORMATTERS[options.format](results, { failOn: options.failOn });
+  if (options.output) await writeFile(options.output, output);
+  else stdout.write(output);
+  return exitCodeFor(results, options.failOn);
+};
@@ -0,0 +1,116 @@
+import JSZip from 'jszip';
+import { execFile } from 'child_process';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { main } from './main';
+
+const apk = async (manifest) => {
+  const zip = new JSZip();
+  zip.file('AndroidManifest.xml', manifest);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const manifest = (pkg, permissions = []) => `<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+  package="${pkg}" android:versionName="1.0">
+  ${permissions.map(name => `<uses-permission android:name="android.permission.${name}"/>`).join('\n')}
+  <application android:label="${pkg}"/>
+</manifest>`;
+
+// The installed command, under plain Node rather than Jest's module transform
+const runBin = (argv) => new Promise((resolve) => {
+  execFile(process.execPath, [join(__dirname, '..', '..', 'bin', 'sentinels.js'), ...argv], (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+const sink = () => {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+  return stream;
+};
+
+const run = async (argv) => {
+  const stdout = sink();
+  const stderr = sink();
+  const code = await main(argv, { stdout, stderr, env: {} });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+};
+
+describe('sentinels scan', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'sentinels-cli-'));
+    mkdirSync(join(dir, 'nested'));
+    writeFileSync(join(dir, 'sms.apk'), await apk(manifest('com.sms.reader', ['SEND_SMS', 'READ_SMS'])));
+    writeFileSync(join(dir, 'nested', 'plain.apk'), await apk(manifest('com.plain')));
+    writeFileSync(join(dir, 'notes.txt'), 'not an app');
+  });
+
+  afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('finds apps in directories and prints a table', async () => {
+    const { code, stdout } = await run(['scan', dir, '--jobs', '2']);
+    expect(code).toBe(0);
+    const lines = stdout.trim().split('\n');
+    expect(lines[0]).toMatch(/^FILE\s+PACKAGE\s+VERSION\s+RISK\s+SCORE\s+FINDINGS$/);
+    expect(lines[1]).toContain('com.plain');
+    expect(lines[2]).toContain('com.sms.reader');
+    expect(lines[lines.length - 1]).toBe('2 files scanned');
+  });
+
+  it('exits with 1 when a finding reaches --fail-on', async () => {
+    const { code, stdout } = await run(['scan', join(dir, 'sms.apk'), '--format', 'json', '--fail-on', 'high']);
+    const output = JSON.parse(stdout);
+    expect(code).toBe(1);
+    expect(output.exitCode).toBe(1);
+    expect(output.results[0].report.findings.map(f => f.ruleId)).toContain('SNT-PERM-001');
+  });
+
+  it('runs as bin/sentinels.js under plain Node', async () => {
+    const { code, stdout, stderr } = await runBin(['scan', join(dir, 'sms.apk'), '--fail-on', 'HIGH']);
+    expect(stderr).toBe('');
+    expect(code).toBe(1);
+    expect(stdout).toContain('com.sms.reader');
+  }, 60000);
+
+  it('merges one SARIF run per app and reports unreadable files', async () => {
+    const { code, stdout } = await run(['scan', join(dir, 'sms.apk'), join(dir, 'notes.txt'), '-f', 'sarif']);
+    const sarif = JSON.parse(stdout);
+    expect(code).toBe(2);
+    expect(sarif.runs).toHaveLength(2);
+    expect(sarif.runs[0].artifacts[0].location.uri).toBe(join(dir, 'sms.apk'));
+    expect(sarif.runs[1].invocations[0]).toMatchObject({ executionSuccessful: false });
+  });
+
+  it('applies extra rule packs and disabled rules', async () => {
+    const pack = join(dir, 'pack.json');
+    writeFileSync(pack, JSON.stringify({
+      id: 'team',
+      name: 'Team rules',
+      version: '1.0.0',
+      rules: [{
+        id: 'TEAM-001',
+        title: 'Reads SMS',
+        severity: 'CRITICAL',
+        category: 'Policy',
+        weight: 1,
+        matcher: { type: 'permission', any: ['READ_SMS'] },
+        message: 'SMS access is banned',
+        remediation: 'Drop the permission'
+      }]
+    }));
+    const { code, stdout } = await run([
+      'scan', join(dir, 'sms.apk'), '--rules', pack, '--disable-rule', 'SNT-PERM-001', '-f', 'json', '--fail-on', 'critical'
+    ]);
+    const ids = JSON.parse(stdout).results[0].report.findings.map(f => f.ruleId);
+    expect(code).toBe(1);
+    expect(ids).toContain('TEAM-001');
+    expect(ids).not.toContain('SNT-PERM-001');
+  });
+
+  it('explains usage errors with exit code 2', async () => {
+    expect(await run(['scan', join(dir, 'missing.apk')])).toMatchObject({ code: 2, stderr: expect.stringMatching(/Cannot read/) });
+    expect(await run(['scan', join(dir, 'nested'), '--jobs', 'many'])).toMatchObject({ code: 2, stderr: expect.stringMatching(/--help/) });
+  });
+});
@@ -0,0 +1,141 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { basename, join } from 'path';
+import { analyzeAppFile, buildReport, isSupportedFile } from '../analyzer';
+import { createApiClient } from '../api/client';
+import { verifyApp } from '../api/fingerprints';
+import { DEFAULT_API_BASE_URL, normalizeBaseUrl } from '../utils/apiSettings';
+import { sha256Hex } from '../utils/digest';
+import { computeLocalFingerprint } from '../utils/fingerprint';
+import { importBrands } from '../utils/protectedBrands';
+import { EMPTY_RULE_CONFIG, getActivePacks, importRulePack } from '../utils/rulePacks';
+import { UsageError } from './args';
+
+// Files named on the command line are scanned whatever their extension
+// (analyzeAppFile rejects the wrong ones); directories contribute their
+// .apk and .ipa files, sorted so output order is stable between runs.
+export const collectTargets = async (paths) => {
+  const targets = [];
+  const walk = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) await walk(path);
+      else if (entry.isFile() && isSupportedFile(entry.name)) targets.push(path);
+    }
+  };
+
+  for (const path of paths) {
+    let info;
+    try {
+      info = await stat(path);
+    } catch (e) {
+      throw new UsageError(`Cannot read ${path}: ${e.code === 'ENOENT' ? 'no such file or directory' : e.message}`);
+    }
+    if (info.isDirectory()) await walk(path);
+    else targets.push(path);
+  }
+  return [...new Set(targets)];
+};
+
+// Turns the rule, brand and API options into plain data that can be
+// handed to worker threads: { rulePacks, brands, verify, apiUrl }
+export const loadScanSettings = async (options, env = {}) => {
+  let config = { ...EMPTY_RULE_CONFIG, disabledRules: options.disabledRules };
+  for (const path of options.rules) {
+    try {
+      ({ config } = importRulePack(config, await readFile(path, 'utf8')));
+    } catch (e) {
+      throw new UsageError(`${path}: ${e.message}`);
+    }
+  }
+
+  let brands;
+  if (options.brands) {
+    try {
+      brands = importBrands([], await readFile(options.brands, 'utf8'));
+    } catch (e) {
+      throw new UsageError(`${options.brands}: ${e.message}`);
+    }
+  }
+
+  let apiUrl = null;
+  if (options.verify) {
+    try {
+      apiUrl = normalizeBaseUrl(options.apiUrl || env.SENTINELS_API_URL || DEFAULT_API_BASE_URL);
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  }
+
+  return { rulePacks: getActivePacks(config), brands, verify: options.verify, apiUrl };
+};
+
+// Same shape as a browser File as far as the analyzer is concerned
+const toAppFile = (path, bytes) => ({
+  name: basename(path),
+  size: bytes.length,
+  arrayBuffer: async () => bytes.buffer
+});
+
+// The verification block of the report. Service failures are recorded,
+// not thrown: the analysis itself is still valid.
+const verifyFile = async (file, identity, apiUrl) => {
+  let overallHash = null;
+  try {
+    const local = await computeLocalFingerprint(file);
+    overallHash = local.overallHash;
+    const result = await verifyApp(createApiClient({ baseUrl: apiUrl }), {
+      overallHash,
+      appId: identity.packageName,
+      packageName: identity.packageName,
+      scannerInfo: { source: 'sentinels_cli', mode: 'hashes', timestamp: new Date().toISOString() },
+      digests: { manifestHash: local.manifestHash, certificateHash: local.certificateHash, entries: local.entries }
+    });
+    return {
+      overallHash,
+      isAuthentic: result.isAuthentic,
+      message: result.message || (result.isAuthentic ? 'App is authentic' : 'Not authentic'),
+      matchedApp: result.matchDetails?.appName || null,
+      error: null
+    };
+  } catch (e) {
+    return {
+      overallHash: overallHash || await sha256Hex(new Uint8Array(await file.arrayBuffer())),
+      isAuthentic: null,
+      message: 'Verification failed',
+      error: e.message
+    };
+  }
+};
+
+// Analyzes one file: { path, report } or { path, error }
+export const scanFile = async (path, settings) => {
+  try {
+    const file = toAppFile(path, new Uint8Array(await readFile(path)));
+    const analysis = await analyzeAppFile(file, { rulePacks: settings.rulePacks, brands: settings.brands });
+    const report = buildReport(analysis, { fileName: file.name, rulePacks: settings.rulePacks });
+    if (settings.verify) report.verification = await verifyFile(file, analysis.identity, settings.apiUrl);
+    return { path, report };
+  } catch (e) {
+    return { path, error: e.message };
+  }
+};
+
+// Runs `scan` over the targets with at most `jobs` in flight and returns
+// the results in target order. `onResult(result, done)` reports progress.
+export const runScans = async (targets, settings, { jobs = 1, scan = scanFile, onResult = () => {} } = {}) => {
+  const results = new Array(targets.length);
+  let next = 0;
+  let done = 0;
+  const lane = async () => {
+    while (next < targets.length) {
+      const index = next++;
+      results[index] = await scan(targets[index], settings);
+      done += 1;
+      onResult(results[index], done);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(jobs, targets.length) }, lane));
+  return results;
+};
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { Server } from 'lucide-react';
+import { DEFAULT_API_BASE_URL, saveApiSettings } from '../utils/apiSettings';
+
+// Collapsible editor for the fingerprint service URL. `settings` is owned
+// by the parent; saving persists it and passes the normalized value up.
+const ApiSettings = ({ settings, onChange }) => {
+  const [baseUrl, setBaseUrl] = useState(settings.baseUrl);
+  const [error, setError] = useState(null);
+
+  const apply = (value) => {
+    try {
+      const saved = saveApiSettings({ baseUrl: value });
+      setBaseUrl(saved.baseUrl);
+      setError(null);
+      onChange(saved);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <details className="mb-6 text-sm">
+      <summary className="cursor-pointer text-gray-700 flex items-center">
+        <Server className="w-4 h-4 mr-2" />
+        API server: <span className="font-mono ml-1 break-all">{settings.baseUrl}</span>
+      </summary>
+      <div className="mt-3 flex space-x-2">
+        <input
+          value={baseUrl}
+          onChange={(e) => setBaseUrl(e.target.value)}
+          placeholder={DEFAULT_API_BASE_URL}
+          className="flex-1 px-3 py-2 border rounded-lg font-mono text-xs"
+        />
+        <button onClick={() => apply(baseUrl)} className="px-3 py-2 rounded-lg border text-gray-700 hover:bg-gray-100">
+          Save
+        </button>
+        <button onClick={() => apply('')} className="px-3 py-2 rounded-lg border text-gray-700 hover:bg-gray-100">
+          Default
+        </button>
+      </div>
+      {error && <p className="mt-2 text-red-700">{error}</p>}
+      <p className="mt-2 text-xs text-gray-500">
+        For offline work run <span className="font-mono">npm run mock-api</span> and use http://localhost:8787.
+      </p>
+    </details>
+  );
+};
+
+export default ApiSettings;
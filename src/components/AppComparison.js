@@ -0,0 +1,172 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertTriangle, CheckCircle, GitCompare, XCircle } from 'lucide-react';
+import { compareApps, isAbortError, isSupportedFile } from '../analyzer';
+import { analyzeInWorker } from '../analyzer/worker';
+import { computeLocalFingerprint } from '../utils/fingerprint';
+
+const SIDES = [
+  { key: 'reference', title: 'Reference (known genuine)' },
+  { key: 'suspect', title: 'Suspect' }
+];
+
+const VERDICT_STYLES = {
+  IDENTICAL: 'bg-green-50 border-green-300 text-green-800',
+  SAME_PUBLISHER: 'bg-green-50 border-green-300 text-green-800',
+  LIKELY_CLONE: 'bg-red-50 border-red-300 text-red-800',
+  POSSIBLE_CLONE: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+  UNRELATED: 'bg-gray-50 border-gray-300 text-gray-800'
+};
+
+const scoreColor = (score) => (score >= 0.8 ? 'bg-red-500' : score >= 0.4 ? 'bg-yellow-500' : 'bg-teal-500');
+
+// Similarity report for a suspect app against a known-genuine reference.
+// Both files go through the normal analyzer plus the local fingerprint so
+// the comparison can use entry digests and signing certificates.
+const AppComparison = ({ rulePacks, brands }) => {
+  const [files, setFiles] = useState({ reference: null, suspect: null });
+  const [loading, setLoading] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleFileChange = (key) => (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    if (!isSupportedFile(selected.name)) {
+      setError('Please select an APK or IPA file');
+      return;
+    }
+    setFiles(current => ({ ...current, [key]: selected }));
+    setComparison(null);
+    setError(null);
+  };
+
+  const analyzeSide = async (key, signal) => {
+    setLoading(`Analyzing ${key}...`);
+    const report = await analyzeInWorker(files[key], { rulePacks, brands, signal });
+    setLoading(`Fingerprinting ${key}...`);
+    const fingerprint = await computeLocalFingerprint(files[key]);
+    return { report, fingerprint };
+  };
+
+  const runComparison = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setComparison(null);
+    try {
+      const reference = await analyzeSide('reference', controller.signal);
+      const suspect = await analyzeSide('suspect', controller.signal);
+      if (!controller.signal.aborted) setComparison(compareApps(reference, suspect));
+    } catch (e) {
+      if (!isAbortError(e)) setError(`Comparison failed: ${e.message}`);
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const verdictIcon = comparison?.verdict.likelyClone
+    ? <XCircle className="w-6 h-6 mr-2" />
+    : comparison?.verdict.id === 'UNRELATED'
+      ? <AlertTriangle className="w-6 h-6 mr-2" />
+      : <CheckCircle className="w-6 h-6 mr-2" />;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-4 text-teal-700 text-center">Compare Against a Genuine Build</h3>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-4">
+        {SIDES.map(({ key, title }) => (
+          <label key={key} className="border-2 border-dashed border-teal-300 rounded-lg p-4 text-center cursor-pointer hover:border-teal-400">
+            <span className="block font-medium text-gray-700 mb-1">{title}</span>
+            <span className="block text-sm text-gray-500 break-all">
+              {files[key] ? files[key].name : 'Choose an APK or IPA'}
+            </span>
+            <input type="file" accept=".apk,.ipa" onChange={handleFileChange(key)} className="hidden" />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-center space-x-3">
+        <button
+          onClick={runComparison}
+          disabled={!files.reference || !files.suspect || Boolean(loading)}
+          className="px-6 py-2 rounded-lg text-white font-medium disabled:opacity-50 hover:opacity-90 flex items-center"
+          style={{ backgroundColor: '#CD853F' }}
+        >
+          <GitCompare className="w-4 h-4 mr-2" />
+          {loading || 'Compare'}
+        </button>
+        {loading && (
+          <button onClick={() => abortRef.current?.abort()} className="px-4 py-2 rounded-lg border text-gray-600 hover:bg-gray-100">
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">{error}</div>
+      )}
+
+      {comparison && (
+        <div className="mt-6">
+          <div className={`border rounded-lg p-4 mb-4 ${VERDICT_STYLES[comparison.verdict.id]}`}>
+            <div className="flex items-center text-lg font-semibold">
+              {verdictIcon}
+              {comparison.verdict.label}
+              <span className="ml-auto text-sm font-normal">Content similarity {comparison.contentScore}%</span>
+            </div>
+            <ul className="mt-2 text-sm list-disc list-inside">
+              {comparison.verdict.reasons.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="border-b">
+                <tr>
+                  <th className="py-2 pr-4 font-semibold">Check</th>
+                  <th className="py-2 pr-4 font-semibold">Reference</th>
+                  <th className="py-2 pr-4 font-semibold">Suspect</th>
+                  <th className="py-2 pr-4 font-semibold">Similarity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.checks.map(check => (
+                  <tr key={check.id} className="border-b align-top">
+                    <td className="py-2 pr-4 font-medium">{check.label}</td>
+                    <td className="py-2 pr-4 break-all">{check.reference}</td>
+                    <td className="py-2 pr-4 break-all">{check.suspect}</td>
+                    <td className="py-2 pr-4 w-48">
+                      {check.score !== null && (
+                        <div className="w-full h-2 bg-gray-200 rounded mb-1">
+                          <div className={`h-2 rounded ${scoreColor(check.score)}`} style={{ width: `${Math.round(check.score * 100)}%` }} />
+                        </div>
+                      )}
+                      <span className="text-xs text-gray-600">
+                        {check.score !== null && `${Math.round(check.score * 100)}% · `}{check.detail}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {comparison.checks.filter(check => check.id === 'permissions' && (check.added.length || check.removed.length))
+            .map(check => (
+              <div key={check.id} className="mt-4 text-sm">
+                <h4 className="font-semibold mb-1">Permission delta</h4>
+                {check.added.map(name => <p key={`+${name}`} className="text-red-700">+ {name}</p>)}
+                {check.removed.map(name => <p key={`-${name}`} className="text-gray-500">− {name}</p>)}
+              </div>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AppComparison;
@@ -1,403 +1,43 @@
-import React, { useState } from 'react';
-import JSZip from 'jszip';
-import { DOMParser } from 'xmldom';
+import React, { useEffect, useRef, useState } from 'react';
+import { isAbortError, isSupportedFile, scoreAppData, STAGES } from '../analyzer';
+import { analyzeInWorker } from '../analyzer/worker';
+import ExportMenu from './ExportMenu';
+
+const NETWORK_VERDICT_STYLES = {
+  secure: 'text-green-700',
+  weak: 'text-yellow-700',
+  insecure: 'text-red-700'
+};
 
-const AppSecurityAnalyzer = () => {
-  const [file, setFile] = useState(null);
+// Detailed security report. When `file` is passed in (e.g. from the main
+// uploader) it is used directly; otherwise the component shows its own picker.
+// `rulePacks` and `brands` default to the built-in lists inside the analyzer.
+// `onAnalyzed(result, file)` also gets the local fingerprint as `result.fingerprint`.
+const AppSecurityAnalyzer = ({ file: externalFile = null, rulePacks, brands, onAnalyzed }) => {
+  const [selectedFile, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [analysis, setAnalysis] = useState(null);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
+  const file = externalFile || selectedFile;
 
-  // Red flag patterns for security analysis
-  const RED_FLAGS = {
-    sensitivePermissions: [
-      'SEND_SMS', 'RECEIVE_SMS', 'READ_SMS', 'WRITE_SMS',
-      'CALL_PHONE', 'READ_PHONE_STATE', 'PROCESS_OUTGOING_CALLS',
-      'WRITE_SETTINGS', 'WRITE_SECURE_SETTINGS', 'SYSTEM_ALERT_WINDOW',
-      'DEVICE_POWER', 'REBOOT', 'MOUNT_UNMOUNT_FILESYSTEMS',
-      'INSTALL_PACKAGES', 'DELETE_PACKAGES', 'CLEAR_APP_USER_DATA'
-    ],
-    socialAppAccess: [
-      'whatsapp', 'telegram', 'instagram', 'facebook', 'youtube', 
-      'snapchat', 'linkedin', 'twitter', 'tiktok'
-    ],
-    paymentKeywords: [
-      'credit card', 'debit card', 'cvv', 'card number', 'expiry',
-      'account number', 'routing number', 'bank account', 'payment',
-      'billing', 'transaction'
-    ],
-    privacyKeywords: [
-      'aadhar', 'aadhaar', 'passport', 'ssn', 'social security',
-      'national id', 'identity card', 'license number'
-    ],
-    suspiciousUrls: [
-      'http://', 'ftp://', '192.168.', '10.0.', '172.16.'
-    ],
-    passwordKeywords: [
-      'password', 'pin', 'secret', 'key', 'token', 'credential'
-    ]
-  };
-
-  const parseAPK = async (file) => {
-    try {
-      const zip = await JSZip.loadAsync(file);
-      const manifestFile = zip.file('AndroidManifest.xml');
-      
-      if (!manifestFile) {
-        throw new Error('AndroidManifest.xml not found');
-      }
-
-      const manifestContent = await manifestFile.async('uint8array');
-      const manifestText = await extractAndroidManifest(manifestContent);
-      
-      // Parse resources and code files
-      const resources = await parseResources(zip);
-      const codeAnalysis = await analyzeCode(zip);
-      
-      return {
-        type: 'APK',
-        manifest: parseManifest(manifestText),
-        resources,
-        codeAnalysis,
-        size: file.size
-      };
-    } catch (error) {
-      throw new Error(`APK parsing failed: ${error.message}`);
-    }
-  };
-
-  const parseIPA = async (file) => {
-    try {
-      const zip = await JSZip.loadAsync(file);
-      let plistContent = null;
-      let appFolder = null;
-
-      // Find the app folder and Info.plist
-      await zip.forEach((relativePath, zipEntry) => {
-        if (relativePath.includes('.app/Info.plist')) {
-          plistContent = zipEntry;
-          appFolder = relativePath.split('/')[1];
-        }
-      });
-
-      if (!plistContent) {
-        throw new Error('Info.plist not found');
-      }
-
-      const plistText = await plistContent.async('text');
-      const resources = await parseIOSResources(zip, appFolder);
-      const codeAnalysis = await analyzeIOSCode(zip);
-
-      return {
-        type: 'IPA',
-        plist: parsePlist(plistText),
-        resources,
-        codeAnalysis,
-        size: file.size
-      };
-    } catch (error) {
-      throw new Error(`IPA parsing failed: ${error.message}`);
-    }
-  };
-
-  const extractAndroidManifest = async (manifestData) => {
-    // Simplified Android manifest parsing (binary XML to text)
-    // In production, use proper AXML parser
-    try {
-      const decoder = new TextDecoder('utf-8');
-      return decoder.decode(manifestData);
-    } catch {
-      // Fallback for binary XML
-      return '<manifest><!-- Binary XML - requires specialized parser --></manifest>';
-    }
-  };
-
-  const parseManifest = (manifestText) => {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(manifestText, 'text/xml');
-    
-    const permissions = [];
-    const activities = [];
-    const services = [];
-    const receivers = [];
-
-    // Extract permissions
-    const permNodes = doc.getElementsByTagName('uses-permission');
-    for (let i = 0; i < permNodes.length; i++) {
-      const name = permNodes[i].getAttribute('android:name');
-      if (name) permissions.push(name.replace('android.permission.', ''));
-    }
-
-    // Extract components
-    const activityNodes = doc.getElementsByTagName('activity');
-    for (let i = 0; i < activityNodes.length; i++) {
-      const name = activityNodes[i].getAttribute('android:name');
-      if (name) activities.push(name);
-    }
-
-    const serviceNodes = doc.getElementsByTagName('service');
-    for (let i = 0; i < serviceNodes.length; i++) {
-      const name = serviceNodes[i].getAttribute('android:name');
-      if (name) services.push(name);
-    }
-
-    const receiverNodes = doc.getElementsByTagName('receiver');
-    for (let i = 0; i < receiverNodes.length; i++) {
-      const name = receiverNodes[i].getAttribute('android:name');
-      if (name) receivers.push(name);
-    }
-
-    return { permissions, activities, services, receivers };
-  };
-
-  const parsePlist = (plistText) => {
-    // Basic plist parsing for iOS
-    const bundleIdMatch = plistText.match(/<key>CFBundleIdentifier<\/key>\s*<string>([^<]+)<\/string>/);
-    const appNameMatch = plistText.match(/<key>CFBundleDisplayName<\/key>\s*<string>([^<]+)<\/string>/);
-    const versionMatch = plistText.match(/<key>CFBundleShortVersionString<\/key>\s*<string>([^<]+)<\/string>/);
-    
-    return {
-      bundleId: bundleIdMatch ? bundleIdMatch[1] : 'Unknown',
-      appName: appNameMatch ? appNameMatch[1] : 'Unknown',
-      version: versionMatch ? versionMatch[1] : 'Unknown'
-    };
-  };
-
-  const parseResources = async (zip) => {
-    const strings = [];
-    const layouts = [];
-    
-    await zip.forEach(async (relativePath, zipEntry) => {
-      if (relativePath.includes('res/values/strings.xml')) {
-        try {
-          const content = await zipEntry.async('text');
-          strings.push(...extractStrings(content));
-        } catch (e) {
-          console.warn('Failed to parse strings.xml');
-        }
-      }
-      if (relativePath.includes('res/layout/') && relativePath.endsWith('.xml')) {
-        try {
-          const content = await zipEntry.async('text');
-          layouts.push(extractLayoutInfo(content));
-        } catch (e) {
-          console.warn('Failed to parse layout file');
-        }
-      }
-    });
-
-    return { strings, layouts };
-  };
-
-  const parseIOSResources = async (zip, appFolder) => {
-    const strings = [];
-    
-    await zip.forEach(async (relativePath, zipEntry) => {
-      if (relativePath.includes('.lproj/') && relativePath.endsWith('.strings')) {
-        try {
-          const content = await zipEntry.async('text');
-          strings.push(...extractIOSStrings(content));
-        } catch (e) {
-          console.warn('Failed to parse iOS strings file');
-        }
-      }
-    });
-
-    return { strings };
-  };
-
-  const analyzeCode = async (zip) => {
-    const codeFiles = [];
-    const networkCalls = [];
-    
-    await zip.forEach(async (relativePath, zipEntry) => {
-      if (relativePath.endsWith('.dex') || relativePath.endsWith('.so')) {
-        codeFiles.push(relativePath);
-      }
-      
-      // Look for network configuration
-      if (relativePath.includes('network_security_config.xml')) {
-        try {
-          const content = await zipEntry.async('text');
-          networkCalls.push(...analyzeNetworkConfig(content));
-        } catch (e) {
-          console.warn('Failed to analyze network config');
-        }
-      }
-    });
-
-    return { codeFiles, networkCalls };
-  };
-
-  const analyzeIOSCode = async (zip) => {
-    const codeFiles = [];
-    
-    await zip.forEach((relativePath, zipEntry) => {
-      if (relativePath.endsWith('.dylib') || relativePath.includes('.framework/')) {
-        codeFiles.push(relativePath);
-      }
-    });
-
-    return { codeFiles };
-  };
-
-  const extractStrings = (xmlContent) => {
-    const strings = [];
-    const matches = xmlContent.match(/<string[^>]*>([^<]+)<\/string>/g);
-    if (matches) {
-      matches.forEach(match => {
-        const content = match.replace(/<[^>]*>/g, '');
-        strings.push(content);
-      });
-    }
-    return strings;
-  };
-
-  const extractIOSStrings = (content) => {
-    const strings = [];
-    const lines = content.split('\n');
-    lines.forEach(line => {
-      const match = line.match(/"([^"]+)"/g);
-      if (match) {
-        strings.push(...match.map(s => s.replace(/"/g, '')));
-      }
-    });
-    return strings;
-  };
-
-  const extractLayoutInfo = (xmlContent) => {
-    const inputs = [];
-    const editTextMatches = xmlContent.match(/<EditText[^>]*>/g) || [];
-    const inputMatches = xmlContent.match(/android:inputType="([^"]+)"/g) || [];
-    const hintMatches = xmlContent.match(/android:hint="([^"]+)"/g) || [];
-    
-    return {
-      editTexts: editTextMatches.length,
-      inputTypes: inputMatches.map(m => m.replace(/android:inputType="([^"]+)"/, '$1')),
-      hints: hintMatches.map(m => m.replace(/android:hint="([^"]+)"/, '$1'))
-    };
-  };
-
-  const analyzeNetworkConfig = (configContent) => {
-    const calls = [];
-    if (configContent.includes('cleartextTrafficPermitted="true"')) {
-      calls.push('Cleartext HTTP traffic allowed');
-    }
-    return calls;
-  };
-
-  const performSecurityAnalysis = (appData) => {
-    const flags = [];
-    const score = { total: 0, max: 0 };
-
-    // Check permissions
-    if (appData.manifest?.permissions) {
-      const sensitivePerms = appData.manifest.permissions.filter(perm =>
-        RED_FLAGS.sensitivePermissions.some(flag => perm.includes(flag))
-      );
-      if (sensitivePerms.length > 0) {
-        flags.push({
-          type: 'HIGH',
-          category: 'Permissions',
-          message: `Suspicious permissions detected: ${sensitivePerms.join(', ')}`,
-          details: sensitivePerms
-        });
-        score.total += sensitivePerms.length * 3;
-      }
-      score.max += 15;
-    }
-
-    // Check for payment-related content
-    const allStrings = [
-      ...(appData.resources?.strings || []),
-      ...(appData.resources?.layouts?.flatMap(l => l.hints) || [])
-    ].join(' ').toLowerCase();
-
-    const paymentFlags = RED_FLAGS.paymentKeywords.filter(keyword =>
-      allStrings.includes(keyword)
-    );
-    if (paymentFlags.length > 0) {
-      flags.push({
-        type: 'HIGH',
-        category: 'Payment Data',
-        message: `Requests sensitive payment information: ${paymentFlags.join(', ')}`,
-        details: paymentFlags
-      });
-      score.total += paymentFlags.length * 4;
-    }
-    score.max += 20;
-
-    // Check for privacy violations
-    const privacyFlags = RED_FLAGS.privacyKeywords.filter(keyword =>
-      allStrings.includes(keyword)
-    );
-    if (privacyFlags.length > 0) {
-      flags.push({
-        type: 'MEDIUM',
-        category: 'Privacy',
-        message: `Requests sensitive personal data: ${privacyFlags.join(', ')}`,
-        details: privacyFlags
-      });
-      score.total += privacyFlags.length * 2;
-    }
-    score.max += 10;
-
-    // Check for social app access
-    const socialFlags = RED_FLAGS.socialAppAccess.filter(app =>
-      allStrings.includes(app) || 
-      appData.manifest?.permissions?.some(perm => perm.toLowerCase().includes(app))
-    );
-    if (socialFlags.length > 0) {
-      flags.push({
-        type: 'HIGH',
-        category: 'Social Media Access',
-        message: `Attempts to access social media apps: ${socialFlags.join(', ')}`,
-        details: socialFlags
-      });
-      score.total += socialFlags.length * 3;
-    }
-    score.max += 15;
-
-    // Check for insecure network connections
-    const networkIssues = appData.codeAnalysis?.networkCalls?.filter(call =>
-      call.includes('HTTP') || call.includes('cleartext')
-    ) || [];
-    if (networkIssues.length > 0) {
-      flags.push({
-        type: 'MEDIUM',
-        category: 'Network Security',
-        message: 'Uses insecure network connections',
-        details: networkIssues
-      });
-      score.total += networkIssues.length * 2;
-    }
-    score.max += 10;
-
-    // Calculate risk score
-    const riskScore = score.max > 0 ? Math.round((score.total / score.max) * 100) : 0;
-    
-    let riskLevel = 'LOW';
-    if (riskScore > 70) riskLevel = 'CRITICAL';
-    else if (riskScore > 50) riskLevel = 'HIGH';
-    else if (riskScore > 30) riskLevel = 'MEDIUM';
+  // A new file invalidates the previous report and any run still in flight
+  useEffect(() => {
+    setAnalysis(null);
+    setError(null);
+    return () => abortRef.current?.abort();
+  }, [externalFile]);
 
-    return {
-      flags,
-      riskScore,
-      riskLevel,
-      summary: {
-        totalFlags: flags.length,
-        highRiskFlags: flags.filter(f => f.type === 'HIGH').length,
-        mediumRiskFlags: flags.filter(f => f.type === 'MEDIUM').length
-      }
-    };
-  };
+  // Enabling or disabling rules or editing brands re-scores the current report without re-parsing
+  useEffect(() => {
+    setAnalysis(current => (current ? { ...current, ...scoreAppData(current, { rulePacks, brands }) } : current));
+  }, [rulePacks, brands]);
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
-      const fileExt = selectedFile.name.toLowerCase();
-      if (!fileExt.endsWith('.apk') && !fileExt.endsWith('.ipa')) {
+      if (!isSupportedFile(selectedFile.name)) {
         setError('Please select an APK or IPA file');
         return;
       }
@@ -416,30 +56,33 @@ const AppSecurityAnalyzer = () => {
     setLoading(true);
     setError(null);
     setAnalysis(null);
+    setProgress({ stage: STAGES[0].id, stagePercent: 0, percent: 0 });
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
-      let appData;
-      
-      if (file.name.toLowerCase().endsWith('.apk')) {
-        appData = await parseAPK(file);
-      } else {
-        appData = await parseIPA(file);
-      }
-
-      const securityAnalysis = performSecurityAnalysis(appData);
-
-      setAnalysis({
-        ...appData,
-        security: securityAnalysis
+      const result = await analyzeInWorker(file, {
+        rulePacks,
+        brands,
+        fingerprint: Boolean(onAnalyzed),
+        onProgress: setProgress,
+        signal: controller.signal
       });
-
+      setAnalysis(result);
+      if (onAnalyzed) onAnalyzed(result, file);
     } catch (err) {
-      setError(`Analysis failed: ${err.message}`);
+      setError(isAbortError(err) ? 'Analysis cancelled' : `Analysis failed: ${err.message}`);
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setLoading(false);
+      setProgress(null);
     }
   };
 
+  const cancelAnalysis = () => abortRef.current?.abort();
+
+  const stageIndex = progress ? STAGES.findIndex(stage => stage.id === progress.stage) : -1;
+
   const getRiskColor = (level) => {
     switch (level) {
       case 'CRITICAL': return 'text-red-800 bg-red-100';
@@ -451,6 +94,7 @@ const AppSecurityAnalyzer = () => {
 
   const getFlagColor = (type) => {
     switch (type) {
+      case 'CRITICAL':
       case 'HIGH': return 'border-red-500 bg-red-50';
       case 'MEDIUM': return 'border-yellow-500 bg-yellow-50';
       default: return 'border-blue-500 bg-blue-50';
@@ -462,17 +106,19 @@ const AppSecurityAnalyzer = () => {
       <h2 className="text-2xl font-bold mb-6 text-gray-800">App Security Analyzer</h2>
       
       <div className="space-y-4">
-        <div>
-          <label className="block text-sm font-medium mb-2 text-gray-700">
-            Select App File (APK/IPA)
-          </label>
-          <input
-            type="file"
-            accept=".apk,.ipa"
-            onChange={handleFileChange}
-            className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500"
-          />
-        </div>
+        {!externalFile && (
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">
+              Select App File (APK/IPA)
+            </label>
+            <input
+              type="file"
+              accept=".apk,.ipa"
+              onChange={handleFileChange}
+              className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500"
+            />
+          </div>
+        )}
 
         <button
           onClick={analyzeApp}
@@ -482,6 +128,31 @@ const AppSecurityAnalyzer = () => {
         >
           {loading ? 'Analyzing...' : 'Analyze App Security'}
         </button>
+
+        {loading && progress && (
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span>{STAGES[stageIndex].label}: {progress.stagePercent}%</span>
+              <span className="font-medium">{progress.percent}%</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded">
+              <div className="h-2 bg-teal-500 rounded transition-all" style={{ width: `${progress.percent}%` }} />
+            </div>
+            <ol className="flex justify-between text-xs mt-2 text-gray-500">
+              {STAGES.map((stage, i) => (
+                <li key={stage.id} className={i < stageIndex ? 'text-teal-700' : i === stageIndex ? 'font-semibold text-gray-800' : ''}>
+                  {stage.label}
+                </li>
+              ))}
+            </ol>
+            <button
+              onClick={cancelAnalysis}
+              className="mt-3 w-full py-2 px-4 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
       </div>
 
       {error && (
@@ -492,6 +163,10 @@ const AppSecurityAnalyzer = () => {
 
       {analysis && (
         <div className="mt-6 space-y-6">
+          <div className="flex justify-end">
+            <ExportMenu analysis={analysis} fileName={file?.name} rulePacks={rulePacks} />
+          </div>
+
           {/* Risk Overview */}
           <div className={`p-4 rounded-lg border-2 ${getRiskColor(analysis.security.riskLevel)}`}>
             <h3 className="text-xl font-bold mb-2">Security Risk: {analysis.security.riskLevel}</h3>
@@ -510,12 +185,18 @@ const AppSecurityAnalyzer = () => {
                 {analysis.security.flags.map((flag, index) => (
                   <div key={index} className={`p-3 border-l-4 rounded ${getFlagColor(flag.type)}`}>
                     <div className="flex items-center justify-between">
-                      <span className="font-medium">{flag.category}</span>
-                      <span className={`px-2 py-1 text-xs rounded ${flag.type === 'HIGH' ? 'bg-red-200 text-red-800' : 'bg-yellow-200 text-yellow-800'}`}>
+                      <span className="font-medium">
+                        {flag.category}
+                        <span className="ml-2 font-mono text-xs text-gray-500">{flag.ruleId}</span>
+                      </span>
+                      <span className={`px-2 py-1 text-xs rounded ${flag.type === 'HIGH' || flag.type === 'CRITICAL' ? 'bg-red-200 text-red-800' : 'bg-yellow-200 text-yellow-800'}`}>
                         {flag.type} RISK
                       </span>
                     </div>
                     <p className="text-sm mt-1">{flag.message}</p>
+                    {flag.remediation && (
+                      <p className="text-xs mt-1 text-gray-600"><strong>Remediation:</strong> {flag.remediation}</p>
+                    )}
                     {flag.details && (
                       <details className="mt-2">
                         <summary className="text-xs cursor-pointer">View Details</summary>
@@ -530,37 +211,230 @@ const AppSecurityAnalyzer = () => {
             </div>
           )}
 
+          {analysis.archive?.blocked && (
+            <div className="p-4 bg-red-50 border border-red-300 text-red-800 rounded-lg text-sm">
+              The archive was not unpacked because it failed the safety checks above; only its structure was analyzed.
+            </div>
+          )}
+
           {/* App Details */}
           <div className="bg-gray-50 p-4 rounded-lg">
-            <h3 className="text-lg font-semibold mb-3">App Information</h3>
+            <h3 className="text-lg font-semibold mb-3 flex items-center">
+              {analysis.resources?.icon?.preview && (
+                <img
+                  src={analysis.resources.icon.preview}
+                  alt="Launcher icon"
+                  title={`${analysis.resources.icon.path} · pHash ${analysis.resources.icon.phash}`}
+                  className="w-12 h-12 rounded-lg border mr-3"
+                />
+              )}
+              App Information
+            </h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
               <div>
                 <p><strong>Type:</strong> {analysis.type}</p>
                 <p><strong>Size:</strong> {(analysis.size / 1024 / 1024).toFixed(2)} MB</p>
+                {analysis.resources?.icon && (
+                  <p className="break-all">
+                    <strong>Icon:</strong>{' '}
+                    {analysis.resources.icon.error
+                      ? `not decoded (${analysis.resources.icon.error})`
+                      : `${analysis.resources.icon.source}${analysis.resources.icon.cgbi ? ' (CgBI)' : ''}, ` +
+                        `${analysis.resources.icon.width}×${analysis.resources.icon.height}, pHash ${analysis.resources.icon.phash}`}
+                  </p>
+                )}
+                {analysis.archive && (
+                  <p>
+                    <strong>Archive:</strong> {analysis.archive.entryCount} entries,{' '}
+                    {(analysis.archive.totalUncompressed / 1024 / 1024).toFixed(2)} MB unpacked
+                  </p>
+                )}
                 {analysis.manifest && (
                   <>
+                    <p><strong>App Label:</strong> {analysis.resources?.appLabel || 'Unknown'}</p>
+                    <p><strong>Package:</strong> {analysis.manifest.package}</p>
+                    <p><strong>Version:</strong> {analysis.manifest.versionName}</p>
                     <p><strong>Permissions:</strong> {analysis.manifest.permissions?.length || 0}</p>
                     <p><strong>Activities:</strong> {analysis.manifest.activities?.length || 0}</p>
+                    {analysis.manifest.components && (
+                      <p>
+                        <strong>Exported Components:</strong>{' '}
+                        {analysis.manifest.components.filter(component => component.exported).length} of{' '}
+                        {analysis.manifest.components.length}
+                      </p>
+                    )}
                   </>
                 )}
                 {analysis.plist && (
                   <>
                     <p><strong>Bundle ID:</strong> {analysis.plist.bundleId}</p>
                     <p><strong>App Name:</strong> {analysis.plist.appName}</p>
-                    <p><strong>Version:</strong> {analysis.plist.version}</p>
+                    <p><strong>Version:</strong> {analysis.plist.version} ({analysis.plist.build})</p>
+                    {analysis.plist.minimumOSVersion && (
+                      <p><strong>Minimum iOS:</strong> {analysis.plist.minimumOSVersion}</p>
+                    )}
+                    {analysis.codeAnalysis?.executable && !analysis.codeAnalysis.executable.error && (
+                      <>
+                        <p><strong>Architectures:</strong> {analysis.codeAnalysis.executable.architectures.join(', ')}</p>
+                        <p><strong>Encryption:</strong> {analysis.codeAnalysis.executable.encryption}</p>
+                        <p><strong>Linked Dylibs:</strong> {analysis.codeAnalysis.executable.dylibs.length}</p>
+                        {analysis.codeAnalysis.executable.entitlements && (
+                          <p className="break-all">
+                            <strong>Entitlements:</strong> {Object.keys(analysis.codeAnalysis.executable.entitlements).join(', ')}
+                          </p>
+                        )}
+                      </>
+                    )}
                   </>
                 )}
               </div>
               <div>
                 <p><strong>Code Files:</strong> {analysis.codeAnalysis?.codeFiles?.length || 0}</p>
+                {analysis.codeAnalysis?.dexFiles && (
+                  <>
+                    <p><strong>DEX Classes:</strong> {analysis.codeAnalysis.classCount} in {analysis.codeAnalysis.dexFiles.length} file(s)</p>
+                    <p><strong>Hardcoded URLs:</strong> {analysis.codeAnalysis.urls.length}</p>
+                  </>
+                )}
+                {analysis.secrets && (
+                  <p>
+                    <strong>Hardcoded Secrets:</strong> {analysis.secrets.findings.length} in{' '}
+                    {analysis.secrets.filesScanned} scanned file(s)
+                  </p>
+                )}
                 <p><strong>String Resources:</strong> {analysis.resources?.strings?.length || 0}</p>
+                {analysis.resources?.iconPath && (
+                  <p className="break-all"><strong>Icon:</strong> {analysis.resources.iconPath}</p>
+                )}
                 {analysis.resources?.layouts && (
                   <p><strong>Layout Files:</strong> {analysis.resources.layouts.length}</p>
                 )}
               </div>
             </div>
+
+            {/* Provisioning Profile */}
+            {analysis.provisioning && (
+              <div className="mt-4 pt-4 border-t border-gray-200 text-sm break-all">
+                <h4 className="font-semibold mb-2">Provisioning Profile</h4>
+                {analysis.provisioning.error ? (
+                  <p className="text-red-700">Could not decode profile: {analysis.provisioning.error}</p>
+                ) : (
+                  <>
+                    <p><strong>Team:</strong> {analysis.provisioning.teamName} ({analysis.provisioning.teamId})</p>
+                    <p><strong>Distribution:</strong> {analysis.provisioning.distribution}</p>
+                    <p><strong>App ID:</strong> {analysis.provisioning.applicationIdentifier}</p>
+                    <p><strong>Devices:</strong> {analysis.provisioning.provisionsAllDevices ? 'All devices' : analysis.provisioning.devices.length}</p>
+                    <p><strong>Expires:</strong> {analysis.provisioning.expirationDate?.slice(0, 10) || 'Unknown'}</p>
+                    <p><strong>get-task-allow:</strong> {analysis.provisioning.getTaskAllow ? 'Yes' : 'No'}</p>
+                    {analysis.provisioning.keychainAccessGroups.length > 0 && (
+                      <p><strong>Keychain Groups:</strong> {analysis.provisioning.keychainAccessGroups.join(', ')}</p>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Network Security */}
+            {analysis.networkSecurity && (
+              <div className="mt-4 pt-4 border-t border-gray-200 text-sm">
+                <h4 className="font-semibold mb-2">
+                  Network Security:{' '}
+                  <span className={NETWORK_VERDICT_STYLES[analysis.networkSecurity.verdict]}>
+                    {analysis.networkSecurity.verdict}
+                  </span>
+                </h4>
+                <p className="break-all">
+                  <strong>Config:</strong> {analysis.networkSecurity.source || 'none (manifest and platform defaults)'}
+                  {analysis.networkSecurity.error && ` (not readable: ${analysis.networkSecurity.error})`}
+                </p>
+                {analysis.networkSecurity.domains.length > 0 && (
+                  <table className="mt-2 w-full text-left">
+                    <thead>
+                      <tr><th className="pr-4">Domains</th><th className="pr-4">Cleartext</th><th className="pr-4">User CAs</th><th>Pins</th></tr>
+                    </thead>
+                    <tbody>
+                      {analysis.networkSecurity.domains.map((domain, index) => (
+                        <tr key={index} className="border-t align-top">
+                          <td className="py-1 pr-4 break-all">{domain.domains.join(', ')}</td>
+                          <td className="py-1 pr-4">{domain.cleartext ? 'allowed' : 'blocked'}</td>
+                          <td className="py-1 pr-4">{domain.userCertificates ? 'trusted' : 'no'}</td>
+                          <td className="py-1">
+                            {domain.pins
+                              ? `${domain.pins.count} pin(s)${domain.pins.expiration ? `, ${domain.pins.expired ? 'expired' : 'expires'} ${domain.pins.expiration}` : ''}`
+                              : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {analysis.networkSecurity.issues.length > 0 && (
+                  <ul className="mt-2 list-disc ml-5">
+                    {analysis.networkSecurity.issues.map(issue => <li key={issue.message}>{issue.message}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {/* Signing Certificates */}
+            {analysis.signing && (
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <h4 className="font-semibold mb-2">Signing</h4>
+                <p className="text-sm mb-2">
+                  <strong>Schemes:</strong> {analysis.signing.schemes.length ? analysis.signing.schemes.join(', ') : 'None'}
+                </p>
+                <div className="space-y-3 text-sm">
+                  {analysis.signing.certificates.map(cert => (
+                    <div key={cert.sha256} className="bg-white p-3 rounded border break-all">
+                      <p><strong>Subject:</strong> {cert.subject}</p>
+                      <p><strong>Issuer:</strong> {cert.issuer}</p>
+                      <p><strong>Valid:</strong> {cert.notBefore?.slice(0, 10)} to {cert.notAfter?.slice(0, 10)}</p>
+                      <p><strong>SHA-256:</strong> <span className="font-mono text-xs">{cert.sha256}</span></p>
+                      <p><strong>Algorithm:</strong> {cert.signatureAlgorithm} ({cert.schemes.join(', ')})</p>
+                    </div>
+                  ))}
+                </div>
+                {analysis.signing.lineage.length > 0 && (
+                  <div className="mt-3 text-sm">
+                    <p className="font-medium">Key Rotation Lineage</p>
+                    <ol className="list-decimal ml-5">
+                      {analysis.signing.lineage.map(node => (
+                        <li key={node.sha256} className="break-all">
+                          {node.subject} <span className="font-mono text-xs">({node.sha256.slice(0, 16)}…)</span>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
+          {/* Pipeline timing and per-entry errors */}
+          {analysis.pipeline && (
+            <details className="bg-gray-50 p-4 rounded-lg text-sm">
+              <summary className="font-semibold cursor-pointer">
+                Analysis Pipeline ({analysis.pipeline.stages.reduce((sum, stage) => sum + stage.durationMs, 0)} ms,{' '}
+                {analysis.pipeline.stages.reduce((sum, stage) => sum + stage.errors.length, 0)} entry errors)
+              </summary>
+              <table className="mt-3 w-full text-left">
+                <tbody>
+                  {analysis.pipeline.stages.map(stage => (
+                    <tr key={stage.id} className="border-t align-top">
+                      <td className="py-1 pr-4 font-medium">{stage.id}</td>
+                      <td className="py-1 pr-4">{stage.durationMs} ms</td>
+                      <td className="py-1 break-all">
+                        {stage.errors.length === 0 ? 'OK' : stage.errors.map(err => (
+                          <p key={err.entry} className="text-red-700">{err.entry}: {err.message}</p>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          )}
+
           {/* Detailed Analysis */}
           <details className="bg-gray-50 p-4 rounded-lg">
             <summary className="font-semibold cursor-pointer">View Full Analysis Report</summary>
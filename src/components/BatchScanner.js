@@ -0,0 +1,200 @@
+import React, { useRef, useState } from 'react';
+import { ArrowUpDown, FolderOpen, Upload, X } from 'lucide-react';
+import { collectDroppedFiles, collectInputFiles } from '../utils/dropFiles';
+import { VERDICTS } from '../utils/useScanQueue';
+
+const RISK_RANK = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
+const VERDICT_RANK = {
+  [VERDICTS.NOT_AUTHENTIC]: 3,
+  [VERDICTS.UNVERIFIED]: 2,
+  [VERDICTS.AUTHENTIC]: 1
+};
+
+const SORTERS = {
+  name: (item) => item.name.toLowerCase(),
+  risk: (item) => RISK_RANK[item.security?.riskLevel] || 0,
+  verdict: (item) => VERDICT_RANK[item.verdict] || 0
+};
+
+const RISK_STYLES = {
+  CRITICAL: 'bg-red-200 text-red-900',
+  HIGH: 'bg-red-100 text-red-800',
+  MEDIUM: 'bg-yellow-100 text-yellow-800',
+  LOW: 'bg-green-100 text-green-800'
+};
+
+const VERDICT_STYLES = {
+  [VERDICTS.AUTHENTIC]: 'text-green-700',
+  [VERDICTS.NOT_AUTHENTIC]: 'text-red-700',
+  [VERDICTS.UNVERIFIED]: 'text-gray-500'
+};
+
+const statusText = (item) => {
+  switch (item.status) {
+    case 'scanning': return item.stage === 'fingerprint' ? 'Fingerprint' : `${item.stage} ${item.progress}%`;
+    case 'done': return 'Done';
+    case 'error': return 'Failed';
+    case 'cancelled': return 'Cancelled';
+    default: return 'Queued';
+  }
+};
+
+// Drop zone, folder picker and sortable results for many samples at once.
+// `queue` is the object returned by useScanQueue.
+const BatchScanner = ({ queue }) => {
+  const [dragging, setDragging] = useState(false);
+  const [sort, setSort] = useState({ key: 'risk', descending: true });
+  const filesRef = useRef(null);
+  const folderRef = useRef(null);
+  const { items } = queue;
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragging(false);
+    queue.addFiles(await collectDroppedFiles(e.dataTransfer));
+  };
+
+  const handleInput = (e) => {
+    queue.addFiles(collectInputFiles(e.target.files));
+    e.target.value = '';
+  };
+
+  const toggleSort = (key) => {
+    setSort(current => ({ key, descending: current.key === key ? !current.descending : true }));
+  };
+
+  const sorted = [...items].sort((a, b) => {
+    const left = SORTERS[sort.key](a);
+    const right = SORTERS[sort.key](b);
+    const order = left < right ? -1 : left > right ? 1 : 0;
+    return sort.descending ? -order : order;
+  });
+
+  const counts = {
+    done: items.filter(item => item.status === 'done').length,
+    pending: items.filter(item => item.status === 'queued' || item.status === 'scanning').length,
+    flagged: items.filter(item => RISK_RANK[item.security?.riskLevel] >= RISK_RANK.HIGH ||
+      item.verdict === VERDICTS.NOT_AUTHENTIC).length
+  };
+
+  const header = (key, label) => (
+    <th className="py-2 pr-4">
+      <button onClick={() => toggleSort(key)} className="flex items-center font-semibold hover:text-teal-700">
+        {label}
+        <ArrowUpDown className={`w-3 h-3 ml-1 ${sort.key === key ? 'text-teal-700' : 'text-gray-400'}`} />
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-4 text-teal-700 text-center">Batch Scan</h3>
+
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
+          dragging ? 'border-teal-500 bg-teal-50' : 'border-teal-300'
+        }`}
+      >
+        <p className="text-gray-600 mb-4">
+          Drop APK/IPA files or whole folders here to queue them
+        </p>
+        <input ref={filesRef} type="file" accept=".apk,.ipa" multiple onChange={handleInput} className="hidden" />
+        <input ref={folderRef} type="file" webkitdirectory="" onChange={handleInput} className="hidden" />
+        <div className="flex justify-center gap-3">
+          <button
+            onClick={() => filesRef.current?.click()}
+            className="px-4 py-2 rounded-lg text-white font-medium hover:opacity-90 flex items-center"
+            style={{ backgroundColor: '#CD853F' }}
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Add Files
+          </button>
+          <button
+            onClick={() => folderRef.current?.click()}
+            className="px-4 py-2 rounded-lg border border-teal-400 text-teal-700 font-medium hover:bg-teal-50 flex items-center"
+          >
+            <FolderOpen className="w-4 h-4 mr-2" />
+            Add Folder
+          </button>
+        </div>
+      </div>
+
+      {items.length > 0 && (
+        <>
+          <div className="flex items-center justify-between mt-6 mb-2 text-sm">
+            <span>
+              {counts.done}/{items.length} scanned, {counts.pending} pending,{' '}
+              <span className="text-red-700 font-medium">{counts.flagged} flagged</span>
+            </span>
+            <span className="space-x-3">
+              {counts.pending > 0 && (
+                <button onClick={queue.cancelAll} className="text-red-700 hover:underline">Cancel all</button>
+              )}
+              <button onClick={queue.clearFinished} className="text-gray-600 hover:underline">Clear finished</button>
+            </span>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="border-b">
+                <tr>
+                  {header('name', 'File')}
+                  <th className="py-2 pr-4 font-semibold">Package</th>
+                  <th className="py-2 pr-4 font-semibold">Status</th>
+                  {header('risk', 'Risk')}
+                  {header('verdict', 'Verdict')}
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map(item => (
+                  <tr key={item.id} className="border-b align-top">
+                    <td className="py-2 pr-4 break-all">{item.name}</td>
+                    <td className="py-2 pr-4 break-all">{item.identity?.packageName || '—'}</td>
+                    <td className="py-2 pr-4">
+                      <span title={item.error || ''} className={item.status === 'error' ? 'text-red-700' : ''}>
+                        {statusText(item)}
+                      </span>
+                      {item.status === 'scanning' && item.stage !== 'fingerprint' && (
+                        <div className="w-24 h-1 bg-gray-200 rounded mt-1">
+                          <div className="h-1 bg-teal-500 rounded" style={{ width: `${item.progress}%` }} />
+                        </div>
+                      )}
+                      {item.error && <p className="text-xs text-red-700">{item.error}</p>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {item.security && (
+                        <span className={`px-2 py-0.5 rounded text-xs ${RISK_STYLES[item.security.riskLevel]}`}>
+                          {item.security.riskLevel} ({item.security.riskScore})
+                        </span>
+                      )}
+                    </td>
+                    <td className={`py-2 pr-4 ${VERDICT_STYLES[item.verdict] || ''}`}>
+                      <span title={item.verifyError || item.verification?.message || ''}>{item.verdict || '—'}</span>
+                    </td>
+                    <td className="py-2">
+                      <button
+                        onClick={() => (item.status === 'queued' || item.status === 'scanning'
+                          ? queue.cancel(item.id)
+                          : queue.remove(item.id))}
+                        className="text-gray-500 hover:text-red-500 p-1"
+                        title={item.status === 'queued' || item.status === 'scanning' ? 'Cancel' : 'Remove'}
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchScanner;
@@ -0,0 +1,208 @@
+import React, { useRef, useState } from 'react';
+import { ImagePlus, Pencil, Plus, RotateCcw, ShieldCheck, Trash2, Upload, X } from 'lucide-react';
+import {
+  addBrandIcon, iconFromImageFile, importBrands, removeBrand, removeBrandIcon, resetBrands, upsertBrand
+} from '../utils/protectedBrands';
+
+const EMPTY_FORM = { name: '', names: '', packages: '', keywords: '', certDigests: '' };
+
+const FIELDS = [
+  { key: 'name', label: 'Brand name', placeholder: 'WhatsApp' },
+  { key: 'names', label: 'Other app labels', placeholder: 'WhatsApp Business' },
+  { key: 'packages', label: 'Official package / bundle IDs', placeholder: 'com.whatsapp, net.whatsapp.WhatsApp' },
+  { key: 'keywords', label: 'Distinctive keywords', placeholder: 'whatsapp' },
+  { key: 'certDigests', label: 'Signing certificate SHA-256 digests', placeholder: 'one per line', multiline: true }
+];
+
+const toForm = (brand) => ({
+  name: brand.name,
+  names: brand.names.join(', '),
+  packages: brand.packages.join(', '),
+  keywords: brand.keywords.join(', '),
+  certDigests: brand.certDigests.join('\n')
+});
+
+// Editable list of protected brands for the lookalike rules (SNT-BRAND-*).
+// `brands` is owned by the parent, which persists it.
+const BrandManager = ({ brands, onChange }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const iconInputRef = useRef(null);
+  const iconTarget = useRef(null);
+
+  const handleSave = () => {
+    try {
+      const icons = brands.find(brand => brand.name === editing)?.icons;
+      const next = editing && editing !== form.name ? removeBrand(brands, editing) : brands;
+      onChange(upsertBrand(next, { ...form, icons }));
+      setForm(EMPTY_FORM);
+      setEditing(null);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      onChange(importBrands(brands, await selected.text()));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleIcon = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected || !iconTarget.current) return;
+    try {
+      onChange(addBrandIcon(brands, iconTarget.current, await iconFromImageFile(selected)));
+      setError(null);
+    } catch (err) {
+      setError(`Could not read ${selected.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-teal-700 flex items-center">
+          <ShieldCheck className="w-5 h-5 mr-2" />
+          Protected Brands
+        </h3>
+        <div className="flex space-x-2">
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-3 py-2 rounded-lg border text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Import
+          </button>
+          <button
+            onClick={() => onChange(resetBrands())}
+            className="px-3 py-2 rounded-lg border text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+          >
+            <RotateCcw className="w-4 h-4 mr-2" />
+            Defaults
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Apps whose package name, label or launcher icon imitates one of these brands are flagged. With
+        certificate digests on file, a lookalike signed by anyone else is reported as CRITICAL.
+      </p>
+      <input ref={iconInputRef} type="file" accept="image/png,image/webp,image/jpeg" onChange={handleIcon} className="hidden" />
+
+      {error && <p className="mb-4 p-3 bg-red-50 text-red-700 rounded text-sm break-words">{error}</p>}
+
+      <ul className="divide-y border rounded-lg mb-6">
+        {brands.map(brand => (
+          <li key={brand.name} className="flex items-start justify-between p-3 text-sm">
+            <div>
+              <span className="font-medium">{brand.name}</span>
+              {brand.names.length > 0 && <span className="text-gray-500"> · {brand.names.join(', ')}</span>}
+              <p className="font-mono text-xs text-gray-600 break-all">{brand.packages.join(', ')}</p>
+              <p className={`text-xs ${brand.certDigests.length ? 'text-green-700' : 'text-yellow-700'}`}>
+                {brand.certDigests.length
+                  ? `${brand.certDigests.length} certificate digest(s)`
+                  : 'No certificate digests: lookalikes are reported as HIGH only'}
+              </p>
+              {(brand.icons || []).length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {brand.icons.map((icon, index) => (
+                    <span key={`${icon.phash}-${index}`} className="relative" title={`${icon.name} · pHash ${icon.phash}`}>
+                      {icon.preview
+                        ? <img src={icon.preview} alt={icon.name} className="w-8 h-8 rounded border" />
+                        : <span className="block w-8 h-8 rounded border bg-gray-100" />}
+                      <button
+                        onClick={() => onChange(removeBrandIcon(brands, brand.name, index))}
+                        className="absolute -top-1 -right-1 bg-white rounded-full text-gray-500 hover:text-red-500"
+                        title="Remove icon"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="flex">
+              <button
+                onClick={() => { iconTarget.current = brand.name; iconInputRef.current?.click(); }}
+                className="text-gray-500 hover:text-teal-700 p-1"
+                title="Add icon to the gallery"
+              >
+                <ImagePlus className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => { setForm(toForm(brand)); setEditing(brand.name); }}
+                className="text-gray-500 hover:text-teal-700 p-1"
+                title="Edit brand"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onChange(removeBrand(brands, brand.name))}
+                className="text-gray-500 hover:text-red-500 p-1"
+                title="Remove brand"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid md:grid-cols-2 gap-3">
+        {FIELDS.map(({ key, label, placeholder, multiline }) => (
+          <label key={key} className={`text-sm ${multiline ? 'md:col-span-2' : ''}`}>
+            <span className="block text-gray-700 mb-1">{label}</span>
+            {multiline ? (
+              <textarea
+                value={form[key]}
+                placeholder={placeholder}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                rows={3}
+                className="w-full px-3 py-2 border rounded-lg font-mono text-xs"
+              />
+            ) : (
+              <input
+                value={form[key]}
+                placeholder={placeholder}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+            )}
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end space-x-2 mt-3">
+        {editing && (
+          <button
+            onClick={() => { setForm(EMPTY_FORM); setEditing(null); }}
+            className="px-4 py-2 rounded-lg border text-sm text-gray-600 hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 rounded-lg text-white text-sm font-medium hover:opacity-90 flex items-center"
+          style={{ backgroundColor: '#CD853F' }}
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          {editing ? 'Save Brand' : 'Add Brand'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BrandManager;
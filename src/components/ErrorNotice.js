@@ -0,0 +1,78 @@
+import React from 'react';
+import { AlertTriangle, Clock, ServerCrash, WifiOff } from 'lucide-react';
+import { ApiError } from '../api/errors';
+
+// How each API failure is presented: what happened and what to try next
+const API_ERRORS = {
+  NetworkError: {
+    icon: WifiOff,
+    title: 'Cannot reach the fingerprint service',
+    hint: 'Check your connection and the API URL in the server settings.',
+    style: 'bg-gray-50 border-gray-300 text-gray-800'
+  },
+  TimeoutError: {
+    icon: Clock,
+    title: 'The fingerprint service timed out',
+    hint: 'The service may be waking up or overloaded. Try again in a minute.',
+    style: 'bg-yellow-50 border-yellow-300 text-yellow-800'
+  },
+  ServerError: {
+    icon: ServerCrash,
+    title: 'The fingerprint service failed',
+    hint: 'This is a problem on the server side, not with your file.',
+    style: 'bg-orange-50 border-orange-300 text-orange-800'
+  },
+  RequestError: {
+    icon: AlertTriangle,
+    title: 'The request was rejected',
+    hint: 'Check the app details you entered.',
+    style: 'bg-red-50 border-red-200 text-red-700'
+  },
+  ResponseFormatError: {
+    icon: ServerCrash,
+    title: 'Unexpected answer from the service',
+    hint: 'The API URL may point at something other than the Sentinels API.',
+    style: 'bg-purple-50 border-purple-300 text-purple-800'
+  },
+  ServiceError: {
+    icon: AlertTriangle,
+    title: 'The service could not complete the check',
+    hint: null,
+    style: 'bg-red-50 border-red-200 text-red-700'
+  }
+};
+
+// Error banner for the scanner. Plain strings and other errors keep the
+// original red style; ApiError subclasses get their own title and hint.
+const ErrorNotice = ({ error }) => {
+  const kind = error instanceof ApiError ? API_ERRORS[error.name] : null;
+  if (!kind) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+        <div className="flex items-center justify-center">
+          <AlertTriangle className="w-5 h-5 text-red-500 mr-2" />
+          <span className="text-red-700 font-medium">{typeof error === 'string' ? error : `Error: ${error.message}`}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const Icon = kind.icon;
+  return (
+    <div className={`border rounded-lg p-4 ${kind.style}`} role="alert">
+      <div className="flex items-start">
+        <Icon className="w-5 h-5 mr-3 mt-0.5 shrink-0" />
+        <div className="text-sm">
+          <p className="font-semibold">{kind.title}</p>
+          <p className="break-words">
+            {error.message}
+            {error.attempts > 1 && ` (after ${error.attempts} attempts)`}
+          </p>
+          {kind.hint && <p className="mt-1 opacity-80">{kind.hint}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ErrorNotice;
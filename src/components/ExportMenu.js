@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Download, FileJson } from 'lucide-react';
+import { EXPORT_FORMATS, REPORT_SCHEMA, REPORT_VERSION, buildReport, exportFileName } from '../analyzer';
+import { downloadText } from '../utils/download';
+
+// Export dropdown for one finished analysis. The report is rebuilt on
+// every click so it reflects the rule packs and brands active right now.
+// A stored `report` (from the scan history) is exported as it was saved.
+const ExportMenu = ({ analysis, fileName, rulePacks, report: storedReport }) => {
+  const [open, setOpen] = useState(false);
+
+  const exportAs = (format) => {
+    const report = storedReport || buildReport(analysis, { fileName, rulePacks });
+    downloadText(exportFileName(report, format.extension), format.render(report), format.type);
+    setOpen(false);
+  };
+
+  const exportSchema = () => {
+    downloadText(`sentinels-report-${REPORT_VERSION}.schema.json`, JSON.stringify(REPORT_SCHEMA, null, 2), 'application/schema+json');
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-4 py-2 rounded-lg border text-sm text-gray-700 bg-white hover:bg-gray-100 flex items-center"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download className="w-4 h-4 mr-2" />
+        Export
+      </button>
+      {open && (
+        <ul role="menu" className="absolute right-0 mt-2 w-56 bg-white border rounded-lg shadow-lg z-10 py-1 text-sm">
+          {EXPORT_FORMATS.map(format => (
+            <li key={format.id}>
+              <button role="menuitem" onClick={() => exportAs(format)} className="w-full text-left px-4 py-2 hover:bg-gray-100">
+                {format.label}
+              </button>
+            </li>
+          ))}
+          <li className="border-t mt-1 pt-1">
+            <button
+              role="menuitem"
+              onClick={exportSchema}
+              className="w-full text-left px-4 py-2 hover:bg-gray-100 text-gray-600 flex items-center"
+            >
+              <FileJson className="w-4 h-4 mr-2" />
+              JSON Schema (v{REPORT_VERSION})
+            </button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,84 @@
+import React from 'react';
+import ExportMenu from './ExportMenu';
+
+const RISK_STYLES = {
+  CRITICAL: 'text-red-800 bg-red-100',
+  HIGH: 'text-red-700 bg-red-50',
+  MEDIUM: 'text-yellow-700 bg-yellow-50',
+  LOW: 'text-green-700 bg-green-50'
+};
+
+const FLAG_STYLES = {
+  CRITICAL: 'border-red-500 bg-red-50',
+  HIGH: 'border-red-500 bg-red-50',
+  MEDIUM: 'border-yellow-500 bg-yellow-50',
+  LOW: 'border-blue-500 bg-blue-50'
+};
+
+// Read-only view of a stored buildReport() result, used to re-open past
+// scans without the original file. `entry` is a scan history entry.
+const ReportView = ({ entry }) => {
+  const { report, hashes } = entry;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-start justify-between">
+        <div className="flex items-center">
+          {report?.app.icon?.preview && (
+            <img src={report.app.icon.preview} alt="Launcher icon" className="w-12 h-12 rounded-lg border mr-3" />
+          )}
+          <div>
+            <p className="font-semibold text-base">{entry.identity.appName || entry.fileName}</p>
+            <p className="font-mono text-xs text-gray-600">
+              {entry.identity.packageName} {entry.identity.version && `· ${entry.identity.version}`}
+            </p>
+            <p className="text-xs text-gray-500">Scanned {new Date(entry.scannedAt).toLocaleString()}</p>
+          </div>
+        </div>
+        {report && <ExportMenu report={report} />}
+      </div>
+
+      <div className="bg-gray-50 p-3 rounded-lg break-all">
+        <p><strong>File:</strong> {entry.fileName || 'Unknown'}</p>
+        <p><strong>SHA-256:</strong> <span className="font-mono text-xs">{hashes.sha256}</span></p>
+        {hashes.manifest && <p><strong>Manifest:</strong> <span className="font-mono text-xs">{hashes.manifest}</span></p>}
+        {hashes.certificate && (
+          <p><strong>Certificate:</strong> <span className="font-mono text-xs">{hashes.certificate}</span></p>
+        )}
+        <p>
+          <strong>Fingerprint:</strong> {entry.verdict || 'Not verified'}
+          {entry.verification?.message && ` (${entry.verification.message})`}
+        </p>
+      </div>
+
+      {report ? (
+        <>
+          <div className={`p-3 rounded-lg border-2 ${RISK_STYLES[report.verdict.riskLevel]}`}>
+            <p className="font-bold">Security Risk: {report.verdict.riskLevel} ({report.verdict.riskScore}/100)</p>
+            <p>
+              Safety score {report.verdict.safetyScore}/100 · {report.findings.length} finding(s) ·
+              rule packs {report.tool.rulePacks.join(', ')}
+            </p>
+          </div>
+          {report.findings.map(finding => (
+            <div key={finding.ruleId} className={`p-3 border-l-4 rounded ${FLAG_STYLES[finding.severity]}`}>
+              <p className="font-medium">
+                {finding.category}
+                <span className="ml-2 font-mono text-xs text-gray-500">{finding.ruleId}</span>
+                <span className="ml-2 text-xs">{finding.severity}</span>
+              </p>
+              <p>{finding.message}</p>
+              {finding.remediation && (
+                <p className="text-xs mt-1 text-gray-600"><strong>Remediation:</strong> {finding.remediation}</p>
+              )}
+            </div>
+          ))}
+        </>
+      ) : (
+        <p className="text-gray-500">Only the fingerprint check ran for this file; there is no security report.</p>
+      )}
+    </div>
+  );
+};
+
+export default ReportView;
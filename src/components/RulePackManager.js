@@ -0,0 +1,126 @@
+import React, { useRef, useState } from 'react';
+import { ListChecks, Upload, Trash2 } from 'lucide-react';
+import {
+  importRulePack, listRulePacks, removeRulePack, togglePack, toggleRule
+} from '../utils/rulePacks';
+
+const SEVERITY_STYLES = {
+  CRITICAL: 'bg-red-200 text-red-900',
+  HIGH: 'bg-red-100 text-red-800',
+  MEDIUM: 'bg-yellow-100 text-yellow-800',
+  LOW: 'bg-blue-100 text-blue-800'
+};
+
+// Lists the installed rule packs and lets the user import, upgrade,
+// enable/disable and remove them. `config` is owned by the parent.
+const RulePackManager = ({ config, onChange }) => {
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const packs = listRulePacks(config);
+
+  const handleImport = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    setError(null);
+    setMessage(null);
+    try {
+      const { config: next, pack, replaced } = importRulePack(config, await selected.text());
+      onChange(next);
+      setMessage(replaced
+        ? `Updated "${pack.name || pack.id}" from ${replaced} to ${pack.version}`
+        : `Installed "${pack.name || pack.id}" ${pack.version} (${pack.rules.length} rules)`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-teal-700 flex items-center">
+          <ListChecks className="w-5 h-5 mr-2" />
+          Rule Packs
+        </h3>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="px-4 py-2 rounded-lg text-white text-sm font-medium hover:opacity-90 flex items-center"
+          style={{ backgroundColor: '#CD853F' }}
+        >
+          <Upload className="w-4 h-4 mr-2" />
+          Import Pack
+        </button>
+      </div>
+
+      {message && <p className="mb-4 p-3 bg-green-50 text-green-700 rounded text-sm">{message}</p>}
+      {error && <p className="mb-4 p-3 bg-red-50 text-red-700 rounded text-sm break-words">{error}</p>}
+
+      <div className="space-y-4">
+        {packs.map(pack => (
+          <div key={pack.id} className="border rounded-lg">
+            <div className="flex items-center justify-between p-4 bg-gray-50">
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={pack.enabled}
+                  onChange={() => onChange(togglePack(config, pack.id))}
+                  className="mr-3"
+                />
+                <span>
+                  <span className="font-medium">{pack.name || pack.id}</span>
+                  <span className="ml-2 text-xs text-gray-500 font-mono">{pack.id}@{pack.version}</span>
+                  {pack.builtIn && <span className="ml-2 text-xs text-teal-700">built-in</span>}
+                </span>
+              </label>
+              {!pack.builtIn && (
+                <button
+                  onClick={() => onChange(removeRulePack(config, pack.id))}
+                  className="text-gray-500 hover:text-red-500 p-1"
+                  title="Remove pack"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            {pack.description && <p className="px-4 pt-3 text-sm text-gray-600">{pack.description}</p>}
+            <details className="p-4">
+              <summary className="text-sm cursor-pointer">{pack.rules.length} rules</summary>
+              <ul className="mt-3 space-y-2">
+                {pack.rules.map(rule => (
+                  <li key={rule.id} className="flex items-start text-sm">
+                    <input
+                      type="checkbox"
+                      checked={pack.enabled && !config.disabledRules.includes(rule.id)}
+                      disabled={!pack.enabled}
+                      onChange={() => onChange(toggleRule(config, rule.id))}
+                      className="mr-3 mt-1"
+                    />
+                    <div>
+                      <span className="font-mono text-xs mr-2">{rule.id}</span>
+                      <span className={`px-2 py-0.5 text-xs rounded mr-2 ${SEVERITY_STYLES[rule.severity]}`}>
+                        {rule.severity}
+                      </span>
+                      <span className="font-medium">{rule.title || rule.category}</span>
+                      <span className="text-gray-500"> · {rule.category} · {rule.matcher.type}</span>
+                      <p className="text-xs text-gray-600 mt-1">{rule.remediation}</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RulePackManager;
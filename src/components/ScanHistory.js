@@ -0,0 +1,218 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Download, History, Search, Trash2, Upload, X } from 'lucide-react';
+import ReportView from './ReportView';
+import VersionDiff from './VersionDiff';
+import { diffSnapshots } from '../analyzer';
+import { searchHistory } from '../utils/scanHistory';
+import { VERDICTS } from '../utils/useScanQueue';
+import { downloadText } from '../utils/download';
+
+const RISK_STYLES = {
+  CRITICAL: 'bg-red-200 text-red-900',
+  HIGH: 'bg-red-100 text-red-800',
+  MEDIUM: 'bg-yellow-100 text-yellow-800',
+  LOW: 'bg-green-100 text-green-800'
+};
+
+const VERDICT_STYLES = {
+  [VERDICTS.AUTHENTIC]: 'text-green-700',
+  [VERDICTS.NOT_AUTHENTIC]: 'text-red-700',
+  [VERDICTS.UNVERIFIED]: 'text-gray-500'
+};
+
+// Searchable list of past scans. `history` is the object returned by
+// useScanHistory; selecting an entry re-opens its stored report, which can
+// be diffed against another scan of the same package.
+const ScanHistory = ({ history }) => {
+  const [query, setQuery] = useState('');
+  const [verdict, setVerdict] = useState('all');
+  const [openId, setOpenId] = useState(null);
+  const [diffId, setDiffId] = useState('');
+  const [message, setMessage] = useState(null);
+  const importRef = useRef(null);
+
+  const results = useMemo(() => searchHistory(history.entries, { query, verdict }), [history.entries, query, verdict]);
+  const opened = history.entries.find(entry => entry.id === openId);
+
+  // Other scans of the opened package that can be diffed against it
+  const diffCandidates = opened?.snapshot
+    ? searchHistory(history.entries).filter(entry => entry.id !== opened.id && entry.snapshot &&
+      entry.identity.packageName === opened.identity.packageName)
+    : [];
+  const diffWith = diffCandidates.find(entry => entry.id === diffId);
+  // The older scan is always the base
+  const diff = diffWith && (diffWith.scannedAt <= opened.scannedAt
+    ? diffSnapshots(diffWith.snapshot, opened.snapshot)
+    : diffSnapshots(opened.snapshot, diffWith.snapshot));
+
+  const openEntry = (id) => {
+    setOpenId(id === openId ? null : id);
+    setDiffId('');
+  };
+
+  const handleImport = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      const count = await history.importText(await selected.text());
+      setMessage({ error: false, text: `Imported ${count} scan(s) from ${selected.name}` });
+    } catch (err) {
+      setMessage({ error: true, text: err.message });
+    }
+  };
+
+  const handleExport = () => {
+    downloadText(`sentinels-history-${new Date().toISOString().slice(0, 10)}.json`, history.exportText(), 'application/json');
+  };
+
+  const handleClear = () => {
+    if (window.confirm(`Delete all ${history.entries.length} scans from this device?`)) {
+      history.clear();
+      setOpenId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-teal-700 flex items-center">
+          <History className="w-5 h-5 mr-2" />
+          Scan History
+        </h3>
+        <div className="flex space-x-2">
+          <input ref={importRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          <button
+            onClick={() => importRef.current?.click()}
+            className="px-3 py-2 rounded-lg border text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Import
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={history.entries.length === 0}
+            className="px-3 py-2 rounded-lg border text-sm text-gray-700 hover:bg-gray-100 flex items-center disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            Export
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={history.entries.length === 0}
+            className="px-3 py-2 rounded-lg border text-sm text-red-700 hover:bg-red-50 flex items-center disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4 mr-2" />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Every scan is kept on this device with its hashes, verdict and report.
+        {history.ready && !history.persistent && ' This browser does not allow IndexedDB, so history lasts only until reload.'}
+      </p>
+
+      {history.error && <p className="mb-4 p-3 bg-red-50 text-red-700 rounded text-sm">{history.error}</p>}
+      {message && (
+        <p className={`mb-4 p-3 rounded text-sm ${message.error ? 'bg-red-50 text-red-700' : 'bg-teal-50 text-teal-800'}`}>
+          {message.text}
+        </p>
+      )}
+
+      <div className="flex space-x-2 mb-4">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search package, app name, file or hash"
+            className="w-full pl-9 pr-3 py-2 border rounded-lg text-sm"
+          />
+        </div>
+        <select value={verdict} onChange={(e) => setVerdict(e.target.value)} className="px-3 py-2 border rounded-lg text-sm">
+          <option value="all">All verdicts</option>
+          {Object.values(VERDICTS).map(value => <option key={value} value={value}>{value}</option>)}
+          <option value="none">Not verified</option>
+        </select>
+      </div>
+
+      {!history.ready ? (
+        <p className="text-sm text-gray-500">Loading history…</p>
+      ) : results.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          {history.entries.length === 0 ? 'No scans yet.' : 'No scans match this search.'}
+        </p>
+      ) : (
+        <ul className="divide-y border rounded-lg">
+          {results.map(entry => (
+            <li key={entry.id} className={`flex items-center justify-between p-3 text-sm ${entry.id === openId ? 'bg-teal-50' : ''}`}>
+              <button onClick={() => openEntry(entry.id)} className="flex items-center text-left flex-1 min-w-0">
+                {entry.report?.app.icon?.preview
+                  ? <img src={entry.report.app.icon.preview} alt="" className="w-8 h-8 rounded border mr-3" />
+                  : <span className="w-8 h-8 rounded border bg-gray-100 mr-3 shrink-0" />}
+                <span className="min-w-0">
+                  <span className="font-medium block truncate">
+                    {entry.identity.appName || entry.fileName}
+                    {entry.identity.version && <span className="text-gray-500"> · {entry.identity.version}</span>}
+                  </span>
+                  <span className="font-mono text-xs text-gray-600 block truncate">
+                    {entry.identity.packageName} · {entry.hashes.sha256.slice(0, 12)}…
+                  </span>
+                  <span className="text-xs text-gray-500">{new Date(entry.scannedAt).toLocaleString()}</span>
+                </span>
+              </button>
+              <div className="flex items-center space-x-3 ml-3">
+                {entry.riskLevel && (
+                  <span className={`px-2 py-1 text-xs rounded ${RISK_STYLES[entry.riskLevel]}`}>{entry.riskLevel}</span>
+                )}
+                <span className={`text-xs ${VERDICT_STYLES[entry.verdict] || 'text-gray-400'}`}>{entry.verdict || 'Not verified'}</span>
+                <button
+                  onClick={() => { history.remove(entry.id); if (openId === entry.id) setOpenId(null); }}
+                  className="text-gray-500 hover:text-red-500 p-1"
+                  title="Delete scan"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {opened && (
+        <div className="mt-6 border rounded-lg p-4">
+          <div className="flex justify-end">
+            <button onClick={() => setOpenId(null)} className="text-gray-500 hover:text-red-500 p-1" title="Close report">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <ReportView entry={opened} />
+
+          {diffCandidates.length > 0 && (
+            <div className="mt-6 pt-4 border-t">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Compare with another version of {opened.identity.packageName}
+                <select
+                  value={diffId}
+                  onChange={(e) => setDiffId(e.target.value)}
+                  className="block w-full mt-1 px-3 py-2 border rounded-lg text-sm font-normal"
+                >
+                  <option value="">Choose a scan…</option>
+                  {diffCandidates.map(entry => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.identity.version || 'unknown version'} · {new Date(entry.scannedAt).toLocaleString()} · {entry.fileName}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {diff && <VersionDiff diff={diff} />}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScanHistory;
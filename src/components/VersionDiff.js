@@ -0,0 +1,87 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const SECTIONS = [
+  { key: 'permissions', label: 'Permissions' },
+  { key: 'exportedComponents', label: 'Exported components' },
+  { key: 'domains', label: 'Domains' },
+  { key: 'nativeLibraries', label: 'Native libraries' },
+  { key: 'sdks', label: 'SDKs and code packages' },
+  { key: 'urls', label: 'URLs', collapsed: true }
+];
+
+const ChangeList = ({ added, removed }) => (
+  <ul className="font-mono text-xs break-all space-y-1">
+    {added.map(item => <li key={`+${item}`} className="text-red-700">+ {item}</li>)}
+    {removed.map(item => <li key={`-${item}`} className="text-gray-500">− {item}</li>)}
+  </ul>
+);
+
+// What changed between two versions of one app. `diff` comes from
+// diffSnapshots(older, newer); additions are what deserves review.
+const VersionDiff = ({ diff }) => {
+  const { risk, certificates } = diff;
+  const versionLabel = (side) => `${side.version || 'unknown'}${side.versionCode ? ` (${side.versionCode})` : ''}`;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <h4 className="font-semibold">
+        Version {versionLabel(diff.from)} → {versionLabel(diff.to)}
+      </h4>
+
+      {!diff.samePackage && (
+        <p className="p-3 bg-yellow-50 text-yellow-800 rounded">These scans are of different packages.</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-gray-600">Risk score</p>
+          <p className="text-lg font-semibold">
+            {risk.from ?? '?'} → {risk.to ?? '?'}
+            {risk.delta !== null && risk.delta !== 0 && (
+              <span className={`ml-2 ${risk.delta > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                ({risk.delta > 0 ? '+' : ''}{risk.delta})
+              </span>
+            )}
+          </p>
+          {risk.fromLevel !== risk.toLevel && <p className="text-xs">{risk.fromLevel} → {risk.toLevel}</p>}
+        </div>
+        <div className={`p-3 rounded-lg ${certificates.changed ? 'bg-red-50 text-red-800' : 'bg-gray-50'}`}>
+          <p className="text-gray-600">Signing certificate</p>
+          {certificates.changed ? (
+            <p className="font-semibold flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              Changed: no signer in common with the previous version
+            </p>
+          ) : (
+            <p className="font-semibold">
+              {certificates.added.length || certificates.removed.length ? 'Signer set changed (rotation)' : 'Unchanged'}
+            </p>
+          )}
+          <ChangeList added={certificates.added} removed={certificates.removed} />
+        </div>
+      </div>
+
+      {SECTIONS.map(({ key, label, collapsed }) => {
+        const { added, removed } = diff[key];
+        const title = `${label}: ${added.length} added, ${removed.length} removed`;
+        if (added.length === 0 && removed.length === 0) {
+          return <p key={key} className="text-gray-500">{label}: no change</p>;
+        }
+        return collapsed ? (
+          <details key={key} className="bg-gray-50 p-3 rounded-lg">
+            <summary className="cursor-pointer font-medium">{title}</summary>
+            <div className="mt-2"><ChangeList added={added} removed={removed} /></div>
+          </details>
+        ) : (
+          <div key={key} className="bg-gray-50 p-3 rounded-lg">
+            <p className="font-medium mb-1">{title}</p>
+            <ChangeList added={added} removed={removed} />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VersionDiff;
@@ -0,0 +1,103 @@
+// Helpers for building small binary fixtures in tests. Real APKs are too large
+// to commit, so tests assemble the exact chunks they need.
+
+export const concat = (...parts) => {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+};
+
+export const u16 = (value) => new Uint8Array([value & 0xff, (value >> 8) & 0xff]);
+
+export const u32 = (value) => {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value >>> 0, true);
+  return out;
+};
+
+export const chunk = (type, headerSize, headerRest, body) => {
+  const size = 8 + headerRest.length + body.length;
+  return concat(u16(type), u16(headerSize), u32(size), headerRest, body);
+};
+
+export const utf8Bytes = (s) =>
+  Uint8Array.from(unescape(encodeURIComponent(s)), (c) => c.charCodeAt(0));
+
+export const pad4 = (bytes) => {
+  const padding = (4 - (bytes.length % 4)) % 4;
+  return concat(bytes, new Uint8Array(padding));
+};
+
+export const stringPool = (strings, { utf8 = false } = {}) => {
+  const encoded = strings.map((s) => {
+    if (utf8) {
+      const bytes = utf8Bytes(s);
+      return concat(new Uint8Array([s.length, bytes.length]), bytes, new Uint8Array([0]));
+    }
+    const chars = new Uint8Array(s.length * 2);
+    for (let i = 0; i < s.length; i++) {
+      chars[i * 2] = s.charCodeAt(i) & 0xff;
+      chars[i * 2 + 1] = s.charCodeAt(i) >> 8;
+    }
+    return concat(u16(s.length), chars, u16(0));
+  });
+  const offsets = [];
+  let running = 0;
+  encoded.forEach((e) => {
+    offsets.push(u32(running));
+    running += e.length;
+  });
+  const headerSize = 28;
+  const stringsStart = headerSize + strings.length * 4;
+  const header = concat(
+    u32(strings.length), u32(0), u32(utf8 ? 1 << 8 : 0), u32(stringsStart), u32(0)
+  );
+  return chunk(0x0001, headerSize, header, pad4(concat(...offsets, ...encoded)));
+};
+
+export const NO_INDEX = 0xffffffff;
+
+// resources.arsc pieces: a ResTable_config with only language and density set
+export const resConfig = ({ language = '', density = 0 } = {}) => {
+  const lang = language ? [language.charCodeAt(0), language.charCodeAt(1)] : [0, 0];
+  return concat(u32(16), u16(0), u16(0), new Uint8Array([...lang, 0, 0, 0, 0]), u16(density));
+};
+
+export const resEntry = (key, dataType, data) =>
+  concat(u16(8), u16(0), u32(key), u16(8), new Uint8Array([0, dataType]), u32(data));
+
+// entries: array indexed by entry id, null for missing
+export const typeChunk = (typeId, cfg, entries) => {
+  const headerSize = 20 + cfg.length;
+  const offsets = [];
+  const bodies = [];
+  let running = 0;
+  entries.forEach((e) => {
+    offsets.push(u32(e ? running : NO_INDEX));
+    if (e) {
+      bodies.push(e);
+      running += e.length;
+    }
+  });
+  const header = concat(
+    new Uint8Array([typeId, 0]), u16(0), u32(entries.length),
+    u32(headerSize + entries.length * 4), cfg
+  );
+  return chunk(0x0201, headerSize, header, concat(...offsets, ...bodies));
+};
+
+// Package 0x7f named `packageName`, wrapped in a table with `globalStrings`
+export const resourceTable = ({ packageName, types, keys, globalStrings, typeChunks }) => {
+  const typePool = stringPool(types);
+  const keyPool = stringPool(keys);
+  const name = new Uint8Array(256);
+  packageName.split('').forEach((c, i) => { name[i * 2] = c.charCodeAt(0); });
+  const pkgHeader = concat(u32(0x7f), name, u32(288), u32(0), u32(288 + typePool.length), u32(0), u32(0));
+  const pkg = chunk(0x0200, 288, pkgHeader, concat(typePool, keyPool, ...typeChunks));
+  return chunk(0x0002, 12, u32(1), concat(stringPool(globalStrings, { utf8: true }), pkg));
+};
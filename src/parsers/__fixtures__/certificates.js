@@ -0,0 +1,31 @@
+// Self-signed 'CN=Android Debug' certificate (openssl, RSA-1024, serial 1)
+// and the same certificate wrapped in a PKCS#7 SignedData block.
+export const DEBUG_CERT_DER_BASE64 =
+  'MIICNzCCAaCgAwIBAgIBATANBgkqhkiG9w0BAQsFADA3MQswCQYDVQQGEwJVUzEQMA4GA1UECgwH' +
+  'QW5kcm9pZDEWMBQGA1UEAwwNQW5kcm9pZCBEZWJ1ZzAeFw0yNjEwMTkxODA3MTVaFw0zNjEwMTYx' +
+  'ODA3MTVaMDcxCzAJBgNVBAYTAlVTMRAwDgYDVQQKDAdBbmRyb2lkMRYwFAYDVQQDDA1BbmRyb2lk' +
+  'IERlYnVnMIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQCcaxvAbLkZFivpMtUTAA/q9l8XP9Io' +
+  'O7JDWVSN6BnYC63ghQnK1gvMUOIOQdKXPwtQS5e8BP2E8R+2ZWLPiWVyoy6HQQNtsc0n67dJKvMn' +
+  'KKS6AFCnrieKzVGqqew7NsMwf6xbpTgSN2raveE1pjrG+LYgSOx0UjjyQLtv4a/PRQIDAQABo1Mw' +
+  'UTAdBgNVHQ4EFgQU0RFvxicOGVYfrNgkgHgS5jqyK/cwHwYDVR0jBBgwFoAU0RFvxicOGVYfrNgk' +
+  'gHgS5jqyK/cwDwYDVR0TAQH/BAUwAwEB/zANBgkqhkiG9w0BAQsFAAOBgQBCUS4LniKiiL8TyG/V' +
+  'S2DsowUszxX27RgZAnfS3KO+C1YmEZaL7sQNXxyLY0XjkO5bKrxeX2bOal2vA5WKQLaJ2IqzhQZd' +
+  'mjyS4HdANHmEQz4Wcmr19ZrdcerevtAJW7tZeC6OKI0L55zkdufpsBDapTsm2UojJJCN3ZbQIjnQ' +
+  'nw==';
+
+export const DEBUG_CERT_PKCS7_BASE64 =
+  'MIICZgYJKoZIhvcNAQcCoIICVzCCAlMCAQExADALBgkqhkiG9w0BBwGgggI7MIICNzCCAaCgAwIB' +
+  'AgIBATANBgkqhkiG9w0BAQsFADA3MQswCQYDVQQGEwJVUzEQMA4GA1UECgwHQW5kcm9pZDEWMBQG' +
+  'A1UEAwwNQW5kcm9pZCBEZWJ1ZzAeFw0yNjEwMTkxODA3MTVaFw0zNjEwMTYxODA3MTVaMDcxCzAJ' +
+  'BgNVBAYTAlVTMRAwDgYDVQQKDAdBbmRyb2lkMRYwFAYDVQQDDA1BbmRyb2lkIERlYnVnMIGfMA0G' +
+  'CSqGSIb3DQEBAQUAA4GNADCBiQKBgQCcaxvAbLkZFivpMtUTAA/q9l8XP9IoO7JDWVSN6BnYC63g' +
+  'hQnK1gvMUOIOQdKXPwtQS5e8BP2E8R+2ZWLPiWVyoy6HQQNtsc0n67dJKvMnKKS6AFCnrieKzVGq' +
+  'qew7NsMwf6xbpTgSN2raveE1pjrG+LYgSOx0UjjyQLtv4a/PRQIDAQABo1MwUTAdBgNVHQ4EFgQU' +
+  '0RFvxicOGVYfrNgkgHgS5jqyK/cwHwYDVR0jBBgwFoAU0RFvxicOGVYfrNgkgHgS5jqyK/cwDwYD' +
+  'VR0TAQH/BAUwAwEB/zANBgkqhkiG9w0BAQsFAAOBgQBCUS4LniKiiL8TyG/VS2DsowUszxX27RgZ' +
+  'AnfS3KO+C1YmEZaL7sQNXxyLY0XjkO5bKrxeX2bOal2vA5WKQLaJ2IqzhQZdmjyS4HdANHmEQz4W' +
+  'cmr19ZrdcerevtAJW7tZeC6OKI0L55zkdufpsBDapTsm2UojJJCN3ZbQIjnQnzEA';
+
+export const DEBUG_CERT_SHA256 = '1e75452493750501a66f828bc50ac90ac6b5ec627209798d7b5669a8c174b3b4';
+
+export const fromBase64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
@@ -0,0 +1,237 @@
+import { createView, decodeUtf16, toHex, toUint8Array } from './bytes';
+import {
+  CHUNK,
+  formatTypedValue,
+  readChunkHeader,
+  readStringPool,
+  readTypedValue,
+  VALUE_TYPE
+} from './resChunk';
+
+const ENTRY_FLAG_COMPLEX = 0x0001;
+const ENTRY_FLAG_COMPACT = 0x0008;
+const TYPE_FLAG_SPARSE = 0x01;
+const TYPE_FLAG_OFFSET16 = 0x02;
+const NO_ENTRY = 0xffffffff;
+const NO_ENTRY16 = 0xffff;
+const MAX_REFERENCE_DEPTH = 8;
+
+const DENSITIES = {
+  0: '', 120: 'ldpi', 160: 'mdpi', 213: 'tvdpi', 240: 'hdpi', 320: 'xhdpi',
+  480: 'xxhdpi', 640: 'xxxhdpi', 0xfffe: 'anydpi', 0xffff: 'nodpi'
+};
+
+const readChars = (view, offset) => {
+  const a = view.getUint8(offset);
+  const b = view.getUint8(offset + 1);
+  if (!a) return '';
+  // Three-letter ISO-639-2 codes are packed into two bytes; keep them readable
+  if (a & 0x80) {
+    const first = b & 0x1f;
+    const second = ((b & 0xe0) >> 5) | ((a & 0x03) << 3);
+    const third = (a & 0x7c) >> 2;
+    return String.fromCharCode(first + 0x61, second + 0x61, third + 0x61);
+  }
+  return String.fromCharCode(a, b);
+};
+
+// Only the qualifiers the analysis cares about: locale and density
+const readConfig = (view, offset) => {
+  const size = view.getUint32(offset, true);
+  const language = size >= 12 ? readChars(view, offset + 8) : '';
+  const country = size >= 12 ? readChars(view, offset + 10) : '';
+  const density = size >= 16 ? view.getUint16(offset + 14, true) : 0;
+  const locale = language ? (country ? `${language}-r${country}` : language) : '';
+  const qualifiers = [locale, DENSITIES[density] ?? `${density}dpi`].filter(Boolean);
+  return { locale, density, qualifiers: qualifiers.join('-') || 'default' };
+};
+
+const readEntryOffsets = (view, typeChunk, entryCount, flags) => {
+  const offsets = [];
+  const start = typeChunk.offset + typeChunk.headerSize;
+  if (flags & TYPE_FLAG_SPARSE) {
+    for (let i = 0; i < entryCount; i++) {
+      const index = view.getUint16(start + i * 4, true);
+      const offset = view.getUint16(start + i * 4 + 2, true) * 4;
+      offsets.push([index, offset]);
+    }
+  } else if (flags & TYPE_FLAG_OFFSET16) {
+    for (let i = 0; i < entryCount; i++) {
+      const offset = view.getUint16(start + i * 2, true);
+      if (offset !== NO_ENTRY16) offsets.push([i, offset * 4]);
+    }
+  } else {
+    for (let i = 0; i < entryCount; i++) {
+      const offset = view.getUint32(start + i * 4, true);
+      if (offset !== NO_ENTRY) offsets.push([i, offset]);
+    }
+  }
+  return offsets;
+};
+
+const parseTypeChunk = (view, typeChunk, pkg, globalStrings, entries) => {
+  const base = typeChunk.offset;
+  const typeId = view.getUint8(base + 8);
+  const flags = view.getUint8(base + 9);
+  const entryCount = view.getUint32(base + 12, true);
+  const entriesStart = view.getUint32(base + 16, true);
+  const config = readConfig(view, base + 20);
+  const typeName = pkg.typeStrings[typeId - 1] || `type${typeId}`;
+
+  readEntryOffsets(view, typeChunk, entryCount, flags).forEach(([index, offset]) => {
+    const entryOffset = base + entriesStart + offset;
+    if (entryOffset + 8 > base + typeChunk.size) return;
+
+    const entryFlags = view.getUint16(entryOffset + 2, true);
+    let keyIndex;
+    let value = null;
+
+    if (entryFlags & ENTRY_FLAG_COMPACT) {
+      keyIndex = view.getUint16(entryOffset, true);
+      value = { dataType: entryFlags >> 8, data: view.getUint32(entryOffset + 4, true) };
+    } else {
+      const entrySize = view.getUint16(entryOffset, true);
+      keyIndex = view.getUint32(entryOffset + 4, true);
+      // Complex entries (styles, arrays, plurals) have no single value to resolve
+      if (!(entryFlags & ENTRY_FLAG_COMPLEX)) {
+        value = readTypedValue(view, entryOffset + entrySize);
+      }
+    }
+
+    const id = ((pkg.id << 24) | (typeId << 16) | index) >>> 0;
+    if (!entries.has(id)) {
+      entries.set(id, {
+        id,
+        type: typeName,
+        name: pkg.keyStrings[keyIndex] || `0x${toHex(id)}`,
+        values: []
+      });
+    }
+    if (value) {
+      entries.get(id).values.push({
+        config,
+        dataType: value.dataType,
+        data: value.data,
+        value: formatTypedValue(value, globalStrings)
+      });
+    }
+  });
+};
+
+const parsePackage = (bytes, view, pkgChunk, globalStrings, entries) => {
+  const base = pkgChunk.offset;
+  const pkg = {
+    id: view.getUint32(base + 8, true),
+    name: decodeUtf16(bytes, base + 12, 128).replace(/\0.*$/, ''),
+    typeStrings: [],
+    keyStrings: []
+  };
+  const typeStringsOffset = view.getUint32(base + 268, true);
+  const keyStringsOffset = view.getUint32(base + 276, true);
+
+  let offset = base + pkgChunk.headerSize;
+  while (offset < base + pkgChunk.size) {
+    const chunk = readChunkHeader(view, offset);
+    if (chunk.type === CHUNK.STRING_POOL) {
+      const pool = readStringPool(bytes, chunk).strings;
+      if (offset - base === typeStringsOffset) pkg.typeStrings = pool;
+      else if (offset - base === keyStringsOffset) pkg.keyStrings = pool;
+    } else if (chunk.type === CHUNK.TABLE_TYPE) {
+      parseTypeChunk(view, chunk, pkg, globalStrings, entries);
+    }
+    offset += chunk.size;
+  }
+  return pkg;
+};
+
+// Parses resources.arsc into a map of resource ID -> { type, name, values[] }
+// where each value carries the configuration (locale/density) it applies to.
+export const parseResourceTable = (data) => {
+  const bytes = toUint8Array(data);
+  const view = createView(bytes);
+  const root = readChunkHeader(view, 0);
+  if (root.type !== CHUNK.TABLE) {
+    throw new Error(`Not a resource table (chunk type 0x${root.type.toString(16)})`);
+  }
+
+  let globalStrings = [];
+  const packages = [];
+  const entries = new Map();
+
+  let offset = root.headerSize;
+  while (offset < root.size) {
+    const chunk = readChunkHeader(view, offset);
+    if (chunk.type === CHUNK.STRING_POOL) {
+      globalStrings = readStringPool(bytes, chunk).strings;
+    } else if (chunk.type === CHUNK.TABLE_PACKAGE) {
+      packages.push(parsePackage(bytes, view, chunk, globalStrings, entries));
+    }
+    offset += chunk.size;
+  }
+
+  return {
+    packages: packages.map(({ id, name }) => ({ id, name })),
+    entries
+  };
+};
+
+export const parseReferenceId = (ref) => {
+  if (typeof ref === 'number') return ref >>> 0;
+  const match = /^@(?:\+?0x)?([0-9a-f]{8})$/i.exec(ref || '');
+  return match ? parseInt(match[1], 16) >>> 0 : null;
+};
+
+// Picks the value for the default locale; drawables prefer the densest bitmap
+const pickValue = (entry, locale) => {
+  const { values } = entry;
+  if (!values.length) return null;
+  const byLocale = values.filter((v) => v.config.locale === locale);
+  const candidates = byLocale.length ? byLocale : values.filter((v) => !v.config.locale);
+  const pool = candidates.length ? candidates : values;
+  return pool.reduce((best, v) =>
+    (v.config.density > best.config.density && v.config.density < 0xfffe ? v : best));
+};
+
+// Resolves '@0x7f120027' (or a numeric ID) to its final value, following
+// reference chains such as @string/app_name -> @string/brand_name.
+export const resolveResource = (table, ref, { locale = '' } = {}) => {
+  let id = parseReferenceId(ref);
+  if (!table || id === null) return null;
+
+  for (let depth = 0; depth < MAX_REFERENCE_DEPTH; depth++) {
+    const entry = table.entries.get(id);
+    if (!entry) return null;
+    const picked = pickValue(entry, locale);
+    if (!picked) return null;
+    if (picked.dataType !== VALUE_TYPE.REFERENCE) {
+      return { id, type: entry.type, name: entry.name, value: picked.value };
+    }
+    id = picked.data;
+  }
+  return null;
+};
+
+// Returns every string resource for the given locale ('' = default) as
+// { name: value }
+export const getNamedStrings = (table, locale = '') => {
+  const strings = {};
+  if (!table) return strings;
+  table.entries.forEach((entry) => {
+    if (entry.type !== 'string') return;
+    const match = entry.values.find((v) => v.config.locale === locale);
+    if (match && match.dataType === VALUE_TYPE.STRING && match.value) {
+      strings[entry.name] = match.value;
+    }
+  });
+  return strings;
+};
+
+// Returns every string resource for the given locale ('' = default)
+export const getStrings = (table, locale = '') => Object.values(getNamedStrings(table, locale));
+
+// Resolves a manifest/layout attribute value if it is a reference, otherwise
+// returns it unchanged
+export const resolveAttribute = (table, value, options) => {
+  if (!value || !value.startsWith('@')) return value;
+  return resolveResource(table, value, options)?.value ?? value;
+};
@@ -0,0 +1,44 @@
+import { getStrings, parseResourceTable, resolveAttribute, resolveResource } from './arsc';
+import { resConfig, resEntry, resourceTable, typeChunk } from './__fixtures__/builders';
+
+const GLOBAL = ['Secure Bank', 'res/drawable-hdpi/ic.png', 'res/drawable-xhdpi/ic.png', 'Banco Seguro'];
+const TYPES = ['drawable', 'string'];
+const KEYS = ['ic', 'app_name', 'alias'];
+
+const buildTable = () => resourceTable({
+  packageName: 'com.bank',
+  types: TYPES,
+  keys: KEYS,
+  globalStrings: GLOBAL,
+  typeChunks: [
+    typeChunk(1, resConfig({ density: 240 }), [resEntry(0, 0x03, 1)]),
+    typeChunk(1, resConfig({ density: 320 }), [resEntry(0, 0x03, 2)]),
+    typeChunk(2, resConfig(), [null, resEntry(1, 0x03, 0), resEntry(2, 0x01, 0x7f020001)]),
+    typeChunk(2, resConfig({ language: 'es' }), [null, resEntry(1, 0x03, 3)])
+  ]
+});
+
+describe('parseResourceTable', () => {
+  const table = parseResourceTable(buildTable());
+
+  it('reads packages and entries', () => {
+    expect(table.packages).toEqual([{ id: 0x7f, name: 'com.bank' }]);
+    expect(table.entries.get(0x7f020001)).toMatchObject({ type: 'string', name: 'app_name' });
+  });
+
+  it('resolves strings per locale and follows references', () => {
+    expect(resolveResource(table, '@0x7f020001').value).toBe('Secure Bank');
+    expect(resolveResource(table, '@0x7f020001', { locale: 'es' }).value).toBe('Banco Seguro');
+    expect(resolveResource(table, '@0x7f020002')).toMatchObject({ name: 'app_name', value: 'Secure Bank' });
+    expect(resolveAttribute(table, 'Literal label')).toBe('Literal label');
+  });
+
+  it('prefers the densest drawable', () => {
+    expect(resolveResource(table, 0x7f010000).value).toBe('res/drawable-xhdpi/ic.png');
+  });
+
+  it('lists default-locale strings', () => {
+    expect(getStrings(table)).toEqual(['Secure Bank']);
+    expect(getStrings(table, 'es')).toEqual(['Banco Seguro']);
+  });
+});
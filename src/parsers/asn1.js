@@ -0,0 +1,125 @@
+import { decodeUtf8, toUint8Array } from './bytes';
+
+export const TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  T61_STRING: 0x14,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  BMP_STRING: 0x1e,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+const MAX_DEPTH = 32;
+
+// Parses one BER/DER element. Constructed elements get their children parsed
+// eagerly; indefinite lengths (common in older JAR signatures) are supported.
+export const parseAsn1 = (data, offset = 0, depth = 0) => {
+  const bytes = toUint8Array(data);
+  if (depth > MAX_DEPTH) throw new Error('ASN.1 nesting too deep');
+  if (offset + 2 > bytes.length) throw new Error('Truncated ASN.1 element');
+
+  const tag = bytes[offset];
+  const constructed = (tag & 0x20) !== 0;
+  let pos = offset + 1;
+  let length = bytes[pos++];
+  let indefinite = false;
+
+  if (length === 0x80) {
+    indefinite = true;
+    length = -1;
+  } else if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count > 4) throw new Error('ASN.1 length too large');
+    length = 0;
+    for (let i = 0; i < count; i++) length = (length * 256) + bytes[pos++];
+  }
+
+  const start = pos;
+  const node = { tag, constructed, start, headerLength: start - offset, children: [] };
+
+  if (indefinite) {
+    if (!constructed) throw new Error('Indefinite length on primitive ASN.1 element');
+    let child = start;
+    while (!(bytes[child] === 0 && bytes[child + 1] === 0)) {
+      const parsed = parseAsn1(bytes, child, depth + 1);
+      node.children.push(parsed);
+      child = parsed.end;
+      if (child >= bytes.length) throw new Error('Unterminated indefinite ASN.1 element');
+    }
+    node.end = child + 2;
+    node.length = child - start;
+  } else {
+    node.end = start + length;
+    node.length = length;
+    if (node.end > bytes.length) throw new Error('ASN.1 element runs past end of data');
+    if (constructed) {
+      let child = start;
+      while (child < node.end) {
+        const parsed = parseAsn1(bytes, child, depth + 1);
+        node.children.push(parsed);
+        child = parsed.end;
+      }
+    }
+  }
+
+  node.offset = offset;
+  node.bytes = bytes;
+  return node;
+};
+
+export const contentOf = (node) => node.bytes.subarray(node.start, node.start + node.length);
+
+export const encodedOf = (node) => node.bytes.subarray(node.offset, node.end);
+
+export const decodeOid = (node) => {
+  const content = contentOf(node);
+  const parts = [Math.floor(content[0] / 40), content[0] % 40];
+  let value = 0;
+  for (let i = 1; i < content.length; i++) {
+    value = (value * 128) + (content[i] & 0x7f);
+    if (!(content[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+};
+
+export const decodeInteger = (node) =>
+  Array.from(contentOf(node), (b) => b.toString(16).padStart(2, '0')).join('');
+
+export const decodeString = (node) => {
+  const content = contentOf(node);
+  if (node.tag === TAG.BMP_STRING) {
+    let out = '';
+    for (let i = 0; i + 1 < content.length; i += 2) {
+      out += String.fromCharCode((content[i] << 8) | content[i + 1]);
+    }
+    return out;
+  }
+  return decodeUtf8(content);
+};
+
+export const decodeTime = (node) => {
+  const text = decodeString(node);
+  const match = node.tag === TAG.UTC_TIME
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(text)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/.exec(text);
+  if (!match) return null;
+  let year = parseInt(match[1], 10);
+  // RFC 5280: two-digit years 50-99 are 19xx, 00-49 are 20xx
+  if (node.tag === TAG.UTC_TIME) year += year >= 50 ? 1900 : 2000;
+  return new Date(Date.UTC(
+    year, parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+    parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6] || '0', 10)
+  ));
+};
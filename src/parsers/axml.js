@@ -0,0 +1,180 @@
+import { DOMImplementation, DOMParser } from 'xmldom';
+import { createView, decodeUtf8, toUint8Array } from './bytes';
+import {
+  CHUNK,
+  formatTypedValue,
+  isNoEntry,
+  readChunkHeader,
+  readStringPool,
+  readTypedValue
+} from './resChunk';
+
+export const ANDROID_NS = 'http://schemas.android.com/apk/res/android';
+
+// Obfuscated/stripped manifests leave attribute names empty and rely on the
+// resource map, so keep the framework IDs for the attributes we care about.
+const ANDROID_ATTRS = {
+  0x01010000: 'theme',
+  0x01010001: 'label',
+  0x01010002: 'icon',
+  0x01010003: 'name',
+  0x01010006: 'permission',
+  0x01010007: 'readPermission',
+  0x01010008: 'writePermission',
+  0x0101000f: 'debuggable',
+  0x01010010: 'exported',
+  0x01010018: 'authorities',
+  0x0101001b: 'grantUriPermissions',
+  0x01010020: 'description',
+  0x01010024: 'value',
+  0x01010026: 'mimeType',
+  0x01010027: 'scheme',
+  0x01010028: 'host',
+  0x01010029: 'port',
+  0x0101002a: 'path',
+  0x0101002b: 'pathPrefix',
+  0x0101002c: 'pathPattern',
+  0x01010280: 'allowBackup',
+  0x0101020c: 'minSdkVersion',
+  0x01010270: 'targetSdkVersion',
+  0x01010271: 'maxSdkVersion',
+  0x0101021b: 'versionCode',
+  0x0101021c: 'versionName',
+  0x010102b7: 'installLocation',
+  0x0101052c: 'roundIcon',
+  0x010104ec: 'usesCleartextTraffic',
+  0x01010527: 'networkSecurityConfig',
+  0x010104ee: 'autoVerify',
+  0x01010009: 'protectionLevel'
+};
+
+export const isAXML = (data) => {
+  const bytes = toUint8Array(data);
+  return bytes.length >= 8 && bytes[0] === 0x03 && bytes[1] === 0x00;
+};
+
+// Decodes Android binary XML (AndroidManifest.xml, compiled layouts) into an
+// xmldom Document. Namespaced attributes keep their prefix, so callers can
+// query them as `getAttribute('android:name')`.
+export const decodeAXML = (data) => {
+  const bytes = toUint8Array(data);
+  const view = createView(bytes);
+  const root = readChunkHeader(view, 0);
+  if (root.type !== CHUNK.XML) {
+    throw new Error(`Not a binary XML file (chunk type 0x${root.type.toString(16)})`);
+  }
+
+  const doc = new DOMImplementation().createDocument(null, null, null);
+  let strings = [];
+  let resourceIds = [];
+  const prefixes = {};
+  const pendingNamespaces = [];
+  const stack = [doc];
+
+  const stringAt = (index) => (isNoEntry(index) ? null : strings[index] ?? null);
+
+  const attributeName = (nameIndex) => {
+    const name = stringAt(nameIndex);
+    if (name) return name;
+    return ANDROID_ATTRS[resourceIds[nameIndex]] || `attr_${nameIndex}`;
+  };
+
+  const qualify = (nsUri, localName) => {
+    if (!nsUri) return localName;
+    const prefix = prefixes[nsUri] || (nsUri === ANDROID_NS ? 'android' : null);
+    return prefix ? `${prefix}:${localName}` : localName;
+  };
+
+  let offset = root.headerSize;
+  while (offset < root.size) {
+    const chunk = readChunkHeader(view, offset);
+    const body = offset + chunk.headerSize;
+
+    switch (chunk.type) {
+      case CHUNK.STRING_POOL:
+        strings = readStringPool(bytes, chunk).strings;
+        break;
+
+      case CHUNK.XML_RESOURCE_MAP:
+        resourceIds = [];
+        for (let p = body; p < offset + chunk.size; p += 4) {
+          resourceIds.push(view.getUint32(p, true));
+        }
+        break;
+
+      case CHUNK.XML_START_NAMESPACE: {
+        const prefix = stringAt(view.getUint32(body, true));
+        const uri = stringAt(view.getUint32(body + 4, true));
+        if (uri) {
+          prefixes[uri] = prefix;
+          pendingNamespaces.push({ prefix, uri });
+        }
+        break;
+      }
+
+      case CHUNK.XML_END_NAMESPACE:
+        break;
+
+      case CHUNK.XML_START_ELEMENT: {
+        const nsUri = stringAt(view.getUint32(body, true));
+        const name = stringAt(view.getUint32(body + 4, true));
+        const attributeStart = view.getUint16(body + 8, true);
+        const attributeSize = view.getUint16(body + 10, true);
+        const attributeCount = view.getUint16(body + 12, true);
+
+        const element = doc.createElementNS(nsUri, qualify(nsUri, name));
+        // Namespace declarations belong to the first element after START_NAMESPACE
+        pendingNamespaces.splice(0).forEach(({ prefix, uri }) => {
+          element.setAttribute(prefix ? `xmlns:${prefix}` : 'xmlns', uri);
+        });
+
+        for (let i = 0; i < attributeCount; i++) {
+          const attr = body + attributeStart + i * attributeSize;
+          const attrNs = stringAt(view.getUint32(attr, true));
+          const attrName = attributeName(view.getUint32(attr + 4, true));
+          const rawValue = view.getUint32(attr + 8, true);
+          const value = isNoEntry(rawValue)
+            ? formatTypedValue(readTypedValue(view, attr + 12), strings)
+            : strings[rawValue] ?? '';
+          element.setAttributeNS(attrNs, qualify(attrNs, attrName), value);
+        }
+
+        stack[stack.length - 1].appendChild(element);
+        stack.push(element);
+        break;
+      }
+
+      case CHUNK.XML_END_ELEMENT:
+        if (stack.length > 1) stack.pop();
+        break;
+
+      case CHUNK.XML_CDATA: {
+        const text = stringAt(view.getUint32(body, true));
+        if (text && stack.length > 1) {
+          stack[stack.length - 1].appendChild(doc.createTextNode(text));
+        }
+        break;
+      }
+
+      default:
+        // Unknown chunks are skipped; their size still lets us move on
+        break;
+    }
+
+    offset += chunk.size;
+  }
+
+  if (!doc.documentElement) {
+    throw new Error('Binary XML contains no elements');
+  }
+  return doc;
+};
+
+// Accepts either compiled AXML or plain-text XML and always returns a Document
+export const parseAndroidXml = (data) => {
+  const bytes = toUint8Array(data);
+  if (isAXML(bytes)) {
+    return decodeAXML(bytes);
+  }
+  return new DOMParser().parseFromString(decodeUtf8(bytes), 'text/xml');
+};
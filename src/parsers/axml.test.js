@@ -0,0 +1,72 @@
+import { decodeAXML, isAXML, parseAndroidXml } from './axml';
+import { chunk, concat, NO_INDEX, stringPool, u16, u32 } from './__fixtures__/builders';
+
+const STRINGS = [
+  '', // obfuscated attribute name, resolved through the resource map
+  'versionCode',
+  'android',
+  'http://schemas.android.com/apk/res/android',
+  'manifest',
+  'package',
+  'com.bank.app',
+  'uses-permission',
+  'android.permission.SEND_SMS'
+];
+const ANDROID = 3;
+
+const nodeHeader = () => concat(u32(1), u32(NO_INDEX));
+
+const attribute = (ns, name, raw, dataType, data) =>
+  concat(u32(ns), u32(name), u32(raw), u16(8), new Uint8Array([0, dataType]), u32(data));
+
+const startElement = (name, attrs) =>
+  chunk(0x0102, 16, nodeHeader(), concat(
+    u32(NO_INDEX), u32(name), u16(20), u16(20), u16(attrs.length), u16(0), u16(0), u16(0),
+    ...attrs
+  ));
+
+const endElement = (name) => chunk(0x0103, 16, nodeHeader(), concat(u32(NO_INDEX), u32(name)));
+
+const buildManifest = (options) => {
+  const body = concat(
+    stringPool(STRINGS, options),
+    chunk(0x0180, 8, new Uint8Array(0), concat(u32(0x01010003), u32(0x0101021b))),
+    chunk(0x0100, 16, nodeHeader(), concat(u32(2), u32(ANDROID))),
+    startElement(4, [
+      attribute(NO_INDEX, 5, 6, 0x03, 6),
+      attribute(ANDROID, 1, NO_INDEX, 0x10, 42)
+    ]),
+    startElement(7, [attribute(ANDROID, 0, 8, 0x03, 8)]),
+    endElement(7),
+    endElement(4),
+    chunk(0x0101, 16, nodeHeader(), concat(u32(2), u32(ANDROID)))
+  );
+  return chunk(0x0003, 8, new Uint8Array(0), body);
+};
+
+describe('decodeAXML', () => {
+  it.each([false, true])('decodes elements and attributes (utf8 pool: %s)', (utf8) => {
+    const doc = decodeAXML(buildManifest({ utf8 }));
+    const root = doc.documentElement;
+
+    expect(root.tagName).toBe('manifest');
+    expect(root.getAttribute('package')).toBe('com.bank.app');
+    expect(root.getAttribute('android:versionCode')).toBe('42');
+
+    const perms = doc.getElementsByTagName('uses-permission');
+    expect(perms.length).toBe(1);
+    expect(perms[0].getAttribute('android:name')).toBe('android.permission.SEND_SMS');
+  });
+
+  it('rejects data that is not binary XML', () => {
+    expect(isAXML(new Uint8Array([0x3c, 0x3f, 0x78, 0x6d, 0, 0, 0, 0]))).toBe(false);
+    expect(() => decodeAXML(new Uint8Array([2, 0, 8, 0, 8, 0, 0, 0]))).toThrow(/Not a binary XML/);
+  });
+
+  it('falls back to the text parser for plain XML', () => {
+    const text = '<manifest package="com.plain"><uses-permission android:name="CAMERA"/></manifest>';
+    const bytes = Uint8Array.from(text, (c) => c.charCodeAt(0));
+    const doc = parseAndroidXml(bytes);
+    expect(doc.documentElement.getAttribute('package')).toBe('com.plain');
+  });
+});
@@ -0,0 +1,54 @@
+// Small helpers shared by the binary format parsers. They avoid TextDecoder so
+// the same code runs in the browser, in workers and under Node/jest.
+
+export const toUint8Array = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error('Expected binary data');
+};
+
+export const createView = (bytes) =>
+  new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+export const decodeUtf8 = (bytes, start = 0, end = bytes.length) => {
+  let out = '';
+  let i = start;
+  while (i < end) {
+    const b0 = bytes[i++];
+    let codePoint;
+    if (b0 < 0x80) {
+      codePoint = b0;
+    } else if ((b0 & 0xe0) === 0xc0) {
+      codePoint = ((b0 & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    } else if ((b0 & 0xf0) === 0xe0) {
+      codePoint = ((b0 & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else if ((b0 & 0xf8) === 0xf0) {
+      codePoint = ((b0 & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) |
+        ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      codePoint = 0xfffd;
+    }
+    out += String.fromCodePoint(codePoint);
+  }
+  return out;
+};
+
+export const decodeUtf16 = (bytes, start, charCount, littleEndian = true) => {
+  const view = createView(bytes);
+  const codes = [];
+  for (let i = 0; i < charCount; i++) {
+    codes.push(view.getUint16(start + i * 2, littleEndian));
+  }
+  // Build in slices so very long strings don't overflow the argument limit
+  let out = '';
+  for (let i = 0; i < codes.length; i += 4096) {
+    out += String.fromCharCode(...codes.slice(i, i + 4096));
+  }
+  return out;
+};
+
+export const toHex = (value, width = 8) =>
+  value.toString(16).padStart(width, '0');
@@ -0,0 +1,104 @@
+import { createView, decodeUtf8, toUint8Array } from './bytes';
+
+const HEADER_SIZE = 0x70;
+
+export const isDex = (data) => {
+  const bytes = toUint8Array(data);
+  return bytes.length >= HEADER_SIZE &&
+    bytes[0] === 0x64 && bytes[1] === 0x65 && bytes[2] === 0x78 && bytes[3] === 0x0a;
+};
+
+const readUleb128 = (bytes, offset) => {
+  let result = 0;
+  let shift = 0;
+  let size = 0;
+  let byte;
+  do {
+    byte = bytes[offset + size++];
+    result |= (byte & 0x7f) << shift;
+    shift += 7;
+  } while (byte & 0x80 && size < 5);
+  return { value: result >>> 0, size };
+};
+
+// DEX strings are MUTF-8: a ULEB128 UTF-16 length followed by a NUL-terminated body
+const readDexString = (bytes, offset) => {
+  const { size } = readUleb128(bytes, offset);
+  const start = offset + size;
+  let end = start;
+  while (end < bytes.length && bytes[end] !== 0) end++;
+  return decodeUtf8(bytes, start, end);
+};
+
+// 'Lcom/bank/Main;' -> 'com.bank.Main', '[I' -> 'int[]'
+const PRIMITIVES = {
+  V: 'void', Z: 'boolean', B: 'byte', S: 'short', C: 'char',
+  I: 'int', J: 'long', F: 'float', D: 'double'
+};
+
+export const descriptorToClassName = (descriptor) => {
+  let dims = 0;
+  while (descriptor[dims] === '[') dims++;
+  const base = descriptor.slice(dims);
+  const name = base.startsWith('L') && base.endsWith(';')
+    ? base.slice(1, -1).replace(/\//g, '.')
+    : PRIMITIVES[base] || base;
+  return name + '[]'.repeat(dims);
+};
+
+const checkSection = (bytes, name, count, offset, itemSize) => {
+  if (count && offset + count * itemSize > bytes.length) {
+    throw new Error(`DEX ${name} section runs past end of file`);
+  }
+};
+
+// Parses the string, type, method and class-def tables of a classes.dex.
+// Method references are returned in smali form: 'Lpkg/Cls;->name'.
+export const parseDex = (data) => {
+  const bytes = toUint8Array(data);
+  if (!isDex(bytes)) {
+    throw new Error('Not a DEX file');
+  }
+  const view = createView(bytes);
+  const u32 = (offset) => view.getUint32(offset, true);
+
+  const version = String.fromCharCode(bytes[4], bytes[5], bytes[6]);
+  const stringIdsSize = u32(56);
+  const stringIdsOff = u32(60);
+  const typeIdsSize = u32(64);
+  const typeIdsOff = u32(68);
+  const methodIdsSize = u32(88);
+  const methodIdsOff = u32(92);
+  const classDefsSize = u32(96);
+  const classDefsOff = u32(100);
+
+  checkSection(bytes, 'string_ids', stringIdsSize, stringIdsOff, 4);
+  checkSection(bytes, 'type_ids', typeIdsSize, typeIdsOff, 4);
+  checkSection(bytes, 'method_ids', methodIdsSize, methodIdsOff, 8);
+  checkSection(bytes, 'class_defs', classDefsSize, classDefsOff, 32);
+
+  const strings = new Array(stringIdsSize);
+  for (let i = 0; i < stringIdsSize; i++) {
+    strings[i] = readDexString(bytes, u32(stringIdsOff + i * 4));
+  }
+
+  const types = new Array(typeIdsSize);
+  for (let i = 0; i < typeIdsSize; i++) {
+    types[i] = strings[u32(typeIdsOff + i * 4)] || '';
+  }
+
+  const methods = new Array(methodIdsSize);
+  for (let i = 0; i < methodIdsSize; i++) {
+    const base = methodIdsOff + i * 8;
+    const classType = types[view.getUint16(base, true)] || '';
+    const name = strings[u32(base + 4)] || '';
+    methods[i] = `${classType}->${name}`;
+  }
+
+  const classes = new Array(classDefsSize);
+  for (let i = 0; i < classDefsSize; i++) {
+    classes[i] = descriptorToClassName(types[u32(classDefsOff + i * 32)] || '');
+  }
+
+  return { version, strings, types, methods, classes };
+};
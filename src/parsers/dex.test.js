@@ -0,0 +1,60 @@
+import { descriptorToClassName, isDex, parseDex } from './dex';
+import { concat, u16, u32, utf8Bytes } from './__fixtures__/builders';
+
+const STRINGS = ['Landroid/telephony/SmsManager;', 'Lcom/bank/Main;', 'http://evil.example/x', 'sendTextMessage'];
+
+const buildDex = () => {
+  const header = new Uint8Array(0x70);
+  header.set([0x64, 0x65, 0x78, 0x0a, 0x30, 0x33, 0x35, 0x00]);
+  const view = new DataView(header.buffer);
+
+  const stringIdsOff = 0x70;
+  const typeIdsOff = stringIdsOff + STRINGS.length * 4;
+  const methodIdsOff = typeIdsOff + 2 * 4;
+  const classDefsOff = methodIdsOff + 8;
+  const dataOff = classDefsOff + 32;
+
+  const stringData = [];
+  const stringIds = [];
+  let running = dataOff;
+  STRINGS.forEach((s) => {
+    const body = concat(new Uint8Array([s.length]), utf8Bytes(s), new Uint8Array([0]));
+    stringIds.push(u32(running));
+    stringData.push(body);
+    running += body.length;
+  });
+
+  [[56, STRINGS.length], [60, stringIdsOff], [64, 2], [68, typeIdsOff],
+    [88, 1], [92, methodIdsOff], [96, 1], [100, classDefsOff]]
+    .forEach(([offset, value]) => view.setUint32(offset, value, true));
+
+  return concat(
+    header,
+    ...stringIds,
+    u32(0), u32(1),
+    concat(u16(0), u16(0), u32(3)),
+    concat(u32(1), new Uint8Array(28)),
+    ...stringData
+  );
+};
+
+describe('parseDex', () => {
+  it('reads strings, types, method references and classes', () => {
+    const dex = parseDex(buildDex());
+    expect(dex.version).toBe('035');
+    expect(dex.strings).toContain('http://evil.example/x');
+    expect(dex.types).toEqual(['Landroid/telephony/SmsManager;', 'Lcom/bank/Main;']);
+    expect(dex.methods).toEqual(['Landroid/telephony/SmsManager;->sendTextMessage']);
+    expect(dex.classes).toEqual(['com.bank.Main']);
+  });
+
+  it('rejects non-DEX data', () => {
+    expect(isDex(new Uint8Array(0x70))).toBe(false);
+    expect(() => parseDex(new Uint8Array(0x70))).toThrow('Not a DEX file');
+  });
+
+  it('converts descriptors to Java names', () => {
+    expect(descriptorToClassName('[[Ljava/lang/String;')).toBe('java.lang.String[][]');
+    expect(descriptorToClassName('I')).toBe('int');
+  });
+});
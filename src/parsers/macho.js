@@ -0,0 +1,179 @@
+import { createView, decodeUtf8, toUint8Array } from './bytes';
+import { parsePlist } from './plist';
+
+const FAT_MAGIC = 0xcafebabe;
+const FAT_MAGIC_64 = 0xcafebabf;
+const MH_MAGIC = 0xfeedface;
+const MH_MAGIC_64 = 0xfeedfacf;
+
+const LC = {
+  LOAD_DYLIB: 0x0c,
+  UUID: 0x1b,
+  CODE_SIGNATURE: 0x1d,
+  LAZY_LOAD_DYLIB: 0x20,
+  ENCRYPTION_INFO: 0x21,
+  VERSION_MIN_IPHONEOS: 0x25,
+  ENCRYPTION_INFO_64: 0x2c,
+  BUILD_VERSION: 0x32,
+  LOAD_WEAK_DYLIB: 0x80000018,
+  REEXPORT_DYLIB: 0x8000001f,
+  LOAD_UPWARD_DYLIB: 0x80000023
+};
+
+const DYLIB_COMMANDS = new Set([
+  LC.LOAD_DYLIB, LC.LAZY_LOAD_DYLIB, LC.LOAD_WEAK_DYLIB, LC.REEXPORT_DYLIB, LC.LOAD_UPWARD_DYLIB
+]);
+
+// Code signature SuperBlob (big-endian)
+const CSMAGIC_EMBEDDED_SIGNATURE = 0xfade0cc0;
+const CSMAGIC_EMBEDDED_ENTITLEMENTS = 0xfade7171;
+const CSSLOT_ENTITLEMENTS = 5;
+
+const CPU_TYPES = {
+  7: 'i386',
+  12: 'arm',
+  0x01000007: 'x86_64',
+  0x0100000c: 'arm64',
+  0x0200000c: 'arm64_32'
+};
+
+const PLATFORMS = { 1: 'macOS', 2: 'iOS', 3: 'tvOS', 4: 'watchOS', 6: 'Mac Catalyst', 7: 'iOS Simulator' };
+
+const cpuName = (cpuType, cpuSubtype) => {
+  if (cpuType === 0x0100000c && (cpuSubtype & 0xff) === 2) return 'arm64e';
+  return CPU_TYPES[cpuType] || `cpu_${cpuType.toString(16)}`;
+};
+
+// Versions are encoded as xxxx.yy.zz nibbles
+const formatVersion = (value) => {
+  const patch = value & 0xff;
+  const minor = (value >> 8) & 0xff;
+  const major = value >>> 16;
+  return patch ? `${major}.${minor}.${patch}` : `${major}.${minor}`;
+};
+
+const readCString = (bytes, start, end) => {
+  let stop = start;
+  while (stop < end && bytes[stop] !== 0) stop++;
+  return decodeUtf8(bytes, start, stop);
+};
+
+export const isMachO = (data) => {
+  const bytes = toUint8Array(data);
+  if (bytes.length < 8) return false;
+  const view = createView(bytes);
+  const be = view.getUint32(0, false);
+  const le = view.getUint32(0, true);
+  return be === FAT_MAGIC || be === FAT_MAGIC_64 || le === MH_MAGIC || le === MH_MAGIC_64;
+};
+
+const readEntitlements = (bytes, view, dataOff, dataSize) => {
+  if (dataOff + 12 > bytes.length || view.getUint32(dataOff, false) !== CSMAGIC_EMBEDDED_SIGNATURE) {
+    return null;
+  }
+  const count = view.getUint32(dataOff + 8, false);
+  for (let i = 0; i < count; i++) {
+    const type = view.getUint32(dataOff + 12 + i * 8, false);
+    const offset = dataOff + view.getUint32(dataOff + 16 + i * 8, false);
+    if (type !== CSSLOT_ENTITLEMENTS || offset + 8 > dataOff + dataSize) continue;
+    if (view.getUint32(offset, false) !== CSMAGIC_EMBEDDED_ENTITLEMENTS) continue;
+    const length = view.getUint32(offset + 4, false);
+    return parsePlist(bytes.subarray(offset + 8, offset + length));
+  }
+  return null;
+};
+
+const parseThin = (bytes) => {
+  const view = createView(bytes);
+  const magic = view.getUint32(0, true);
+  if (magic !== MH_MAGIC && magic !== MH_MAGIC_64) {
+    throw new Error('Not a Mach-O image');
+  }
+  const is64 = magic === MH_MAGIC_64;
+  const ncmds = view.getUint32(16, true);
+  const headerSize = is64 ? 32 : 28;
+
+  const image = {
+    arch: cpuName(view.getUint32(4, true), view.getUint32(8, true)),
+    fileType: view.getUint32(12, true),
+    dylibs: [],
+    encryption: null,
+    minOS: null,
+    platform: null,
+    uuid: null,
+    entitlements: null
+  };
+
+  let offset = headerSize;
+  for (let i = 0; i < ncmds; i++) {
+    if (offset + 8 > bytes.length) throw new Error('Mach-O load commands are truncated');
+    const cmd = view.getUint32(offset, true);
+    const cmdSize = view.getUint32(offset + 4, true);
+    if (cmdSize < 8 || offset + cmdSize > bytes.length) {
+      throw new Error(`Invalid Mach-O load command size at offset ${offset}`);
+    }
+
+    if (DYLIB_COMMANDS.has(cmd)) {
+      const nameOffset = view.getUint32(offset + 8, true);
+      image.dylibs.push(readCString(bytes, offset + nameOffset, offset + cmdSize));
+    } else if (cmd === LC.ENCRYPTION_INFO || cmd === LC.ENCRYPTION_INFO_64) {
+      image.encryption = {
+        cryptoff: view.getUint32(offset + 8, true),
+        cryptsize: view.getUint32(offset + 12, true),
+        cryptid: view.getUint32(offset + 16, true)
+      };
+    } else if (cmd === LC.VERSION_MIN_IPHONEOS) {
+      image.platform = 'iOS';
+      image.minOS = formatVersion(view.getUint32(offset + 8, true));
+    } else if (cmd === LC.BUILD_VERSION) {
+      const platform = view.getUint32(offset + 8, true);
+      image.platform = PLATFORMS[platform] || `platform_${platform}`;
+      image.minOS = formatVersion(view.getUint32(offset + 12, true));
+    } else if (cmd === LC.UUID) {
+      image.uuid = Array.from(bytes.subarray(offset + 8, offset + 24),
+        (b) => b.toString(16).padStart(2, '0')).join('');
+    } else if (cmd === LC.CODE_SIGNATURE) {
+      const dataOff = view.getUint32(offset + 8, true);
+      const dataSize = view.getUint32(offset + 12, true);
+      try {
+        image.entitlements = readEntitlements(bytes, view, dataOff, dataSize);
+      } catch (e) {
+        image.entitlementsError = e.message;
+      }
+    }
+    offset += cmdSize;
+  }
+
+  return image;
+};
+
+// Parses a thin or fat/universal Mach-O file into one entry per architecture
+export const parseMachO = (data) => {
+  const bytes = toUint8Array(data);
+  const view = createView(bytes);
+  const magic = view.getUint32(0, false);
+
+  if (magic === FAT_MAGIC || magic === FAT_MAGIC_64) {
+    const is64 = magic === FAT_MAGIC_64;
+    const count = view.getUint32(4, false);
+    const entrySize = is64 ? 32 : 20;
+    if (count > 32 || 8 + count * entrySize > bytes.length) {
+      throw new Error('Invalid fat Mach-O header');
+    }
+    const images = [];
+    for (let i = 0; i < count; i++) {
+      const entry = 8 + i * entrySize;
+      const offset = is64
+        ? view.getUint32(entry + 8, false) * 0x100000000 + view.getUint32(entry + 12, false)
+        : view.getUint32(entry + 8, false);
+      const size = is64
+        ? view.getUint32(entry + 16, false) * 0x100000000 + view.getUint32(entry + 20, false)
+        : view.getUint32(entry + 12, false);
+      if (offset + size > bytes.length) throw new Error('Fat Mach-O slice runs past end of file');
+      images.push(parseThin(bytes.subarray(offset, offset + size)));
+    }
+    return { fat: true, images };
+  }
+
+  return { fat: false, images: [parseThin(bytes)] };
+};
@@ -0,0 +1,67 @@
+import { isMachO, parseMachO } from './macho';
+import { concat, pad4, u32, utf8Bytes } from './__fixtures__/builders';
+
+const be32 = (value) => {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value >>> 0, false);
+  return out;
+};
+
+const ENTITLEMENTS = '<plist><dict><key>get-task-allow</key><true/></dict></plist>';
+
+const dylibCommand = (name) => {
+  const body = pad4(concat(utf8Bytes(name), new Uint8Array(1)));
+  return concat(u32(0x0c), u32(24 + body.length), u32(24), u32(0), u32(0), u32(0), body);
+};
+
+const buildThin = ({ cryptid }) => {
+  const entitlements = utf8Bytes(ENTITLEMENTS);
+  const entBlob = concat(be32(0xfade7171), be32(8 + entitlements.length), entitlements);
+  const superBlob = concat(be32(0xfade0cc0), be32(20 + entBlob.length), be32(1), be32(5), be32(20), entBlob);
+
+  const commands = [
+    dylibCommand('/usr/lib/libSystem.B.dylib'),
+    dylibCommand('@executable_path/Frameworks/libsubstrate.dylib'),
+    concat(u32(0x2c), u32(24), u32(0x4000), u32(0x1000), u32(cryptid), u32(0)),
+    concat(u32(0x32), u32(24), u32(2), u32(0x000e0000), u32(0x00110000), u32(0))
+  ];
+  const sigCmdSize = 16;
+  const cmdsSize = commands.reduce((sum, c) => sum + c.length, 0) + sigCmdSize;
+  const dataOff = 32 + cmdsSize;
+  commands.push(concat(u32(0x1d), u32(sigCmdSize), u32(dataOff), u32(superBlob.length)));
+
+  const header = concat(
+    u32(0xfeedfacf), u32(0x0100000c), u32(0), u32(2),
+    u32(commands.length), u32(cmdsSize), u32(0), u32(0)
+  );
+  return concat(header, ...commands, superBlob);
+};
+
+describe('parseMachO', () => {
+  it('reads load commands from a thin arm64 image', () => {
+    const thin = buildThin({ cryptid: 0 });
+    expect(isMachO(thin)).toBe(true);
+
+    const { fat, images } = parseMachO(thin);
+    expect(fat).toBe(false);
+    expect(images[0]).toMatchObject({
+      arch: 'arm64',
+      platform: 'iOS',
+      minOS: '14.0',
+      encryption: { cryptoff: 0x4000, cryptsize: 0x1000, cryptid: 0 },
+      dylibs: ['/usr/lib/libSystem.B.dylib', '@executable_path/Frameworks/libsubstrate.dylib'],
+      entitlements: { 'get-task-allow': true }
+    });
+  });
+
+  it('splits fat binaries into slices', () => {
+    const slice = buildThin({ cryptid: 1 });
+    const header = concat(be32(0xcafebabe), be32(1), be32(0x0100000c), be32(0), be32(28), be32(slice.length), be32(14));
+    const fatFile = concat(header, slice);
+
+    const { fat, images } = parseMachO(fatFile);
+    expect(fat).toBe(true);
+    expect(images).toHaveLength(1);
+    expect(images[0].encryption.cryptid).toBe(1);
+  });
+});
@@ -0,0 +1,113 @@
+import { toUint8Array } from './bytes';
+import { contentOf, decodeOid, parseAsn1, TAG } from './asn1';
+import { parsePlist } from './plist';
+import { parseCertificate } from './signing';
+
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+
+// BER encoders may split the OCTET STRING into constructed chunks
+const collectOctets = (node, out) => {
+  if (node.constructed) {
+    node.children.forEach((child) => collectOctets(child, out));
+  } else {
+    out.push(contentOf(node));
+  }
+  return out;
+};
+
+const indexOfAscii = (bytes, text, from = 0) => {
+  outer:
+  for (let i = Math.max(from, 0); i <= bytes.length - text.length; i++) {
+    for (let j = 0; j < text.length; j++) {
+      if (bytes[i + j] !== text.charCodeAt(j)) continue outer;
+    }
+    return i;
+  }
+  return -1;
+};
+
+// Pulls the signed plist out of the CMS wrapper (SignedData.encapContentInfo)
+export const extractProfilePlist = (data) => {
+  const bytes = toUint8Array(data);
+  try {
+    const contentInfo = parseAsn1(bytes);
+    const [oid, explicit] = contentInfo.children;
+    if (oid?.tag === TAG.OID && decodeOid(oid) === OID_SIGNED_DATA) {
+      const signedData = explicit.children[0];
+      const encap = signedData.children.find((child, i) => i > 0 && child.tag === TAG.SEQUENCE);
+      const content = encap?.children[1]?.children[0];
+      if (content) {
+        const chunks = collectOctets(content, []);
+        const total = chunks.reduce((sum, c) => sum + c.length, 0);
+        const plist = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach((c) => {
+          plist.set(c, offset);
+          offset += c.length;
+        });
+        return plist;
+      }
+    }
+  } catch (e) {
+    // Fall through to the text scan below
+  }
+
+  // Malformed wrappers still carry the plist in clear text
+  const start = indexOfAscii(bytes, '<?xml');
+  const end = indexOfAscii(bytes, '</plist>', start);
+  if (start < 0 || end < 0) throw new Error('No plist found in provisioning profile');
+  return bytes.subarray(start, end + '</plist>'.length);
+};
+
+const distributionType = (profile) => {
+  if (profile.ProvisionsAllDevices) return 'enterprise';
+  if (Array.isArray(profile.ProvisionedDevices)) {
+    return profile.Entitlements?.['get-task-allow'] ? 'development' : 'ad-hoc';
+  }
+  return 'app-store';
+};
+
+// Decodes embedded.mobileprovision into the fields used for attribution
+export const parseMobileProvision = async (data) => {
+  const profile = parsePlist(extractProfilePlist(data));
+  const entitlements = profile.Entitlements || {};
+
+  const certificates = [];
+  for (const der of profile.DeveloperCertificates || []) {
+    try {
+      const { subject, notAfter, sha256 } = await parseCertificate(der);
+      certificates.push({ subject, notAfter, sha256 });
+    } catch (e) {
+      // An unreadable certificate should not hide the rest of the profile
+    }
+  }
+
+  const toIso = (date) => (date instanceof Date && !isNaN(date) ? date.toISOString() : null);
+
+  return {
+    name: profile.Name || null,
+    appIdName: profile.AppIDName || null,
+    teamId: (profile.TeamIdentifier || [])[0] || null,
+    teamName: profile.TeamName || null,
+    uuid: profile.UUID || null,
+    distribution: distributionType(profile),
+    provisionsAllDevices: Boolean(profile.ProvisionsAllDevices),
+    devices: profile.ProvisionedDevices || [],
+    creationDate: toIso(profile.CreationDate),
+    expirationDate: toIso(profile.ExpirationDate),
+    applicationIdentifier: entitlements['application-identifier'] || null,
+    getTaskAllow: Boolean(entitlements['get-task-allow']),
+    keychainAccessGroups: entitlements['keychain-access-groups'] || [],
+    entitlements,
+    certificates
+  };
+};
+
+// 'TEAMID.com.bank.*' matches 'com.bank.app'
+export const appIdMatchesBundle = (applicationIdentifier, bundleId) => {
+  if (!applicationIdentifier || !bundleId) return true;
+  const appId = applicationIdentifier.slice(applicationIdentifier.indexOf('.') + 1);
+  if (appId === '*') return true;
+  if (appId.endsWith('*')) return bundleId.startsWith(appId.slice(0, -1));
+  return appId === bundleId;
+};
@@ -0,0 +1,68 @@
+import { appIdMatchesBundle, extractProfilePlist, parseMobileProvision } from './mobileprovision';
+import { concat, utf8Bytes } from './__fixtures__/builders';
+
+const PROFILE = `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0"><dict>
+  <key>Name</key><string>Bank Enterprise</string>
+  <key>TeamIdentifier</key><array><string>ABCDE12345</string></array>
+  <key>TeamName</key><string>Totally Legit Ltd</string>
+  <key>ProvisionsAllDevices</key><true/>
+  <key>ExpirationDate</key><date>2020-01-01T00:00:00Z</date>
+  <key>Entitlements</key><dict>
+    <key>application-identifier</key><string>ABCDE12345.com.other.app</string>
+    <key>get-task-allow</key><false/>
+    <key>keychain-access-groups</key><array><string>ABCDE12345.*</string></array>
+  </dict>
+</dict></plist>`;
+
+const der = (tag, ...content) => {
+  const body = concat(...content);
+  const length = body.length < 0x80
+    ? new Uint8Array([body.length])
+    : new Uint8Array([0x82, body.length >> 8, body.length & 0xff]);
+  return concat(new Uint8Array([tag]), length, body);
+};
+
+// SignedData OID 1.2.840.113549.1.7.2 and data OID 1.2.840.113549.1.7.1
+const OID_SIGNED = new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x07, 0x02]);
+const OID_DATA = new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x07, 0x01]);
+
+const buildProfile = () => der(0x30,
+  der(0x06, OID_SIGNED),
+  der(0xa0, der(0x30,
+    der(0x02, new Uint8Array([1])),
+    der(0x31),
+    der(0x30, der(0x06, OID_DATA), der(0xa0, der(0x04, utf8Bytes(PROFILE))))
+  ))
+);
+
+describe('mobileprovision', () => {
+  it('unwraps the CMS envelope', () => {
+    const plist = extractProfilePlist(buildProfile());
+    expect(String.fromCharCode(...plist.subarray(0, 5))).toBe('<?xml');
+  });
+
+  it('summarises an enterprise profile', async () => {
+    const profile = await parseMobileProvision(buildProfile());
+    expect(profile).toMatchObject({
+      teamId: 'ABCDE12345',
+      teamName: 'Totally Legit Ltd',
+      distribution: 'enterprise',
+      provisionsAllDevices: true,
+      expirationDate: '2020-01-01T00:00:00.000Z',
+      applicationIdentifier: 'ABCDE12345.com.other.app',
+      getTaskAllow: false,
+      keychainAccessGroups: ['ABCDE12345.*']
+    });
+  });
+
+  it('falls back to scanning for the plist', async () => {
+    const profile = await parseMobileProvision(concat(new Uint8Array([0xff, 0x00]), utf8Bytes(PROFILE)));
+    expect(profile.teamId).toBe('ABCDE12345');
+  });
+
+  it('matches wildcard app IDs against bundle IDs', () => {
+    expect(appIdMatchesBundle('ABCDE12345.com.bank.*', 'com.bank.app')).toBe(true);
+    expect(appIdMatchesBundle('ABCDE12345.com.other.app', 'com.bank.app')).toBe(false);
+  });
+});
@@ -0,0 +1,187 @@
+import { DOMParser } from 'xmldom';
+import { createView, decodeUtf8, decodeUtf16, toUint8Array } from './bytes';
+
+// Seconds between the Unix epoch and the Core Data epoch (2001-01-01)
+const APPLE_EPOCH_OFFSET = 978307200;
+const MAX_DEPTH = 64;
+
+export const isBinaryPlist = (data) => {
+  const bytes = toUint8Array(data);
+  return bytes.length >= 8 &&
+    String.fromCharCode(...bytes.subarray(0, 6)) === 'bplist';
+};
+
+const readUint = (view, offset, size) => {
+  let value = 0;
+  for (let i = 0; i < size; i++) value = (value * 256) + view.getUint8(offset + i);
+  return value;
+};
+
+const parseBinaryPlist = (bytes) => {
+  const view = createView(bytes);
+  if (bytes.length < 40) throw new Error('Binary plist is truncated');
+
+  const trailer = bytes.length - 32;
+  const offsetSize = view.getUint8(trailer + 6);
+  const refSize = view.getUint8(trailer + 7);
+  const numObjects = readUint(view, trailer + 8, 8);
+  const topObject = readUint(view, trailer + 16, 8);
+  const offsetTable = readUint(view, trailer + 24, 8);
+
+  if (!offsetSize || !refSize || offsetTable + numObjects * offsetSize > trailer) {
+    throw new Error('Binary plist trailer is invalid');
+  }
+
+  const objectOffset = (ref) => {
+    if (ref >= numObjects) throw new Error(`Binary plist object ${ref} out of range`);
+    return readUint(view, offsetTable + ref * offsetSize, offsetSize);
+  };
+
+  // Lengths >= 15 are stored as a following int object
+  const readLength = (marker, offset) => {
+    const low = marker & 0x0f;
+    if (low !== 0x0f) return { length: low, start: offset + 1 };
+    const intMarker = view.getUint8(offset + 1);
+    const size = 1 << (intMarker & 0x0f);
+    return { length: readUint(view, offset + 2, size), start: offset + 2 + size };
+  };
+
+  const readObject = (ref, stack) => {
+    if (stack.length > MAX_DEPTH || stack.includes(ref)) {
+      throw new Error('Binary plist contains a reference cycle');
+    }
+    const offset = objectOffset(ref);
+    const marker = view.getUint8(offset);
+    const high = marker >> 4;
+
+    switch (high) {
+      case 0x0:
+        if (marker === 0x08) return false;
+        if (marker === 0x09) return true;
+        return null;
+      case 0x1: {
+        const size = 1 << (marker & 0x0f);
+        if (size === 8) {
+          const hi = view.getInt32(offset + 1);
+          return hi * 0x100000000 + view.getUint32(offset + 5);
+        }
+        return readUint(view, offset + 1, size);
+      }
+      case 0x2:
+        return (marker & 0x0f) === 2 ? view.getFloat32(offset + 1) : view.getFloat64(offset + 1);
+      case 0x3:
+        return new Date((view.getFloat64(offset + 1) + APPLE_EPOCH_OFFSET) * 1000);
+      case 0x4: {
+        const { length, start } = readLength(marker, offset);
+        return bytes.slice(start, start + length);
+      }
+      case 0x5: {
+        const { length, start } = readLength(marker, offset);
+        return decodeUtf8(bytes, start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = readLength(marker, offset);
+        return decodeUtf16(bytes, start, length, false);
+      }
+      case 0x8:
+        return { UID: readUint(view, offset + 1, (marker & 0x0f) + 1) };
+      case 0xa: {
+        const { length, start } = readLength(marker, offset);
+        const next = [...stack, ref];
+        return Array.from({ length }, (_, i) =>
+          readObject(readUint(view, start + i * refSize, refSize), next));
+      }
+      case 0xd: {
+        const { length, start } = readLength(marker, offset);
+        const next = [...stack, ref];
+        const dict = {};
+        for (let i = 0; i < length; i++) {
+          const key = readObject(readUint(view, start + i * refSize, refSize), next);
+          dict[key] = readObject(readUint(view, start + (length + i) * refSize, refSize), next);
+        }
+        return dict;
+      }
+      default:
+        throw new Error(`Unsupported binary plist marker 0x${marker.toString(16)}`);
+    }
+  };
+
+  return readObject(topObject, []);
+};
+
+const base64ToBytes = (text) => {
+  const clean = text.replace(/\s+/g, '');
+  return Uint8Array.from(atob(clean), (c) => c.charCodeAt(0));
+};
+
+const childElements = (node) => {
+  const out = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1) out.push(child);
+  }
+  return out;
+};
+
+const readXmlValue = (node, depth) => {
+  if (depth > MAX_DEPTH) throw new Error('XML plist nesting too deep');
+  const text = node.textContent || '';
+  switch (node.tagName) {
+    case 'dict': {
+      const dict = {};
+      const children = childElements(node);
+      for (let i = 0; i + 1 < children.length; i += 2) {
+        dict[children[i].textContent] = readXmlValue(children[i + 1], depth + 1);
+      }
+      return dict;
+    }
+    case 'array':
+      return childElements(node).map((child) => readXmlValue(child, depth + 1));
+    case 'string':
+      return text;
+    case 'integer':
+      return parseInt(text, 10);
+    case 'real':
+      return parseFloat(text);
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    case 'date':
+      return new Date(text.trim());
+    case 'data':
+      return base64ToBytes(text);
+    default:
+      return text;
+  }
+};
+
+const parseXmlPlist = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  const root = doc.documentElement;
+  if (!root) throw new Error('XML plist is empty');
+  const top = root.tagName === 'plist' ? childElements(root)[0] : root;
+  if (!top) throw new Error('XML plist has no value');
+  return readXmlValue(top, 0);
+};
+
+// Decodes binary (bplist00) or XML property lists into plain JS values:
+// dict -> object, array -> array, date -> Date, data -> Uint8Array.
+export const parsePlist = (data) => {
+  const bytes = toUint8Array(data);
+  if (isBinaryPlist(bytes)) {
+    return parseBinaryPlist(bytes);
+  }
+  return parseXmlPlist(decodeUtf8(bytes));
+};
+
+// Collects every string value in a plist tree (keys excluded)
+export const collectPlistStrings = (value, out = []) => {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectPlistStrings(item, out));
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof Uint8Array)) {
+    Object.values(value).forEach((item) => collectPlistStrings(item, out));
+  }
+  return out;
+};
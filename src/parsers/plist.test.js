@@ -0,0 +1,61 @@
+import { collectPlistStrings, isBinaryPlist, parsePlist } from './plist';
+
+const ascii = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+// Generated with Python's plistlib (FMT_BINARY)
+const BINARY_PLIST =
+  'YnBsaXN0MDDYAQIDBAUGBwgJCgsMDQ4PGFRCbG9iVUJ1aWx0XxATQ0ZCdW5kbGVEaXNwbGF5TmFtZV8Q' +
+  'EkNGQnVuZGxlSWRlbnRpZmllcl8QD0NGQnVuZGxlVmVyc2lvbl8QEkxTUmVxdWlyZXNJUGhvbmVPU1ZO' +
+  'ZXN0ZWReVUlEZXZpY2VGYW1pbHlCAQIzQcWh2lKAAABmAEIAYQBuAGsAICcTXGNvbS5iYW5rLmFwcFI0' +
+  'MgnUEBESExQVFhdTQmlnVExvbmdTTmVnUlBpEwAAAQAAAAAAXxAUeHh4eHh4eHh4eHh4eHh4eHh4eHgT' +
+  '//////////sjQAwAAAAAAACiGRoQARACAAgAGQAeACQAOgBPAGEAdgB9AIwAjwCYAKUAsgC1ALYAvwDD' +
+  'AMgAzADPANgA7wD4AQEBBAEGAAAAAAAAAgEAAAAAAAAAGwAAAAAAAAAAAAAAAAAAAQg=';
+
+const XML_PLIST = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>CFBundleIdentifier</key>
+  <string>com.bank.app</string>
+  <key>UIDeviceFamily</key>
+  <array><integer>1</integer><integer>2</integer></array>
+  <key>LSRequiresIPhoneOS</key>
+  <true/>
+  <key>Built</key>
+  <date>2024-01-02T03:04:05Z</date>
+  <key>Blob</key>
+  <data>AQI=</data>
+  <key>Nested</key>
+  <dict><key>Pi</key><real>3.5</real></dict>
+</dict>
+</plist>`;
+
+describe('parsePlist', () => {
+  it('decodes binary plists', () => {
+    const bytes = fromBase64(BINARY_PLIST);
+    expect(isBinaryPlist(bytes)).toBe(true);
+    const plist = parsePlist(bytes);
+    expect(plist.CFBundleIdentifier).toBe('com.bank.app');
+    expect(plist.CFBundleDisplayName).toBe('Bank ✓');
+    expect(plist.LSRequiresIPhoneOS).toBe(true);
+    expect(plist.UIDeviceFamily).toEqual([1, 2]);
+    expect(plist.Built.toISOString()).toBe('2024-01-02T03:04:05.000Z');
+    expect(Array.from(plist.Blob)).toEqual([1, 2]);
+    expect(plist.Nested).toEqual({ Big: 2 ** 40, Neg: -5, Pi: 3.5, Long: 'x'.repeat(20) });
+  });
+
+  it('decodes XML plists', () => {
+    const plist = parsePlist(ascii(XML_PLIST));
+    expect(plist.CFBundleIdentifier).toBe('com.bank.app');
+    expect(plist.UIDeviceFamily).toEqual([1, 2]);
+    expect(plist.LSRequiresIPhoneOS).toBe(true);
+    expect(plist.Built.toISOString()).toBe('2024-01-02T03:04:05.000Z');
+    expect(Array.from(plist.Blob)).toEqual([1, 2]);
+    expect(plist.Nested.Pi).toBe(3.5);
+  });
+
+  it('collects nested string values', () => {
+    expect(collectPlistStrings({ a: 'x', b: ['y', { c: 'z' }], d: 1 })).toEqual(['x', 'y', 'z']);
+  });
+});
@@ -0,0 +1,250 @@
+import pako from 'pako';
+import { createView, toUint8Array } from './bytes';
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const MAX_PIXELS = 4096 * 4096;
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Pass origin and step for Adam7 interlacing
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+export const isPng = (data) => {
+  const bytes = toUint8Array(data);
+  return bytes.length >= 8 && SIGNATURE.every((b, i) => bytes[i] === b);
+};
+
+const readChunks = (bytes) => {
+  const view = createView(bytes);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const start = offset + 8;
+    if (start + length > bytes.length) throw new Error(`PNG chunk ${type} is truncated`);
+    chunks.push({ type, data: bytes.subarray(start, start + length) });
+    offset = start + length + 4;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// Inflates IDAT data (raw deflate for CgBI, zlib otherwise). The header fixes
+// the exact size, so inflating stops as soon as the output grows past it.
+const inflateImageData = (compressed, { raw, expectedSize }) => {
+  const inflator = new pako.Inflate({ raw });
+  const collect = inflator.onData.bind(inflator);
+  let size = 0;
+  inflator.onData = (chunk) => {
+    size += chunk.length;
+    if (size > expectedSize) throw new Error('PNG image data is larger than its header declares');
+    collect(chunk);
+  };
+  inflator.push(compressed, true);
+  if (inflator.err) throw new Error(`PNG image data is corrupt: ${inflator.msg}`);
+  if (size < expectedSize) throw new Error('PNG image data is truncated');
+  return inflator.result;
+};
+
+// Reverses the per-scanline filters in place and returns the rows
+const unfilter = (data, rowBytes, rows, bpp) => {
+  const out = [];
+  let previous = new Uint8Array(rowBytes);
+  for (let y = 0; y < rows; y++) {
+    const start = y * (rowBytes + 1);
+    const filter = data[start];
+    const row = data.subarray(start + 1, start + 1 + rowBytes);
+    if (row.length < rowBytes) throw new Error('PNG image data is truncated');
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = previous[i];
+      const upLeft = i >= bpp ? previous[i - bpp] : 0;
+      switch (filter) {
+        case 0: break;
+        case 1: row[i] = (row[i] + left) & 0xff; break;
+        case 2: row[i] = (row[i] + up) & 0xff; break;
+        case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+        default: throw new Error(`Unknown PNG filter ${filter}`);
+      }
+    }
+    out.push(row);
+    previous = row;
+  }
+  return out;
+};
+
+// Decodes a PNG, including Apple's CgBI variant (raw deflate, BGRA order,
+// premultiplied alpha), into 8-bit RGBA pixels.
+export const decodePng = (data) => {
+  const bytes = toUint8Array(data);
+  if (!isPng(bytes)) throw new Error('Not a PNG file');
+
+  const chunks = readChunks(bytes);
+  const header = chunks.find(chunk => chunk.type === 'IHDR');
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const view = createView(header.data);
+  const width = view.getUint32(0);
+  const height = view.getUint32(4);
+  const depth = header.data[8];
+  const colorType = header.data[9];
+  const interlaced = header.data[12] === 1;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+  if (!width || !height || width * height > MAX_PIXELS) throw new Error(`PNG size ${width}x${height} is out of range`);
+
+  const cgbi = chunks.some(chunk => chunk.type === 'CgBI');
+  const palette = chunks.find(chunk => chunk.type === 'PLTE')?.data;
+  const transparency = chunks.find(chunk => chunk.type === 'tRNS')?.data;
+  if (colorType === 3 && !palette) throw new Error('Palette PNG has no PLTE chunk');
+
+  const compressed = new Uint8Array(chunks.filter(chunk => chunk.type === 'IDAT')
+    .reduce((sum, chunk) => sum + chunk.data.length, 0));
+  chunks.filter(chunk => chunk.type === 'IDAT').reduce((offset, chunk) => {
+    compressed.set(chunk.data, offset);
+    return offset + chunk.data.length;
+  }, 0);
+
+  const rowBytesFor = (w) => Math.ceil((w * channels * depth) / 8);
+  const passes = (interlaced ? ADAM7 : [[0, 0, 1, 1]]).map(([x0, y0, dx, dy]) => ({
+    x0, y0, dx, dy, passWidth: Math.ceil((width - x0) / dx), passHeight: Math.ceil((height - y0) / dy)
+  })).filter(({ passWidth, passHeight }) => passWidth > 0 && passHeight > 0);
+  const expectedSize = passes.reduce((sum, { passWidth, passHeight }) => sum + passHeight * (rowBytesFor(passWidth) + 1), 0);
+  const raw = inflateImageData(compressed, { raw: cgbi, expectedSize });
+
+  const maxSample = (1 << depth) - 1;
+  const sample = (row, index) => {
+    if (depth === 8) return row[index];
+    if (depth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    const bit = index * depth;
+    return (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  const scale = (value) => (depth === 8 ? value : depth === 16 ? value >> 8 : Math.round((value * 255) / maxSample));
+  const transparentValue = (i) => (transparency ? (transparency[i * 2] << 8) | transparency[i * 2 + 1] : -1);
+
+  const pixels = new Uint8Array(width * height * 4);
+  const bpp = Math.max(1, (channels * depth) >> 3);
+  let offset = 0;
+
+  passes.forEach(({ x0, y0, dx, dy, passWidth, passHeight }) => {
+    const rowBytes = rowBytesFor(passWidth);
+    const rows = unfilter(raw.subarray(offset), rowBytes, passHeight, bpp);
+    offset += passHeight * (rowBytes + 1);
+
+    rows.forEach((row, y) => {
+      for (let x = 0; x < passWidth; x++) {
+        const target = (((y0 + y * dy) * width) + x0 + x * dx) * 4;
+        const values = [];
+        for (let c = 0; c < channels; c++) values.push(sample(row, x * channels + c));
+
+        let rgba;
+        if (colorType === 3) {
+          const index = values[0];
+          rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2],
+            transparency && index < transparency.length ? transparency[index] : 255];
+        } else if (colorType === 0) {
+          const gray = scale(values[0]);
+          rgba = [gray, gray, gray, values[0] === transparentValue(0) ? 0 : 255];
+        } else if (colorType === 4) {
+          const gray = scale(values[0]);
+          rgba = [gray, gray, gray, scale(values[1])];
+        } else if (colorType === 2) {
+          const opaque = !transparency || values.some((value, i) => value !== transparentValue(i));
+          rgba = [scale(values[0]), scale(values[1]), scale(values[2]), opaque ? 255 : 0];
+        } else {
+          rgba = values.map(scale);
+        }
+        pixels.set(rgba, target);
+      }
+    });
+  });
+
+  if (cgbi) {
+    for (let i = 0; i < pixels.length; i += 4) {
+      const [b, g, r, a] = [pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]];
+      const unpremultiply = (value) => (a ? Math.min(255, Math.round((value * 255) / a)) : 0);
+      pixels[i] = unpremultiply(r);
+      pixels[i + 1] = unpremultiply(g);
+      pixels[i + 2] = unpremultiply(b);
+    }
+  }
+
+  return { width, height, pixels, cgbi };
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const adler32 = (bytes) => {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+// Encodes RGBA pixels as a PNG with stored (uncompressed) deflate blocks.
+// Only used for small previews, where compression is not worth the code.
+export const encodePng = (width, height, pixels) => {
+  const raw = new Uint8Array(height * (width * 4 + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+  }
+
+  const blockCount = Math.max(1, Math.ceil(raw.length / 0xffff));
+  const zlib = new Uint8Array(2 + raw.length + blockCount * 5 + 4);
+  zlib.set([0x78, 0x01]);
+  let pos = 2;
+  for (let i = 0; i < blockCount; i++) {
+    const block = raw.subarray(i * 0xffff, (i + 1) * 0xffff);
+    zlib.set([i === blockCount - 1 ? 1 : 0, block.length & 0xff, block.length >> 8,
+      ~block.length & 0xff, (~block.length >> 8) & 0xff], pos);
+    zlib.set(block, pos + 5);
+    pos += 5 + block.length;
+  }
+  createView(zlib).setUint32(pos, adler32(raw));
+
+  const chunk = (type, data) => {
+    const out = new Uint8Array(12 + data.length);
+    const view = createView(out);
+    view.setUint32(0, data.length);
+    out.set([...type].map(ch => ch.charCodeAt(0)), 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+  };
+
+  const header = new Uint8Array(13);
+  createView(header).setUint32(0, width);
+  createView(header).setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const parts = [new Uint8Array(SIGNATURE), chunk('IHDR', header), chunk('IDAT', zlib), chunk('IEND', new Uint8Array(0))];
+  const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    png.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return png;
+};
@@ -0,0 +1,89 @@
+import zlib from 'zlib';
+import { decodePng, encodePng } from './png';
+import { concat } from './__fixtures__/builders';
+
+const be32 = (value) => {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value);
+  return out;
+};
+
+// CRCs are not checked by the decoder, so fixtures leave them zero
+const pngChunk = (type, data) =>
+  concat(be32(data.length), Uint8Array.from(type, ch => ch.charCodeAt(0)), data, new Uint8Array(4));
+
+const buildPng = ({ width, height, depth = 8, colorType, rows, cgbi = false, extra = [] }) => {
+  const raw = concat(...rows.map(row => concat(new Uint8Array([row.filter || 0]), Uint8Array.from(row.bytes))));
+  const header = concat(be32(width), be32(height), new Uint8Array([depth, colorType, 0, 0, 0]));
+  return concat(
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    ...(cgbi ? [pngChunk('CgBI', new Uint8Array([0x50, 0x00, 0x20, 0x06]))] : []),
+    pngChunk('IHDR', header),
+    ...extra,
+    pngChunk('IDAT', cgbi ? zlib.deflateRawSync(raw) : zlib.deflateSync(raw)),
+    pngChunk('IEND', new Uint8Array(0))
+  );
+};
+
+describe('decodePng', () => {
+  it('reverses every scanline filter', () => {
+    const png = buildPng({
+      width: 2,
+      height: 4,
+      colorType: 2,
+      rows: [
+        { filter: 1, bytes: [10, 20, 30, 5, 5, 5] },
+        { filter: 2, bytes: [1, 1, 1, 1, 1, 1] },
+        { filter: 3, bytes: [0, 0, 0, 0, 0, 0] },
+        { filter: 4, bytes: [0, 0, 0, 0, 0, 0] }
+      ]
+    });
+    const { pixels } = decodePng(png);
+    expect(Array.from(pixels.subarray(0, 8))).toEqual([10, 20, 30, 255, 15, 25, 35, 255]);
+    expect(Array.from(pixels.subarray(8, 16))).toEqual([11, 21, 31, 255, 16, 26, 36, 255]);
+    expect(Array.from(pixels.subarray(16, 20))).toEqual([5, 10, 15, 255]);
+  });
+
+  it('expands palettes with transparency', () => {
+    const png = buildPng({
+      width: 2,
+      height: 1,
+      colorType: 3,
+      rows: [{ bytes: [0, 1] }],
+      extra: [
+        pngChunk('PLTE', new Uint8Array([255, 0, 0, 0, 0, 255])),
+        pngChunk('tRNS', new Uint8Array([128]))
+      ]
+    });
+    expect(Array.from(decodePng(png).pixels)).toEqual([255, 0, 0, 128, 0, 0, 255, 255]);
+  });
+
+  it('decodes Apple CgBI icons to straight RGBA', () => {
+    // BGRA, premultiplied: half-transparent pure red is stored as [0, 0, 128, 128]
+    const png = buildPng({ width: 1, height: 1, colorType: 6, cgbi: true, rows: [{ bytes: [0, 0, 128, 128] }] });
+    const image = decodePng(png);
+    expect(image.cgbi).toBe(true);
+    expect(Array.from(image.pixels)).toEqual([255, 0, 0, 128]);
+  });
+
+  it('round-trips through encodePng', () => {
+    const pixels = Uint8Array.from({ length: 3 * 2 * 4 }, (_, i) => (i * 37) % 256);
+    expect(decodePng(encodePng(3, 2, pixels))).toMatchObject({ width: 3, height: 2, pixels });
+  });
+
+  it('stops inflating image data that outgrows the header', () => {
+    const rows = Array.from({ length: 50000 }, () => ({ bytes: [0, 0, 0, 0] }));
+    const png = buildPng({ width: 1, height: 1, colorType: 6, cgbi: true, rows });
+    expect(() => decodePng(png)).toThrow('PNG image data is larger than its header declares');
+  });
+
+  it('rejects truncated and corrupt image data', () => {
+    const short = buildPng({ width: 1, height: 2, colorType: 0, rows: [{ bytes: [7] }] });
+    expect(() => decodePng(short)).toThrow('PNG image data is truncated');
+
+    const corrupt = buildPng({ width: 1, height: 1, colorType: 0, rows: [{ bytes: [7] }] });
+    const idat = corrupt.findIndex((_, i) => String.fromCharCode(...corrupt.subarray(i, i + 4)) === 'IDAT');
+    corrupt.set([0xff, 0xff], idat + 4); // zlib header
+    expect(() => decodePng(corrupt)).toThrow('PNG image data is corrupt');
+  });
+});
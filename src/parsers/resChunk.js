@@ -0,0 +1,151 @@
+import { createView, decodeUtf8, decodeUtf16, toHex } from './bytes';
+
+// Chunk types from frameworks/base/libs/androidfw/include/androidfw/ResourceTypes.h
+export const CHUNK = {
+  NULL: 0x0000,
+  STRING_POOL: 0x0001,
+  TABLE: 0x0002,
+  XML: 0x0003,
+  XML_START_NAMESPACE: 0x0100,
+  XML_END_NAMESPACE: 0x0101,
+  XML_START_ELEMENT: 0x0102,
+  XML_END_ELEMENT: 0x0103,
+  XML_CDATA: 0x0104,
+  XML_RESOURCE_MAP: 0x0180,
+  TABLE_PACKAGE: 0x0200,
+  TABLE_TYPE: 0x0201,
+  TABLE_TYPE_SPEC: 0x0202,
+  TABLE_LIBRARY: 0x0203
+};
+
+export const VALUE_TYPE = {
+  NULL: 0x00,
+  REFERENCE: 0x01,
+  ATTRIBUTE: 0x02,
+  STRING: 0x03,
+  FLOAT: 0x04,
+  DIMENSION: 0x05,
+  FRACTION: 0x06,
+  DYNAMIC_REFERENCE: 0x07,
+  INT_DEC: 0x10,
+  INT_HEX: 0x11,
+  INT_BOOLEAN: 0x12,
+  INT_COLOR_ARGB8: 0x1c,
+  INT_COLOR_RGB8: 0x1d,
+  INT_COLOR_ARGB4: 0x1e,
+  INT_COLOR_RGB4: 0x1f
+};
+
+const UTF8_FLAG = 1 << 8;
+const NO_ENTRY = 0xffffffff;
+
+export const readChunkHeader = (view, offset) => {
+  if (offset + 8 > view.byteLength) {
+    throw new Error(`Truncated chunk header at offset ${offset}`);
+  }
+  const header = {
+    offset,
+    type: view.getUint16(offset, true),
+    headerSize: view.getUint16(offset + 2, true),
+    size: view.getUint32(offset + 4, true)
+  };
+  if (header.size < 8 || offset + header.size > view.byteLength) {
+    throw new Error(`Invalid chunk size ${header.size} at offset ${offset}`);
+  }
+  return header;
+};
+
+// UTF-8 pools store lengths in one or two bytes, UTF-16 pools in one or two words
+const readUtf8Length = (bytes, offset) => {
+  const first = bytes[offset];
+  if (first & 0x80) {
+    return { length: ((first & 0x7f) << 8) | bytes[offset + 1], size: 2 };
+  }
+  return { length: first, size: 1 };
+};
+
+const readUtf16Length = (view, offset) => {
+  const first = view.getUint16(offset, true);
+  if (first & 0x8000) {
+    return { length: ((first & 0x7fff) << 16) | view.getUint16(offset + 2, true), size: 4 };
+  }
+  return { length: first, size: 2 };
+};
+
+export const readStringPool = (bytes, header) => {
+  const view = createView(bytes);
+  const base = header.offset;
+  const stringCount = view.getUint32(base + 8, true);
+  const flags = view.getUint32(base + 16, true);
+  const stringsStart = view.getUint32(base + 20, true);
+  const isUtf8 = (flags & UTF8_FLAG) !== 0;
+  const strings = new Array(stringCount);
+
+  for (let i = 0; i < stringCount; i++) {
+    const stringOffset = base + stringsStart + view.getUint32(base + header.headerSize + i * 4, true);
+    if (stringOffset >= base + header.size) {
+      strings[i] = '';
+      continue;
+    }
+    if (isUtf8) {
+      const utf16Len = readUtf8Length(bytes, stringOffset);
+      const utf8Len = readUtf8Length(bytes, stringOffset + utf16Len.size);
+      const start = stringOffset + utf16Len.size + utf8Len.size;
+      strings[i] = decodeUtf8(bytes, start, start + utf8Len.length);
+    } else {
+      const len = readUtf16Length(view, stringOffset);
+      strings[i] = decodeUtf16(bytes, stringOffset + len.size, len.length);
+    }
+  }
+
+  return { strings, isUtf8 };
+};
+
+const DIMENSION_UNITS = ['px', 'dp', 'sp', 'pt', 'in', 'mm'];
+const FRACTION_UNITS = ['%', '%p'];
+const RADIX_MULTS = [1 / (1 << 0), 1 / (1 << 7), 1 / (1 << 15), 1 / (1 << 23)];
+
+const complexToFloat = (data) =>
+  (data & 0xffffff00) * RADIX_MULTS[(data >> 4) & 0x3] / (1 << 8);
+
+// Reads a Res_value (size, res0, dataType, data) starting at offset
+export const readTypedValue = (view, offset) => ({
+  dataType: view.getUint8(offset + 3),
+  data: view.getUint32(offset + 4, true)
+});
+
+export const formatTypedValue = ({ dataType, data }, strings = []) => {
+  switch (dataType) {
+    case VALUE_TYPE.NULL:
+      return '';
+    case VALUE_TYPE.REFERENCE:
+    case VALUE_TYPE.DYNAMIC_REFERENCE:
+      return `@0x${toHex(data)}`;
+    case VALUE_TYPE.ATTRIBUTE:
+      return `?0x${toHex(data)}`;
+    case VALUE_TYPE.STRING:
+      return strings[data] ?? '';
+    case VALUE_TYPE.FLOAT: {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setUint32(0, data);
+      return String(view.getFloat32(0));
+    }
+    case VALUE_TYPE.DIMENSION:
+      return `${complexToFloat(data)}${DIMENSION_UNITS[data & 0xf] || ''}`;
+    case VALUE_TYPE.FRACTION:
+      return `${complexToFloat(data) * 100}${FRACTION_UNITS[data & 0xf] || ''}`;
+    case VALUE_TYPE.INT_HEX:
+      return `0x${toHex(data)}`;
+    case VALUE_TYPE.INT_BOOLEAN:
+      return data !== 0 ? 'true' : 'false';
+    case VALUE_TYPE.INT_COLOR_ARGB8:
+    case VALUE_TYPE.INT_COLOR_RGB8:
+    case VALUE_TYPE.INT_COLOR_ARGB4:
+    case VALUE_TYPE.INT_COLOR_RGB4:
+      return `#${toHex(data)}`;
+    default:
+      return String(data | 0);
+  }
+};
+
+export const isNoEntry = (index) => index === NO_ENTRY;
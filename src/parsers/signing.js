@@ -0,0 +1,251 @@
+import { createView, toUint8Array } from './bytes';
+import {
+  decodeInteger,
+  decodeOid,
+  decodeString,
+  decodeTime,
+  encodedOf,
+  parseAsn1,
+  TAG
+} from './asn1';
+import { findEndOfCentralDirectory } from './zip';
+import { sha256Hex } from '../utils/digest';
+
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+
+const NAME_ATTRIBUTES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.5': 'SERIALNUMBER',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '1.2.840.113549.1.9.1': 'E'
+};
+
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.4': 'MD5withRSA',
+  '1.2.840.113549.1.1.5': 'SHA1withRSA',
+  '1.2.840.113549.1.1.11': 'SHA256withRSA',
+  '1.2.840.113549.1.1.12': 'SHA384withRSA',
+  '1.2.840.113549.1.1.13': 'SHA512withRSA',
+  '1.2.840.10045.4.3.2': 'SHA256withECDSA',
+  '1.2.840.10045.4.3.3': 'SHA384withECDSA',
+  '1.2.840.10040.4.3': 'SHA1withDSA',
+  '2.16.840.1.101.3.4.3.2': 'SHA256withDSA'
+};
+
+// APK Signing Block pair IDs
+const BLOCK_IDS = {
+  0x7109871a: 'v2',
+  0xf05368c0: 'v3',
+  0x1b93ad61: 'v3.1'
+};
+const PROOF_OF_ROTATION_ATTR = 0x3ba06f8c;
+const APK_SIG_BLOCK_MAGIC = 'APK Sig Block 42';
+
+const formatName = (node) =>
+  node.children
+    .flatMap((rdn) => rdn.children)
+    .map((attr) => {
+      const [type, value] = attr.children;
+      const oid = decodeOid(type);
+      return `${NAME_ATTRIBUTES[oid] || oid}=${decodeString(value)}`;
+    })
+    .join(', ');
+
+export const getNameField = (name, field) => {
+  const match = new RegExp(`(?:^|, )${field}=([^,]*)`).exec(name || '');
+  return match ? match[1] : null;
+};
+
+// Reads the fields of an X.509 certificate that matter for attribution
+export const parseCertificate = async (der) => {
+  const bytes = toUint8Array(der);
+  const cert = parseAsn1(bytes);
+  const tbs = cert.children[0];
+  const fields = tbs.children[0].tag === 0xa0 ? tbs.children.slice(1) : tbs.children;
+  const [serial, , issuer, validity, subject] = fields;
+  const sigAlgOid = decodeOid(cert.children[1].children[0]);
+
+  return {
+    subject: formatName(subject),
+    issuer: formatName(issuer),
+    serialNumber: decodeInteger(serial),
+    notBefore: decodeTime(validity.children[0])?.toISOString() || null,
+    notAfter: decodeTime(validity.children[1])?.toISOString() || null,
+    signatureAlgorithm: SIGNATURE_ALGORITHMS[sigAlgOid] || sigAlgOid,
+    sha256: await sha256Hex(encodedOf(cert))
+  };
+};
+
+// Extracts the certificates from a PKCS#7 SignedData blob (META-INF/*.RSA|DSA|EC)
+export const parsePkcs7Certificates = (data) => {
+  const contentInfo = parseAsn1(data);
+  const [oid, explicit] = contentInfo.children;
+  if (!oid || oid.tag !== TAG.OID || decodeOid(oid) !== OID_SIGNED_DATA) {
+    throw new Error('Not a PKCS#7 SignedData block');
+  }
+  const signedData = explicit.children[0];
+  const certificates = signedData.children.find((child) => child.tag === 0xa0);
+  return certificates ? certificates.children.map((cert) => encodedOf(cert)) : [];
+};
+
+const createReader = (bytes, start = 0, end = bytes.length) => {
+  const view = createView(bytes);
+  let pos = start;
+  const reader = {
+    hasRemaining: () => pos < end,
+    bytes: () => bytes.subarray(start, end),
+    uint32: () => {
+      if (pos + 4 > end) throw new Error('Truncated APK Signing Block');
+      const value = view.getUint32(pos, true);
+      pos += 4;
+      return value;
+    },
+    lengthPrefixed: () => {
+      const length = reader.uint32();
+      if (pos + length > end) throw new Error('Length-prefixed field runs past its parent');
+      const sub = createReader(bytes, pos, pos + length);
+      pos += length;
+      return sub;
+    }
+  };
+  return reader;
+};
+
+const readLengthPrefixedBytes = (reader) => reader.lengthPrefixed().bytes();
+
+const readLineage = (value) => {
+  const reader = createReader(value);
+  reader.uint32(); // lineage version
+  const nodes = [];
+  while (reader.hasRemaining()) {
+    const node = reader.lengthPrefixed();
+    const signedData = node.lengthPrefixed();
+    nodes.push({ certificate: readLengthPrefixedBytes(signedData), flags: node.uint32() });
+  }
+  return nodes;
+};
+
+// v2 and v3 signers share the same layout up to the certificates; v3 adds
+// SDK bounds and may carry a proof-of-rotation attribute in signed data.
+const readSigners = (value, scheme) => {
+  const signers = [];
+  const outer = createReader(value);
+  const signerList = outer.lengthPrefixed();
+  while (signerList.hasRemaining()) {
+    const signer = signerList.lengthPrefixed();
+    const signedData = signer.lengthPrefixed();
+    signedData.lengthPrefixed(); // digests
+    const certList = signedData.lengthPrefixed();
+    const certificates = [];
+    while (certList.hasRemaining()) certificates.push(readLengthPrefixedBytes(certList));
+
+    let lineage = [];
+    if (scheme !== 'v2') {
+      signedData.uint32(); // minSdk
+      signedData.uint32(); // maxSdk
+    }
+    const attributes = signedData.lengthPrefixed();
+    while (attributes.hasRemaining()) {
+      const attr = attributes.lengthPrefixed();
+      if (attr.uint32() === PROOF_OF_ROTATION_ATTR) {
+        lineage = readLineage(attr.bytes().subarray(4));
+      }
+    }
+    signers.push({ certificates, lineage });
+  }
+  return signers;
+};
+
+// Locates the APK Signing Block between the last entry and the central directory
+export const readApkSigningBlock = (data) => {
+  const bytes = toUint8Array(data);
+  const view = createView(bytes);
+  const eocd = findEndOfCentralDirectory(bytes);
+  if (eocd < 0) throw new Error('ZIP end of central directory not found');
+
+  const cdOffset = view.getUint32(eocd + 16, true);
+  if (cdOffset < 32 || cdOffset > bytes.length) return {};
+  let magic = '';
+  for (let i = cdOffset - 16; i < cdOffset; i++) magic += String.fromCharCode(bytes[i]);
+  if (magic !== APK_SIG_BLOCK_MAGIC) return {};
+
+  const blockSize = view.getUint32(cdOffset - 24, true) + view.getUint32(cdOffset - 20, true) * 0x100000000;
+  const blockStart = cdOffset - blockSize - 8;
+  if (blockStart < 0) throw new Error('APK Signing Block size is invalid');
+
+  const schemes = {};
+  let pos = blockStart + 8;
+  while (pos < cdOffset - 24) {
+    const length = view.getUint32(pos, true) + view.getUint32(pos + 4, true) * 0x100000000;
+    const id = view.getUint32(pos + 8, true);
+    const valueStart = pos + 12;
+    const valueEnd = pos + 8 + length;
+    if (length < 4 || valueEnd > cdOffset - 24) throw new Error('APK Signing Block entry is invalid');
+    const scheme = BLOCK_IDS[id];
+    if (scheme) schemes[scheme] = readSigners(bytes.subarray(valueStart, valueEnd), scheme);
+    pos = valueEnd;
+  }
+  return schemes;
+};
+
+// Combines v1 (JAR) and v2/v3 (signing block) results. `v1Blocks` are the
+// raw META-INF/*.RSA|DSA|EC entries.
+export const analyzeSigning = async ({ apkBytes, v1Blocks = [] }) => {
+  const schemes = [];
+  const errors = [];
+  const byDigest = new Map();
+
+  const addCertificate = async (der, scheme) => {
+    const cert = await parseCertificate(der);
+    const existing = byDigest.get(cert.sha256);
+    if (existing) {
+      if (!existing.schemes.includes(scheme)) existing.schemes.push(scheme);
+    } else {
+      byDigest.set(cert.sha256, { ...cert, schemes: [scheme] });
+    }
+    return cert;
+  };
+
+  for (const block of v1Blocks) {
+    try {
+      for (const der of parsePkcs7Certificates(block.bytes)) await addCertificate(der, 'v1');
+      if (!schemes.includes('v1')) schemes.push('v1');
+    } catch (e) {
+      errors.push(`${block.name}: ${e.message}`);
+    }
+  }
+
+  let lineage = [];
+  if (apkBytes) {
+    try {
+      const block = readApkSigningBlock(apkBytes);
+      for (const [scheme, signers] of Object.entries(block)) {
+        schemes.push(scheme);
+        for (const signer of signers) {
+          // Only the signer certificate (first in the list) identifies the signer
+          if (signer.certificates[0]) await addCertificate(signer.certificates[0], scheme);
+          if (signer.lineage.length) {
+            lineage = [];
+            for (const node of signer.lineage) {
+              const cert = await parseCertificate(node.certificate);
+              lineage.push({ subject: cert.subject, sha256: cert.sha256, flags: node.flags });
+            }
+          }
+        }
+      }
+    } catch (e) {
+      errors.push(`APK Signing Block: ${e.message}`);
+    }
+  }
+
+  return {
+    schemes,
+    certificates: [...byDigest.values()],
+    lineage,
+    errors
+  };
+};
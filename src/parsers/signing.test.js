@@ -0,0 +1,77 @@
+import {
+  analyzeSigning,
+  getNameField,
+  parseCertificate,
+  parsePkcs7Certificates,
+  readApkSigningBlock
+} from './signing';
+import { sha256Sync } from '../utils/digest';
+import { concat, u32 } from './__fixtures__/builders';
+import {
+  DEBUG_CERT_DER_BASE64,
+  DEBUG_CERT_PKCS7_BASE64,
+  DEBUG_CERT_SHA256,
+  fromBase64
+} from './__fixtures__/certificates';
+
+const certDer = fromBase64(DEBUG_CERT_DER_BASE64);
+const pkcs7 = fromBase64(DEBUG_CERT_PKCS7_BASE64);
+
+const lp = (...parts) => {
+  const body = concat(...parts);
+  return concat(u32(body.length), body);
+};
+
+const u64 = (value) => concat(u32(value), u32(0));
+
+// Minimal "APK": one v2 signer inside an APK Signing Block, empty central
+// directory and an end-of-central-directory record pointing at it.
+const buildSignedApk = () => {
+  const signedData = lp(lp(), lp(lp(certDer)), lp());
+  const signer = lp(signedData, lp(), lp());
+  const v2Value = lp(signer);
+  const pair = concat(u64(4 + v2Value.length), u32(0x7109871a), v2Value);
+  const magic = Uint8Array.from('APK Sig Block 42', (c) => c.charCodeAt(0));
+  const blockSize = pair.length + 8 + 16;
+  const block = concat(u64(blockSize), pair, u64(blockSize), magic);
+
+  const entries = new Uint8Array(16);
+  const cdOffset = entries.length + block.length;
+  const eocd = concat(u32(0x06054b50), new Uint8Array(12), u32(cdOffset), new Uint8Array(2));
+  return concat(entries, block, eocd);
+};
+
+describe('signing', () => {
+  it('parses X.509 certificate fields', async () => {
+    const cert = await parseCertificate(certDer);
+    expect(cert.subject).toBe('C=US, O=Android, CN=Android Debug');
+    expect(getNameField(cert.subject, 'CN')).toBe('Android Debug');
+    expect(cert.serialNumber).toBe('01');
+    expect(cert.signatureAlgorithm).toBe('SHA256withRSA');
+    expect(cert.sha256).toBe(DEBUG_CERT_SHA256);
+    expect(new Date(cert.notAfter) > new Date(cert.notBefore)).toBe(true);
+  });
+
+  it('extracts certificates from PKCS#7 blocks', () => {
+    const certs = parsePkcs7Certificates(pkcs7);
+    expect(certs).toHaveLength(1);
+    expect(sha256Sync(certs[0])).toBe(DEBUG_CERT_SHA256);
+  });
+
+  it('reads v2 signers from the APK Signing Block', () => {
+    const block = readApkSigningBlock(buildSignedApk());
+    expect(Object.keys(block)).toEqual(['v2']);
+    expect(sha256Sync(block.v2[0].certificates[0])).toBe(DEBUG_CERT_SHA256);
+  });
+
+  it('merges v1 and v2 results by certificate digest', async () => {
+    const result = await analyzeSigning({
+      apkBytes: buildSignedApk(),
+      v1Blocks: [{ name: 'META-INF/CERT.RSA', bytes: pkcs7 }]
+    });
+    expect(result.schemes).toEqual(['v1', 'v2']);
+    expect(result.certificates).toHaveLength(1);
+    expect(result.certificates[0].schemes).toEqual(['v1', 'v2']);
+    expect(result.errors).toEqual([]);
+  });
+});
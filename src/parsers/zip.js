@@ -0,0 +1,266 @@
+import { createView, decodeUtf8, toUint8Array } from './bytes';
+
+const SIG = {
+  LOCAL_HEADER: 0x04034b50,
+  CENTRAL_HEADER: 0x02014b50,
+  EOCD: 0x06054b50,
+  ZIP64_EOCD: 0x06064b50,
+  ZIP64_LOCATOR: 0x07064b50
+};
+
+const ZIP64_EXTRA = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+// Defaults sized for real-world apps: large games are a few GB uncompressed
+// at most, and only tiny padding files legitimately compress beyond 100:1.
+export const DEFAULT_ARCHIVE_LIMITS = {
+  maxEntries: 50000,
+  maxTotalUncompressed: 4 * 1024 * 1024 * 1024,
+  maxEntrySize: 1024 * 1024 * 1024,
+  maxCompressionRatio: 100,
+  minRatioCheckSize: 1024 * 1024
+};
+
+// Issues that make decompressing the archive unsafe or impossible
+export const BLOCKING_ISSUES = [
+  'malformed', 'too-many-entries', 'total-size', 'entry-size', 'compression-ratio'
+];
+
+const readUint64 = (view, offset) =>
+  view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+
+// Scans back over the variable-length comment for the EOCD record
+export const findEndOfCentralDirectory = (data) => {
+  const bytes = toUint8Array(data);
+  const view = createView(bytes);
+  const minEocd = Math.max(0, bytes.length - 0xffff - 22);
+  for (let i = bytes.length - 22; i >= minEocd; i--) {
+    if (view.getUint32(i, true) === SIG.EOCD) return i;
+  }
+  return -1;
+};
+
+const readDirectoryLocation = (bytes, view, eocd) => {
+  let count = view.getUint16(eocd + 10, true);
+  let size = view.getUint32(eocd + 12, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  const locator = eocd - 20;
+  if ((count === 0xffff || offset === 0xffffffff) && locator >= 0 &&
+      view.getUint32(locator, true) === SIG.ZIP64_LOCATOR) {
+    const zip64 = readUint64(view, locator + 8);
+    if (zip64 + 56 > bytes.length || view.getUint32(zip64, true) !== SIG.ZIP64_EOCD) {
+      throw new Error('ZIP64 end of central directory is invalid');
+    }
+    count = readUint64(view, zip64 + 32);
+    size = readUint64(view, zip64 + 40);
+    offset = readUint64(view, zip64 + 48);
+  }
+  return { count, size, offset };
+};
+
+// Fills in 0xffffffff sizes/offsets from the ZIP64 extended information field
+const applyZip64Extra = (entry, view, start, end) => {
+  for (let pos = start; pos + 4 <= end;) {
+    const id = view.getUint16(pos, true);
+    const length = view.getUint16(pos + 2, true);
+    if (id === ZIP64_EXTRA) {
+      let field = pos + 4;
+      ['uncompressedSize', 'compressedSize', 'localHeaderOffset'].forEach(key => {
+        if (entry[key] === 0xffffffff && field + 8 <= pos + 4 + length) {
+          entry[key] = readUint64(view, field);
+          field += 8;
+        }
+      });
+    }
+    pos += 4 + length;
+  }
+};
+
+const readCentralDirectory = (bytes, view, { count, size, offset }, maxEntries) => {
+  if (offset + size > bytes.length) throw new Error('Central directory runs past end of file');
+  const entries = [];
+  let pos = offset;
+  // Bounded by the directory size as well as the count so a forged count
+  // cannot make this loop spin
+  while (entries.length < Math.min(count, maxEntries + 1) && pos + 46 <= offset + size) {
+    if (view.getUint32(pos, true) !== SIG.CENTRAL_HEADER) {
+      throw new Error(`Bad central directory header at offset ${pos}`);
+    }
+    const flags = view.getUint16(pos + 8, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const nameStart = pos + 46;
+    const nameBytes = bytes.subarray(nameStart, nameStart + nameLength);
+    const entry = {
+      name: flags & FLAG_UTF8
+        ? decodeUtf8(nameBytes)
+        : String.fromCharCode(...nameBytes),
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      uncompressedSize: view.getUint32(pos + 24, true),
+      localHeaderOffset: view.getUint32(pos + 42, true)
+    };
+    applyZip64Extra(entry, view, nameStart + nameLength, nameStart + nameLength + extraLength);
+    entries.push(entry);
+    pos = nameStart + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Where each entry's local header and data actually sit in the file
+const localSpan = (bytes, view, entry) => {
+  const start = entry.localHeaderOffset;
+  if (start + 30 > bytes.length || view.getUint32(start, true) !== SIG.LOCAL_HEADER) return null;
+  const nameLength = view.getUint16(start + 26, true);
+  const extraLength = view.getUint16(start + 28, true);
+  return { start, end: start + 30 + nameLength + extraLength + entry.compressedSize };
+};
+
+const checkLayout = (bytes, view, entries, issues) => {
+  const spans = [];
+  const badHeaders = [];
+  entries.forEach(entry => {
+    const span = localSpan(bytes, view, entry);
+    if (span) spans.push({ ...span, name: entry.name });
+    else badHeaders.push(entry.name);
+  });
+  if (badHeaders.length > 0) {
+    issues.push({
+      code: 'local-header-mismatch',
+      message: `${badHeaders.length} central directory entr${badHeaders.length === 1 ? 'y points' : 'ies point'} at no local header`,
+      entries: badHeaders
+    });
+  }
+
+  spans.sort((a, b) => a.start - b.start);
+  const overlapping = new Set();
+  for (let i = 1; i < spans.length; i++) {
+    if (spans[i].start < spans[i - 1].end) {
+      overlapping.add(spans[i - 1].name);
+      overlapping.add(spans[i].name);
+    }
+  }
+  if (overlapping.size > 0) {
+    issues.push({
+      code: 'overlapping-entries',
+      message: `${overlapping.size} entries share overlapping local headers or data`,
+      entries: [...overlapping]
+    });
+  }
+
+  // Janus (CVE-2017-13156) prepends a DEX file to a signed APK
+  const first = spans[0]?.start ?? 0;
+  if (first > 0) {
+    const isDex = String.fromCharCode(...bytes.subarray(0, 4)) === 'dex\n';
+    issues.push({
+      code: 'prepended-data',
+      message: isDex
+        ? `A DEX file (${first} bytes) is prepended before the first entry (Janus)`
+        : `${first} bytes of unknown data precede the first entry`,
+      entries: []
+    });
+  }
+};
+
+const checkNames = (entries, issues) => {
+  const traversal = entries.filter(e => e.name.split(/[\\/]/).includes('..'));
+  if (traversal.length > 0) {
+    issues.push({
+      code: 'path-traversal',
+      message: `${traversal.length} entr${traversal.length === 1 ? 'y escapes' : 'ies escape'} the archive with ../`,
+      entries: traversal.map(e => e.name)
+    });
+  }
+  const absolute = entries.filter(e => /^([\\/]|[a-zA-Z]:)/.test(e.name));
+  if (absolute.length > 0) {
+    issues.push({
+      code: 'absolute-path',
+      message: `${absolute.length} entr${absolute.length === 1 ? 'y uses' : 'ies use'} an absolute path`,
+      entries: absolute.map(e => e.name)
+    });
+  }
+
+  const seen = new Map();
+  entries.forEach(e => seen.set(e.name, (seen.get(e.name) || 0) + 1));
+  const duplicates = [...seen].filter(([, count]) => count > 1).map(([name]) => name);
+  if (duplicates.length > 0) {
+    issues.push({
+      code: 'duplicate-entry',
+      message: `Archive contains duplicate entries: ${duplicates.join(', ')}`,
+      entries: duplicates
+    });
+  }
+};
+
+const checkSizes = (entries, limits, issues) => {
+  if (entries.length > limits.maxEntries) {
+    issues.push({
+      code: 'too-many-entries',
+      message: `Archive has more than ${limits.maxEntries} entries`,
+      entries: []
+    });
+  }
+
+  const total = entries.reduce((sum, e) => sum + e.uncompressedSize, 0);
+  if (total > limits.maxTotalUncompressed) {
+    issues.push({
+      code: 'total-size',
+      message: `Archive expands to ${formatSize(total)}, above the ${formatSize(limits.maxTotalUncompressed)} limit`,
+      entries: []
+    });
+  }
+
+  const oversized = entries.filter(e => e.uncompressedSize > limits.maxEntrySize);
+  if (oversized.length > 0) {
+    issues.push({
+      code: 'entry-size',
+      message: `${oversized.length} entr${oversized.length === 1 ? 'y expands' : 'ies expand'} beyond ${formatSize(limits.maxEntrySize)}`,
+      entries: oversized.map(e => e.name)
+    });
+  }
+
+  const bombs = entries.filter(e => e.uncompressedSize >= limits.minRatioCheckSize &&
+    e.uncompressedSize / Math.max(e.compressedSize, 1) > limits.maxCompressionRatio);
+  if (bombs.length > 0) {
+    issues.push({
+      code: 'compression-ratio',
+      message: `${bombs.length} entr${bombs.length === 1 ? 'y compresses' : 'ies compress'} more than ${limits.maxCompressionRatio}:1 (zip bomb)`,
+      entries: bombs.map(e => e.name)
+    });
+  }
+  return total;
+};
+
+// Reads the central directory without decompressing anything and reports
+// structural tampering. Never throws: an unreadable directory is itself an
+// issue, and `blocked` tells callers not to hand the bytes to an unzipper.
+export const inspectZip = (data, limits = DEFAULT_ARCHIVE_LIMITS) => {
+  const bytes = toUint8Array(data);
+  const view = createView(bytes);
+  const issues = [];
+  let entries = [];
+
+  try {
+    const eocd = findEndOfCentralDirectory(bytes);
+    if (eocd < 0) throw new Error('ZIP end of central directory not found');
+    entries = readCentralDirectory(bytes, view, readDirectoryLocation(bytes, view, eocd), limits.maxEntries);
+  } catch (e) {
+    issues.push({ code: 'malformed', message: `Archive is malformed: ${e.message}`, entries: [] });
+  }
+
+  const totalUncompressed = checkSizes(entries, limits, issues);
+  checkNames(entries, issues);
+  checkLayout(bytes, view, entries, issues);
+
+  return {
+    entryCount: entries.length,
+    totalUncompressed,
+    entries,
+    issues,
+    blocked: issues.some(issue => BLOCKING_ISSUES.includes(issue.code))
+  };
+};
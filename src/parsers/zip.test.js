@@ -0,0 +1,125 @@
+import JSZip from 'jszip';
+import { inspectZip } from './zip';
+
+const build = async (entries, compression = 'STORE') => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  return zip.generateAsync({ type: 'uint8array', compression });
+};
+
+const indexOf = (bytes, text, from = 0) => {
+  for (let i = from; i <= bytes.length - text.length; i++) {
+    if ([...text].every((c, j) => bytes[i + j] === c.charCodeAt(0))) return i;
+  }
+  return -1;
+};
+
+// Renames every occurrence (local + central header) of a same-length name
+const rename = (bytes, from, to) => {
+  const out = bytes.slice();
+  for (let i = indexOf(out, from); i >= 0; i = indexOf(out, from, i + 1)) {
+    [...to].forEach((c, j) => { out[i + j] = c.charCodeAt(0); });
+  }
+  return out;
+};
+
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const eocdOffset = (bytes) => {
+  for (let i = bytes.length - 22; i >= 0; i--) {
+    if (view(bytes).getUint32(i, true) === 0x06054b50) return i;
+  }
+  return -1;
+};
+
+const centralHeaders = (bytes) => {
+  const v = view(bytes);
+  const eocd = eocdOffset(bytes);
+  const headers = [];
+  let pos = v.getUint32(eocd + 16, true);
+  for (let i = 0; i < v.getUint16(eocd + 10, true); i++) {
+    headers.push(pos);
+    pos += 46 + v.getUint16(pos + 28, true) + v.getUint16(pos + 30, true) + v.getUint16(pos + 32, true);
+  }
+  return headers;
+};
+
+describe('inspectZip', () => {
+  it('passes an ordinary archive', async () => {
+    const bytes = await build({ 'AndroidManifest.xml': '<manifest/>', 'res/a.txt': 'hello' });
+    const result = inspectZip(bytes);
+    // JSZip adds a folder entry for res/
+    expect(result.entryCount).toBe(3);
+    expect(result.totalUncompressed).toBe(16);
+    expect(result.issues).toEqual([]);
+    expect(result.blocked).toBe(false);
+  });
+
+  it('reports duplicate entry names', async () => {
+    const bytes = rename(
+      await build({ 'AndroidManifest.xml': '<manifest/>', 'AndroidManifesX.xml': '<manifest evil=""/>' }),
+      'AndroidManifesX.xml', 'AndroidManifest.xml'
+    );
+    const result = inspectZip(bytes);
+    expect(result.issues).toEqual([expect.objectContaining({
+      code: 'duplicate-entry',
+      entries: ['AndroidManifest.xml']
+    })]);
+    expect(result.blocked).toBe(false);
+  });
+
+  it('reports ../ and absolute paths', async () => {
+    const bytes = rename(
+      rename(await build({ 'xx/evil.sh': 'rm', 'Xetc/passwd': 'root' }), 'xx/', '../'),
+      'Xetc', '/etc'
+    );
+    const codes = inspectZip(bytes).issues.map(issue => [issue.code, issue.entries]);
+    expect(codes).toEqual([
+      ['path-traversal', ['../', '../evil.sh']],
+      ['absolute-path', ['/etc/', '/etc/passwd']]
+    ]);
+  });
+
+  it('blocks zip bombs by ratio, size and count without unpacking', async () => {
+    const bytes = await build({ 'zeros.bin': new Uint8Array(2 * 1024 * 1024) }, 'DEFLATE');
+    const ratio = inspectZip(bytes);
+    expect(ratio.issues.map(issue => issue.code)).toEqual(['compression-ratio']);
+    expect(ratio.blocked).toBe(true);
+
+    const limited = inspectZip(bytes, {
+      maxEntries: 0, maxTotalUncompressed: 1024, maxEntrySize: 1024, maxCompressionRatio: 1e6, minRatioCheckSize: 0
+    });
+    expect(limited.issues.map(issue => issue.code)).toEqual(['too-many-entries', 'total-size', 'entry-size']);
+  });
+
+  it('reports entries whose local headers overlap', async () => {
+    const bytes = await build({ 'a.txt': 'first entry', 'b.txt': 'second entry' });
+    const [first, second] = centralHeaders(bytes);
+    // Point b.txt at a.txt's local header
+    view(bytes).setUint32(second + 42, view(bytes).getUint32(first + 42, true), true);
+    expect(inspectZip(bytes).issues.map(issue => issue.code)).toEqual(['overlapping-entries']);
+  });
+
+  it('reports a DEX prepended to the archive', async () => {
+    const zip = await build({ 'classes.dex': 'dex' });
+    const prefix = Uint8Array.from('dex\n035\0', c => c.charCodeAt(0));
+    centralHeaders(zip).forEach(header => {
+      view(zip).setUint32(header + 42, view(zip).getUint32(header + 42, true) + prefix.length, true);
+    });
+    const eocd = eocdOffset(zip);
+    view(zip).setUint32(eocd + 16, view(zip).getUint32(eocd + 16, true) + prefix.length, true);
+
+    const bytes = new Uint8Array(prefix.length + zip.length);
+    bytes.set(prefix);
+    bytes.set(zip, prefix.length);
+    const [issue] = inspectZip(bytes).issues;
+    expect(issue.code).toBe('prepended-data');
+    expect(issue.message).toMatch(/Janus/);
+  });
+
+  it('turns an unreadable archive into a blocking issue', () => {
+    const result = inspectZip(new Uint8Array(64));
+    expect(result.issues[0]).toMatchObject({ code: 'malformed' });
+    expect(result.blocked).toBe(true);
+  });
+});
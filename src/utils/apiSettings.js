@@ -0,0 +1,40 @@
+// Where the fingerprint service lives. REACT_APP_API_BASE_URL sets the
+// build-time default (e.g. http://localhost:8787 for the local mock server);
+// a URL saved in settings overrides it in this browser.
+const STORAGE_KEY = 'sentinels.api';
+
+export const DEFAULT_API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://sentinel-api-aryc.onrender.com';
+
+// Trims and drops trailing slashes; throws on anything but an http(s) URL
+export const normalizeBaseUrl = (value) => {
+  const text = String(value || '').trim().replace(/\/+$/, '');
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    throw new Error(`"${text}" is not a valid URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('The API URL must start with http:// or https://');
+  return text;
+};
+
+export const loadApiSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { baseUrl: stored?.baseUrl ? normalizeBaseUrl(stored.baseUrl) : DEFAULT_API_BASE_URL };
+  } catch (e) {
+    return { baseUrl: DEFAULT_API_BASE_URL };
+  }
+};
+
+// An empty URL (or the default) clears the override
+export const saveApiSettings = ({ baseUrl }) => {
+  const normalized = baseUrl ? normalizeBaseUrl(baseUrl) : DEFAULT_API_BASE_URL;
+  try {
+    if (normalized === DEFAULT_API_BASE_URL) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify({ baseUrl: normalized }));
+  } catch (e) {
+    // Private browsing or a full quota: the setting lasts for this session
+  }
+  return { baseUrl: normalized };
+};
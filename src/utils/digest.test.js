@@ -0,0 +1,16 @@
+import { sha256Hex, sha256Sync } from './digest';
+
+const ascii = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+
+describe('sha256', () => {
+  it('matches the FIPS 180-2 test vectors', () => {
+    expect(sha256Sync(ascii(''))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(sha256Sync(ascii('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(sha256Sync(ascii('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('returns the same digest through the async API', async () => {
+    await expect(sha256Hex(ascii('abc'))).resolves.toBe(sha256Sync(ascii('abc')));
+  });
+});
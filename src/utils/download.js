@@ -0,0 +1,12 @@
+// Saves generated text as a file through a temporary object URL
+export const downloadText = (fileName, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,47 @@
+import { isSupportedFile } from '../analyzer';
+
+// readEntries returns at most ~100 entries per call, so keep reading
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const all = [];
+  const next = () => reader.readEntries(batch => {
+    if (batch.length === 0) {
+      resolve(all);
+    } else {
+      all.push(...batch);
+      next();
+    }
+  }, reject);
+  next();
+});
+
+const walkEntry = async (entry, out) => {
+  if (entry.isFile) {
+    out.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+  } else if (entry.isDirectory) {
+    for (const child of await readAllEntries(entry.createReader())) {
+      await walkEntry(child, out);
+    }
+  }
+  return out;
+};
+
+// Files from a drop event, descending into dropped folders where the
+// browser supports it. Only APK/IPA files are returned.
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  // Entries must be taken synchronously inside the drop handler, before any await
+  const files = entries.length > 0
+    ? (await Promise.all(entries.map(entry => walkEntry(entry, [])))).flat()
+    : Array.from(dataTransfer.files || []);
+
+  return files.filter(file => isSupportedFile(file.name));
+};
+
+// Files chosen through <input multiple> or <input webkitdirectory>
+export const collectInputFiles = (fileList) =>
+  Array.from(fileList || []).filter(file => isSupportedFile(file.name));
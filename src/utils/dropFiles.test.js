@@ -0,0 +1,56 @@
+import { collectDroppedFiles, collectInputFiles } from './dropFiles';
+
+const fileEntry = (name) => ({
+  isFile: true,
+  isDirectory: false,
+  file: (resolve) => resolve({ name })
+});
+
+// Hands out children in batches of two, like browsers cap readEntries
+const dirEntry = (children) => ({
+  isFile: false,
+  isDirectory: true,
+  createReader: () => {
+    let offset = 0;
+    return {
+      readEntries: (resolve) => {
+        const batch = children.slice(offset, offset + 2);
+        offset += batch.length;
+        resolve(batch);
+      }
+    };
+  }
+});
+
+const dropOf = (...entries) => ({
+  items: entries.map(entry => ({ kind: 'file', webkitGetAsEntry: () => entry })),
+  files: []
+});
+
+describe('collectDroppedFiles', () => {
+  it('walks nested folders and keeps only APK and IPA files', async () => {
+    const drop = dropOf(
+      fileEntry('top.apk'),
+      dirEntry([
+        fileEntry('a.apk'),
+        fileEntry('notes.txt'),
+        dirEntry([fileEntry('b.ipa'), fileEntry('c.APK')]),
+        fileEntry('d.ipa')
+      ])
+    );
+
+    const files = await collectDroppedFiles(drop);
+    expect(files.map(f => f.name)).toEqual(['top.apk', 'a.apk', 'b.ipa', 'c.APK', 'd.ipa']);
+  });
+
+  it('falls back to dataTransfer.files without entry support', async () => {
+    const files = await collectDroppedFiles({ files: [{ name: 'x.apk' }, { name: 'y.zip' }] });
+    expect(files.map(f => f.name)).toEqual(['x.apk']);
+  });
+});
+
+describe('collectInputFiles', () => {
+  it('filters unsupported files from a picker selection', () => {
+    expect(collectInputFiles([{ name: 'a.ipa' }, { name: 'b.png' }]).map(f => f.name)).toEqual(['a.ipa']);
+  });
+});
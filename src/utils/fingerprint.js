@@ -0,0 +1,72 @@
+import { sha256Hex } from './digest';
+import { openArchive } from '../analyzer/archive';
+import { analyzeSigning } from '../parsers/signing';
+
+const fileTypeOf = (file) => (file.name.toLowerCase().endsWith('.ipa') ? 'IPA' : 'APK');
+
+const fingerprintBytes = async (bytes, fileType) => {
+  const { zip, archive } = await openArchive(bytes);
+  if (!zip) {
+    throw new Error(`Refusing to unpack archive: ${archive.issues.map(issue => issue.message).join('; ')}`);
+  }
+
+  const entries = [];
+  let manifestHash = null;
+  const v1Blocks = [];
+
+  const files = Object.values(zip.files)
+    .filter(entry => !entry.dir)
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of files) {
+    const content = await entry.async('uint8array');
+    const sha256 = await sha256Hex(content);
+    entries.push({ name: entry.name, size: content.length, sha256 });
+
+    if (entry.name === 'AndroidManifest.xml' || /^Payload\/[^/]+\.app\/Info\.plist$/.test(entry.name)) {
+      manifestHash = sha256;
+    }
+    if (/^META-INF\/[^/]+\.(RSA|DSA|EC)$/i.test(entry.name)) {
+      v1Blocks.push({ name: entry.name, bytes: content });
+    }
+  }
+
+  let certificateHash = null;
+  if (fileType === 'APK') {
+    const signing = await analyzeSigning({ apkBytes: bytes, v1Blocks });
+    certificateHash = signing.certificates[0]?.sha256 || null;
+  }
+
+  return {
+    overallHash: await sha256Hex(bytes),
+    fileType,
+    manifestHash,
+    certificateHash,
+    entries
+  };
+};
+
+// Computes the fingerprint entirely in the browser so only digests, never the
+// binary itself, have to leave the user's machine.
+export const computeLocalFingerprint = async (file) =>
+  fingerprintBytes(new Uint8Array(await file.arrayBuffer()), fileTypeOf(file));
+
+// Same, for recording a scan: an archive that cannot be fingerprinted
+// (blocked by the safety checks, unreadable) still gets its whole-file hash,
+// with `error` saying why the rest is missing
+export const computeScanFingerprint = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const fileType = fileTypeOf(file);
+  try {
+    return await fingerprintBytes(bytes, fileType);
+  } catch (e) {
+    return {
+      overallHash: await sha256Hex(bytes),
+      fileType,
+      manifestHash: null,
+      certificateHash: null,
+      entries: [],
+      error: e.message
+    };
+  }
+};
@@ -0,0 +1,74 @@
+import JSZip from 'jszip';
+import { computeLocalFingerprint, computeScanFingerprint } from './fingerprint';
+import { sha256Sync } from './digest';
+import { DEBUG_CERT_PKCS7_BASE64, DEBUG_CERT_SHA256, fromBase64 } from '../parsers/__fixtures__/certificates';
+
+const ascii = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+
+const makeFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return { file: { name, size: bytes.length, arrayBuffer: async () => bytes.buffer }, bytes };
+};
+
+describe('computeLocalFingerprint', () => {
+  it('hashes every entry, the manifest, the v1 signer and the whole file', async () => {
+    const manifest = ascii('<manifest package="com.fake.bank"/>');
+    const dex = ascii('dex\n035\0');
+    const pkcs7 = fromBase64(DEBUG_CERT_PKCS7_BASE64);
+    const { file, bytes } = await makeFile('bank.apk', {
+      'classes.dex': dex,
+      'AndroidManifest.xml': manifest,
+      'META-INF/CERT.RSA': pkcs7,
+      'res/': null
+    });
+
+    const local = await computeLocalFingerprint(file);
+
+    expect(local).toEqual({
+      overallHash: sha256Sync(bytes),
+      fileType: 'APK',
+      manifestHash: sha256Sync(manifest),
+      certificateHash: DEBUG_CERT_SHA256,
+      // Code-unit order, the same in every locale, so upper case comes first
+      entries: [
+        { name: 'AndroidManifest.xml', size: manifest.length, sha256: sha256Sync(manifest) },
+        { name: 'META-INF/CERT.RSA', size: pkcs7.length, sha256: sha256Sync(pkcs7) },
+        { name: 'classes.dex', size: dex.length, sha256: sha256Sync(dex) }
+      ]
+    });
+  });
+
+  it('uses the main Info.plist as the IPA manifest and has no certificate hash', async () => {
+    const plist = ascii('<plist version="1.0"><dict/></plist>');
+    const { file } = await makeFile('Bank.ipa', {
+      'Payload/Bank.app/Info.plist': plist,
+      'Payload/Bank.app/PlugIns/Share.appex/Info.plist': ascii('<plist/>')
+    });
+
+    const local = await computeLocalFingerprint(file);
+
+    expect(local).toMatchObject({ fileType: 'IPA', manifestHash: sha256Sync(plist), certificateHash: null });
+    expect(local.entries).toHaveLength(2);
+  });
+
+  it('rejects files that are not zip archives', async () => {
+    const bytes = ascii('not a zip archive at all');
+    const file = { name: 'broken.apk', size: bytes.length, arrayBuffer: async () => bytes.buffer };
+    await expect(computeLocalFingerprint(file)).rejects.toThrow(/Refusing to unpack archive: .*end of central directory not found/);
+  });
+
+  it('still hashes the whole file when recording a scan of an unreadable archive', async () => {
+    const bytes = ascii('not a zip archive at all');
+    const file = { name: 'broken.ipa', size: bytes.length, arrayBuffer: async () => bytes.buffer };
+    await expect(computeScanFingerprint(file)).resolves.toEqual({
+      overallHash: sha256Sync(bytes),
+      fileType: 'IPA',
+      manifestHash: null,
+      certificateHash: null,
+      entries: [],
+      error: expect.stringMatching(/^Refusing to unpack archive/)
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { DEFAULT_BRANDS } from '../analyzer';
+import { decodeImage, perceptualHash, previewDataUrl } from '../analyzer/imageHash';
+
+// The protected brand list lives in localStorage next to the rule config.
+// Until the user edits it, the defaults from analyzer/rules/brands.json apply.
+const STORAGE_KEY = 'sentinels.brands';
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const PHASH_PATTERN = /^[0-9a-f]{16}$/;
+
+const list = (value) => (Array.isArray(value) ? value : String(value || '').split(/[\n,]+/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Cleans one entry and throws if it cannot be used for matching
+export const normalizeBrand = (brand) => {
+  const name = String(brand?.name || '').trim();
+  if (!name) throw new Error('Brand name is required');
+  const packages = list(brand.packages);
+  if (packages.length === 0) throw new Error(`${name}: at least one official package ID is required`);
+
+  // Accept the colon-separated form keytool and apksigner print
+  const certDigests = list(brand.certDigests).map(digest => digest.replace(/:/g, '').toLowerCase());
+  const invalid = certDigests.find(digest => !SHA256_PATTERN.test(digest));
+  if (invalid) throw new Error(`${name}: "${invalid}" is not a SHA-256 digest`);
+
+  // Gallery icons are stored as perceptual hashes with a small preview
+  const icons = (Array.isArray(brand.icons) ? brand.icons : []).map(icon => ({
+    name: String(icon?.name || 'icon'),
+    phash: String(icon?.phash || '').toLowerCase(),
+    preview: typeof icon?.preview === 'string' && icon.preview.startsWith('data:image/') ? icon.preview : null
+  }));
+  const badIcon = icons.find(icon => !PHASH_PATTERN.test(icon.phash));
+  if (badIcon) throw new Error(`${name}: icon "${badIcon.name}" has no valid perceptual hash`);
+
+  return {
+    name,
+    names: list(brand.names),
+    packages,
+    keywords: list(brand.keywords).map(keyword => keyword.toLowerCase()),
+    certDigests,
+    icons
+  };
+};
+
+export const loadBrands = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return DEFAULT_BRANDS;
+    return stored.flatMap(brand => {
+      try {
+        return [normalizeBrand(brand)];
+      } catch (e) {
+        return [];
+      }
+    });
+  } catch (e) {
+    return DEFAULT_BRANDS;
+  }
+};
+
+// The defaults are never stored: a stored copy would hide later updates to
+// brands.json from this user
+export const saveBrands = (brands) => {
+  if (brands === DEFAULT_BRANDS) {
+    resetBrands();
+    return;
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(brands));
+  } catch (e) {
+    // Private browsing or a full quota: keep working with in-memory state
+  }
+};
+
+export const resetBrands = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Nothing stored to remove
+  }
+  return DEFAULT_BRANDS;
+};
+
+// Adds or replaces (by name, case-insensitively) one brand
+export const upsertBrand = (brands, brand) => {
+  const entry = normalizeBrand(brand);
+  const key = entry.name.toLowerCase();
+  const index = brands.findIndex(existing => existing.name.toLowerCase() === key);
+  return index === -1
+    ? [...brands, entry]
+    : brands.map((existing, i) => (i === index ? entry : existing));
+};
+
+export const removeBrand = (brands, name) => brands.filter(brand => brand.name !== name);
+
+// `icon` is { name, phash, preview } from iconFromImageFile
+export const addBrandIcon = (brands, brandName, icon) => brands.map(brand =>
+  (brand.name === brandName ? normalizeBrand({ ...brand, icons: [...(brand.icons || []), icon] }) : brand));
+
+export const removeBrandIcon = (brands, brandName, index) => brands.map(brand =>
+  (brand.name === brandName ? { ...brand, icons: brand.icons.filter((_, i) => i !== index) } : brand));
+
+// Hashes an uploaded image for the brand icon gallery
+export const iconFromImageFile = async (file) => {
+  const image = await decodeImage(new Uint8Array(await file.arrayBuffer()));
+  return { name: file.name, phash: perceptualHash(image), preview: previewDataUrl(image, 64) };
+};
+
+// Accepts either a bare array or the { brands: [...] } shape of brands.json
+export const importBrands = (brands, text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.brands;
+  if (!Array.isArray(entries)) throw new Error('Expected an array of brands');
+  return entries.reduce(upsertBrand, brands);
+};
@@ -0,0 +1,23 @@
+import { DEFAULT_BRANDS } from '../analyzer';
+import { loadBrands, removeBrand, saveBrands } from './protectedBrands';
+
+const STORAGE_KEY = 'sentinels.brands';
+
+describe('protected brand store', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('does not store the defaults, so updates to them still apply', () => {
+    saveBrands(loadBrands());
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    expect(loadBrands()).toBe(DEFAULT_BRANDS);
+  });
+
+  it('stores an edited list and forgets it again on reset', () => {
+    const edited = removeBrand(DEFAULT_BRANDS, DEFAULT_BRANDS[0].name);
+    saveBrands(edited);
+    expect(loadBrands().map(brand => brand.name)).toEqual(edited.map(brand => brand.name));
+
+    saveBrands(DEFAULT_BRANDS);
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+});
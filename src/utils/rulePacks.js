@@ -0,0 +1,107 @@
+import { BUILT_IN_PACKS, compareVersions, validateRulePack } from '../analyzer';
+
+// Imported packs and on/off switches live in localStorage so they survive
+// reloads; the built-in packs always ship with the app.
+const STORAGE_KEY = 'sentinels.rulePacks';
+
+export const EMPTY_RULE_CONFIG = { imported: [], disabledPacks: [], disabledRules: [] };
+
+export const loadRuleConfig = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored) return EMPTY_RULE_CONFIG;
+    return {
+      imported: (stored.imported || []).filter(pack => {
+        try {
+          validateRulePack(pack);
+          return true;
+        } catch (e) {
+          return false;
+        }
+      }),
+      disabledPacks: stored.disabledPacks || [],
+      disabledRules: stored.disabledRules || []
+    };
+  } catch (e) {
+    return EMPTY_RULE_CONFIG;
+  }
+};
+
+export const saveRuleConfig = (config) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (e) {
+    // Private browsing or a full quota: keep working with in-memory state
+  }
+};
+
+// One entry per pack id; a newer imported version shadows the built-in one
+export const listRulePacks = (config) => {
+  const byId = new Map();
+  const candidates = [
+    ...BUILT_IN_PACKS.map(pack => ({ pack, builtIn: true })),
+    ...config.imported.map(pack => ({ pack, builtIn: false }))
+  ];
+  candidates.forEach(candidate => {
+    const current = byId.get(candidate.pack.id);
+    if (!current || compareVersions(candidate.pack.version, current.pack.version) > 0) {
+      byId.set(candidate.pack.id, candidate);
+    }
+  });
+  return [...byId.values()].map(({ pack, builtIn }) => ({
+    ...pack,
+    builtIn,
+    enabled: !config.disabledPacks.includes(pack.id)
+  }));
+};
+
+// The packs handed to the analyzer, with disabled packs and rules removed
+export const getActivePacks = (config) => listRulePacks(config)
+  .filter(pack => pack.enabled)
+  .map(pack => ({
+    ...pack,
+    rules: pack.rules.filter(rule => !config.disabledRules.includes(rule.id))
+  }));
+
+// Adds or upgrades a pack; refuses to replace a pack with an older version
+export const importRulePack = (config, text) => {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Rule pack is not valid JSON: ${e.message}`);
+  }
+  validateRulePack(pack);
+
+  const existing = listRulePacks(config).find(p => p.id === pack.id);
+  if (existing && compareVersions(pack.version, existing.version) < 0) {
+    throw new Error(`Pack "${pack.id}" ${pack.version} is older than the installed ${existing.version}`);
+  }
+  return {
+    config: {
+      ...config,
+      imported: [...config.imported.filter(p => p.id !== pack.id), pack]
+    },
+    pack,
+    replaced: existing ? existing.version : null
+  };
+};
+
+export const removeRulePack = (config, packId) => ({
+  ...config,
+  imported: config.imported.filter(pack => pack.id !== packId),
+  disabledPacks: config.disabledPacks.filter(id => id !== packId)
+});
+
+const toggle = (list, value) =>
+  (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+export const togglePack = (config, packId) => ({
+  ...config,
+  disabledPacks: toggle(config.disabledPacks, packId)
+});
+
+export const toggleRule = (config, ruleId) => ({
+  ...config,
+  disabledRules: toggle(config.disabledRules, ruleId)
+});
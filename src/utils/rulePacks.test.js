@@ -0,0 +1,37 @@
+import { EMPTY_RULE_CONFIG, getActivePacks, importRulePack, listRulePacks, toggleRule } from './rulePacks';
+
+const customPack = (version) => JSON.stringify({
+  id: 'core',
+  name: 'Core override',
+  version,
+  rules: [{
+    id: 'X-001',
+    severity: 'LOW',
+    category: 'Test',
+    weight: 1,
+    remediation: 'None',
+    matcher: { type: 'string', any: ['x'] }
+  }]
+});
+
+describe('rule pack store', () => {
+  it('lets a newer imported version shadow the built-in pack', () => {
+    const { config, replaced } = importRulePack(EMPTY_RULE_CONFIG, customPack('9.0.0'));
+    expect(replaced).toBe('1.6.0');
+    expect(listRulePacks(config)).toEqual([
+      expect.objectContaining({ id: 'core', version: '9.0.0', builtIn: false, enabled: true })
+    ]);
+  });
+
+  it('refuses to downgrade an installed pack', () => {
+    const { config } = importRulePack(EMPTY_RULE_CONFIG, customPack('9.0.0'));
+    expect(() => importRulePack(config, customPack('2.0.0'))).toThrow('older than the installed 9.0.0');
+  });
+
+  it('drops disabled rules from the active packs', () => {
+    const config = toggleRule(EMPTY_RULE_CONFIG, 'SNT-PERM-001');
+    const ruleIds = getActivePacks(config)[0].rules.map(rule => rule.id);
+    expect(ruleIds).not.toContain('SNT-PERM-001');
+    expect(ruleIds).toContain('SNT-PERM-002');
+  });
+});
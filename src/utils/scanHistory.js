@@ -0,0 +1,176 @@
+import { sha256Hex } from './digest';
+
+// Local scan history. Entries live in IndexedDB so past reports survive a
+// reload and can be re-opened without the original file; when IndexedDB is
+// unavailable (private windows in some browsers, tests) an in-memory store
+// keeps the same interface for the session.
+const DB_NAME = 'sentinels';
+const DB_VERSION = 1;
+const STORE = 'scans';
+
+export const HISTORY_FORMAT = 'sentinels-history';
+export const HISTORY_VERSION = 1;
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Hashes recorded with every entry. The whole-file SHA-256 is the entry id,
+// so scanning the same file again updates its entry instead of adding one.
+export const hashesFromFingerprint = (local) => ({
+  sha256: local.overallHash,
+  manifest: local.manifestHash || null,
+  certificate: local.certificateHash || null
+});
+
+// For scans without a local fingerprint (uploads): the file bytes only, so
+// recording never unzips the archive again on the main thread
+export const fileHashes = async (file) => ({
+  sha256: await sha256Hex(new Uint8Array(await file.arrayBuffer())),
+  manifest: null,
+  certificate: null
+});
+
+// `report` is a buildReport() result and carries the identity; scans that
+// only ran the fingerprint check pass `identity` from the form instead.
+// `snapshot` (createSnapshot) is what version diffs compare.
+// `verdict` is one of the batch VERDICTS, or null when nothing was verified.
+export const createHistoryEntry = ({
+  fileName, hashes, report = null, snapshot = null, credibility = null, identity = null,
+  verdict = null, verification = null, scannedAt = new Date()
+}) => {
+  if (!HASH_PATTERN.test(hashes?.sha256 || '')) throw new Error('A history entry needs the file SHA-256');
+  const app = report?.app || identity || {};
+  return {
+    id: hashes.sha256,
+    scannedAt: new Date(scannedAt).toISOString(),
+    fileName: fileName || app.fileName || null,
+    hashes: { sha256: hashes.sha256, manifest: hashes.manifest || null, certificate: hashes.certificate || null },
+    identity: {
+      type: app.type || null,
+      packageName: app.packageName || null,
+      appName: app.appName || null,
+      version: app.version || null,
+      developer: app.developer || null
+    },
+    riskLevel: report?.verdict.riskLevel || null,
+    verdict,
+    verification: verification && { message: verification.message || null, isAuthentic: Boolean(verification.isAuthentic) },
+    report,
+    snapshot,
+    credibility
+  };
+};
+
+// A fingerprint-only scan must not wipe the report of an earlier
+// credibility check of the same file, and vice versa
+export const mergeHistoryEntries = (existing, incoming) => {
+  if (!existing) return incoming;
+  const keepReport = existing.report && !incoming.report;
+  return {
+    ...incoming,
+    identity: keepReport ? existing.identity : incoming.identity,
+    riskLevel: keepReport ? existing.riskLevel : incoming.riskLevel,
+    report: keepReport ? existing.report : incoming.report,
+    snapshot: keepReport ? existing.snapshot : incoming.snapshot,
+    credibility: incoming.credibility || existing.credibility,
+    verdict: incoming.verdict || existing.verdict,
+    verification: incoming.verification || existing.verification,
+    fileName: incoming.fileName || existing.fileName
+  };
+};
+
+// Case-insensitive match on package, name, file name, any hash (prefix) or
+// verdict; `verdict` narrows to one fingerprint verdict ('none' = never verified)
+export const searchHistory = (entries, { query = '', verdict = 'all' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return entries
+    .filter(entry => verdict === 'all' || (verdict === 'none' ? !entry.verdict : entry.verdict === verdict))
+    .filter(entry => {
+      if (!needle) return true;
+      const { identity, hashes } = entry;
+      const text = [identity.packageName, identity.appName, entry.fileName, entry.verdict, entry.riskLevel]
+        .filter(Boolean)
+        .map(value => value.toLowerCase());
+      return text.some(value => value.includes(needle)) ||
+        Object.values(hashes).some(hash => hash && hash.startsWith(needle));
+    })
+    .sort((a, b) => b.scannedAt.localeCompare(a.scannedAt));
+};
+
+export const serializeHistory = (entries) => JSON.stringify({
+  format: HISTORY_FORMAT,
+  version: HISTORY_VERSION,
+  exportedAt: new Date().toISOString(),
+  entries
+}, null, 2);
+
+// Accepts an export from serializeHistory or a bare array of entries.
+// Throws on anything that is not a history file; skips unusable entries.
+export const parseHistory = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(parsed) && parsed?.format !== HISTORY_FORMAT) {
+    throw new Error('Not a Sentinels history export');
+  }
+  if (!Array.isArray(parsed) && parsed.version > HISTORY_VERSION) {
+    throw new Error(`History format ${parsed.version} is newer than this app supports`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed.entries;
+  if (!Array.isArray(entries)) throw new Error('Expected an array of history entries');
+  return entries.filter(entry => HASH_PATTERN.test(entry?.id || '') && entry.id === entry.hashes?.sha256 &&
+    typeof entry.scannedAt === 'string' && entry.identity);
+};
+
+export const createMemoryStore = (initial = []) => {
+  const entries = new Map(initial.map(entry => [entry.id, entry]));
+  return {
+    persistent: false,
+    all: async () => [...entries.values()],
+    get: async (id) => entries.get(id) || null,
+    put: async (entry) => { entries.set(entry.id, entry); },
+    remove: async (id) => { entries.delete(id); },
+    clear: async () => { entries.clear(); }
+  };
+};
+
+const openDatabase = (factory) => new Promise((resolve, reject) => {
+  const request = factory.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('Scan history is open in an older tab; close it and reload'));
+});
+
+// Runs one request and resolves to its result once the transaction has
+// committed. A failed request (quota, constraint) aborts the transaction,
+// so every failure settles the promise through the transaction handlers.
+const transact = (db, mode, run) => new Promise((resolve, reject) => {
+  const tx = db.transaction(STORE, mode);
+  const request = run(tx.objectStore(STORE));
+  tx.oncomplete = () => resolve(request.result);
+  tx.onerror = () => reject(tx.error || request.error);
+  tx.onabort = () => reject(tx.error || new Error('Scan history transaction aborted'));
+});
+
+// Resolves to the IndexedDB-backed store, or the memory store when
+// `factory` is missing or refuses to open (e.g. storage disabled)
+export const openHistoryStore = async (factory = typeof indexedDB !== 'undefined' ? indexedDB : undefined) => {
+  if (!factory) return createMemoryStore();
+  let db;
+  try {
+    db = await openDatabase(factory);
+  } catch (e) {
+    return createMemoryStore();
+  }
+  return {
+    persistent: true,
+    all: () => transact(db, 'readonly', store => store.getAll()),
+    get: async (id) => (await transact(db, 'readonly', store => store.get(id))) || null,
+    put: (entry) => transact(db, 'readwrite', store => store.put(entry)).then(() => undefined),
+    remove: (id) => transact(db, 'readwrite', store => store.delete(id)).then(() => undefined),
+    clear: () => transact(db, 'readwrite', store => store.clear()).then(() => undefined)
+  };
+};
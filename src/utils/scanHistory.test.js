@@ -0,0 +1,127 @@
+import {
+  createHistoryEntry, fileHashes, mergeHistoryEntries, openHistoryStore, parseHistory, searchHistory, serializeHistory
+} from './scanHistory';
+import { sha256Sync } from './digest';
+import { VERDICTS } from './useScanQueue';
+
+const hash = (ch) => ch.repeat(64);
+
+const report = (packageName, riskLevel) => ({
+  app: { fileName: `${packageName}.apk`, type: 'APK', packageName, appName: 'Bank', version: '1.0', developer: null },
+  verdict: { riskLevel, riskScore: 80, credibilityLevel: 'HIGH', safetyScore: 40 },
+  findings: []
+});
+
+const bank = createHistoryEntry({
+  fileName: 'bank.apk',
+  hashes: { sha256: hash('a'), manifest: hash('b'), certificate: null },
+  report: report('com.fake.bank', 'CRITICAL'),
+  scannedAt: '2025-01-01T00:00:00Z'
+});
+const wallet = createHistoryEntry({
+  fileName: 'wallet.apk',
+  hashes: { sha256: hash('c') },
+  identity: { packageName: 'com.real.wallet', appName: 'Wallet', version: '2.0' },
+  verdict: VERDICTS.AUTHENTIC,
+  scannedAt: '2025-02-01T00:00:00Z'
+});
+
+describe('scan history', () => {
+  it('keys entries by the file hash and takes identity from the report', () => {
+    expect(bank).toMatchObject({
+      id: hash('a'),
+      identity: { packageName: 'com.fake.bank', version: '1.0' },
+      riskLevel: 'CRITICAL',
+      verdict: null
+    });
+    expect(() => createHistoryEntry({ hashes: { sha256: 'nope' } })).toThrow('SHA-256');
+  });
+
+  it('keeps an earlier report when a later scan only verified the fingerprint', () => {
+    const verified = createHistoryEntry({
+      fileName: 'bank.apk',
+      hashes: { sha256: hash('a') },
+      identity: { packageName: 'typed.in.form' },
+      verdict: VERDICTS.NOT_AUTHENTIC,
+      verification: { isAuthentic: false, message: 'Mismatch' }
+    });
+    const merged = mergeHistoryEntries(bank, verified);
+    expect(merged.report).toBe(bank.report);
+    expect(merged.identity.packageName).toBe('com.fake.bank');
+    expect(merged.verdict).toBe(VERDICTS.NOT_AUTHENTIC);
+    expect(merged.scannedAt).toBe(verified.scannedAt);
+  });
+
+  it('searches by package, hash prefix and verdict, newest first', () => {
+    const entries = [bank, wallet];
+    expect(searchHistory(entries).map(entry => entry.id)).toEqual([hash('c'), hash('a')]);
+    expect(searchHistory(entries, { query: 'FAKE.bank' })).toEqual([bank]);
+    expect(searchHistory(entries, { query: 'bbbb' })).toEqual([bank]);
+    expect(searchHistory(entries, { query: 'critical' })).toEqual([bank]);
+    expect(searchHistory(entries, { verdict: VERDICTS.AUTHENTIC })).toEqual([wallet]);
+    expect(searchHistory(entries, { verdict: 'none' })).toEqual([bank]);
+  });
+
+  it('round-trips exports and rejects other files', () => {
+    expect(parseHistory(serializeHistory([bank, wallet]))).toEqual([bank, wallet]);
+    expect(parseHistory(JSON.stringify([bank, { id: 'broken' }]))).toEqual([bank]);
+    expect(() => parseHistory('{"rules": []}')).toThrow('Not a Sentinels history export');
+    expect(() => parseHistory(JSON.stringify({ format: 'sentinels-history', version: 99, entries: [] })))
+      .toThrow('newer');
+  });
+
+  it('falls back to memory when IndexedDB is unavailable', async () => {
+    const store = await openHistoryStore(undefined);
+    expect(store.persistent).toBe(false);
+    await store.put(bank);
+    await store.put(wallet);
+    await store.remove(wallet.id);
+    expect(await store.all()).toEqual([bank]);
+    expect(await store.get(bank.id)).toBe(bank);
+  });
+
+  it('rejects once when IndexedDB refuses a write', async () => {
+    const quota = new Error('QuotaExceededError');
+    // Just enough of IndexedDB for one failing put: the request fails, the
+    // error bubbles to the transaction, which then aborts
+    const db = {
+      transaction: () => {
+        const tx = { error: null };
+        tx.objectStore = () => ({
+          put: () => {
+            const request = { error: quota };
+            setTimeout(() => {
+              request.onerror?.();
+              tx.error = quota;
+              tx.onerror?.();
+              tx.onabort?.();
+            });
+            return request;
+          }
+        });
+        return tx;
+      }
+    };
+    const factory = {
+      open: () => {
+        const request = { result: db };
+        setTimeout(() => request.onsuccess());
+        return request;
+      }
+    };
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+
+    const store = await openHistoryStore(factory);
+    await expect(store.put(bank)).rejects.toBe(quota);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    process.off('unhandledRejection', unhandled);
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  it('hashes only the file bytes for scans without a local fingerprint', async () => {
+    const bytes = Uint8Array.from('PK\x03\x04 not really a zip', (c) => c.charCodeAt(0));
+    await expect(fileHashes({ name: 'bank.apk', arrayBuffer: async () => bytes.buffer }))
+      .resolves.toEqual({ sha256: sha256Sync(bytes), manifest: null, certificate: null });
+  });
+});
@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { mergeHistoryEntries, openHistoryStore, parseHistory, serializeHistory } from './scanHistory';
+
+// React state over the scan history store. `entries` mirrors the store;
+// every mutation writes through first so a reload shows the same list.
+export const useScanHistory = () => {
+  const [entries, setEntries] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [persistent, setPersistent] = useState(false);
+  const [error, setError] = useState(null);
+  const storeRef = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+    storeRef.current = openHistoryStore().then(async (store) => {
+      const stored = await store.all();
+      if (active) {
+        setEntries(stored);
+        setPersistent(store.persistent);
+        setReady(true);
+      }
+      return store;
+    });
+    storeRef.current.catch(e => active && setError(`Scan history unavailable: ${e.message}`));
+    return () => { active = false; };
+  }, []);
+
+  const withStore = useCallback(async (run) => {
+    try {
+      return await run(await storeRef.current);
+    } catch (e) {
+      setError(`Scan history: ${e.message}`);
+      return null;
+    }
+  }, []);
+
+  // `entry` comes from createHistoryEntry; an entry for the same file is merged
+  const record = useCallback((entry) => withStore(async (store) => {
+    const merged = mergeHistoryEntries(await store.get(entry.id), entry);
+    await store.put(merged);
+    setEntries(list => [...list.filter(item => item.id !== merged.id), merged]);
+    return merged;
+  }), [withStore]);
+
+  const remove = useCallback((id) => withStore(async (store) => {
+    await store.remove(id);
+    setEntries(list => list.filter(item => item.id !== id));
+  }), [withStore]);
+
+  const clear = useCallback(() => withStore(async (store) => {
+    await store.clear();
+    setEntries([]);
+  }), [withStore]);
+
+  // Imported entries replace stored ones with the same file hash.
+  // Resolves to the number imported; throws on a file that is not a history export.
+  const importText = useCallback(async (text) => {
+    const imported = parseHistory(text);
+    await withStore(async (store) => {
+      for (const entry of imported) await store.put(entry);
+      setEntries(await store.all());
+    });
+    return imported.length;
+  }, [withStore]);
+
+  const exportText = useCallback(() => serializeHistory(entries), [entries]);
+
+  return { entries, ready, persistent, error, record, remove, clear, importText, exportText };
+};
@@ -0,0 +1,140 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isAbortError } from '../analyzer';
+import { analyzeInWorker } from '../analyzer/worker';
+
+export const VERDICTS = {
+  AUTHENTIC: 'Authentic',
+  NOT_AUTHENTIC: 'Not authentic',
+  UNVERIFIED: 'Unverified'
+};
+
+let nextId = 1;
+
+// Batch queue behind the Batch Scan tab. Files are scanned one at a time
+// (each scan already uses a worker and bounded concurrency); every item runs
+// the credibility analysis and then the hashes-only fingerprint check.
+// `verify(localFingerprint, identity, { signal })` resolves to the API
+// verification and must stop once the item's `signal` aborts;
+// `onComplete({ name, analysis, local, verdict, verification })` runs for each
+// finished item; `local` is the fingerprint the worker computed, which for
+// blocked or unreadable archives only has the file hash and an `error`.
+export const useScanQueue = ({ rulePacks, brands, verify, onComplete }) => {
+  const [items, setItems] = useState([]);
+  const controllers = useRef(new Map());
+  const options = useRef({ rulePacks, brands, verify, onComplete });
+  options.current = { rulePacks, brands, verify, onComplete };
+
+  const update = useCallback((id, patch) => {
+    setItems(list => list.map(item => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const scanItem = useCallback(async ({ id, file, name }) => {
+    const controller = new AbortController();
+    controllers.current.set(id, controller);
+    update(id, { status: 'scanning', stage: 'unzip', progress: 0 });
+
+    try {
+      const report = await analyzeInWorker(file, {
+        rulePacks: options.current.rulePacks,
+        brands: options.current.brands,
+        fingerprint: true,
+        signal: controller.signal,
+        onProgress: ({ stage, percent }) => update(id, { stage, progress: percent })
+      });
+
+      update(id, { stage: 'fingerprint' });
+      const local = report.fingerprint;
+      let verdict = VERDICTS.UNVERIFIED;
+      let verification = null;
+      let verifyError = local.error || null;
+      if (!local.error) {
+        try {
+          verification = await options.current.verify(local, report.identity, { signal: controller.signal });
+          verdict = verification.isAuthentic ? VERDICTS.AUTHENTIC : VERDICTS.NOT_AUTHENTIC;
+        } catch (e) {
+          verifyError = e.message;
+        }
+      }
+      if (controller.signal.aborted) {
+        update(id, { status: 'cancelled', stage: null });
+        return;
+      }
+
+      update(id, {
+        status: 'done',
+        stage: null,
+        progress: 100,
+        identity: report.identity,
+        security: {
+          riskLevel: report.security.riskLevel,
+          riskScore: report.security.riskScore,
+          summary: report.security.summary
+        },
+        credibility: report.credibility,
+        verdict,
+        verification,
+        verifyError
+      });
+      if (options.current.onComplete) {
+        options.current.onComplete({ name, analysis: report, local, verdict, verification });
+      }
+    } catch (e) {
+      update(id, isAbortError(e)
+        ? { status: 'cancelled', stage: null }
+        : { status: 'error', stage: null, error: e.message });
+    } finally {
+      controllers.current.delete(id);
+    }
+  }, [update]);
+
+  // Start the next queued item whenever nothing is running
+  useEffect(() => {
+    if (items.some(item => item.status === 'scanning')) return;
+    const next = items.find(item => item.status === 'queued');
+    if (next) scanItem(next);
+  }, [items, scanItem]);
+
+  // Stop any scan still running when the queue goes away
+  useEffect(() => {
+    const running = controllers.current;
+    return () => running.forEach(controller => controller.abort());
+  }, []);
+
+  const addFiles = useCallback((files) => {
+    setItems(list => [...list, ...files.map(file => ({
+      id: nextId++,
+      file,
+      // Folder picks keep the path so same-named samples stay distinguishable
+      name: file.webkitRelativePath || file.name,
+      size: file.size,
+      status: 'queued',
+      stage: null,
+      progress: 0
+    }))]);
+  }, []);
+
+  const cancel = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      update(id, { status: 'cancelled' });
+    }
+  }, [update]);
+
+  const cancelAll = useCallback(() => {
+    controllers.current.forEach(controller => controller.abort());
+    setItems(list => list.map(item => (item.status === 'queued' ? { ...item, status: 'cancelled' } : item)));
+  }, []);
+
+  const remove = useCallback((id) => {
+    controllers.current.get(id)?.abort();
+    setItems(list => list.filter(item => item.id !== id));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(list => list.filter(item => item.status === 'queued' || item.status === 'scanning'));
+  }, []);
+
+  return { items, addFiles, cancel, cancelAll, remove, clearFinished };
+};
@@ -0,0 +1,72 @@
+import JSZip from 'jszip';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { createApiClient } from '../api/client';
+import { verifyApp } from '../api/fingerprints';
+import { sha256Sync } from './digest';
+import { VERDICTS, useScanQueue } from './useScanQueue';
+
+const MANIFEST = `<manifest xmlns:android="http://schemas.android.com/apk/res/android" package="com.fake.bank">
+  <application android:label="Fake Bank"/>
+</manifest>`;
+
+const makeFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return { name, size: bytes.length, arrayBuffer: async () => bytes.buffer };
+};
+
+// A fingerprint service that never answers until its request is aborted
+const hangingClient = (requests) => createApiClient({
+  baseUrl: 'https://api.test',
+  fetch: (url, init) => new Promise((resolve, reject) => {
+    requests.push(init);
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  })
+});
+
+describe('useScanQueue', () => {
+  it('cancels the in-flight verification when an item is cancelled', async () => {
+    const requests = [];
+    const client = hangingClient(requests);
+    let verifying = null;
+    const verify = jest.fn((local, identity, options) => {
+      verifying = verifyApp(client, { overallHash: local.overallHash, packageName: identity.packageName }, options);
+      return verifying;
+    });
+    const onComplete = jest.fn();
+    const { result } = renderHook(() => useScanQueue({ verify, onComplete }));
+
+    const file = await makeFile('bank.apk', { 'AndroidManifest.xml': MANIFEST });
+    act(() => result.current.addFiles([file]));
+    await waitFor(() => expect(requests).toHaveLength(1));
+    expect(verify.mock.calls[0][2].signal.aborted).toBe(false);
+
+    await act(async () => {
+      result.current.cancel(result.current.items[0].id);
+      await expect(verifying).rejects.toMatchObject({ name: 'AbortError' });
+    });
+    expect(requests[0].signal.aborted).toBe(true);
+    expect(result.current.items[0].status).toBe('cancelled');
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  it('records archives the safety checks block without verifying them', async () => {
+    const verify = jest.fn();
+    const onComplete = jest.fn();
+    const { result } = renderHook(() => useScanQueue({ verify, onComplete }));
+    const bytes = Uint8Array.from('not a zip archive', (c) => c.charCodeAt(0));
+    const file = { name: 'broken.apk', size: bytes.length, arrayBuffer: async () => bytes.buffer };
+
+    act(() => result.current.addFiles([file]));
+    await waitFor(() => expect(result.current.items[0].status).toBe('done'));
+
+    expect(verify).not.toHaveBeenCalled();
+    expect(result.current.items[0]).toMatchObject({
+      verdict: VERDICTS.UNVERIFIED,
+      verifyError: expect.stringMatching(/^Refusing to unpack archive/)
+    });
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete.mock.calls[0][0].local).toMatchObject({ overallHash: sha256Sync(bytes), manifestHash: null });
+  });
+});